@@ -6,155 +6,853 @@
  * Node.js-based intent classification system.
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 
 // Import the IntentAgent from the Working directory
 const { IntentAgent } = require('../Working/intentAgent');
+const { isValidSessionId } = require('../Working/conversationStore');
+const { buildTaxonomyTree } = require('../Working/intentTaxonomy');
+const { isValidTimeZone } = require('../Working/entitySlots');
+const { SchedulerError, mapWithConcurrency } = require('../Working/requestScheduler');
+const {
+    BatchJobManager,
+    JOB_STATUSES,
+    RESULT_CSV_COLUMNS,
+    parseJobInput,
+    resultToCsvRow,
+    toJobMessage
+} = require('../Working/batchJobs');
+const { createWebhookDispatcher } = require('../Working/webhooks');
+const { ApiKeyStore, ClientLimiter, AUTH_MODES } = require('../Working/apiKeys');
+const { getAgentConfig } = require('../Working/agentConfig');
+const { createLogger } = require('../Working/logger');
+const { parseTraceParent } = require('../Working/tracing');
+const { METRICS_CONTENT_TYPE } = require('../Working/metrics');
 
-// Initialize Express app
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors()); // Enable CORS for frontend requests
-app.use(express.json()); // Parse JSON request bodies
-app.use(express.static(__dirname)); // Serve static files from Frontend directory
+/**
+ * Validates the fields of a classification request
+ *
+ * @param {Object} input - Request fields
+ * @param {string} input.message - Message to classify
+ * @param {string} input.sessionId - Optional conversation session
+ * @param {boolean} input.classifyOnly - Optional classify-only flag
+ * @param {boolean} input.multiIntent - Optional multi-intent flag
+ * @param {boolean} input.dryRun - Optional flag to plan intent actions without running them
+ * @param {string} input.referenceTime - Optional time the message was sent (ISO 8601)
+ * @param {string} input.timezone - Optional IANA timezone of the user
+ * @returns {Object|null} Error body for a 400 response, or null when valid
+ */
+function validateClassifyInput({ message, sessionId, classifyOnly, multiIntent, dryRun, referenceTime, timezone }) {
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+        return {
+            error: 'Invalid input',
+            message: 'Message field is required and must be a non-empty string'
+        };
+    }
 
-// Initialize IntentAgent
-let agent;
+    // Check message length
+    if (message.length > 1000) {
+        return {
+            error: 'Message too long',
+            message: 'Message must be 1000 characters or less'
+        };
+    }
 
-try {
-    agent = new IntentAgent();
-    console.log('✓ IntentAgent initialized successfully');
-} catch (error) {
-    console.error('✗ Failed to initialize IntentAgent:', error.message);
-    process.exit(1);
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+        return {
+            error: 'Invalid session',
+            message: 'sessionId must be 1-128 characters of letters, digits, "-" or "_"'
+        };
+    }
+
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+        return {
+            error: 'Invalid input',
+            message: 'dryRun must be a boolean'
+        };
+    }
+
+    return validateProcessingOptions({ classifyOnly, multiIntent, referenceTime, timezone });
 }
 
-// Routes
+/**
+ * Validates the processing options shared by single messages and jobs
+ *
+ * @param {Object} input - Request fields
+ * @param {boolean} input.classifyOnly - Optional classify-only flag
+ * @param {boolean} input.multiIntent - Optional multi-intent flag
+ * @param {string} input.referenceTime - Optional time the message was sent (ISO 8601)
+ * @param {string} input.timezone - Optional IANA timezone of the user
+ * @returns {Object|null} Error body for a 400 response, or null when valid
+ */
+function validateProcessingOptions({ classifyOnly, multiIntent, referenceTime, timezone }) {
+    if (classifyOnly !== undefined && typeof classifyOnly !== 'boolean') {
+        return {
+            error: 'Invalid input',
+            message: 'classifyOnly must be a boolean'
+        };
+    }
+
+    if (multiIntent !== undefined && typeof multiIntent !== 'boolean') {
+        return {
+            error: 'Invalid input',
+            message: 'multiIntent must be a boolean'
+        };
+    }
+
+    return validateTimeContext({ referenceTime, timezone });
+}
 
 /**
- * Health check endpoint
- * GET /api/health
+ * Validates the reference time and timezone used to resolve relative dates
+ *
+ * @param {Object} input - Request fields
+ * @param {string} input.referenceTime - Optional time the message was sent (ISO 8601)
+ * @param {string} input.timezone - Optional IANA timezone of the user
+ * @returns {Object|null} Error body for a 400 response, or null when valid
  */
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        service: 'Intent Identifier Server',
-        timestamp: new Date().toISOString(),
-        agentStatus: agent ? 'ready' : 'unavailable'
+function validateTimeContext({ referenceTime, timezone }) {
+    if (referenceTime !== undefined
+        && (typeof referenceTime !== 'string' || Number.isNaN(Date.parse(referenceTime)))) {
+        return {
+            error: 'Invalid input',
+            message: 'referenceTime must be an ISO 8601 date and time'
+        };
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        return {
+            error: 'Invalid input',
+            message: 'timezone must be an IANA timezone such as Europe/Berlin'
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Converts "true" and "false" query parameters to booleans
+ * Other values are returned unchanged so validation can reject them.
+ *
+ * @param {*} value - Query parameter value
+ * @returns {*} Boolean, or the original value
+ */
+function parseQueryBoolean(value) {
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return value;
+}
+
+/**
+ * Writes one Server-Sent Event
+ *
+ * @param {express.Response} res - Open event stream
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, sent as JSON
+ */
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Creates an AbortSignal that fires when the client disconnects before the
+ * response is complete, so the agent stops working on it
+ *
+ * @param {express.Response} res - Response of the request
+ * @returns {AbortSignal} Signal aborted on disconnect
+ */
+function abortOnDisconnect(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort(new Error('Client disconnected'));
+        }
     });
-});
+    return controller.signal;
+}
 
 /**
- * Intent classification endpoint
- * POST /api/classify
- * Body: { "message": "user input text" }
+ * Responds to a request the model scheduler refused or that timed out
+ * Sets Retry-After when the scheduler suggests a delay.
+ *
+ * @param {express.Response} res - Response to send
+ * @param {Object} error - Scheduler error, or error event data with the same fields
+ * @param {number} error.status - HTTP status (429, 503 or 504)
+ * @param {number|null} error.retryAfter - Suggested retry delay in seconds
+ * @param {string} error.message - Error description
  */
-app.post('/api/classify', async (req, res) => {
-    try {
-        const { message } = req.body;
+function sendSchedulerError(res, { status, retryAfter, message }) {
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+    }
+    res.status(status).json({
+        error: status === 504 ? 'Request timed out' : 'Server busy',
+        message
+    });
+}
 
-        // Validate input
-        if (!message || typeof message !== 'string' || message.trim().length === 0) {
-            return res.status(400).json({
-                error: 'Invalid input',
-                message: 'Message field is required and must be a non-empty string'
+/**
+ * Shortens a message for the log, with personal data redacted
+ *
+ * @param {IntentAgent} agent - Agent whose redactor is used
+ * @param {string} message - Message from the request
+ * @returns {string} Preview of at most 50 characters
+ */
+function logPreview(agent, message) {
+    const redacted = agent.redactText(message);
+    return `${redacted.substring(0, 50)}${redacted.length > 50 ? '...' : ''}`;
+}
+
+/**
+ * Reads the request ID a caller sent in X-Request-Id, or creates one
+ *
+ * @param {express.Request} req - Incoming request
+ * @returns {string} Caller's ID if it is 1-128 letters, digits and ".:_-", else a random UUID
+ */
+function readRequestId(req) {
+    const requestId = req.get('X-Request-Id');
+    return requestId && /^[\w.:-]{1,128}$/.test(requestId) ? requestId : crypto.randomUUID();
+}
+
+/**
+ * Creates middleware giving each request an ID, a logger bound to it and,
+ * when tracing is enabled, a server span
+ * The ID is echoed in X-Request-Id. A caller's W3C traceparent header
+ * makes the span part of the caller's trace. Each request is logged once
+ * it completes, and counted in the metrics by route and status.
+ *
+ * @param {Logger} logger - Server logger
+ * @param {Tracer|null} tracer - Tracer of the agent
+ * @param {IntentMetrics|null} metrics - Metrics of the agent
+ * @returns {Function} Express middleware
+ */
+function requestContext(logger, tracer, metrics) {
+    return (req, res, next) => {
+        const startTime = Date.now();
+        const { method } = req;
+        const requestPath = req.path;
+
+        req.id = readRequestId(req);
+        req.log = logger.child({ requestId: req.id });
+        req.span = tracer
+            ? tracer.startSpan(`${method} ${requestPath}`, {
+                parent: parseTraceParent(req.get('traceparent')),
+                kind: 'server',
+                attributes: { 'http.request.method': method, 'url.path': requestPath, 'request.id': req.id }
+            })
+            : null;
+        res.set('X-Request-Id', req.id);
+
+        // Also emitted when the client disconnects before the response is sent
+        res.on('close', () => {
+            const status = res.writableFinished ? res.statusCode : null;
+            req.log.info('Request completed', {
+                method,
+                path: requestPath,
+                status,
+                durationMs: Date.now() - startTime
             });
+
+            if (metrics) {
+                // Unmatched paths share one label, so scanners cannot add series
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+                metrics.httpRequests.inc({ method, route, status: status === null ? 'aborted' : String(status) });
+                metrics.httpRequestDuration.observe({ method, route }, (Date.now() - startTime) / 1000);
+            }
+            if (req.span) {
+                // Routes with parameters are named by their pattern
+                if (req.route) {
+                    req.span.name = `${method} ${req.baseUrl}${req.route.path}`;
+                    req.span.setAttribute('http.route', `${req.baseUrl}${req.route.path}`);
+                }
+                req.span.setAttribute('http.response.status_code', status);
+                if (status === null || status >= 500) {
+                    req.span.recordError(new Error(status === null ? 'Client disconnected' : `HTTP ${status}`));
+                }
+                req.span.end();
+            }
+        });
+        next();
+    };
+}
+
+/**
+ * Creates API key checking from the auth section of the configuration
+ *
+ * @param {Object} authConfig - The auth section of the agent configuration
+ * @returns {Object} { mode, keyStore, limiter }
+ * @throws {Error} If the mode is unknown
+ */
+function createAuth(authConfig) {
+    if (!AUTH_MODES.includes(authConfig.mode)) {
+        throw new Error(`Invalid API auth mode "${authConfig.mode}"; use one of: ${AUTH_MODES.join(', ')}`);
+    }
+    return {
+        mode: authConfig.mode,
+        keyStore: new ApiKeyStore({ file: authConfig.keysFile }),
+        limiter: new ClientLimiter(authConfig)
+    };
+}
+
+/**
+ * Reads the API key of a request
+ * Accepts `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ *
+ * @param {express.Request} req - Incoming request
+ * @returns {string|null} Plain key, or null if none was sent
+ */
+function readApiKey(req) {
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+    return bearer ? bearer[1] : req.get('X-API-Key') || null;
+}
+
+/**
+ * Creates middleware that requires an API key with a scope and takes one
+ * request from the key's rate limit and daily quota
+ * Unless the mode is 'off', requests without a valid key are refused, also
+ * when the keys file is missing.
+ *
+ * @param {Object} auth - { mode, keyStore, limiter }
+ * @param {string} scope - Scope the route needs
+ * @returns {Function} Express middleware
+ */
+function requireScope({ mode, keyStore, limiter }, scope) {
+    return (req, res, next) => {
+        if (mode === 'off') {
+            return next();
         }
 
-        // Check message length
-        if (message.length > 1000) {
-            return res.status(400).json({
-                error: 'Message too long',
-                message: 'Message must be 1000 characters or less'
+        const key = readApiKey(req);
+        const record = keyStore.authenticate(key);
+        if (!record) {
+            res.set('WWW-Authenticate', 'Bearer realm="intent-identifier"');
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: key
+                    ? 'The API key is invalid or has been revoked'
+                    : 'An API key is required: send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"'
             });
         }
 
-        console.log(`Processing message: "${message.substring(0, 50)}${message.length > 50 ? '...' : ''}"`);
+        if (!record.scopes.includes(scope)) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `The API key does not have the "${scope}" scope`
+            });
+        }
 
-        // Process message with IntentAgent
-        const startTime = Date.now();
-        const result = await agent.processMessage(message);
-        const processingTime = Date.now() - startTime;
+        const usage = limiter.consume(record);
+        res.set('X-RateLimit-Remaining', String(usage.remaining));
+        if (usage.quotaRemaining !== null) {
+            res.set('X-Quota-Remaining', String(usage.quotaRemaining));
+        }
+        if (!usage.allowed) {
+            res.set('Retry-After', String(usage.retryAfter));
+            return res.status(429).json(usage.reason === 'quota'
+                ? {
+                    error: 'Quota exceeded',
+                    message: 'The daily request quota of this API key is used up; it resets at midnight UTC'
+                }
+                : {
+                    error: 'Rate limit exceeded',
+                    message: `Too many requests for this API key; retry in ${usage.retryAfter}s`
+                });
+        }
 
-        console.log(`✓ Intent classified: ${result.intent} (${(result.confidence * 100).toFixed(1)}%) in ${processingTime}ms`);
+        req.apiKey = record;
+        next();
+    };
+}
 
-        // Return result with metadata
-        res.json({
-            ...result,
-            metadata: {
-                processingTime,
-                timestamp: new Date().toISOString(),
-                model: 'llama3.2'
-            }
-        });
+/**
+ * Returns the id of the API key a request was made with
+ * Jobs and sessions belong to the key that created them; with API keys
+ * off there is no owner and every one is visible.
+ *
+ * @param {express.Request} req - Authenticated request
+ * @returns {string|undefined} Key id, or undefined when keys are off
+ */
+function requestOwner(req) {
+    return req.apiKey ? req.apiKey.id : undefined;
+}
 
-    } catch (error) {
-        console.error('Error processing message:', error);
+/**
+ * Responds that a session does not exist, which is also the answer for a
+ * session owned by another API key
+ *
+ * @param {express.Response} res - Response to send
+ * @param {string} sessionId - Session identifier
+ */
+function sendSessionNotFound(res, sessionId) {
+    res.status(404).json({
+        error: 'Not found',
+        message: `Session ${sessionId} not found`
+    });
+}
 
-        res.status(500).json({
-            error: 'Processing failed',
-            message: error.message,
-            intent: 'unknown',
-            confidence: 0,
-            entities: {},
-            response: 'I apologize, but I encountered an error processing your message. Please try again.'
-        });
-    }
-});
+/**
+ * Creates the CORS policy for an allow-list of origins
+ * Requests from other origins get no CORS headers, so browsers block them.
+ *
+ * @param {Array<string>} origins - Allowed origins; '*' allows any
+ * @returns {Function} Express middleware
+ */
+function corsAllowList(origins) {
+    return cors({
+        origin: (origin, callback) => callback(null, Boolean(origin) && (origins.includes('*') || origins.includes(origin))),
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id', 'traceparent'],
+        exposedHeaders: ['Retry-After', 'Location', 'X-RateLimit-Remaining', 'X-Quota-Remaining', 'X-Request-Id']
+    });
+}
 
 /**
- * Get intent categories
- * GET /api/categories
+ * Creates the Express app serving the frontend and the API
+ *
+ * @param {Object} options - App dependencies
+ * @param {IntentAgent} options.agent - Agent used to classify messages
+ * @param {Logger} options.logger - Logs requests and failures (default: the agent's logger)
+ * @param {BatchJobManager} options.jobManager - Runs batch jobs (default: one from config.jobs)
+ * @param {WebhookDispatcher} options.webhooks - Delivers the agent's results to subscriptions (default: one from config.webhooks)
+ * @param {Object} options.auth - API key checking { mode, keyStore, limiter } (default: from config.auth)
+ * @param {Array<string>} options.corsOrigins - Origins allowed to call the API from a browser (default: config.cors.origins)
+ * @returns {express.Application} Configured app
  */
-app.get('/api/categories', (req, res) => {
-    try {
-        const categories = agent.config.intentCategories;
+function createApp({
+    agent,
+    logger = agent.logger,
+    jobManager = new BatchJobManager({ agent, ...agent.config.jobs }),
+    webhooks = createWebhookDispatcher({ ...agent.config.webhooks, logger }),
+    auth = createAuth(agent.config.auth),
+    corsOrigins = agent.config.cors.origins
+}) {
+    const app = express();
+    const { maxUploadSize } = agent.config.jobs;
+
+    // Every message the agent processes, including batch jobs, goes to the webhooks
+    webhooks.attach(agent);
+
+    // Middleware
+    app.use(requestContext(logger, agent.tracer, agent.metrics));
+    app.use(corsAllowList(corsOrigins));
+    // API keys are checked before bodies are parsed, so rejected uploads are not read
+    app.use('/api/classify', requireScope(auth, 'classify'));
+    app.use('/api/sessions', requireScope(auth, 'classify'));
+    app.use('/api/categories', requireScope(auth, 'classify'));
+    app.use('/api/classify-batch', requireScope(auth, 'batch'));
+    app.use('/api/jobs', requireScope(auth, 'batch'));
+    app.use('/api/admin', requireScope(auth, 'admin'));
+    app.use('/metrics', requireScope(auth, 'metrics'));
+    // Job uploads are larger than other requests, and may be JSONL or CSV
+    app.use('/api/jobs', express.json({ limit: maxUploadSize }));
+    app.use('/api/jobs', express.text({
+        type: ['text/csv', 'application/x-ndjson', 'application/jsonl', 'text/plain'],
+        limit: maxUploadSize
+    }));
+    app.use(express.json()); // Parse JSON request bodies
+    app.use(express.static(__dirname)); // Serve static files from Frontend directory
+
+    // Routes
+
+    /**
+     * Health check endpoint
+     * GET /api/health
+     */
+    app.get('/api/health', (req, res) => {
         res.json({
-            categories,
-            count: categories.length
+            status: 'ok',
+            service: 'Intent Identifier Server',
+            timestamp: new Date().toISOString(),
+            agentStatus: agent ? 'ready' : 'unavailable',
+            model: agent ? agent.modelInfo : null,
+            scheduler: agent && agent.scheduler ? agent.scheduler.stats() : null
         });
-    } catch (error) {
-        res.status(500).json({
-            error: 'Failed to retrieve categories',
-            message: error.message
+    });
+
+    /**
+     * Prometheus metrics endpoint
+     * GET /metrics
+     */
+    app.get('/metrics', (req, res) => {
+        if (!agent.metrics) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Metrics are disabled (METRICS=off)'
+            });
+        }
+
+        res.type(METRICS_CONTENT_TYPE).send(agent.metrics.render());
+    });
+
+    /**
+     * Intent classification endpoint
+     * POST /api/classify
+     * Body: { "message": "user input text", "sessionId": "optional-session-id", "classifyOnly": false,
+     *         "multiIntent": false, "dryRun": false, "referenceTime": "2026-10-19T09:00:00Z",
+     *         "timezone": "Europe/Berlin" }
+     */
+    app.post('/api/classify', async (req, res) => {
+        const signal = abortOnDisconnect(res);
+
+        try {
+            const { message, sessionId, classifyOnly, multiIntent, dryRun, referenceTime, timezone } = req.body;
+
+            // Validate input
+            const invalid = validateClassifyInput({
+                message,
+                sessionId,
+                classifyOnly,
+                multiIntent,
+                dryRun,
+                referenceTime,
+                timezone
+            });
+            if (invalid) {
+                return res.status(400).json(invalid);
+            }
+
+            const owner = requestOwner(req);
+            if (sessionId && owner !== undefined && !(await agent.claimSession(sessionId, owner))) {
+                return sendSessionNotFound(res, sessionId);
+            }
+
+            req.log.info('Processing message', { preview: logPreview(agent, message) });
+
+            // Process message with IntentAgent
+            const startTime = Date.now();
+            const result = await agent.processMessage(message, {
+                sessionId,
+                classifyOnly,
+                multiIntent,
+                dryRun,
+                referenceTime,
+                timezone,
+                signal,
+                requestId: req.id,
+                parentSpan: req.span
+            });
+            const processingTime = Date.now() - startTime;
+
+            req.log.info('Intent classified', { intent: result.intent, confidence: result.confidence, processingTime });
+
+            // Return result with metadata
+            res.json({
+                ...result,
+                metadata: {
+                    ...result.metadata,
+                    processingTime,
+                    timestamp: new Date().toISOString()
+                }
+            });
+
+        } catch (error) {
+            if (signal.aborted) {
+                req.log.info('Request cancelled: client disconnected');
+                return;
+            }
+            if (error instanceof SchedulerError) {
+                req.log.warn('Request refused', { status: error.status, reason: error.message });
+                return sendSchedulerError(res, error);
+            }
+
+            req.log.error('Error processing message', { error });
+
+            res.status(500).json({
+                error: 'Processing failed',
+                message: error.message,
+                intent: 'unknown',
+                confidence: 0,
+                entities: {},
+                response: 'I apologize, but I encountered an error processing your message. Please try again.'
+            });
+        }
+    });
+
+    /**
+     * Streaming classification endpoint
+     * GET  /api/classify/stream?message=...&sessionId=...&classifyOnly=true
+     * POST /api/classify/stream  Body: same as /api/classify
+     * Responds with Server-Sent Events: `intent` once the message is
+     * classified, `response` for each chunk of the reply, then `done` with
+     * the full result and metadata, or `error`. Requests refused by the
+     * model scheduler before anything was sent get a plain 429/503/504.
+     */
+    const handleClassifyStream = async (req, res) => {
+        const input = req.method === 'GET' ? req.query : req.body;
+        const { message, sessionId, referenceTime, timezone } = input;
+        let { classifyOnly, multiIntent, dryRun } = input;
+
+        // Query parameters arrive as strings
+        if (req.method === 'GET') {
+            classifyOnly = parseQueryBoolean(classifyOnly);
+            multiIntent = parseQueryBoolean(multiIntent);
+            dryRun = parseQueryBoolean(dryRun);
+        }
+
+        const invalid = validateClassifyInput({
+            message,
+            sessionId,
+            classifyOnly,
+            multiIntent,
+            dryRun,
+            referenceTime,
+            timezone
         });
-    }
-});
+        if (invalid) {
+            return res.status(400).json(invalid);
+        }
 
-/**
- * Batch classification endpoint
- * POST /api/classify-batch
- * Body: { "messages": ["msg1", "msg2", ...] }
- */
-app.post('/api/classify-batch', async (req, res) => {
-    try {
-        const { messages } = req.body;
+        const owner = requestOwner(req);
+        try {
+            if (sessionId && owner !== undefined && !(await agent.claimSession(sessionId, owner))) {
+                return sendSessionNotFound(res, sessionId);
+            }
+        } catch (error) {
+            req.log.error('Error claiming session', { error });
+            return res.status(500).json({ error: 'Processing failed', message: error.message });
+        }
+
+        const signal = abortOnDisconnect(res);
+        let opened = false;
+
+        req.log.info('Streaming message', { preview: logPreview(agent, message) });
+
+        const startTime = Date.now();
+        for await (const { event, data } of agent.streamMessage(message, {
+            sessionId,
+            classifyOnly,
+            multiIntent,
+            dryRun,
+            referenceTime,
+            timezone,
+            signal,
+            requestId: req.id,
+            parentSpan: req.span
+        })) {
+            if (signal.aborted) {
+                break;
+            }
+
+            // The event stream opens with the first event, so refusals keep their status
+            if (!opened && event === 'error' && data.status) {
+                req.log.warn('Request refused', { status: data.status, reason: data.message });
+                return sendSchedulerError(res, data);
+            }
+            if (!opened) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    Connection: 'keep-alive'
+                });
+                opened = true;
+            }
 
-        if (!Array.isArray(messages) || messages.length === 0) {
+            if (event === 'done') {
+                const processingTime = Date.now() - startTime;
+                req.log.info('Intent classified', { intent: data.intent, confidence: data.confidence, processingTime });
+                writeEvent(res, event, {
+                    ...data,
+                    metadata: {
+                        ...data.metadata,
+                        processingTime,
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            } else if (event === 'error') {
+                req.log.error('Error streaming message', { error: data.message });
+                writeEvent(res, event, { error: 'Processing failed', message: data.message });
+            } else {
+                writeEvent(res, event, data);
+            }
+        }
+
+        res.end();
+    };
+
+    app.get('/api/classify/stream', handleClassifyStream);
+    app.post('/api/classify/stream', handleClassifyStream);
+
+    /**
+     * Reset a conversation session
+     * DELETE /api/sessions/:sessionId
+     */
+    app.delete('/api/sessions/:sessionId', async (req, res) => {
+        const { sessionId } = req.params;
+
+        if (!isValidSessionId(sessionId)) {
             return res.status(400).json({
-                error: 'Invalid input',
-                message: 'Messages field is required and must be a non-empty array'
+                error: 'Invalid session',
+                message: 'sessionId must be 1-128 characters of letters, digits, "-" or "_"'
             });
         }
 
-        if (messages.length > 10) {
+        try {
+            const owner = requestOwner(req);
+            const current = owner !== undefined ? await agent.getSessionOwner(sessionId) : null;
+            if (current && current !== owner) {
+                return sendSessionNotFound(res, sessionId);
+            }
+
+            const existed = await agent.resetSession(sessionId);
+            res.json({ sessionId, cleared: existed });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to reset session',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * Inspect the result cache
+     * GET /api/admin/cache?limit=100
+     * Returns the cache statistics and the most recent entries
+     */
+    app.get('/api/admin/cache', async (req, res) => {
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+        if (!Number.isInteger(limit) || limit < 0) {
             return res.status(400).json({
-                error: 'Too many messages',
-                message: 'Maximum 10 messages per batch request'
+                error: 'Invalid limit',
+                message: 'limit must be a non-negative integer'
+            });
+        }
+
+        try {
+            res.json(await agent.inspectCache(limit));
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to inspect cache',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * Purge the result cache
+     * DELETE /api/admin/cache
+     */
+    app.delete('/api/admin/cache', async (req, res) => {
+        try {
+            res.json({ purged: await agent.purgeCache() });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to purge cache',
+                message: error.message
             });
         }
+    });
+
+    /**
+     * List webhook subscriptions
+     * GET /api/admin/webhooks
+     * Secrets and headers are left out
+     */
+    app.get('/api/admin/webhooks', (req, res) => {
+        const subscriptions = webhooks.describeSubscriptions();
+        res.json({ subscriptions, count: subscriptions.length });
+    });
+
+    /**
+     * Recent webhook deliveries, newest first
+     * GET /api/admin/webhooks/deliveries?status=failed&subscription=ticket-router&limit=100
+     */
+    app.get('/api/admin/webhooks/deliveries', (req, res) => {
+        const { status, subscription } = req.query;
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
 
-        console.log(`Processing batch of ${messages.length} messages`);
+        if (status !== undefined && !['pending', 'delivered', 'failed'].includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: 'status must be one of: pending, delivered, failed'
+            });
+        }
 
-        // Process all messages
-        const results = await Promise.all(
-            messages.map(async (message) => {
+        if (!Number.isInteger(limit) || limit < 0) {
+            return res.status(400).json({
+                error: 'Invalid limit',
+                message: 'limit must be a non-negative integer'
+            });
+        }
+
+        const deliveries = webhooks.listDeliveries({ status, subscription, limit });
+        res.json({ deliveries, count: deliveries.length });
+    });
+
+    /**
+     * Get intent categories
+     * GET /api/categories
+     * Returns the category names and the full taxonomy tree
+     */
+    app.get('/api/categories', (req, res) => {
+        try {
+            const categories = agent.config.intentCategories;
+            res.json({
+                categories,
+                count: categories.length,
+                tree: buildTaxonomyTree(agent.config.taxonomy)
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to retrieve categories',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * Batch classification endpoint
+     * POST /api/classify-batch
+     * Body: { "messages": ["msg1", "msg2", ...], "classifyOnly": false, "multiIntent": false,
+     *         "referenceTime": "...", "timezone": "..." }
+     */
+    app.post('/api/classify-batch', async (req, res) => {
+        const signal = abortOnDisconnect(res);
+
+        try {
+            const { messages, classifyOnly, multiIntent, referenceTime, timezone } = req.body;
+
+            if (!Array.isArray(messages) || messages.length === 0) {
+                return res.status(400).json({
+                    error: 'Invalid input',
+                    message: 'Messages field is required and must be a non-empty array'
+                });
+            }
+
+            if (messages.length > 10) {
+                return res.status(400).json({
+                    error: 'Too many messages',
+                    message: 'Maximum 10 messages per batch request; use /api/jobs for larger workloads'
+                });
+            }
+
+            const invalidTime = validateTimeContext({ referenceTime, timezone });
+            if (invalidTime) {
+                return res.status(400).json(invalidTime);
+            }
+
+            req.log.info('Processing batch', { count: messages.length });
+
+            // Process the messages no faster than the model scheduler runs them,
+            // so a batch does not fill the queue on its own
+            const concurrency = agent.scheduler ? agent.scheduler.maxConcurrent : messages.length;
+            const results = await mapWithConcurrency(messages, concurrency, async (message) => {
                 try {
-                    return await agent.processMessage(message);
+                    return await agent.processMessage(message, {
+                        classifyOnly,
+                        multiIntent,
+                        referenceTime,
+                        timezone,
+                        signal,
+                        requestId: req.id,
+                        parentSpan: req.span
+                    });
                 } catch (error) {
                     return {
                         intent: 'unknown',
@@ -164,83 +862,320 @@ app.post('/api/classify-batch', async (req, res) => {
                         error: error.message
                     };
                 }
-            })
-        );
+            });
 
-        res.json({
-            results,
-            count: results.length,
-            timestamp: new Date().toISOString()
+            if (signal.aborted) {
+                req.log.info('Batch cancelled: client disconnected');
+                return;
+            }
+
+            res.json({
+                results,
+                count: results.length,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            req.log.error('Error processing batch', { error });
+            res.status(500).json({
+                error: 'Batch processing failed',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * Create a batch job
+     * POST /api/jobs
+     * Body: { "messages": ["msg1", { "text": "msg2", "id": "ticket-2" }], "classifyOnly": true,
+     *         "multiIntent": false, "referenceTime": "...", "timezone": "..." }
+     * or a JSONL (application/x-ndjson) or CSV (text/csv, `text` and optional
+     * `id` columns) upload, with the options as query parameters.
+     * Jobs classify only, unless classifyOnly is false.
+     */
+    app.post('/api/jobs', async (req, res) => {
+        const upload = typeof req.body === 'string';
+        const input = upload ? req.query : (req.body || {});
+        const { referenceTime, timezone } = input;
+        let { classifyOnly, multiIntent } = input;
+
+        // Query parameters arrive as strings
+        if (upload) {
+            classifyOnly = parseQueryBoolean(classifyOnly);
+            multiIntent = parseQueryBoolean(multiIntent);
+        }
+
+        const invalid = validateProcessingOptions({ classifyOnly, multiIntent, referenceTime, timezone });
+        if (invalid) {
+            return res.status(400).json(invalid);
+        }
+
+        let messages;
+        try {
+            if (upload) {
+                messages = parseJobInput(req.body, req.is('text/csv') ? 'csv' : 'jsonl');
+            } else if (Array.isArray(input.messages)) {
+                messages = input.messages.map((message, index) => toJobMessage(message, `messages[${index}]`));
+            } else {
+                throw new Error('Send a messages array, or a JSONL or CSV upload');
+            }
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid input',
+                message: error.message
+            });
+        }
+
+        try {
+            const job = await jobManager.create(messages, {
+                classifyOnly: classifyOnly !== undefined ? classifyOnly : true,
+                multiIntent,
+                referenceTime,
+                timezone
+            }, requestOwner(req) || null);
+
+            req.log.info('Created job', { jobId: job.id, total: job.total });
+            res.status(202).location(`/api/jobs/${job.id}`).json(job);
+        } catch (error) {
+            res.status(400).json({
+                error: 'Invalid job',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * List batch jobs
+     * GET /api/jobs?status=running
+     */
+    app.get('/api/jobs', (req, res) => {
+        const { status } = req.query;
+
+        if (status !== undefined && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of: ${JOB_STATUSES.join(', ')}`
+            });
+        }
+
+        const jobs = jobManager.list(requestOwner(req)).filter(job => !status || job.status === status);
+        res.json({ jobs, count: jobs.length });
+    });
+
+    /**
+     * Get the status and progress of a batch job
+     * GET /api/jobs/:jobId
+     */
+    app.get('/api/jobs/:jobId', (req, res) => {
+        const job = jobManager.get(req.params.jobId, requestOwner(req));
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Job ${req.params.jobId} not found`
+            });
+        }
+
+        res.json(job);
+    });
+
+    /**
+     * Get the results of a batch job, in input order
+     * GET /api/jobs/:jobId/results?offset=0&limit=100  - one page as JSON
+     * GET /api/jobs/:jobId/results?format=ndjson       - every result so far, streamed
+     * GET /api/jobs/:jobId/results?format=csv          - every result so far as CSV, streamed
+     */
+    app.get('/api/jobs/:jobId/results', async (req, res) => {
+        const job = jobManager.get(req.params.jobId, requestOwner(req));
+        const { format = 'json' } = req.query;
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Job ${req.params.jobId} not found`
+            });
+        }
+
+        if (!['json', 'ndjson', 'csv'].includes(format)
+            || !Number.isInteger(offset) || offset < 0
+            || !Number.isInteger(limit) || limit < 1 || limit > 1000) {
+            return res.status(400).json({
+                error: 'Invalid input',
+                message: 'format must be json, ndjson or csv; offset a non-negative integer; limit 1-1000'
+            });
+        }
+
+        try {
+            if (format === 'json') {
+                const results = [];
+                for await (const result of jobManager.iterateResults(job.id, { offset, limit })) {
+                    results.push(result);
+                }
+                return res.json({ jobId: job.id, status: job.status, offset, limit, total: job.processed, results });
+            }
+
+            res.attachment(`${job.id}.${format === 'csv' ? 'csv' : 'jsonl'}`);
+            res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+            if (format === 'csv') {
+                res.write(`${RESULT_CSV_COLUMNS.join(',')}\n`);
+            }
+            for await (const result of jobManager.iterateResults(job.id)) {
+                res.write(`${format === 'csv' ? resultToCsvRow(result) : JSON.stringify(result)}\n`);
+            }
+            res.end();
+        } catch (error) {
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+            res.status(500).json({
+                error: 'Failed to read results',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * Cancel a batch job; results written so far are kept
+     * POST /api/jobs/:jobId/cancel
+     */
+    app.post('/api/jobs/:jobId/cancel', async (req, res) => {
+        try {
+            const job = await jobManager.cancel(req.params.jobId, requestOwner(req));
+
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Not found',
+                    message: `Job ${req.params.jobId} not found`
+                });
+            }
+            if (['completed', 'failed'].includes(job.status)) {
+                return res.status(409).json({
+                    error: 'Job finished',
+                    message: `Job ${job.id} is already ${job.status}`
+                });
+            }
+
+            res.json(job);
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to cancel job',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * Root endpoint - serve the frontend
+     * GET /
+     */
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, 'index.html'));
+    });
+
+    // 404 handler
+    app.use((req, res) => {
+        res.status(404).json({
+            error: 'Not found',
+            message: `Route ${req.method} ${req.path} not found`
         });
+    });
 
-    } catch (error) {
-        console.error('Error processing batch:', error);
+    // Error handler
+    app.use((error, req, res, next) => {
+        req.log.error('Server error', { error });
         res.status(500).json({
-            error: 'Batch processing failed',
+            error: 'Internal server error',
             message: error.message
         });
-    }
-});
+    });
+
+    return app;
+}
 
 /**
- * Root endpoint - serve the frontend
- * GET /
+ * Initializes the agent and starts listening for requests
+ *
+ * @returns {http.Server} Running server
  */
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+function startServer() {
+    const logger = createLogger(getAgentConfig().logging);
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({
-        error: 'Not found',
-        message: `Route ${req.method} ${req.path} not found`
-    });
-});
-
-// Error handler
-app.use((error, req, res, next) => {
-    console.error('Server error:', error);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: error.message
-    });
-});
-
-// Start server
-app.listen(PORT, () => {
-    console.log('');
-    console.log('═══════════════════════════════════════════════════════════');
-    console.log('  Intent Identifier Server');
-    console.log('═══════════════════════════════════════════════════════════');
-    console.log(`  Server running on: http://localhost:${PORT}`);
-    console.log(`  API endpoint:      http://localhost:${PORT}/api/classify`);
-    console.log(`  Health check:      http://localhost:${PORT}/api/health`);
-    console.log('═══════════════════════════════════════════════════════════');
-    console.log('');
-    console.log('Available endpoints:');
-    console.log('  GET  /                      - Frontend interface');
-    console.log('  GET  /api/health            - Health check');
-    console.log('  GET  /api/categories        - Get intent categories');
-    console.log('  POST /api/classify          - Classify single message');
-    console.log('  POST /api/classify-batch    - Classify multiple messages');
-    console.log('');
-    console.log('Press Ctrl+C to stop the server');
-    console.log('');
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('\nReceived SIGTERM signal. Shutting down gracefully...');
-    server.close(() => {
-        console.log('Server closed');
+    // Initialize IntentAgent
+    let agent;
+
+    try {
+        agent = new IntentAgent({ logger });
+        logger.info('IntentAgent initialized', { ...agent.modelInfo, tracing: agent.config.tracing.exporter });
+    } catch (error) {
+        logger.error('Failed to initialize IntentAgent', { error: error.message });
+        process.exit(1);
+    }
+
+    // Resume the batch jobs left unfinished by the last run
+    const jobManager = new BatchJobManager({ agent, ...agent.config.jobs });
+    jobManager.init()
+        .then(count => count > 0 && logger.info('Resumed batch jobs', { count }))
+        .catch(error => logger.error('Failed to resume batch jobs', { error: error.message }));
+
+    let webhooks;
+    try {
+        webhooks = createWebhookDispatcher({ ...agent.config.webhooks, logger });
+        if (webhooks.subscriptions.length > 0) {
+            logger.info('Loaded webhook subscriptions', { count: webhooks.subscriptions.length });
+        }
+    } catch (error) {
+        logger.error('Failed to load webhook subscriptions', { error: error.message });
+        process.exit(1);
+    }
+
+    const auth = createAuth(agent.config.auth);
+    if (auth.mode === 'off') {
+        logger.warn('API keys are not required (API_AUTH=off); anyone who can reach the server can use every route');
+    } else if (!auth.keyStore.exists()) {
+        logger.error('API keys are required, but there is no keys file', {
+            keysFile: agent.config.auth.keysFile,
+            hint: 'Create a key with `npm run keys -- create --name <name>`, or set API_AUTH=off for local use'
+        });
+        process.exit(1);
+    } else {
+        logger.info('API keys required', { active: auth.keyStore.list().filter(key => !key.revokedAt).length });
+    }
+
+    const app = createApp({ agent, logger, jobManager, webhooks, auth });
+
+    // Start server
+    const server = app.listen(PORT, () => {
+        logger.info('Intent Identifier Server listening', {
+            url: `http://localhost:${PORT}`,
+            api: `http://localhost:${PORT}/api/classify`,
+            health: `http://localhost:${PORT}/api/health`,
+            metrics: agent.metrics ? `http://localhost:${PORT}/metrics` : undefined
+        });
+    });
+
+    // Graceful shutdown; spans still waiting for their batch are exported first
+    process.on('SIGTERM', () => {
+        logger.info('Received SIGTERM signal, shutting down gracefully');
+        server.close(async () => {
+            await agent.flushTraces();
+            logger.info('Server closed');
+            process.exit(0);
+        });
+    });
+
+    process.on('SIGINT', async () => {
+        logger.info('Received SIGINT signal, shutting down');
+        await agent.flushTraces();
         process.exit(0);
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('\nReceived SIGINT signal. Shutting down gracefully...');
-    process.exit(0);
-});
+    return server;
+}
+
+if (require.main === module) {
+    startServer();
+}
 
-module.exports = app;
+module.exports = { createApp, startServer };
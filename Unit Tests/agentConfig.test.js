@@ -10,6 +10,8 @@ const {
   getAgentConfig,
   validateEnvironment,
 } = require('../Working/agentConfig');
+const { LOG_LEVELS } = require('../Working/logger');
+const { TRACE_EXPORTERS } = require('../Working/tracing');
 
 describe('Agent Configuration Module', () => {
   // Store original environment variables
@@ -41,10 +43,16 @@ describe('Agent Configuration Module', () => {
     test('should have valid behavior settings', () => {
       expect(agentConfig.behavior).toBeDefined();
       expect(agentConfig.behavior.maxIterations).toBeGreaterThan(0);
-      expect(typeof agentConfig.behavior.verboseLogging).toBe('boolean');
       expect(typeof agentConfig.behavior.enableMemory).toBe('boolean');
     });
 
+    test('should have valid logging, tracing and metrics settings', () => {
+      expect(LOG_LEVELS).toContain(agentConfig.logging.level);
+      expect(TRACE_EXPORTERS).toContain(agentConfig.tracing.exporter);
+      expect(agentConfig.tracing.serviceName).toBe('intent-identifier');
+      expect(agentConfig.metrics.enabled).toBe(true);
+    });
+
     test('should have defined intent categories', () => {
       expect(agentConfig.intentCategories).toBeDefined();
       expect(Array.isArray(agentConfig.intentCategories)).toBe(true);
@@ -128,10 +136,57 @@ describe('Agent Configuration Module', () => {
       expect(typeof agentConfig.model.baseUrl).toBe('string');
     });
 
+    test('baseUrl should only fall back to Ollama\'s for the ollama provider', () => {
+      const { validateProviderOptions } = require('../Working/llmProviders');
+      delete process.env.LLM_BASE_URL;
+      process.env.OLLAMA_BASE_URL = 'http://ollama:11434';
+
+      const loadModelConfig = (provider) => {
+        process.env.LLM_PROVIDER = provider;
+        let model;
+        jest.isolateModules(() => {
+          model = require('../Working/agentConfig').agentConfig.model;
+        });
+        return model;
+      };
+
+      expect(loadModelConfig('ollama').baseUrl).toBe('http://ollama:11434');
+      const openAi = loadModelConfig('openai-compatible');
+      expect(openAi.baseUrl).toBeUndefined();
+      expect(() => validateProviderOptions(openAi)).toThrow('baseUrl');
+    });
+
+    test('requestTimeoutMs should keep 0 for no time limit', () => {
+      const loadScheduler = (value) => {
+        if (value === undefined) {
+          delete process.env.REQUEST_TIMEOUT_MS;
+        } else {
+          process.env.REQUEST_TIMEOUT_MS = value;
+        }
+        let scheduler;
+        jest.isolateModules(() => {
+          scheduler = require('../Working/agentConfig').agentConfig.scheduler;
+        });
+        return scheduler;
+      };
+
+      expect(loadScheduler('0').requestTimeoutMs).toBe(0);
+      expect(loadScheduler('5000').requestTimeoutMs).toBe(5000);
+      expect(loadScheduler(undefined).requestTimeoutMs).toBe(60 * 1000);
+      expect(loadScheduler('soon').requestTimeoutMs).toBe(60 * 1000);
+    });
+
     test('maxIterations should be positive', () => {
       expect(agentConfig.behavior.maxIterations).toBeGreaterThan(0);
     });
 
+    test('intent categories should come from the taxonomy', () => {
+      expect(agentConfig.taxonomy).toBeDefined();
+      expect(agentConfig.intentCategories).toEqual(
+        agentConfig.taxonomy.intents.map(intent => intent.name)
+      );
+    });
+
     test('all intent categories should be lowercase with underscores', () => {
       agentConfig.intentCategories.forEach(category => {
         expect(category).toMatch(/^[a-z_]+$/);
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for API Keys Module
+ *
+ * Tests hashed key storage, revocation, reloading the keys file, and the
+ * token-bucket rate limits and daily quotas.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ApiKeyStore, ClientLimiter, hashApiKey } = require('../Working/apiKeys');
+
+describe('API Keys Module', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-keys-'));
+    file = path.join(directory, 'api-keys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('ApiKeyStore', () => {
+    test('should store only the hash of a created key', () => {
+      const store = new ApiKeyStore({ file });
+
+      const { key, record } = store.create({ name: 'frontend', scopes: ['classify'], dailyQuota: 500 });
+
+      expect(key).toMatch(/^ik_[A-Za-z0-9_-]{32}$/);
+      expect(record).toMatchObject({ name: 'frontend', scopes: ['classify'], dailyQuota: 500, prefix: key.slice(0, 7) });
+      expect(record.hash).toBeUndefined();
+      const stored = fs.readFileSync(file, 'utf8');
+      expect(stored).not.toContain(key);
+      expect(stored).toContain(hashApiKey(key));
+    });
+
+    test('should authenticate active keys only', () => {
+      const store = new ApiKeyStore({ file });
+      const { key, record } = store.create({ name: 'ops', scopes: ['classify', 'admin'] });
+
+      expect(store.authenticate(key)).toMatchObject({ id: record.id, scopes: ['classify', 'admin'] });
+      expect(store.authenticate('ik_wrong')).toBeNull();
+      expect(store.authenticate(null)).toBeNull();
+
+      expect(store.revoke(record.id).revokedAt).toEqual(expect.any(String));
+      expect(store.authenticate(key)).toBeNull();
+      expect(store.revoke('key_missing')).toBeNull();
+    });
+
+    test('should pick up keys created by another process', () => {
+      const server = new ApiKeyStore({ file });
+      expect(server.exists()).toBe(false);
+      expect(server.list()).toEqual([]);
+
+      const { key } = new ApiKeyStore({ file }).create({ name: 'cli' });
+      server.checkedAt = 0;
+
+      expect(server.exists()).toBe(true);
+      expect(server.authenticate(key)).toMatchObject({ name: 'cli' });
+    });
+
+    test('should reject keys without a name or with unknown scopes', () => {
+      const store = new ApiKeyStore({ file });
+
+      expect(() => store.create({ scopes: ['classify'] })).toThrow('need a name');
+      expect(() => store.create({ name: 'x', scopes: ['root'] })).toThrow('Scopes must be some of');
+      expect(() => store.create({ name: 'x', scopes: [] })).toThrow('Scopes must be some of');
+    });
+  });
+
+  describe('ClientLimiter', () => {
+    const key = { id: 'key_a', requestsPerMinute: null, burst: null, dailyQuota: null };
+
+    test('should allow a burst and then refill at the configured rate', () => {
+      const limiter = new ClientLimiter({ requestsPerMinute: 60, burst: 2 });
+      const start = Date.parse('2026-10-19T12:00:00Z');
+
+      expect(limiter.consume(key, start)).toMatchObject({ allowed: true, remaining: 1, quotaRemaining: null });
+      expect(limiter.consume(key, start).allowed).toBe(true);
+      expect(limiter.consume(key, start)).toMatchObject({ allowed: false, reason: 'rate', retryAfter: 1 });
+      expect(limiter.consume(key, start + 1000).allowed).toBe(true);
+    });
+
+    test('should enforce the daily quota until midnight UTC', () => {
+      const limiter = new ClientLimiter({ requestsPerMinute: 6000, burst: 100 });
+      const limited = { ...key, dailyQuota: 2 };
+      const evening = Date.parse('2026-10-19T23:00:00Z');
+
+      expect(limiter.consume(limited, evening).quotaRemaining).toBe(1);
+      expect(limiter.consume(limited, evening).quotaRemaining).toBe(0);
+      expect(limiter.consume(limited, evening)).toMatchObject({ allowed: false, reason: 'quota', retryAfter: 3600 });
+      expect(limiter.consume(limited, evening + 3600 * 1000)).toMatchObject({ allowed: true, quotaRemaining: 1 });
+    });
+
+    test('should prefer the limits of the key', () => {
+      const limiter = new ClientLimiter({ requestsPerMinute: 60, burst: 10, dailyQuota: 100 });
+
+      expect(limiter.limitsFor({ ...key, burst: 1, dailyQuota: 0 })).toEqual({ requestsPerMinute: 60, burst: 1, dailyQuota: 0 });
+      expect(limiter.usage(key)).toEqual({ used: 0, dailyQuota: 100 });
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Unit Tests for Batch Jobs Module
+ *
+ * Tests input parsing, running jobs in input order, cancellation, retries
+ * of a busy model and resuming persisted jobs.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  BatchJobManager,
+  parseJobInput,
+  resultToCsvRow,
+} = require('../Working/batchJobs');
+const { QueueFullError } = require('../Working/requestScheduler');
+
+/**
+ * Creates a stand-in agent that labels messages by their first word
+ */
+function createAgent(processMessage) {
+  return {
+    processMessage: jest.fn(processMessage || (async text => ({
+      intent: text.split(' ')[0],
+      confidence: 0.9,
+      entities: {},
+      intents: [],
+      missingSlots: [],
+      response: '',
+      error: null,
+    }))),
+    redactText: text => text,
+  };
+}
+
+describe('Batch Jobs Module', () => {
+  describe('parseJobInput', () => {
+    test('should parse JSONL strings and objects', () => {
+      expect(parseJobInput('"hello"\n\n{"text": "book it", "id": 7}\n', 'jsonl')).toEqual([
+        { text: 'hello', id: null },
+        { text: 'book it', id: '7' },
+      ]);
+    });
+
+    test('should parse CSV with a text column', () => {
+      expect(parseJobInput('id,text\nT-1,"Hello, there"\n', 'csv')).toEqual([{ text: 'Hello, there', id: 'T-1' }]);
+    });
+
+    test('should report invalid records', () => {
+      expect(() => parseJobInput('{"text": "ok"}\nnot json', 'jsonl')).toThrow('line 2: invalid JSON');
+      expect(() => parseJobInput('{"message": "hi"}', 'jsonl')).toThrow('line 1: missing "text"');
+      expect(() => parseJobInput('message\nhi', 'csv')).toThrow('"text" column');
+    });
+  });
+
+  test('should format results as CSV rows', () => {
+    expect(resultToCsvRow({ index: 0, id: null, text: 'a "b", c', intent: 'x', confidence: 1, entities: {}, error: null }))
+      .toBe('0,,"a ""b"", c",x,1,{},');
+  });
+
+  describe('BatchJobManager', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-jobs-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should process every message and keep results in input order', async () => {
+      const agent = createAgent(async (text) => {
+        await new Promise(resolve => setTimeout(resolve, text === 'slow one' ? 15 : 1));
+        return { intent: text.split(' ')[0], confidence: 0.9, entities: {} };
+      });
+      const manager = new BatchJobManager({ agent, directory, concurrency: 3 });
+
+      const job = await manager.create([
+        { text: 'slow one', id: 'a' },
+        { text: 'fast two', id: 'b' },
+        { text: 'fast three', id: null },
+      ], { classifyOnly: true });
+      await manager.idle();
+
+      expect(manager.get(job.id)).toMatchObject({ status: 'completed', total: 3, processed: 3, failed: 0, progress: 1 });
+      const results = await manager.readAllResults(job.id);
+      expect(results.map(result => [result.index, result.id, result.intent])).toEqual([
+        [0, 'a', 'slow'],
+        [1, 'b', 'fast'],
+        [2, null, 'fast'],
+      ]);
+      expect(agent.processMessage).toHaveBeenCalledWith('slow one', expect.objectContaining({ classifyOnly: true }));
+    });
+
+    test('should page through results', async () => {
+      const manager = new BatchJobManager({ agent: createAgent(), directory });
+      const job = await manager.create(['a', 'b', 'c', 'd'].map(text => ({ text, id: null })));
+      await manager.idle();
+
+      const page = [];
+      for await (const result of manager.iterateResults(job.id, { offset: 1, limit: 2 })) {
+        page.push(result.text);
+      }
+
+      expect(page).toEqual(['b', 'c']);
+    });
+
+    test('should record failures per message', async () => {
+      const agent = createAgent(async (text) => {
+        if (text === 'bad') {
+          throw new Error('model down');
+        }
+        return { intent: 'greeting', confidence: 0.9, entities: {} };
+      });
+      const manager = new BatchJobManager({ agent, directory, maxMessageChars: 10 });
+
+      const job = await manager.create([{ text: 'bad' }, { text: 'x'.repeat(11) }, { text: 'hello' }]);
+      await manager.idle();
+
+      const results = await manager.readAllResults(job.id);
+      expect(manager.get(job.id)).toMatchObject({ status: 'completed', failed: 2 });
+      expect(results[0]).toMatchObject({ intent: 'unknown', error: 'model down' });
+      expect(results[1].error).toContain('at most 10 characters');
+      expect(agent.processMessage).toHaveBeenCalledTimes(2);
+    });
+
+    test('should retry messages refused by a busy model', async () => {
+      const agent = createAgent();
+      agent.processMessage.mockRejectedValueOnce(Object.assign(new QueueFullError(1), { retryAfter: 0.001 }));
+      const manager = new BatchJobManager({ agent, directory });
+
+      const job = await manager.create([{ text: 'hello there' }]);
+      await manager.idle();
+
+      expect((await manager.readAllResults(job.id))[0]).toMatchObject({ intent: 'hello', error: null });
+      expect(agent.processMessage).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject empty and oversized jobs', async () => {
+      const manager = new BatchJobManager({ agent: createAgent(), directory, maxMessages: 1 });
+
+      await expect(manager.create([])).rejects.toThrow('at least one message');
+      await expect(manager.create([{ text: 'a' }, { text: 'b' }])).rejects.toThrow('at most 1 messages');
+    });
+
+    test('should cancel queued and running jobs', async () => {
+      let release;
+      const agent = createAgent(async (text, { signal }) => {
+        await new Promise((resolve) => {
+          release = resolve;
+          signal.addEventListener('abort', resolve);
+        });
+        return { intent: 'greeting', confidence: 0.9, entities: {} };
+      });
+      const manager = new BatchJobManager({ agent, directory });
+      const running = await manager.create([{ text: 'one' }, { text: 'two' }]);
+      const queued = await manager.create([{ text: 'three' }]);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect((await manager.cancel(queued.id)).status).toBe('cancelled');
+      await manager.cancel(running.id);
+      release();
+      await manager.idle();
+
+      expect(manager.get(running.id)).toMatchObject({ status: 'cancelled', processed: 0 });
+      expect(agent.processMessage).toHaveBeenCalledTimes(1);
+      expect(await manager.cancel('missing')).toBeNull();
+    });
+
+    test('should only show and cancel jobs for the key that created them', async () => {
+      const manager = new BatchJobManager({ agent: createAgent(), directory });
+      const job = await manager.create([{ text: 'a' }], {}, 'key_a');
+      await manager.idle();
+
+      expect(manager.get(job.id, 'key_a')).toMatchObject({ id: job.id, owner: 'key_a' });
+      expect(manager.get(job.id, 'key_b')).toBeNull();
+      expect(manager.get(job.id)).not.toBeNull();
+      expect(manager.list('key_b')).toEqual([]);
+      expect(manager.list('key_a')).toHaveLength(1);
+      expect(await manager.cancel(job.id, 'key_b')).toBeNull();
+    });
+
+    test('should only store and classify redacted messages', async () => {
+      const agent = createAgent();
+      agent.redactText = text => text.replace(/\S+@\S+/g, '[EMAIL_1]');
+      const manager = new BatchJobManager({ agent, directory });
+
+      const job = await manager.create([{ text: 'refund jane@example.com', id: '7' }]);
+      await manager.idle();
+
+      expect(agent.processMessage).toHaveBeenCalledWith('refund [EMAIL_1]', expect.any(Object));
+      expect(await manager.readAllResults(job.id)).toEqual([expect.objectContaining({ id: '7', text: 'refund [EMAIL_1]' })]);
+      for (const file of fs.readdirSync(path.join(directory, job.id))) {
+        expect(fs.readFileSync(path.join(directory, job.id, file), 'utf8')).not.toContain('jane@example.com');
+      }
+    });
+
+    test('should stop listening for cancellation once a retry delay ends', async () => {
+      const agent = createAgent();
+      agent.processMessage.mockRejectedValueOnce(Object.assign(new QueueFullError(1), { retryAfter: 0.001 }));
+      const manager = new BatchJobManager({ agent, directory });
+      const removeEventListener = jest.spyOn(AbortSignal.prototype, 'removeEventListener');
+
+      try {
+        await manager.create([{ text: 'greeting hi' }]);
+        await manager.idle();
+
+        expect(removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+      } finally {
+        removeEventListener.mockRestore();
+      }
+    });
+
+    test('should resume unfinished jobs after a restart', async () => {
+      const first = new BatchJobManager({ agent: createAgent(), directory });
+      const job = await first.create(['a', 'b', 'c'].map(text => ({ text, id: null })));
+      await first.idle();
+
+      // Simulate a crash after the first result and part of the second
+      const stored = JSON.parse(fs.readFileSync(path.join(directory, job.id, 'job.json'), 'utf8'));
+      fs.writeFileSync(path.join(directory, job.id, 'job.json'), JSON.stringify({ ...stored, status: 'running', processed: 0 }));
+      const resultsFile = path.join(directory, job.id, 'results.jsonl');
+      const lines = fs.readFileSync(resultsFile, 'utf8').split('\n');
+      fs.writeFileSync(resultsFile, `${lines[0]}\n${lines[1].slice(0, 5)}`);
+
+      const agent = createAgent();
+      const second = new BatchJobManager({ agent, directory });
+      expect(await second.init()).toBe(1);
+      await second.idle();
+
+      expect(agent.processMessage.mock.calls.map(call => call[0])).toEqual(['b', 'c']);
+      expect(second.get(job.id)).toMatchObject({ status: 'completed', processed: 3 });
+      expect((await second.readAllResults(job.id)).map(result => result.index)).toEqual([0, 1, 2]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for Command-Line Interface
+ *
+ * Tests argument parsing, output formats, classifying text, files and stdin,
+ * and keeping session context in the REPL.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+
+const { runCli, parseCliArgs, parseMessages, formatResults } = require('../Working/cli');
+
+/**
+ * Creates a stand-in agent that labels messages by their first word
+ */
+function createAgent() {
+  return {
+    modelInfo: { provider: 'rules', model: 'rules' },
+    processMessage: jest.fn(async (text) => {
+      if (text === 'fail') {
+        throw new Error('model down');
+      }
+      return {
+        intent: text.split(' ')[0],
+        confidence: 0.9,
+        entities: {},
+        intents: [],
+        missingSlots: [],
+        response: `re: ${text}`,
+        error: null,
+      };
+    }),
+    resetSession: jest.fn(async () => {}),
+  };
+}
+
+/**
+ * Collects everything written to a stream
+ */
+function createOutput() {
+  const stream = new PassThrough();
+  stream.text = '';
+  stream.on('data', (chunk) => {
+    stream.text += chunk;
+  });
+  return stream;
+}
+
+/**
+ * Runs the CLI with stand-in streams and agent
+ */
+async function run(argv, { input = null, agent = createAgent() } = {}) {
+  const stdin = input === null ? Object.assign(new PassThrough(), { isTTY: true }) : Readable.from([input]);
+  const stdout = createOutput();
+  const stderr = createOutput();
+  const code = await runCli(argv, { stdin, stdout, stderr, createAgent: () => agent });
+  return { code, stdout: stdout.text, stderr: stderr.text, agent };
+}
+
+describe('Command-Line Interface', () => {
+  describe('parseCliArgs', () => {
+    test('should parse a command, text and options', () => {
+      expect(parseCliArgs(['classify', 'hello', 'there', '-c', '-m', 'qwen2.5', '--concurrency', '4'])).toMatchObject({
+        command: 'classify',
+        text: 'hello there',
+        classifyOnly: true,
+        model: 'qwen2.5',
+        concurrency: 4,
+        format: 'table',
+        inputFormat: 'text',
+      });
+    });
+
+    test('should infer formats from file extensions', () => {
+      expect(parseCliArgs(['classify', '-f', 'in.csv', '-o', 'out.jsonl'])).toMatchObject({ inputFormat: 'csv', format: 'ndjson' });
+      expect(parseCliArgs(['classify', '-f', 'in.jsonl', '-o', 'out.csv'])).toMatchObject({ inputFormat: 'jsonl', format: 'csv' });
+      expect(parseCliArgs(['classify', '-o', 'out.csv', '--format', 'json'])).toMatchObject({ format: 'json' });
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => parseCliArgs(['classify', '--format', 'xml'])).toThrow('--format must be one of');
+      expect(() => parseCliArgs(['classify', '--concurrency', '0'])).toThrow('--concurrency');
+      expect(() => parseCliArgs(['classify', '--unknown'])).toThrow();
+    });
+  });
+
+  test('should parse messages one per line', () => {
+    expect(parseMessages('hello\n\n  \nbook it\n', 'text')).toEqual([
+      { index: 0, text: 'hello', id: null },
+      { index: 1, text: 'book it', id: null },
+    ]);
+  });
+
+  test('should format results', () => {
+    const records = [{ index: 0, id: null, text: 'hello', intent: 'greeting', confidence: 0.84, entities: {}, response: null, error: null }];
+
+    expect(formatResults(records, 'table')).toMatch(/^#\s+TEXT\s+INTENT\s+CONF\s+ENTITIES\n1\s+hello\s+greeting\s+84%\n$/);
+    expect(formatResults(records, 'csv')).toBe('index,id,text,intent,confidence,entities,error\n0,,hello,greeting,0.84,{},\n');
+    expect(JSON.parse(formatResults(records, 'ndjson'))).toEqual(records[0]);
+    expect(JSON.parse(formatResults(records, 'json'))).toEqual(records);
+  });
+
+  describe('classify', () => {
+    test('should classify text given as arguments', async () => {
+      const { code, stdout, agent } = await run(['classify', 'greeting', 'there', '--format', 'json', '-c']);
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout)[0]).toMatchObject({ text: 'greeting there', intent: 'greeting', response: 're: greeting there' });
+      expect(agent.processMessage).toHaveBeenCalledWith('greeting there', expect.objectContaining({ classifyOnly: true }));
+    });
+
+    test('should classify messages piped through stdin', async () => {
+      const { code, stdout } = await run(['classify', '--format', 'ndjson'], { input: 'one a\ntwo b\n' });
+
+      expect(code).toBe(0);
+      expect(stdout.trim().split('\n').map(line => JSON.parse(line).intent)).toEqual(['one', 'two']);
+    });
+
+    test('should read a file and write results to --out', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-cli-'));
+      try {
+        const input = path.join(directory, 'input.jsonl');
+        const out = path.join(directory, 'results.csv');
+        fs.writeFileSync(input, '{"text": "greeting there", "id": "T-1"}\n"fail"\n');
+
+        const { code, stdout, stderr } = await run(['classify', '--file', input, '--out', out]);
+
+        expect(code).toBe(1);
+        expect(stdout).toBe('');
+        expect(stderr).toContain('Wrote 2 result(s)');
+        expect(fs.readFileSync(out, 'utf8').split('\n')).toEqual([
+          'index,id,text,intent,confidence,entities,error',
+          '0,T-1,greeting there,greeting,0.9,{},',
+          '1,,fail,unknown,0,{},model down',
+          '',
+        ]);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('should report usage errors', async () => {
+      const noInput = await run(['classify']);
+      expect(noInput.code).toBe(2);
+      expect(noInput.stderr).toContain('Nothing to classify');
+
+      const unknown = await run(['translate', 'hi']);
+      expect(unknown.code).toBe(2);
+      expect(unknown.stderr).toContain('Unknown command "translate"');
+
+      expect((await run(['--help'])).code).toBe(0);
+    });
+  });
+
+  describe('repl', () => {
+    test('should keep one session until /reset', async () => {
+      const { code, stdout, agent } = await run(['repl'], { input: 'greeting there\nfollow up\n/reset\nnew topic\n/exit\nignored\n' });
+      const sessions = agent.processMessage.mock.calls.map(call => call[1].sessionId);
+
+      expect(code).toBe(0);
+      expect(agent.processMessage).toHaveBeenCalledTimes(3);
+      expect(sessions[0]).toMatch(/^cli-/);
+      expect(sessions[1]).toBe(sessions[0]);
+      expect(sessions[2]).not.toBe(sessions[0]);
+      expect(agent.resetSession).toHaveBeenCalledWith(sessions[0]);
+      expect(stdout).toContain('[greeting 90%] re: greeting there');
+      expect(stdout).toContain('Started a new conversation.');
+    });
+
+    test('should report failures and continue', async () => {
+      const { code, stdout, stderr } = await run(['repl'], { input: 'fail\nfollow up\n' });
+
+      expect(code).toBe(0);
+      expect(stderr).toContain('Error: model down');
+      expect(stdout).toContain('[follow 90%]');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit Tests for Confidence Calibration Module
+ *
+ * Tests building distributions from classification samples, temperature
+ * scaling, fitting the temperature on labeled records, persisting the
+ * calibration parameters and collecting records for the calibrate script.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  buildDistribution,
+  applyTemperature,
+  topIntents,
+  negativeLogLikelihood,
+  fitTemperature,
+  loadCalibration,
+  saveCalibration,
+} = require('../Working/confidenceCalibration');
+
+const categories = ['greeting', 'command', 'question', 'unknown'];
+
+/** Sums the probabilities of a distribution */
+function total(distribution) {
+  return Object.values(distribution).reduce((sum, value) => sum + value, 0);
+}
+
+describe('Confidence Calibration Module', () => {
+  describe('buildDistribution', () => {
+    test('should spread the remaining probability over the other categories', () => {
+      const distribution = buildDistribution([{ intent: 'command', confidence: 0.7 }], categories);
+
+      expect(distribution.command).toBe(0.7);
+      expect(distribution.greeting).toBeCloseTo(0.1);
+      expect(total(distribution)).toBeCloseTo(1);
+    });
+
+    test('should average several samples', () => {
+      const distribution = buildDistribution([
+        { intent: 'command', confidence: 0.9 },
+        { intent: 'command', confidence: 0.7 },
+        { intent: 'question', confidence: 0.6 },
+      ], categories);
+
+      expect(distribution.command).toBeGreaterThan(distribution.question);
+      expect(distribution.command).toBeCloseTo((0.9 + 0.7 + 0.4 / 3) / 3);
+      expect(total(distribution)).toBeCloseTo(1);
+    });
+
+    test('should keep every category above zero', () => {
+      const distribution = buildDistribution([{ intent: 'greeting', confidence: 1 }], categories);
+
+      expect(distribution.greeting).toBeLessThan(1);
+      expect(distribution.unknown).toBeGreaterThan(0);
+    });
+
+    test('should be uniform for intents outside the categories', () => {
+      const distribution = buildDistribution([{ intent: 'refund', confidence: 0.9 }], categories);
+
+      expect(Object.values(distribution)).toEqual([0.25, 0.25, 0.25, 0.25]);
+    });
+  });
+
+  describe('applyTemperature', () => {
+    const distribution = { greeting: 0.1, command: 0.7, question: 0.1, unknown: 0.1 };
+
+    test('should leave the distribution unchanged at temperature 1', () => {
+      expect(applyTemperature(distribution, 1).command).toBeCloseTo(0.7);
+    });
+
+    test('should soften above 1 and sharpen below 1', () => {
+      expect(applyTemperature(distribution, 2).command).toBeLessThan(0.7);
+      expect(applyTemperature(distribution, 0.5).command).toBeGreaterThan(0.7);
+      expect(total(applyTemperature(distribution, 3))).toBeCloseTo(1);
+    });
+  });
+
+  test('should rank the most likely intents', () => {
+    const distribution = { greeting: 0.2, command: 0.5, question: 0.3 };
+
+    expect(topIntents(distribution, 2)).toEqual([
+      { intent: 'command', probability: 0.5 },
+      { intent: 'question', probability: 0.3 },
+    ]);
+    expect(topIntents(distribution, 0)).toHaveLength(3);
+  });
+
+  describe('fitTemperature', () => {
+    /** Records whose top intent is right in the given share of cases */
+    function records(confidence, accuracy, count = 20) {
+      return Array.from({ length: count }, (_, index) => ({
+        distribution: buildDistribution([{ intent: 'command', confidence }], categories),
+        label: index < accuracy * count ? 'command' : 'question',
+      }));
+    }
+
+    test('should soften overconfident scores', () => {
+      const fit = fitTemperature(records(0.95, 0.6));
+
+      expect(fit.temperature).toBeGreaterThan(1);
+      expect(fit.nllAfter).toBeLessThan(fit.nllBefore);
+      expect(applyTemperature(records(0.95, 0.6)[0].distribution, fit.temperature).command).toBeCloseTo(0.6, 1);
+    });
+
+    test('should sharpen underconfident scores', () => {
+      const fit = fitTemperature(records(0.5, 1));
+
+      expect(fit.temperature).toBeLessThan(1);
+      expect(negativeLogLikelihood(records(0.5, 1), fit.temperature)).toBeCloseTo(fit.nllAfter);
+    });
+
+    test('should require records', () => {
+      expect(() => fitTemperature([])).toThrow('without labeled records');
+    });
+  });
+
+  describe('persistence', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-calibration-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should save and load calibration parameters', () => {
+      const file = path.join(directory, 'nested', 'calibration.json');
+
+      saveCalibration(file, { temperature: 1.8, examples: 24 });
+
+      expect(loadCalibration(file)).toEqual({ temperature: 1.8, examples: 24 });
+    });
+
+    test('should return null when no calibration has been fit', () => {
+      expect(loadCalibration(path.join(directory, 'missing.json'))).toBeNull();
+    });
+
+    test('should reject files without a positive temperature', () => {
+      const file = path.join(directory, 'calibration.json');
+      fs.writeFileSync(file, JSON.stringify({ temperature: 0 }));
+
+      expect(() => loadCalibration(file)).toThrow('positive "temperature"');
+    });
+  });
+
+  describe('collectCalibrationRecords', () => {
+    const { collectCalibrationRecords } = require('../Working/calibrate');
+
+    test('should only keep classifications made by the model', async () => {
+      const distribution = [{ intent: 'greeting', probability: 0.8 }, { intent: 'goodbye', probability: 0.2 }];
+      const results = {
+        parsed: { distribution, metadata: { stage: 'llm' }, parseStatus: { status: 'parsed' } },
+        repaired: { distribution, metadata: { stage: 'llm' }, parseStatus: { status: 'repaired' } },
+        embedding: { distribution, metadata: { stage: 'embedding' }, parseStatus: null },
+        fallback: { distribution, metadata: { stage: 'llm' }, parseStatus: { status: 'fallback' } },
+        error: { distribution: [], error: 'model down', metadata: { stage: 'llm' }, parseStatus: { status: 'error' } },
+      };
+      const agent = { processMessage: async text => results[text] };
+      const examples = Object.keys(results).map(text => ({ text, expectedIntent: 'greeting' }));
+
+      const records = await collectCalibrationRecords(agent, examples);
+
+      expect(records).toEqual([
+        { distribution: { greeting: 0.8, goodbye: 0.2 }, label: 'greeting' },
+        { distribution: { greeting: 0.8, goodbye: 0.2 }, label: 'greeting' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Unit Tests for Conversation Store Module
+ *
+ * Tests the in-memory and file-backed session stores, session id
+ * validation and history windowing.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  InMemoryConversationStore,
+  FileConversationStore,
+  createConversationStore,
+  windowHistory,
+  isValidSessionId,
+} = require('../Working/conversationStore');
+
+describe('Conversation Store Module', () => {
+  describe('isValidSessionId', () => {
+    test('should accept letters, digits, dashes and underscores', () => {
+      expect(isValidSessionId('abc-123_DEF')).toBe(true);
+    });
+
+    test('should reject path traversal and empty values', () => {
+      expect(isValidSessionId('../etc/passwd')).toBe(false);
+      expect(isValidSessionId('')).toBe(false);
+      expect(isValidSessionId(42)).toBe(false);
+    });
+  });
+
+  describe('windowHistory', () => {
+    const turns = [1, 2, 3, 4].map(n => ({
+      userInput: `message ${n}`,
+      response: `response ${n}`,
+      intent: 'question',
+    }));
+
+    test('should keep only the most recent turns', () => {
+      const windowed = windowHistory(turns, { maxTurns: 2 });
+
+      expect(windowed.map(turn => turn.userInput)).toEqual(['message 3', 'message 4']);
+    });
+
+    test('should drop oldest turns when over the character budget', () => {
+      const windowed = windowHistory(turns, { maxTurns: 4, maxChars: 40 });
+
+      expect(windowed.map(turn => turn.userInput)).toEqual(['message 3', 'message 4']);
+    });
+
+    test('should truncate long messages', () => {
+      const longTurn = [{ userInput: 'x'.repeat(50), response: 'ok' }];
+      const windowed = windowHistory(longTurn, { maxMessageChars: 10 });
+
+      expect(windowed[0].userInput).toBe(`${'x'.repeat(10)}...`);
+    });
+
+    test('should return no turns when maxTurns is zero', () => {
+      expect(windowHistory(turns, { maxTurns: 0 })).toEqual([]);
+    });
+  });
+
+  describe('InMemoryConversationStore', () => {
+    test('should return empty history for unknown sessions', async () => {
+      const store = new InMemoryConversationStore();
+
+      await expect(store.getHistory('new-session')).resolves.toEqual([]);
+    });
+
+    test('should append and return turns in order', async () => {
+      const store = new InMemoryConversationStore();
+
+      await store.appendTurn('s1', { userInput: 'hi', intent: 'greeting', response: 'hello' });
+      await store.appendTurn('s1', { userInput: 'bye', intent: 'goodbye', response: 'see you' });
+
+      const history = await store.getHistory('s1');
+      expect(history.map(turn => turn.intent)).toEqual(['greeting', 'goodbye']);
+      expect(history[0].timestamp).toBeDefined();
+    });
+
+    test('should cap the number of stored turns', async () => {
+      const store = new InMemoryConversationStore({ maxStoredTurns: 2 });
+
+      for (const userInput of ['a', 'b', 'c']) {
+        await store.appendTurn('s1', { userInput });
+      }
+
+      const history = await store.getHistory('s1');
+      expect(history.map(turn => turn.userInput)).toEqual(['b', 'c']);
+    });
+
+    test('should clear a session', async () => {
+      const store = new InMemoryConversationStore();
+      await store.appendTurn('s1', { userInput: 'hi' });
+
+      await expect(store.clear('s1')).resolves.toBe(true);
+      await expect(store.getHistory('s1')).resolves.toEqual([]);
+    });
+
+    test('should drop sessions idle for longer than the time to live', async () => {
+      jest.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z') });
+      const store = new InMemoryConversationStore({ sessionTtlMs: 1000 });
+
+      try {
+        await store.appendTurn('s1', { userInput: 'hi' });
+        jest.advanceTimersByTime(500);
+        await store.appendTurn('s2', { userInput: 'hi' });
+        jest.advanceTimersByTime(600);
+
+        await expect(store.getHistory('s1')).resolves.toEqual([]);
+        await expect(store.getHistory('s2')).resolves.toHaveLength(1);
+
+        jest.advanceTimersByTime(500);
+        await store.appendTurn('s3', { userInput: 'hi' });
+        expect([...store.sessions.keys()]).toEqual(['s3']);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should evict the least recently active session', async () => {
+      const store = new InMemoryConversationStore({ maxSessions: 2 });
+
+      await store.appendTurn('s1', { userInput: 'a' });
+      await store.appendTurn('s2', { userInput: 'b' });
+      await store.appendTurn('s1', { userInput: 'c' });
+      await store.appendTurn('s3', { userInput: 'd' });
+
+      expect([...store.sessions.keys()]).toEqual(['s1', 's3']);
+      await expect(store.getHistory('s2')).resolves.toEqual([]);
+    });
+
+    test('should keep a session for the API key that claimed it', async () => {
+      const store = new InMemoryConversationStore();
+
+      await expect(store.claim('s1', 'key_a')).resolves.toBe(true);
+      await store.appendTurn('s1', { userInput: 'hi' });
+
+      await expect(store.claim('s1', 'key_b')).resolves.toBe(false);
+      await expect(store.claim('s1', 'key_a')).resolves.toBe(true);
+      await expect(store.getOwner('s1')).resolves.toBe('key_a');
+      await expect(store.getOwner('s2')).resolves.toBeNull();
+    });
+
+    test('should reject invalid session ids', async () => {
+      const store = new InMemoryConversationStore();
+
+      await expect(store.getHistory('bad/id')).rejects.toThrow('Invalid session id');
+    });
+  });
+
+  describe('FileConversationStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-sessions-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should require a directory', () => {
+      expect(() => new FileConversationStore()).toThrow('requires a directory');
+    });
+
+    test('should persist turns across store instances', async () => {
+      const store = new FileConversationStore({ directory });
+      await store.appendTurn('s1', { userInput: 'I need a dentist appointment', intent: 'command' });
+
+      const reopened = new FileConversationStore({ directory });
+      const history = await reopened.getHistory('s1');
+
+      expect(history).toHaveLength(1);
+      expect(history[0].userInput).toBe('I need a dentist appointment');
+    });
+
+    test('should keep every turn appended at the same time', async () => {
+      const store = new FileConversationStore({ directory });
+
+      await Promise.all(['a', 'b', 'c', 'd'].map(userInput => store.appendTurn('s1', { userInput })));
+
+      const history = await store.getHistory('s1');
+      expect(history.map(turn => turn.userInput)).toEqual(['a', 'b', 'c', 'd']);
+      expect(store.writes.size).toBe(0);
+    });
+
+    test('should persist the API key that claimed a session', async () => {
+      const store = new FileConversationStore({ directory });
+      await store.appendTurn('s1', { userInput: 'hi' });
+
+      await expect(store.claim('s1', 'key_a')).resolves.toBe(true);
+      await store.appendTurn('s1', { userInput: 'again' });
+
+      const reopened = new FileConversationStore({ directory });
+      await expect(reopened.getOwner('s1')).resolves.toBe('key_a');
+      await expect(reopened.claim('s1', 'key_b')).resolves.toBe(false);
+      await expect(reopened.getHistory('s1')).resolves.toHaveLength(2);
+    });
+
+    test('should clear a persisted session', async () => {
+      const store = new FileConversationStore({ directory });
+      await store.appendTurn('s1', { userInput: 'hi' });
+
+      await expect(store.clear('s1')).resolves.toBe(true);
+      await expect(store.clear('s1')).resolves.toBe(false);
+      await expect(store.getHistory('s1')).resolves.toEqual([]);
+    });
+  });
+
+  describe('createConversationStore', () => {
+    test('should create an in-memory store by default', () => {
+      expect(createConversationStore()).toBeInstanceOf(InMemoryConversationStore);
+    });
+
+    test('should create a file store', () => {
+      const store = createConversationStore({ store: 'file', directory: os.tmpdir() });
+
+      expect(store).toBeInstanceOf(FileConversationStore);
+    });
+
+    test('should reject unknown store types', () => {
+      expect(() => createConversationStore({ store: 'redis' })).toThrow('Unsupported conversation store');
+    });
+  });
+});
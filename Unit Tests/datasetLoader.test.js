@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for Dataset Loader Module
+ *
+ * Tests parsing of labeled JSONL and CSV datasets and collecting
+ * training examples.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadDataset,
+  loadTrainingExamples,
+  parseJsonlDataset,
+  parseCsvDataset,
+  parseCsv,
+} = require('../Working/datasetLoader');
+
+describe('Dataset Loader Module', () => {
+  describe('parseCsv', () => {
+    test('should handle quoted fields with commas, quotes and newlines', () => {
+      const rows = parseCsv('a,b\n"x, y","say ""hi""\nthere"\r\n');
+
+      expect(rows).toEqual([['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+    });
+
+    test('should skip blank lines', () => {
+      expect(parseCsv('a\n\n1\n')).toEqual([['a'], ['1']]);
+    });
+  });
+
+  describe('parseJsonlDataset', () => {
+    test('should read examples and skip comments and blank lines', () => {
+      const examples = parseJsonlDataset([
+        '# comment',
+        '{"text": "hi", "expected_intent": "greeting"}',
+        '',
+        '{"text": "book it", "expected_intent": "command", "expected_entities": {"action": "book"}}',
+      ].join('\n'));
+
+      expect(examples).toEqual([
+        { text: 'hi', expectedIntent: 'greeting', expectedEntities: null },
+        { text: 'book it', expectedIntent: 'command', expectedEntities: { action: 'book' } },
+      ]);
+    });
+
+    test('should report the line of invalid records', () => {
+      expect(() => parseJsonlDataset('{"text": "hi"}\n', 'data.jsonl'))
+        .toThrow('data.jsonl line 1: "text" and "expected_intent" are required');
+      expect(() => parseJsonlDataset('{"text": "hi", "expected_intent": "greeting"}\nnot json', 'data.jsonl'))
+        .toThrow('data.jsonl line 2: invalid JSON');
+    });
+  });
+
+  describe('parseCsvDataset', () => {
+    test('should map columns by header and parse entity JSON', () => {
+      const csv = 'text,expected_intent,expected_entities\n"Book a table, please",command,"{""action"": ""book""}"\nhello,greeting,\n';
+
+      expect(parseCsvDataset(csv)).toEqual([
+        { text: 'Book a table, please', expectedIntent: 'command', expectedEntities: { action: 'book' } },
+        { text: 'hello', expectedIntent: 'greeting', expectedEntities: null },
+      ]);
+    });
+
+    test('should reject invalid entity JSON', () => {
+      const csv = 'text,expected_intent,expected_entities\nhi,greeting,{oops\n';
+
+      expect(() => parseCsvDataset(csv, 'data.csv')).toThrow('data.csv row 2: expected_entities is not valid JSON');
+    });
+  });
+
+  describe('loadDataset', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-dataset-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should load the bundled sample dataset', () => {
+      const examples = loadDataset(path.join(__dirname, '../Working/datasets/sample.jsonl'));
+
+      expect(examples.length).toBeGreaterThan(0);
+      expect(examples.every(example => example.text && example.expectedIntent)).toBe(true);
+    });
+
+    test('should pick the parser from the file extension', () => {
+      const filePath = path.join(directory, 'data.csv');
+      fs.writeFileSync(filePath, 'text,expected_intent\nbye,goodbye\n');
+
+      expect(loadDataset(filePath)).toEqual([{ text: 'bye', expectedIntent: 'goodbye', expectedEntities: null }]);
+    });
+
+    test('should combine taxonomy examples with labeled datasets for training', () => {
+      const { agentConfig } = require('../Working/agentConfig');
+      const filePath = path.join(directory, 'data.csv');
+      fs.writeFileSync(filePath, 'text,expected_intent\nsee ya,goodbye\n');
+
+      const examples = loadTrainingExamples(agentConfig.taxonomy, [filePath]);
+
+      expect(examples).toContainEqual({ intent: 'greeting', text: 'Hello there!' });
+      expect(examples[examples.length - 1]).toEqual({ intent: 'goodbye', text: 'see ya' });
+    });
+
+    test('should reject training labels outside the taxonomy', () => {
+      const { agentConfig } = require('../Working/agentConfig');
+      const filePath = path.join(directory, 'data.csv');
+      fs.writeFileSync(filePath, 'text,expected_intent\nrefund me,refund\n');
+
+      expect(() => loadTrainingExamples(agentConfig.taxonomy, [filePath])).toThrow('unknown intent "refund"');
+    });
+
+    test('should reject unsupported formats', () => {
+      const filePath = path.join(directory, 'data.txt');
+      fs.writeFileSync(filePath, 'hello');
+
+      expect(() => loadDataset(filePath)).toThrow('Unsupported dataset format');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for Embedding Classifier Module
+ *
+ * Tests the local hashing embeddings, building, saving and loading the
+ * example index, nearest-neighbour decisions and creating the classifier
+ * from the configuration.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  HashingEmbeddings,
+  cosineSimilarity,
+  createEmbeddings,
+  embeddingModelId,
+  EmbeddingIndex,
+  EmbeddingClassifier,
+  createEmbeddingClassifier,
+} = require('../Working/embeddingClassifier');
+
+const examples = [
+  { intent: 'greeting', text: 'hello there' },
+  { intent: 'greeting', text: 'good morning' },
+  { intent: 'goodbye', text: 'goodbye for now' },
+  { intent: 'goodbye', text: 'see you later' },
+];
+
+/** Builds a classifier over the test examples */
+async function createClassifier(options = {}) {
+  const embeddings = new HashingEmbeddings();
+  const index = await EmbeddingIndex.build(examples, embeddings, 'hashing:256');
+  return new EmbeddingClassifier({ index, embeddings, k: 3, threshold: 0.8, margin: 0.05, ...options });
+}
+
+describe('Embedding Classifier Module', () => {
+  describe('HashingEmbeddings', () => {
+    test('should produce unit vectors of the configured length', async () => {
+      const embeddings = new HashingEmbeddings({ dimensions: 64 });
+
+      const vector = await embeddings.embedQuery('Hello there!');
+
+      expect(vector).toHaveLength(64);
+      expect(cosineSimilarity(vector, vector)).toBeCloseTo(1);
+    });
+
+    test('should place overlapping texts closer than unrelated ones', async () => {
+      const embeddings = new HashingEmbeddings();
+      const [hello, helloAgain, invoice] = await embeddings.embedDocuments(['hello there', 'hello again', 'refund my invoice']);
+
+      expect(cosineSimilarity(hello, helloAgain)).toBeGreaterThan(cosineSimilarity(hello, invoice));
+    });
+  });
+
+  describe('EmbeddingClassifier', () => {
+    test('should decide messages close to one intent', async () => {
+      const classifier = await createClassifier();
+
+      const match = await classifier.classify('Hello there!');
+
+      expect(match).toMatchObject({ intent: 'greeting', decided: true });
+      expect(match.neighbours[0].text).toBe('hello there');
+      expect(match.votes.greeting).toBeGreaterThan(match.votes.goodbye || 0);
+    });
+
+    test('should escalate messages below the threshold', async () => {
+      const classifier = await createClassifier();
+
+      const match = await classifier.classify('please book a table');
+
+      expect(match.decided).toBe(false);
+    });
+
+    test('should escalate when another intent is nearly as close', async () => {
+      const classifier = await createClassifier({ threshold: 0, margin: 1 });
+
+      const match = await classifier.classify('hello there');
+
+      expect(match.decided).toBe(false);
+    });
+  });
+
+  describe('index files', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-index-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should save and load an index', async () => {
+      const file = path.join(directory, 'index.json');
+      const index = await EmbeddingIndex.build(examples, new HashingEmbeddings(), 'hashing:256');
+
+      index.save(file);
+      const loaded = EmbeddingIndex.load(file);
+
+      expect(loaded.model).toBe('hashing:256');
+      expect(loaded.entries).toHaveLength(4);
+      expect(loaded.search(index.entries[2].vector, 1)[0].intent).toBe('goodbye');
+    });
+
+    test('should reject files that are not an index', () => {
+      const file = path.join(directory, 'index.json');
+      fs.writeFileSync(file, JSON.stringify({ entries: [] }));
+
+      expect(() => EmbeddingIndex.load(file)).toThrow('npm run build-index');
+    });
+
+    test('should create a classifier only when an index exists', async () => {
+      const file = path.join(directory, 'index.json');
+      const config = { enabled: true, provider: 'hashing', dimensions: 256, indexFile: file, k: 5, threshold: 0.85, margin: 0.05 };
+
+      expect(createEmbeddingClassifier(config)).toBeNull();
+
+      (await EmbeddingIndex.build(examples, new HashingEmbeddings(), embeddingModelId(config))).save(file);
+
+      expect(createEmbeddingClassifier(config)).toBeInstanceOf(EmbeddingClassifier);
+      expect(createEmbeddingClassifier({ ...config, enabled: false })).toBeNull();
+      expect(() => createEmbeddingClassifier({ ...config, dimensions: 128 })).toThrow('was built with hashing:256');
+    });
+
+    test('should reject an index built for another taxonomy', async () => {
+      const file = path.join(directory, 'index.json');
+      const config = { enabled: true, provider: 'hashing', dimensions: 256, indexFile: file, k: 5, threshold: 0.85, margin: 0.05 };
+      (await EmbeddingIndex.build(examples, new HashingEmbeddings(), embeddingModelId(config), ['greeting', 'goodbye'])).save(file);
+
+      expect(EmbeddingIndex.load(file).intents).toEqual(['greeting', 'goodbye']);
+      expect(createEmbeddingClassifier(config, ['goodbye', 'greeting'])).toBeInstanceOf(EmbeddingClassifier);
+      expect(() => createEmbeddingClassifier(config, ['greeting', 'billing.refund']))
+        .toThrow('was built for another taxonomy (greeting, goodbye)');
+    });
+  });
+
+  test('should reject unknown embedding providers', () => {
+    expect(() => createEmbeddings({ provider: 'magic' })).toThrow('Unknown embedding provider "magic"');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for Entity Slots Module
+ *
+ * Tests the deterministic normalization of slot values: dates and times
+ * relative to a reference time and timezone, durations, numbers, money,
+ * email addresses, spans and missing required slots.
+ */
+
+const {
+  SLOT_TYPES,
+  isValidTimeZone,
+  parseDateTime,
+  parseDuration,
+  parseNumber,
+  parseMoney,
+  parseEmail,
+  findSpan,
+  normalizeEntities,
+} = require('../Working/entitySlots');
+
+// Monday 2026-10-19, 23:30 in Berlin
+const berlin = { referenceTime: new Date('2026-10-19T21:30:00Z'), timezone: 'Europe/Berlin' };
+
+describe('Entity Slots Module', () => {
+  test('should define the supported slot types', () => {
+    expect(SLOT_TYPES).toEqual(['datetime', 'duration', 'number', 'money', 'email', 'person', 'text']);
+  });
+
+  describe('parseDateTime', () => {
+    test('should resolve relative days and times in the user timezone', () => {
+      expect(parseDateTime('3pm tomorrow', berlin)).toBe('2026-10-20T15:00:00+02:00');
+      expect(parseDateTime('tomorrow at 3:30 pm', berlin)).toBe('2026-10-20T15:30:00+02:00');
+      expect(parseDateTime('tonight', berlin)).toBe('2026-10-19T20:00:00+02:00');
+    });
+
+    test('should move times that already passed today to the next day', () => {
+      expect(parseDateTime('8am', berlin)).toBe('2026-10-20T08:00:00+02:00');
+      expect(parseDateTime('15:00', {
+        referenceTime: new Date('2026-10-19T12:00:00Z'),
+        timezone: 'America/New_York',
+      })).toBe('2026-10-19T15:00:00-04:00');
+    });
+
+    test('should use the offset in effect on the resolved date', () => {
+      expect(parseDateTime('next monday 9am', berlin)).toBe('2026-10-26T09:00:00+01:00');
+    });
+
+    test('should return plain dates when no time is given', () => {
+      expect(parseDateTime('friday', berlin)).toBe('2026-10-23');
+      expect(parseDateTime('monday', berlin)).toBe('2026-10-26');
+      expect(parseDateTime('October 21', berlin)).toBe('2026-10-21');
+      expect(parseDateTime('the 3rd of march', berlin)).toBe('2027-03-03');
+      expect(parseDateTime('2027-01-05', berlin)).toBe('2027-01-05');
+    });
+
+    test('should add offsets to the reference time', () => {
+      expect(parseDateTime('in 2 hours', berlin)).toBe('2026-10-20T01:30:00+02:00');
+      expect(parseDateTime('in half an hour', berlin)).toBe('2026-10-20T00:00:00+02:00');
+    });
+
+    test('should keep a time that follows a day offset', () => {
+      expect(parseDateTime('in 5 days at 3pm', berlin)).toBe('2026-10-24T15:00:00+02:00');
+      expect(parseDateTime('in a week at 09:30', berlin)).toBe('2026-10-26T09:30:00+01:00');
+      expect(parseDateTime('in 2 days', berlin)).toBe('2026-10-21T23:30:00+02:00');
+    });
+
+    test('should return null for unrecognized text', () => {
+      expect(parseDateTime('sometime soon', berlin)).toBeNull();
+    });
+  });
+
+  describe('value parsers', () => {
+    test('parseDuration should produce ISO 8601 durations', () => {
+      expect(parseDuration('90 minutes')).toBe('PT1H30M');
+      expect(parseDuration('1h30m')).toBe('PT1H30M');
+      expect(parseDuration('an hour and a half')).toBe('PT1H30M');
+      expect(parseDuration('one hour and thirty minutes')).toBe('PT1H30M');
+      expect(parseDuration('two weeks')).toBe('P14D');
+      expect(parseDuration('a while')).toBeNull();
+    });
+
+    test('parseNumber should read digits and words', () => {
+      expect(parseNumber('1,200.5')).toBe(1200.5);
+      expect(parseNumber('two')).toBe(2);
+      expect(parseNumber('twenty-five')).toBe(25);
+      expect(parseNumber('three hundred')).toBe(300);
+      expect(parseNumber('two thousand')).toBe(2000);
+      expect(parseNumber('two thousand and ten')).toBe(2010);
+      expect(parseNumber('one million two hundred fifty thousand')).toBe(1250000);
+      expect(parseNumber('a thousand')).toBe(1000);
+      expect(parseNumber('-42')).toBe(-42);
+      expect(parseNumber('several')).toBeNull();
+    });
+
+    test('parseMoney should read amounts and currencies', () => {
+      expect(parseMoney('$25')).toEqual({ amount: 25, currency: 'USD' });
+      expect(parseMoney('EUR 1,200.50')).toEqual({ amount: 1200.5, currency: 'EUR' });
+      expect(parseMoney('40 pounds')).toEqual({ amount: 40, currency: 'GBP' });
+      expect(parseMoney('42')).toEqual({ amount: 42, currency: null });
+      expect(parseMoney('1.000,50 €')).toEqual({ amount: 1000.5, currency: 'EUR' });
+      expect(parseMoney('12,50 EUR')).toEqual({ amount: 12.5, currency: 'EUR' });
+      expect(parseMoney('$1,000,000')).toEqual({ amount: 1000000, currency: 'USD' });
+      expect(parseMoney('€ 2.500.000')).toEqual({ amount: 2500000, currency: 'EUR' });
+      expect(parseMoney('a lot')).toBeNull();
+    });
+
+    test('parseEmail should extract a lowercase address', () => {
+      expect(parseEmail('to John.Doe@Example.com please')).toBe('john.doe@example.com');
+      expect(parseEmail('john at example')).toBeNull();
+    });
+
+    test('isValidTimeZone should accept IANA names only', () => {
+      expect(isValidTimeZone('America/New_York')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+    });
+  });
+
+  describe('normalizeEntities', () => {
+    const slots = [
+      { name: 'action', type: 'text', required: true },
+      { name: 'datetime', type: 'datetime', required: false },
+      { name: 'quantity', type: 'number', required: true },
+    ];
+    const message = 'Book a table for two at 7pm tomorrow';
+
+    test('should type declared slots, record spans and drop other entities', () => {
+      const { entities } = normalizeEntities(
+        { action: 'book a table', datetime: { text: '7pm tomorrow' }, quantity: 'two', mood: 'happy' },
+        slots,
+        { ...berlin, message }
+      );
+
+      expect(entities).toEqual({
+        action: { type: 'text', text: 'book a table', value: 'book a table', start: 0, end: 12 },
+        datetime: { type: 'datetime', text: '7pm tomorrow', value: '2026-10-20T19:00:00+02:00', start: 24, end: 36 },
+        quantity: { type: 'number', text: 'two', value: 2, start: 17, end: 20 },
+      });
+    });
+
+    test('should list required slots that are absent or could not be normalized', () => {
+      const { entities, missingSlots } = normalizeEntities(
+        { datetime: '7pm tomorrow', quantity: 'a few' },
+        slots,
+        { ...berlin, message }
+      );
+
+      expect(entities.quantity.value).toBeNull();
+      expect(missingSlots).toEqual(['action', 'quantity']);
+    });
+
+    test('should keep redaction placeholders as the value of slots they fill', () => {
+      const { entities, missingSlots } = normalizeEntities(
+        { contact: '[EMAIL_1]' },
+        [{ name: 'contact', type: 'email', required: true }],
+        { ...berlin, message: 'Write to [EMAIL_1]', placeholders: ['[EMAIL_1]'] }
+      );
+
+      expect(entities.contact).toEqual({ type: 'email', text: '[EMAIL_1]', value: '[EMAIL_1]', start: 9, end: 18 });
+      expect(missingSlots).toEqual([]);
+    });
+
+    test('findSpan should return null for text not in the message', () => {
+      expect(findSpan(message, 'dinner')).toBeNull();
+      expect(findSpan(message, 'TABLE')).toEqual({ start: 7, end: 12 });
+    });
+  });
+});
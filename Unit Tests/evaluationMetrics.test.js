@@ -0,0 +1,210 @@
+/**
+ * Unit Tests for Evaluation Metrics Module
+ *
+ * Tests classification metrics, calibration buckets, entity accuracy
+ * and run comparison, plus the evaluation runner.
+ */
+
+const {
+  computeClassificationMetrics,
+  computeCalibration,
+  computeEntityAccuracy,
+  buildEvaluationReport,
+  diffReports,
+} = require('../Working/evaluationMetrics');
+const { runEvaluation, mapWithConcurrency } = require('../Working/evaluate');
+const { formatTerminalReport, renderHtmlReport } = require('../Working/evaluationReport');
+
+/**
+ * Builds a prediction record
+ */
+function record(expectedIntent, predictedIntent, confidence = 0.9, extra = {}) {
+  return { text: `${expectedIntent}->${predictedIntent}-${confidence}`, expectedIntent, predictedIntent, confidence, ...extra };
+}
+
+describe('Evaluation Metrics Module', () => {
+  describe('computeClassificationMetrics', () => {
+    const records = [
+      record('greeting', 'greeting'),
+      record('greeting', 'greeting'),
+      record('command', 'command'),
+      record('command', 'greeting'),
+    ];
+
+    test('should compute accuracy', () => {
+      const metrics = computeClassificationMetrics(records);
+
+      expect(metrics.total).toBe(4);
+      expect(metrics.correct).toBe(3);
+      expect(metrics.accuracy).toBe(0.75);
+    });
+
+    test('should compute per-intent precision, recall and F1', () => {
+      const { perIntent } = computeClassificationMetrics(records);
+
+      expect(perIntent.greeting.precision).toBeCloseTo(2 / 3);
+      expect(perIntent.greeting.recall).toBe(1);
+      expect(perIntent.greeting.f1).toBeCloseTo(0.8);
+      expect(perIntent.command).toMatchObject({ precision: 1, recall: 0.5, support: 2, predicted: 1 });
+    });
+
+    test('should build the confusion matrix with known labels first', () => {
+      const { confusionMatrix } = computeClassificationMetrics(records, ['command', 'feedback']);
+
+      expect(confusionMatrix.labels).toEqual(['command', 'feedback', 'greeting']);
+      expect(confusionMatrix.matrix).toEqual([
+        [1, 0, 1],
+        [0, 0, 0],
+        [0, 0, 2],
+      ]);
+    });
+
+    test('should exclude intents without examples from macro averages', () => {
+      const metrics = computeClassificationMetrics(records, ['feedback']);
+
+      expect(metrics.macroAverage.recall).toBeCloseTo(0.75);
+    });
+  });
+
+  describe('computeCalibration', () => {
+    test('should bucket predictions by confidence', () => {
+      const { buckets } = computeCalibration([
+        record('a', 'a', 0.95),
+        record('a', 'b', 0.85),
+        record('a', 'a', 0.1),
+        record('a', 'a', 1),
+      ]);
+
+      expect(buckets).toHaveLength(5);
+      expect(buckets[0]).toMatchObject({ count: 1, accuracy: 1 });
+      expect(buckets[4].count).toBe(3);
+      expect(buckets[4].accuracy).toBeCloseTo(2 / 3);
+      expect(buckets[4].averageConfidence).toBeCloseTo(0.9333, 3);
+    });
+
+    test('should report zero calibration error for perfectly calibrated buckets', () => {
+      const { expectedCalibrationError } = computeCalibration([
+        record('a', 'a', 1),
+        record('a', 'a', 1),
+      ]);
+
+      expect(expectedCalibrationError).toBe(0);
+    });
+  });
+
+  describe('computeEntityAccuracy', () => {
+    test('should compare slots case-insensitively and ignore unlabeled records', () => {
+      const accuracy = computeEntityAccuracy([
+        record('command', 'command', 0.9, {
+          expectedEntities: { action: 'Book', time: '3pm' },
+          predictedEntities: { action: 'book', time: '4pm', extra: 'x' },
+        }),
+        record('command', 'command', 0.9, {
+          expectedEntities: { action: 'call' },
+          predictedEntities: { action: 'call' },
+        }),
+        record('greeting', 'greeting'),
+      ]);
+
+      expect(accuracy.examples).toBe(2);
+      expect(accuracy.exactMatches).toBe(1);
+      expect(accuracy.slotRecall).toBeCloseTo(2 / 3);
+      expect(accuracy.slotPrecision).toBeCloseTo(2 / 4);
+    });
+  });
+
+  describe('diffReports', () => {
+    test('should report metric deltas, fixes and regressions', () => {
+      const previous = buildEvaluationReport([
+        { text: 'hi', expectedIntent: 'greeting', predictedIntent: 'greeting', confidence: 0.9 },
+        { text: 'bye', expectedIntent: 'goodbye', predictedIntent: 'greeting', confidence: 0.9 },
+        { text: 'book', expectedIntent: 'command', predictedIntent: 'command', confidence: 0.9 },
+      ], { run: { startedAt: 'then' } });
+      const current = buildEvaluationReport([
+        { text: 'hi', expectedIntent: 'greeting', predictedIntent: 'greeting', confidence: 0.9 },
+        { text: 'bye', expectedIntent: 'goodbye', predictedIntent: 'goodbye', confidence: 0.9 },
+        { text: 'book', expectedIntent: 'command', predictedIntent: 'question', confidence: 0.9 },
+      ], { run: { startedAt: 'now' } });
+
+      const diff = diffReports(current, previous);
+
+      expect(diff.accuracy.delta).toBeCloseTo(0);
+      expect(diff.fixes.map(change => change.text)).toEqual(['bye']);
+      expect(diff.regressions).toEqual([
+        { text: 'book', expectedIntent: 'command', previousIntent: 'command', currentIntent: 'question' },
+      ]);
+      expect(diff.perIntent.goodbye.f1.delta).toBe(1);
+    });
+  });
+
+  describe('report rendering', () => {
+    const report = buildEvaluationReport([
+      { text: '<b>hi</b>', expectedIntent: 'greeting', predictedIntent: 'command', confidence: 0.4 },
+    ], { run: { dataset: 'sample.jsonl', startedAt: 'now' } });
+
+    test('should format a terminal report', () => {
+      const text = formatTerminalReport(report, diffReports(report, report));
+
+      expect(text).toContain('Accuracy: 0.0%');
+      expect(text).toContain('Confusion matrix');
+      expect(text).toContain('Regressed: 0');
+    });
+
+    test('should escape example text in the HTML report', () => {
+      const html = renderHtmlReport(report);
+
+      expect(html).toContain('&lt;b&gt;hi&lt;/b&gt;');
+      expect(html).not.toContain('<b>hi</b>');
+    });
+  });
+
+  describe('runEvaluation', () => {
+    test('mapWithConcurrency should keep order and limit parallelism', async () => {
+      let active = 0;
+      let maxActive = 0;
+
+      const results = await mapWithConcurrency([3, 1, 2], 2, async (value) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, value));
+        active--;
+        return value * 10;
+      });
+
+      expect(results).toEqual([30, 10, 20]);
+      expect(maxActive).toBe(2);
+    });
+
+    test('should record predictions and agent failures', async () => {
+      const agent = {
+        processMessage: jest.fn()
+          .mockResolvedValueOnce({ intent: 'greeting', confidence: 0.8, entities: {}, parseStatus: { status: 'parsed' } })
+          .mockRejectedValueOnce(new Error('model offline')),
+      };
+
+      const records = await runEvaluation(agent, [
+        { text: 'hi', expectedIntent: 'greeting', expectedEntities: null },
+        { text: 'bye', expectedIntent: 'goodbye', expectedEntities: null },
+      ], { concurrency: 1 });
+
+      expect(records[0]).toMatchObject({ predictedIntent: 'greeting', confidence: 0.8, parseStatus: 'parsed' });
+      expect(records[1]).toMatchObject({ predictedIntent: 'unknown', error: 'model offline' });
+    });
+
+    test('should compare typed entities by their message text', async () => {
+      const agent = {
+        processMessage: jest.fn().mockResolvedValue({
+          intent: 'command',
+          confidence: 0.9,
+          entities: { datetime: { type: 'datetime', text: '2pm tomorrow', value: '2026-10-20T14:00:00+00:00', start: 22, end: 34 } },
+        }),
+      };
+
+      const [result] = await runEvaluation(agent, [
+        { text: 'Schedule a meeting at 2pm tomorrow', expectedIntent: 'command', expectedEntities: { datetime: '2pm tomorrow' } },
+      ]);
+
+      expect(result.predictedEntities).toEqual({ datetime: '2pm tomorrow' });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for Fallback Classifier Module
+ *
+ * Tests the naive Bayes model, keyword and pattern rules, the probability
+ * distribution over every category and loading the configured classifier.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  tokenize,
+  NaiveBayesModel,
+  FallbackClassifier,
+  createFallbackClassifier,
+  classifyIntentFallback,
+} = require('../Working/fallbackClassifier');
+const { agentConfig } = require('../Working/agentConfig');
+
+const categories = ['greeting', 'command', 'feedback', 'unknown'];
+
+const examples = [
+  { intent: 'greeting', text: 'hello there' },
+  { intent: 'greeting', text: 'good morning' },
+  { intent: 'command', text: 'book a table for two' },
+  { intent: 'command', text: 'add milk to my list' },
+  { intent: 'feedback', text: 'this answer was really useful' },
+];
+
+describe('Fallback Classifier Module', () => {
+  test('should tokenize into lowercase words', () => {
+    expect(tokenize("Don't book it, Bob!")).toEqual(["don't", 'book', 'it', 'bob']);
+  });
+
+  describe('FallbackClassifier', () => {
+    const model = NaiveBayesModel.train(examples);
+
+    test('should classify from trained word counts', () => {
+      const classifier = new FallbackClassifier({ categories, model });
+
+      const result = classifier.classify('Please book a meeting');
+
+      expect(result.intent).toBe('command');
+      expect(result.confidence).toBe(result.distribution.command);
+    });
+
+    test('should return a distribution over every category', () => {
+      const classifier = new FallbackClassifier({ categories, model });
+
+      const { distribution } = classifier.classify('good morning');
+
+      expect(Object.keys(distribution)).toEqual(categories);
+      expect(Object.values(distribution).reduce((sum, value) => sum + value, 0)).toBeCloseTo(1);
+      expect(distribution.unknown).toBeGreaterThan(0);
+    });
+
+    test('should add evidence for keywords matched as whole words anywhere', () => {
+      const classifier = new FallbackClassifier({
+        categories,
+        model,
+        rules: { feedback: { keywords: ['thanks'] } },
+      });
+
+      expect(classifier.classify('ok, thanks').intent).toBe('feedback');
+      expect(classifier.classify('thanksgiving').intent).toBe('unknown');
+    });
+
+    test('should apply pattern rules and skip intents outside the taxonomy', () => {
+      const classifier = new FallbackClassifier({
+        categories,
+        model,
+        rules: { greeting: { patterns: ['^yo\\b'] }, refund: { keywords: ['refund'] } },
+      });
+
+      expect(classifier.classify('yo what is up').intent).toBe('greeting');
+      expect(classifier.rules).toHaveLength(1);
+    });
+
+    test('should reject invalid patterns', () => {
+      expect(() => new FallbackClassifier({ categories, rules: { greeting: { patterns: ['('] } } }))
+        .toThrow('Invalid fallback pattern for "greeting"');
+    });
+
+    test('should return unknown with an even distribution when there is no evidence', () => {
+      const classifier = new FallbackClassifier({ categories, model });
+
+      expect(classifier.classify('zzz qqq')).toEqual({
+        intent: 'unknown',
+        confidence: 0.25,
+        distribution: { greeting: 0.25, command: 0.25, feedback: 0.25, unknown: 0.25 },
+      });
+    });
+
+    test('should be more confident with stronger evidence', () => {
+      const classifier = new FallbackClassifier({ categories, model, rules: { command: { keywords: ['book'] } } });
+
+      expect(classifier.classify('book a table for two').confidence)
+        .toBeGreaterThan(classifier.classify('a table').confidence);
+    });
+  });
+
+  describe('model files', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-fallback-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should save and load a trained model', () => {
+      const file = path.join(directory, 'model.json');
+
+      NaiveBayesModel.train(examples).save(file);
+      const loaded = NaiveBayesModel.load(file);
+
+      expect(loaded.classes.command.documents).toBe(2);
+      expect(loaded.vocabulary.has('milk')).toBe(true);
+    });
+
+    test('should reject files that are not a model', () => {
+      const file = path.join(directory, 'model.json');
+      fs.writeFileSync(file, JSON.stringify({ version: 99 }));
+
+      expect(() => NaiveBayesModel.load(file)).toThrow('npm run train-fallback');
+    });
+
+    test('should use the trained model file when one exists', () => {
+      const file = path.join(directory, 'model.json');
+      NaiveBayesModel.train([{ intent: 'feedback', text: 'zebra' }]).save(file);
+
+      const classifier = createFallbackClassifier({ ...agentConfig, fallback: { ...agentConfig.fallback, modelFile: file } });
+
+      expect(classifier.classify('zebra').intent).toBe('feedback');
+    });
+  });
+
+  describe('configured classifier', () => {
+    test.each([
+      ['Hello there!', 'greeting'],
+      ['Why is the sky blue?', 'question'],
+      ['Please schedule a meeting for tomorrow', 'command'],
+      ['Show me the latest report', 'information_request'],
+      ['Can you explain that again?', 'clarification'],
+      ['That answer was wrong', 'feedback'],
+      ['Goodbye, see you later', 'goodbye'],
+    ])('should classify "%s" as %s', (text, intent) => {
+      expect(classifyIntentFallback(text)).toBe(intent);
+    });
+
+    test('should cover every configured category', () => {
+      const classifier = createFallbackClassifier(agentConfig);
+
+      expect(Object.keys(classifier.classify('hello').distribution)).toEqual(agentConfig.intentCategories);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for Intent Actions Module
+ *
+ * Tests action registration, building and validating parameters from
+ * entities, the question asked for missing slots and webhook calls.
+ */
+
+const { z } = require('zod');
+
+const {
+  callWebhook,
+  createActionRegistry,
+  entityParams,
+  validateActionParams,
+  buildSlotQuestion,
+} = require('../Working/intentActions');
+
+const categories = ['command', 'greeting', 'unknown'];
+
+describe('Intent Actions Module', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('createActionRegistry', () => {
+    test('should register handler and webhook actions for known intents', () => {
+      const actions = createActionRegistry({
+        command: { name: 'schedule', handler: async () => 'ok' },
+        greeting: { webhook: { url: 'http://localhost:9000/hello' } },
+        billing: { handler: async () => 'ok' },
+      }, categories);
+
+      expect([...actions.keys()]).toEqual(['command', 'greeting']);
+      expect(actions.get('command')).toMatchObject({ intent: 'command', name: 'schedule', description: '' });
+      expect(actions.get('greeting').name).toBe('greeting');
+    });
+
+    test('should pass parameters and context to handlers', async () => {
+      const handler = jest.fn(async params => params.action);
+      const action = createActionRegistry({ command: { handler } }, categories).get('command');
+
+      await expect(action.execute({ action: 'book' }, { intent: 'command' })).resolves.toBe('book');
+      expect(handler).toHaveBeenCalledWith({ action: 'book' }, { intent: 'command' });
+    });
+
+    test('should reject invalid definitions', () => {
+      expect(() => createActionRegistry({ command: { description: 'x' } }, categories))
+        .toThrow('needs a handler function or a webhook URL');
+      expect(() => createActionRegistry({ command: { schema: { action: 'string' }, handler: () => {} } }, categories))
+        .toThrow('needs a zod schema');
+    });
+  });
+
+  test('should build parameters from entity values, falling back to their text', () => {
+    expect(entityParams({
+      action: { type: 'text', text: 'call mom', value: 'call mom' },
+      datetime: { type: 'datetime', text: 'someday', value: null },
+      quantity: { type: 'number', text: 'two', value: 2 },
+    })).toEqual({ action: 'call mom', datetime: 'someday', quantity: 2 });
+  });
+
+  describe('validateActionParams', () => {
+    const action = {
+      schema: z.object({ action: z.string(), quantity: z.number().int().positive(), note: z.string().optional() }),
+    };
+
+    test('should accept valid parameters', () => {
+      expect(validateActionParams(action, { action: 'book', quantity: 2 })).toEqual({
+        valid: true,
+        params: { action: 'book', quantity: 2 },
+        missing: [],
+        issues: [],
+      });
+    });
+
+    test('should separate missing parameters from invalid ones', () => {
+      const validation = validateActionParams(action, { quantity: -1 });
+
+      expect(validation.valid).toBe(false);
+      expect(validation.missing).toEqual(['action']);
+      expect(validation.issues).toEqual([expect.stringMatching(/^quantity: /)]);
+    });
+
+    test('should treat missing required slots of the taxonomy as missing', () => {
+      const validation = validateActionParams(action, { action: 'book', quantity: 2 }, ['datetime']);
+
+      expect(validation).toMatchObject({ valid: false, missing: ['datetime'] });
+    });
+  });
+
+  test('should ask for missing slots', () => {
+    const action = { description: 'Book the table.' };
+
+    expect(buildSlotQuestion(action, { missing: ['datetime', 'party_size'], issues: [] }))
+      .toBe('I need the datetime and party size to book the table. Could you provide them?');
+    expect(buildSlotQuestion({ description: '' }, { missing: [], issues: ['quantity: too small'] }))
+      .toBe("Some details don't look right (quantity: too small). Could you provide it?");
+  });
+
+  describe('callWebhook', () => {
+    const payload = { action: 'schedule', intent: 'command', params: { action: 'book' } };
+
+    test('should post the payload as JSON and parse a JSON reply', async () => {
+      global.fetch = jest.fn().mockResolvedValue(new Response(JSON.stringify({ id: 42 }), {
+        headers: { 'Content-Type': 'application/json' },
+      }));
+
+      const result = await callWebhook({ url: 'http://localhost:9000/hook', headers: { 'X-Token': 't' } }, payload);
+
+      expect(result).toEqual({ id: 42 });
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:9000/hook');
+      expect(request.method).toBe('POST');
+      expect(request.headers).toEqual({ 'Content-Type': 'application/json', 'X-Token': 't' });
+      expect(JSON.parse(request.body)).toEqual(payload);
+    });
+
+    test('should return other replies as text', async () => {
+      global.fetch = jest.fn().mockResolvedValue(new Response('queued'));
+
+      await expect(callWebhook({ url: 'http://localhost:9000/hook' }, payload)).resolves.toBe('queued');
+    });
+
+    test('should surface error statuses', async () => {
+      global.fetch = jest.fn().mockResolvedValue(new Response('nope', { status: 502, statusText: 'Bad Gateway' }));
+
+      await expect(callWebhook({ url: 'http://localhost:9000/hook' }, payload))
+        .rejects.toThrow('Webhook responded with 502 Bad Gateway');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for Intent Routing Module
+ *
+ * Tests template rendering, handler creation and the routing decision
+ * taken after intent identification.
+ */
+
+const { END } = require('@langchain/langgraph');
+const {
+  renderTemplate,
+  handlerNodeName,
+  createIntentHandlers,
+  routeAfterClassification,
+  routeAfterAction,
+  routeDestinations,
+} = require('../Working/intentRouting');
+
+const routingConfig = { clarificationThreshold: 0.5 };
+
+/**
+ * Builds a classified state
+ */
+function classified(identifiedIntent, confidence, extra = {}) {
+  return { userInput: 'hi', identifiedIntent, confidence, error: null, classifyOnly: false, ...extra };
+}
+
+describe('Intent Routing Module', () => {
+  describe('renderTemplate', () => {
+    test('should fill known placeholders and keep unknown ones', () => {
+      const text = renderTemplate('{{intent}} at {{ confidence }} for "{{userInput}}" {{other}}', classified('greeting', 0.87));
+
+      expect(text).toBe('greeting at 87% for "hi" {{other}}');
+    });
+  });
+
+  describe('handlerNodeName', () => {
+    test('should replace hierarchy dots', () => {
+      expect(handlerNodeName('greeting')).toBe('handle_greeting');
+      expect(handlerNodeName('billing.refund')).toBe('handle_billing__refund');
+    });
+  });
+
+  describe('createIntentHandlers', () => {
+    const categories = ['greeting', 'command', 'goodbye'];
+
+    test('should support templates, handler objects and functions', async () => {
+      const handlers = createIntentHandlers({
+        greeting: { template: 'Hi, you said {{userInput}}' },
+        command: { handler: state => `Running ${state.identifiedIntent}` },
+        goodbye: async () => 'Bye',
+      }, categories);
+
+      await expect(handlers.get('greeting')(classified('greeting', 1))).resolves.toBe('Hi, you said hi');
+      await expect(handlers.get('command')(classified('command', 1))).resolves.toBe('Running command');
+      await expect(handlers.get('goodbye')(classified('goodbye', 1))).resolves.toBe('Bye');
+    });
+
+    test('should skip intents outside the taxonomy and disabled entries', () => {
+      const handlers = createIntentHandlers({
+        weather: { template: 'Sunny' },
+        greeting: null,
+      }, categories);
+
+      expect(handlers.size).toBe(0);
+    });
+
+    test('should reject definitions without a handler or template', () => {
+      expect(() => createIntentHandlers({ greeting: { reply: 'x' } }, categories))
+        .toThrow('needs a handler function or a template');
+    });
+  });
+
+  describe('routeAfterClassification', () => {
+    const handlers = new Map([['greeting', async () => 'Hello']]);
+
+    test('should end in classify-only mode', () => {
+      expect(routeAfterClassification(classified('command', 0.9, { classifyOnly: true }), routingConfig, handlers)).toBe(END);
+    });
+
+    test('should keep errors on the response path', () => {
+      expect(routeAfterClassification(classified('unknown', 0, { error: 'down' }), routingConfig, handlers)).toBe('generateResponse');
+    });
+
+    test('should ask for clarification below the threshold', () => {
+      expect(routeAfterClassification(classified('greeting', 0.3), routingConfig, handlers)).toBe('askClarification');
+    });
+
+    test('should route to intent handlers', () => {
+      expect(routeAfterClassification(classified('greeting', 0.9), routingConfig, handlers)).toBe('handle_greeting');
+    });
+
+    test('should dispatch actions before handlers', () => {
+      const actions = new Map([['greeting', {}], ['command', {}]]);
+
+      expect(routeAfterClassification(classified('greeting', 0.9), routingConfig, handlers, actions)).toBe('dispatchAction');
+      expect(routeAfterClassification(classified('command', 0.3), routingConfig, handlers, actions)).toBe('askClarification');
+    });
+
+    test('should generate a response otherwise', () => {
+      expect(routeAfterClassification(classified('command', 0.5), routingConfig, handlers)).toBe('generateResponse');
+    });
+
+    test('should answer compound messages with handlers only when every intent has one', () => {
+      const bothHandled = new Map([...handlers, ['goodbye', async () => 'Bye']]);
+      const intents = names => names.map(intent => ({ intent, confidence: 0.9, segment: intent }));
+
+      expect(routeAfterClassification(
+        classified('greeting', 0.9, { intents: intents(['greeting', 'goodbye']) }), routingConfig, bothHandled
+      )).toBe('handleIntents');
+      expect(routeAfterClassification(
+        classified('greeting', 0.9, { intents: intents(['greeting', 'command']) }), routingConfig, bothHandled
+      )).toBe('generateResponse');
+      expect(routeAfterClassification(
+        classified('greeting', 0.9, { intents: intents(['greeting', 'greeting']) }), routingConfig, bothHandled
+      )).toBe('handle_greeting');
+    });
+  });
+
+  describe('routeAfterAction', () => {
+    test('should end when the action waits for input', () => {
+      expect(routeAfterAction({ action: { status: 'needs_input' } })).toBe(END);
+      expect(routeAfterAction({ action: { status: 'executed' } })).toBe('generateResponse');
+      expect(routeAfterAction({ action: { status: 'planned' } })).toBe('generateResponse');
+    });
+  });
+
+  describe('routeDestinations', () => {
+    test('should list every possible next node', () => {
+      const destinations = routeDestinations(new Map([['greeting', async () => '']]));
+
+      expect(destinations).toEqual(['generateResponse', 'askClarification', 'handleIntents', 'dispatchAction', 'handle_greeting', END]);
+    });
+  });
+});
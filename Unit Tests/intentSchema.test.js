@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for Intent Schema Module
+ *
+ * Tests JSON extraction from model output and validation of the
+ * classification result.
+ */
+
+const {
+  createIntentResultSchema,
+  createMultiIntentResultSchema,
+  extractJsonObject,
+  parseIntentResponse,
+} = require('../Working/intentSchema');
+
+const categories = ['greeting', 'command', 'unknown'];
+
+describe('Intent Schema Module', () => {
+  describe('extractJsonObject', () => {
+    test('should extract an object surrounded by prose', () => {
+      const text = 'Sure! Here you go: {"intent": "greeting"} Hope that helps.';
+
+      expect(extractJsonObject(text)).toBe('{"intent": "greeting"}');
+    });
+
+    test('should keep nested objects intact', () => {
+      const json = '{"intent": "command", "entities": {"time": {"hour": 15}}, "confidence": 0.8}';
+
+      expect(extractJsonObject(`\`\`\`json\n${json}\n\`\`\``)).toBe(json);
+    });
+
+    test('should ignore braces inside strings', () => {
+      const json = '{"intent": "command", "entities": {"note": "use } and \\" carefully"}}';
+
+      expect(extractJsonObject(json)).toBe(json);
+    });
+
+    test('should return null when there is no complete object', () => {
+      expect(extractJsonObject('no json here')).toBeNull();
+      expect(extractJsonObject('{"intent": "greeting"')).toBeNull();
+      expect(extractJsonObject(undefined)).toBeNull();
+    });
+  });
+
+  describe('createIntentResultSchema', () => {
+    test('should require at least one category', () => {
+      expect(() => createIntentResultSchema([])).toThrow();
+    });
+
+    test('should normalize intent case and default entities', () => {
+      const schema = createIntentResultSchema(categories);
+
+      const result = schema.parse({ intent: ' Greeting ', confidence: '0.75' });
+
+      expect(result).toEqual({ intent: 'greeting', confidence: 0.75, entities: {} });
+    });
+
+    test('should reject intents outside the configured categories', () => {
+      const schema = createIntentResultSchema(categories);
+
+      expect(schema.safeParse({ intent: 'weather', confidence: 0.9 }).success).toBe(false);
+    });
+
+    test('should reject confidence outside [0, 1]', () => {
+      const schema = createIntentResultSchema(categories);
+
+      expect(schema.safeParse({ intent: 'greeting', confidence: 1.5 }).success).toBe(false);
+      expect(schema.safeParse({ intent: 'greeting', confidence: -0.1 }).success).toBe(false);
+    });
+  });
+
+  describe('createMultiIntentResultSchema', () => {
+    const schema = createMultiIntentResultSchema(categories);
+
+    test('should rank intents and expose the primary one at the top level', () => {
+      const result = schema.parse({
+        intents: [
+          { intent: 'greeting', confidence: 0.6, segment: 'thanks!' },
+          { intent: 'command', confidence: 0.9, segment: 'schedule a call', entities: { datetime: 'Friday' } },
+        ],
+        primary: 'command',
+      });
+
+      expect(result).toEqual({
+        intent: 'command',
+        confidence: 0.9,
+        entities: { datetime: 'Friday' },
+        intents: [
+          { intent: 'command', confidence: 0.9, segment: 'schedule a call', entities: { datetime: 'Friday' } },
+          { intent: 'greeting', confidence: 0.6, segment: 'thanks!', entities: {} },
+        ],
+      });
+    });
+
+    test('should default the primary intent to the most confident one', () => {
+      const result = schema.parse({
+        intents: [{ intent: 'greeting', confidence: 0.4 }, { intent: 'command', confidence: 0.7 }],
+      });
+
+      expect(result.intent).toBe('command');
+    });
+
+    test('should reject a primary intent that is not listed', () => {
+      const result = schema.safeParse({ intents: [{ intent: 'greeting', confidence: 0.9 }], primary: 'command' });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['primary']);
+    });
+
+    test('should require at least one intent', () => {
+      expect(schema.safeParse({ intents: [] }).success).toBe(false);
+    });
+  });
+
+  describe('parseIntentResponse', () => {
+    const schema = createIntentResultSchema(categories);
+
+    test('should parse a valid response with nested entities', () => {
+      const content = '{"intent": "command", "confidence": 0.9, "entities": {"meeting": {"time": "3pm", "attendees": ["ann"]}}}';
+
+      const result = parseIntentResponse(content, schema);
+
+      expect(result.success).toBe(true);
+      expect(result.data.entities.meeting.attendees).toEqual(['ann']);
+    });
+
+    test('should tolerate trailing commas', () => {
+      const result = parseIntentResponse('{"intent": "greeting", "confidence": 0.9,}', schema);
+
+      expect(result.success).toBe(true);
+    });
+
+    test('should report a missing object', () => {
+      const result = parseIntentResponse('I think this is a greeting.', schema);
+
+      expect(result).toMatchObject({ success: false, stage: 'extract' });
+    });
+
+    test('should report invalid JSON', () => {
+      const result = parseIntentResponse("{'intent': 'greeting'}", schema);
+
+      expect(result).toMatchObject({ success: false, stage: 'json' });
+    });
+
+    test('should report schema violations by field', () => {
+      const result = parseIntentResponse('{"intent": "weather", "confidence": 0.9}', schema);
+
+      expect(result.success).toBe(false);
+      expect(result.stage).toBe('schema');
+      expect(result.error).toContain('intent');
+    });
+  });
+});
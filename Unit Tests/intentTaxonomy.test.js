@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for Intent Taxonomy Module
+ *
+ * Tests taxonomy validation, file loading, tree building and
+ * prompt generation.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  TaxonomyError,
+  parseTaxonomy,
+  loadTaxonomyFile,
+  getIntentNames,
+  getTaxonomyExamples,
+  getIntentSlots,
+  buildTaxonomyTree,
+  buildTaxonomyPrompt,
+} = require('../Working/intentTaxonomy');
+
+const billingTaxonomy = {
+  intents: [
+    {
+      name: 'billing',
+      description: 'Payments and invoices',
+      slots: [{ name: 'account', type: 'text' }, { name: 'amount', type: 'number' }],
+    },
+    {
+      name: 'billing.refund',
+      parent: 'billing',
+      description: 'Money back for a charge',
+      examples: ['I want a refund', 'Give me my money back', 'Refund order 12', 'Undo that charge'],
+      slots: [
+        { name: 'order_id', description: 'Order to refund', required: true },
+        { name: 'amount', type: 'money' },
+      ],
+    },
+    { name: 'billing.invoice_query', parent: 'billing' },
+    { name: 'unknown' },
+  ],
+};
+
+/**
+ * Returns the validation issues raised for a definition
+ */
+function issuesFor(definition) {
+  try {
+    parseTaxonomy(definition);
+  } catch (error) {
+    expect(error).toBeInstanceOf(TaxonomyError);
+    return error.issues;
+  }
+  throw new Error('Expected the taxonomy to be rejected');
+}
+
+describe('Intent Taxonomy Module', () => {
+  describe('parseTaxonomy', () => {
+    test('should fill in defaults', () => {
+      const taxonomy = parseTaxonomy(billingTaxonomy);
+
+      expect(taxonomy.version).toBe(1);
+      expect(taxonomy.intents[0]).toEqual({
+        name: 'billing',
+        description: 'Payments and invoices',
+        parent: null,
+        examples: [],
+        slots: [
+          { name: 'account', description: '', type: 'text', required: false },
+          { name: 'amount', description: '', type: 'number', required: false },
+        ],
+      });
+    });
+
+    test('should reject duplicate intents', () => {
+      const issues = issuesFor({ intents: [{ name: 'unknown' }, { name: 'unknown' }] });
+
+      expect(issues).toContain('duplicate intent "unknown"');
+    });
+
+    test('should reject unknown parents', () => {
+      const issues = issuesFor({ intents: [{ name: 'billing.refund', parent: 'billing' }, { name: 'unknown' }] });
+
+      expect(issues).toContain('intent "billing.refund" has unknown parent "billing"');
+    });
+
+    test('should reject names that break the naming convention', () => {
+      const issues = issuesFor({ intents: [{ name: 'Billing-Refund' }, { name: 'billing.' }, { name: 'unknown' }] });
+
+      expect(issues).toHaveLength(2);
+    });
+
+    test('should reject parent cycles', () => {
+      const issues = issuesFor({
+        intents: [{ name: 'a', parent: 'b' }, { name: 'b', parent: 'a' }, { name: 'unknown' }],
+      });
+
+      expect(issues.some(issue => issue.includes('parent cycle'))).toBe(true);
+    });
+
+    test('should require the unknown intent', () => {
+      const issues = issuesFor({ intents: [{ name: 'greeting' }] });
+
+      expect(issues).toContain('taxonomy must define the "unknown" intent');
+    });
+
+    test('should reject unknown slot types', () => {
+      expect(() => parseTaxonomy({
+        intents: [{ name: 'unknown', slots: [{ name: 'when', type: 'timestamp' }] }],
+      })).toThrow('intents.0.slots.0.type');
+    });
+
+    test('should reject malformed definitions', () => {
+      expect(() => parseTaxonomy({ intents: [] })).toThrow(TaxonomyError);
+      expect(() => parseTaxonomy({ intents: [{ description: 'no name' }] })).toThrow('intents.0.name');
+    });
+  });
+
+  describe('loadTaxonomyFile', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-taxonomy-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should load the default taxonomy', () => {
+      const taxonomy = loadTaxonomyFile(path.join(__dirname, '../Working/taxonomies/default.json'));
+
+      expect(getIntentNames(taxonomy)).toContain('greeting');
+      expect(getIntentNames(taxonomy)).toContain('unknown');
+    });
+
+    test('should load the example YAML taxonomy', () => {
+      const taxonomy = loadTaxonomyFile(path.join(__dirname, '../Working/taxonomies/billing.example.yaml'));
+
+      expect(getIntentNames(taxonomy)).toContain('billing.refund');
+    });
+
+    test('should report the file in validation errors', () => {
+      const filePath = path.join(directory, 'broken.yml');
+      fs.writeFileSync(filePath, 'intents:\n  - name: Greeting\n');
+
+      expect(() => loadTaxonomyFile(filePath)).toThrow(`Invalid taxonomy file ${filePath}`);
+    });
+
+    test('should report unparseable files', () => {
+      const filePath = path.join(directory, 'broken.json');
+      fs.writeFileSync(filePath, '{ not json');
+
+      expect(() => loadTaxonomyFile(filePath)).toThrow(TaxonomyError);
+    });
+  });
+
+  test('should list the example utterances of every intent', () => {
+    const examples = getTaxonomyExamples(parseTaxonomy(billingTaxonomy));
+
+    expect(examples).toHaveLength(4);
+    expect(examples[0]).toEqual({ intent: 'billing.refund', text: 'I want a refund' });
+  });
+
+  describe('getIntentSlots', () => {
+    test('should inherit parent slots and let children override them', () => {
+      const slots = getIntentSlots(parseTaxonomy(billingTaxonomy), 'billing.refund');
+
+      expect(slots.map(slot => `${slot.name}:${slot.type}`)).toEqual(['account:text', 'amount:money', 'order_id:text']);
+    });
+
+    test('should return no slots for unknown intents', () => {
+      expect(getIntentSlots(parseTaxonomy(billingTaxonomy), 'missing')).toEqual([]);
+    });
+  });
+
+  describe('buildTaxonomyTree', () => {
+    test('should nest children under their parent', () => {
+      const tree = buildTaxonomyTree(parseTaxonomy(billingTaxonomy));
+
+      expect(tree.map(node => node.name)).toEqual(['billing', 'unknown']);
+      expect(tree[0].children.map(node => node.name)).toEqual(['billing.refund', 'billing.invoice_query']);
+    });
+  });
+
+  describe('buildTaxonomyPrompt', () => {
+    test('should list descriptions, examples and indented children', () => {
+      const prompt = buildTaxonomyPrompt(parseTaxonomy(billingTaxonomy));
+
+      expect(prompt).toContain('- billing: Payments and invoices');
+      expect(prompt).toContain('  - billing.refund: Money back for a charge');
+      expect(prompt).toContain('"I want a refund"');
+      expect(prompt).toContain('    Entities: order_id (text, required), amount (money)');
+    });
+
+    test('should limit the number of examples per intent', () => {
+      const prompt = buildTaxonomyPrompt(parseTaxonomy(billingTaxonomy));
+
+      expect(prompt).not.toContain('Undo that charge');
+    });
+  });
+});
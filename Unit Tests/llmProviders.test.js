@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for LLM Providers Module
+ *
+ * Tests provider selection, option validation and the built-in
+ * OpenAI-compatible and rules chat models.
+ */
+
+const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
+const { ChatOllama } = require('@langchain/ollama');
+const {
+  ProviderConfigError,
+  registerProvider,
+  listProviders,
+  validateProviderOptions,
+  createChatModel,
+  OpenAICompatibleChatModel,
+  RulesChatModel,
+} = require('../Working/llmProviders');
+
+// Mock the Ollama client to avoid actual API calls during testing
+jest.mock('@langchain/ollama');
+
+describe('LLM Providers Module', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.clearAllMocks();
+  });
+
+  describe('registry', () => {
+    test('should list the built-in providers', () => {
+      expect(listProviders()).toEqual(expect.arrayContaining(['ollama', 'openai-compatible', 'rules']));
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => validateProviderOptions({ provider: 'gpt-cloud', name: 'x' }))
+        .toThrow(ProviderConfigError);
+    });
+
+    test('should require a schema and create function when registering', () => {
+      expect(() => registerProvider('broken', {})).toThrow('needs an optionsSchema');
+    });
+  });
+
+  describe('option validation', () => {
+    test('should default the provider to ollama', () => {
+      const options = validateProviderOptions({ name: 'llama3.2', temperature: 0.7, baseUrl: 'http://localhost:11434' });
+
+      expect(options.provider).toBe('ollama');
+      expect(options.name).toBe('llama3.2');
+    });
+
+    test('should reject out-of-range temperature', () => {
+      expect(() => validateProviderOptions({ provider: 'ollama', name: 'llama3.2', temperature: 3 }))
+        .toThrow('temperature');
+    });
+
+    test('should require a base URL for openai-compatible endpoints', () => {
+      expect(() => validateProviderOptions({ provider: 'openai-compatible', name: 'qwen' }))
+        .toThrow('baseUrl');
+    });
+  });
+
+  describe('createChatModel', () => {
+    test('should create ChatOllama for the ollama provider', () => {
+      const { model, provider, modelName } = createChatModel({
+        provider: 'ollama',
+        name: 'llama3.2',
+        temperature: 0.2,
+        baseUrl: 'http://localhost:11434',
+      });
+
+      expect(model).toBeInstanceOf(ChatOllama);
+      expect(ChatOllama).toHaveBeenCalledWith({
+        model: 'llama3.2',
+        temperature: 0.2,
+        baseUrl: 'http://localhost:11434',
+      });
+      expect({ provider, modelName }).toEqual({ provider: 'ollama', modelName: 'llama3.2' });
+    });
+
+    test('should report the rules model name regardless of configured name', () => {
+      const { model, modelName } = createChatModel({ provider: 'rules', name: 'llama3.2' });
+
+      expect(model).toBeInstanceOf(RulesChatModel);
+      expect(modelName).toBe('rules');
+    });
+  });
+
+  describe('OpenAICompatibleChatModel', () => {
+    const options = {
+      name: 'qwen2.5',
+      baseUrl: 'http://localhost:8080/v1/',
+      apiKey: 'secret',
+      temperature: 0.1,
+      timeoutMs: 1000,
+    };
+
+    test('should post OpenAI-style messages and return the reply', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: 'Hi!' } }] }),
+      });
+      const model = new OpenAICompatibleChatModel(options);
+
+      const reply = await model.invoke([new SystemMessage('Be nice'), new HumanMessage('Hello')]);
+
+      expect(reply.content).toBe('Hi!');
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:8080/v1/chat/completions');
+      expect(request.headers.Authorization).toBe('Bearer secret');
+      expect(JSON.parse(request.body).messages).toEqual([
+        { role: 'system', content: 'Be nice' },
+        { role: 'user', content: 'Hello' },
+      ]);
+    });
+
+    test('should report the token usage of the endpoint', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { content: 'Hi!' } }],
+          usage: { prompt_tokens: 21, completion_tokens: 3, total_tokens: 24 },
+        }),
+      });
+      const model = new OpenAICompatibleChatModel(options);
+
+      const reply = await model.invoke([new HumanMessage('Hello')]);
+
+      expect(reply.usage_metadata).toEqual({ input_tokens: 21, output_tokens: 3, total_tokens: 24 });
+    });
+
+    test('should surface HTTP errors', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 503,
+        text: async () => 'model loading',
+      });
+      const model = new OpenAICompatibleChatModel(options);
+
+      await expect(model.invoke([new HumanMessage('Hello')])).rejects.toThrow('returned 503: model loading');
+    });
+
+    test('should stream reply chunks', async () => {
+      const encoder = new TextEncoder();
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        body: [
+          encoder.encode('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"del'),
+          encoder.encode('ta":{"content":"lo"}}]}\n\ndata: [DONE]\n\n'),
+        ],
+      });
+      const model = new OpenAICompatibleChatModel(options);
+
+      const chunks = [];
+      for await (const chunk of await model.stream([new HumanMessage('Hello')])) {
+        chunks.push(chunk.content);
+      }
+
+      expect(chunks).toEqual(['Hel', 'lo']);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    });
+  });
+
+  describe('RulesChatModel', () => {
+    test('should answer classification tasks with intent JSON', async () => {
+      const model = new RulesChatModel();
+
+      const reply = await model.invoke([new HumanMessage('prompt')], {
+        task: { name: 'identifyIntent', userInput: 'Hello there' },
+      });
+
+      const classification = JSON.parse(reply.content);
+      expect(classification).toMatchObject({ intent: 'greeting', entities: {} });
+      expect(classification.confidence).toBeGreaterThan(0.5);
+      expect(classification.confidence).toBeLessThanOrEqual(1);
+    });
+
+    test('should answer response tasks with a canned reply', async () => {
+      const model = new RulesChatModel();
+
+      const reply = await model.invoke([new HumanMessage('prompt')], {
+        task: { name: 'generateResponse', userInput: 'bye', intent: 'goodbye' },
+      });
+
+      expect(reply.content).toBe('Goodbye! Have a great day.');
+    });
+  });
+});
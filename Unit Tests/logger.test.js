@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for Logger Module
+ *
+ * Tests the JSON line format, level filtering, bound fields and error
+ * serialization.
+ */
+
+const { Logger, createLogger } = require('../Working/logger');
+
+/**
+ * Creates a logger collecting its entries
+ */
+function createCapturingLogger(options = {}) {
+  const entries = [];
+  const logger = new Logger({ ...options, stream: { write: line => entries.push(line) } });
+  return { logger, entries };
+}
+
+describe('Logger Module', () => {
+  test('should write one JSON object per line with the bound and given fields', () => {
+    const { logger, entries } = createCapturingLogger({ bindings: { service: 'api' } });
+
+    logger.child({ requestId: 'req-1' }).info('Intent classified', { intent: 'greeting', confidence: 0.9, skipped: undefined });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].endsWith('\n')).toBe(true);
+    expect(JSON.parse(entries[0])).toEqual({
+      time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      level: 'info',
+      msg: 'Intent classified',
+      service: 'api',
+      requestId: 'req-1',
+      intent: 'greeting',
+      confidence: 0.9,
+    });
+  });
+
+  test('should drop entries below the level', () => {
+    const { logger, entries } = createCapturingLogger({ level: 'warn' });
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+
+    expect(entries.map(line => JSON.parse(line).level)).toEqual(['warn', 'error']);
+    expect(logger.isLevelEnabled('info')).toBe(false);
+  });
+
+  test('should write nothing when silent', () => {
+    const { logger, entries } = createCapturingLogger({ level: 'silent' });
+
+    logger.error('error');
+
+    expect(entries).toEqual([]);
+  });
+
+  test('should serialize errors', () => {
+    const { logger, entries } = createCapturingLogger();
+    const error = Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+
+    logger.error('Write failed', { error });
+
+    expect(JSON.parse(entries[0]).error).toEqual({
+      name: 'Error',
+      message: 'disk full',
+      code: 'ENOSPC',
+      stack: expect.stringContaining('disk full'),
+    });
+  });
+
+  test('should reject unknown levels', () => {
+    expect(() => new Logger({ level: 'verbose' })).toThrow('Invalid log level "verbose"');
+    expect(createLogger({ level: 'debug' }).level).toBe('debug');
+    expect(createLogger().level).toBe('info');
+  });
+});
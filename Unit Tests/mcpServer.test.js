@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for the MCP Server
+ *
+ * Drives the tools and the taxonomy resource through an in-process MCP
+ * client, using a scripted model instead of a live Ollama server.
+ */
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+
+const { createMcpServer, MAX_BATCH_MESSAGES, TAXONOMY_URI } = require('../Working/mcpServer');
+const { IntentAgent } = require('../Working/intentAgent');
+const { ScriptedChatModel } = require('../Working/modelFixtures');
+const { InMemoryConversationStore } = require('../Working/conversationStore');
+
+/**
+ * Scripted replies keyed on the calling task
+ */
+function reply(messages, task) {
+  if (task.name === 'identifyIntent') {
+    if (/explode/.test(task.userInput)) {
+      throw new Error('model down');
+    }
+    const intent = /hello/i.test(task.userInput) ? 'greeting' : 'command';
+    return JSON.stringify({ intent, confidence: 0.9, entities: {} });
+  }
+  return `Reply to ${task.intent}`;
+}
+
+/**
+ * Parses the JSON text of a tool result
+ */
+function parseResult(result) {
+  return JSON.parse(result.content[0].text);
+}
+
+describe('MCP Server', () => {
+  let agent;
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    agent = new IntentAgent({
+      model: new ScriptedChatModel({ respond: reply }),
+      modelInfo: { provider: 'scripted', model: 'test-model' },
+      conversationStore: new InMemoryConversationStore(),
+      resultCache: null,
+    });
+    server = createMcpServer({ agent });
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  test('should list the tools', async () => {
+    const { tools } = await client.listTools();
+
+    expect(tools.map(tool => tool.name).sort()).toEqual(['classify_batch', 'classify_intent', 'list_intent_categories']);
+    expect(tools.find(tool => tool.name === 'classify_intent').inputSchema.required).toEqual(['text']);
+  });
+
+  describe('classify_intent', () => {
+    test('should classify a message without a response by default', async () => {
+      const result = await client.callTool({ name: 'classify_intent', arguments: { text: 'hello there' } });
+
+      expect(result.isError).toBeFalsy();
+      expect(parseResult(result)).toMatchObject({ intent: 'greeting', confidence: 0.9, response: '' });
+    });
+
+    test('should generate a response and keep the session when asked', async () => {
+      const args = { text: 'book a table', classifyOnly: false, sessionId: 'mcp-session' };
+      const result = await client.callTool({ name: 'classify_intent', arguments: args });
+
+      expect(parseResult(result)).toMatchObject({ intent: 'command', response: 'Reply to command', sessionId: 'mcp-session' });
+      expect(await agent.conversationStore.getHistory('mcp-session')).toHaveLength(1);
+    });
+
+    test('should reject invalid arguments', async () => {
+      const result = await client.callTool({ name: 'classify_intent', arguments: { text: '' } });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toMatch(/validation/i);
+    });
+  });
+
+  describe('classify_batch', () => {
+    test('should classify messages in order and record failures', async () => {
+      const result = await client.callTool({
+        name: 'classify_batch',
+        arguments: { messages: ['hello', 'book it', 'explode'] },
+      });
+      const { results, count } = parseResult(result);
+
+      expect(count).toBe(3);
+      expect(results.map(item => [item.index, item.text, item.intent])).toEqual([
+        [0, 'hello', 'greeting'],
+        [1, 'book it', 'command'],
+        [2, 'explode', expect.any(String)],
+      ]);
+      expect(results[0].error).toBeNull();
+    });
+
+    test('should limit the batch size', async () => {
+      const messages = Array.from({ length: MAX_BATCH_MESSAGES + 1 }, () => 'hello');
+      const result = await client.callTool({ name: 'classify_batch', arguments: { messages } });
+
+      expect(result.isError).toBe(true);
+    });
+  });
+
+  test('should list the intent categories', async () => {
+    const { categories, count } = parseResult(await client.callTool({ name: 'list_intent_categories', arguments: {} }));
+
+    expect(count).toBe(agent.config.intentCategories.length);
+    expect(categories.map(category => category.name)).toEqual(agent.config.intentCategories);
+    expect(categories.find(category => category.name === 'command').slots).toEqual(
+      expect.arrayContaining([expect.objectContaining({ name: 'action', required: true })])
+    );
+  });
+
+  test('should expose the taxonomy as a resource', async () => {
+    const { resources } = await client.listResources();
+    expect(resources).toEqual([expect.objectContaining({ uri: TAXONOMY_URI, mimeType: 'application/json' })]);
+
+    const { contents } = await client.readResource({ uri: TAXONOMY_URI });
+    expect(JSON.parse(contents[0].text)).toEqual(agent.config.taxonomy);
+  });
+});
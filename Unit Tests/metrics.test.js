@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Metrics Module
+ *
+ * Tests the Prometheus text format, histogram buckets, label checks,
+ * scrape-time collection and the metrics of the service.
+ */
+
+const {
+  IntentMetrics,
+  MetricsRegistry,
+  Counter,
+  createMetrics,
+} = require('../Working/metrics');
+
+describe('Metrics Module', () => {
+  test('should render counters and gauges with escaped labels', () => {
+    const registry = new MetricsRegistry();
+    const requests = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['route', 'status'] });
+    const depth = registry.gauge({ name: 'queue_depth', help: 'Queued\ncalls' });
+
+    requests.inc({ status: 200, route: '/a' });
+    requests.inc({ route: '/a', status: '200' }, 2);
+    requests.inc({ route: 'say "hi"\\', status: '500' });
+    depth.set({}, 3);
+
+    expect(registry.render()).toBe([
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{route="/a",status="200"} 3',
+      'requests_total{route="say \\"hi\\"\\\\",status="500"} 1',
+      '# HELP queue_depth Queued\\ncalls',
+      '# TYPE queue_depth gauge',
+      'queue_depth 3',
+      '',
+    ].join('\n'));
+  });
+
+  test('should render cumulative histogram buckets, sum and count', () => {
+    const registry = new MetricsRegistry();
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['node'], buckets: [0.1, 1] });
+
+    latency.observe({ node: 'a' }, 0.05);
+    latency.observe({ node: 'a' }, 0.5);
+    latency.observe({ node: 'a' }, 2);
+
+    expect(registry.render().split('\n').slice(2, 7)).toEqual([
+      'latency_seconds_bucket{node="a",le="0.1"} 1',
+      'latency_seconds_bucket{node="a",le="1"} 2',
+      'latency_seconds_bucket{node="a",le="+Inf"} 3',
+      'latency_seconds_sum{node="a"} 2.55',
+      'latency_seconds_count{node="a"} 3',
+    ]);
+  });
+
+  test('should reject invalid names, labels and values', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter({ name: 'calls_total', help: 'Calls', labelNames: ['task'] });
+
+    expect(() => counter.inc({})).toThrow('Metric calls_total expects the labels: task');
+    expect(() => counter.inc({ task: 'a', model: 'b' })).toThrow('expects the labels');
+    expect(() => counter.inc({ task: 'a' }, -1)).toThrow('Counter calls_total cannot decrease');
+    expect(() => registry.counter({ name: 'calls_total', help: 'Again' })).toThrow('already registered');
+    expect(() => new Counter({ name: 'bad-name', help: '' })).toThrow('Invalid metric name "bad-name"');
+    expect(() => new Counter({ name: 'ok', help: '', labelNames: ['le'] })).toThrow('Invalid label name "le"');
+    expect(() => registry.histogram({ name: 'h', help: '', buckets: [1, 0.5] })).toThrow('must be ascending');
+  });
+
+  test('should collect values when rendered', () => {
+    const metrics = new IntentMetrics();
+    const stats = { queued: 2, active: 1 };
+    metrics.trackScheduler({ stats: () => stats });
+
+    expect(metrics.render()).toContain('intent_model_queue_depth 2\n');
+    stats.queued = 0;
+    expect(metrics.render()).toContain('intent_model_queue_depth 0\n');
+    expect(metrics.render()).toContain('intent_model_calls_active 1\n');
+  });
+
+  test('should only create metrics when enabled', () => {
+    expect(createMetrics({ enabled: false })).toBeNull();
+    expect(createMetrics(undefined)).toBeNull();
+
+    const metrics = createMetrics({ enabled: true, latencyBuckets: [1, 5] });
+    expect(metrics).toBeInstanceOf(IntentMetrics);
+    expect(metrics.nodeDuration.buckets).toEqual([1, 5]);
+    expect(metrics.confidence.buckets).toContain(0.95);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Model Fixtures Module
+ *
+ * Tests the scripted model and the record/replay layer, including full
+ * pipeline runs of the IntentAgent without a model server.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HumanMessage } = require('@langchain/core/messages');
+
+const {
+  ScriptedChatModel,
+  RecordingChatModel,
+  ReplayChatModel,
+  fixtureKey,
+} = require('../Working/modelFixtures');
+const { createChatModel } = require('../Working/llmProviders');
+const { IntentAgent } = require('../Working/intentAgent');
+
+/**
+ * Replies like a well-behaved model for each pipeline task
+ */
+function pipelineReply(messages, task) {
+  if (task && task.name === 'identifyIntent') {
+    return '{"intent": "command", "confidence": 0.88, "entities": {"action": "schedule a call", "datetime": "Friday"}}';
+  }
+  return 'I have scheduled the call for Friday.';
+}
+
+describe('Model Fixtures Module', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('ScriptedChatModel', () => {
+    test('should return scripted replies in order and record calls', async () => {
+      const model = new ScriptedChatModel({ responses: ['first', 'second'] });
+
+      await expect(model.invoke([new HumanMessage('a')])).resolves.toHaveProperty('content', 'first');
+      await expect(model.invoke([new HumanMessage('b')], { task: { name: 'x' } })).resolves.toHaveProperty('content', 'second');
+      expect(model.calls[1]).toEqual({ messages: [{ role: 'human', content: 'b' }], task: { name: 'x' } });
+    });
+
+    test('should throw scripted errors', async () => {
+      const model = new ScriptedChatModel({ responses: [new Error('model crashed')] });
+
+      await expect(model.invoke([new HumanMessage('a')])).rejects.toThrow('model crashed');
+    });
+
+    test('should fall back to the respond function and fail when nothing is left', async () => {
+      const withRespond = new ScriptedChatModel({ respond: (messages, task) => `task ${task.name}` });
+      const empty = new ScriptedChatModel();
+
+      await expect(withRespond.invoke([new HumanMessage('a')], { task: { name: 'identifyIntent' } }))
+        .resolves.toHaveProperty('content', 'task identifyIntent');
+      await expect(empty.invoke([new HumanMessage('a')])).rejects.toThrow('no replies left');
+    });
+  });
+
+  describe('record and replay', () => {
+    test('fixtureKey should depend on roles and contents', () => {
+      expect(fixtureKey([new HumanMessage('a')])).toBe(fixtureKey([new HumanMessage('a')]));
+      expect(fixtureKey([new HumanMessage('a')])).not.toBe(fixtureKey([new HumanMessage('b')]));
+    });
+
+    test('should replay recorded exchanges', async () => {
+      const fixtureFile = path.join(directory, 'nested', 'exchanges.json');
+      const recorder = new RecordingChatModel({
+        model: new ScriptedChatModel({ responses: ['recorded reply'] }),
+        fixtureFile,
+      });
+
+      await recorder.invoke([new HumanMessage('hello')], { task: { name: 'generateResponse' } });
+      const replay = new ReplayChatModel({ fixtureFile });
+
+      await expect(replay.invoke([new HumanMessage('hello')])).resolves.toHaveProperty('content', 'recorded reply');
+      expect(JSON.parse(fs.readFileSync(fixtureFile, 'utf8')).exchanges[0].task).toBe('generateResponse');
+    });
+
+    test('should fail clearly on unrecorded prompts', async () => {
+      const fixtureFile = path.join(directory, 'empty.json');
+      fs.writeFileSync(fixtureFile, JSON.stringify({ version: 1, exchanges: [] }));
+      const replay = new ReplayChatModel({ fixtureFile });
+
+      await expect(replay.invoke([new HumanMessage('hello')])).rejects.toThrow('Re-record the fixture');
+    });
+
+    test('should reject unsupported fixture files', () => {
+      const fixtureFile = path.join(directory, 'old.json');
+      fs.writeFileSync(fixtureFile, JSON.stringify({ exchanges: {} }));
+
+      expect(() => new ReplayChatModel({ fixtureFile })).toThrow('Unsupported fixture file');
+    });
+
+    test('createChatModel should support the replay provider and recording', () => {
+      const fixtureFile = path.join(directory, 'exchanges.json');
+      fs.writeFileSync(fixtureFile, JSON.stringify({ version: 1, exchanges: [] }));
+
+      const replay = createChatModel({ provider: 'replay', fixtureFile });
+      const recording = createChatModel({ provider: 'rules', recordFile: path.join(directory, 'rec.json') });
+
+      expect(replay.model).toBeInstanceOf(ReplayChatModel);
+      expect(recording.model).toBeInstanceOf(RecordingChatModel);
+    });
+  });
+
+  describe('full pipeline without a model server', () => {
+    test('should classify and respond with an injected scripted model', async () => {
+      const model = new ScriptedChatModel({ respond: pipelineReply });
+      const agent = new IntentAgent({ model, modelInfo: { provider: 'scripted', model: 'test' } });
+
+      const result = await agent.processMessage('thanks! also can you schedule a call for Friday?', {
+        referenceTime: '2026-10-19T09:00:00Z',
+      });
+
+      expect(result).toMatchObject({
+        intent: 'command',
+        confidence: 0.88,
+        entities: {
+          action: { type: 'text', text: 'schedule a call', value: 'schedule a call', start: 21, end: 36 },
+          datetime: { type: 'datetime', text: 'Friday', value: '2026-10-23', start: 41, end: 47 },
+        },
+        missingSlots: [],
+        response: 'I have scheduled the call for Friday.',
+        metadata: { provider: 'scripted', model: 'test' },
+      });
+      expect(model.calls.map(call => call.task.name)).toEqual(['identifyIntent', 'generateResponse']);
+    });
+
+    test('should exercise the JSON repair path', async () => {
+      const model = new ScriptedChatModel({
+        responses: ['The intent is command.', '{"intent": "command", "confidence": 0.7}', 'Done.'],
+      });
+      const agent = new IntentAgent({ model });
+
+      const result = await agent.processMessage('book a table');
+
+      expect(result.parseStatus.status).toBe('repaired');
+      expect(result.response).toBe('Done.');
+    });
+
+    test('should give identical results when replaying a recorded run', async () => {
+      const fixtureFile = path.join(directory, 'pipeline.json');
+      const recorder = new RecordingChatModel({
+        model: new ScriptedChatModel({ respond: pipelineReply }),
+        fixtureFile,
+      });
+
+      const recorded = await new IntentAgent({ model: recorder }).processMessage('schedule a call for Friday');
+      const replayed = await new IntentAgent({ model: new ReplayChatModel({ fixtureFile }) })
+        .processMessage('schedule a call for Friday');
+
+      expect(replayed.intent).toBe(recorded.intent);
+      expect(replayed.entities).toEqual(recorded.entities);
+      expect(replayed.response).toBe(recorded.response);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for PII Redaction Module
+ *
+ * Tests the detectors and their checksums, placeholder numbering, custom
+ * patterns and restoring the original values.
+ */
+
+const {
+  PiiRedactor,
+  createPiiRedactor,
+  restorePii,
+  passesLuhn,
+  passesIbanChecksum,
+} = require('../Working/piiRedaction');
+
+describe('PII Redaction Module', () => {
+  const redactor = new PiiRedactor();
+
+  test('should replace each kind of PII with a typed placeholder', () => {
+    const { text, replacements } = redactor.redact(
+      'Mail jane.doe@example.com or call +1 (555) 123-4567. Card 4111 1111 1111 1111, '
+      + 'IBAN GB82 WEST 1234 5698 7654 32, from 192.168.1.20 and 2001:db8::1'
+    );
+
+    expect(text).toBe('Mail [EMAIL_1] or call [PHONE_1]. Card [CARD_1], IBAN [IBAN_1], from [IP_1] and [IP_2]');
+    expect(replacements).toEqual([
+      { placeholder: '[EMAIL_1]', type: 'email', value: 'jane.doe@example.com' },
+      { placeholder: '[IBAN_1]', type: 'iban', value: 'GB82 WEST 1234 5698 7654 32' },
+      { placeholder: '[CARD_1]', type: 'credit_card', value: '4111 1111 1111 1111' },
+      { placeholder: '[IP_1]', type: 'ip_address', value: '192.168.1.20' },
+      { placeholder: '[IP_2]', type: 'ip_address', value: '2001:db8::1' },
+      { placeholder: '[PHONE_1]', type: 'phone', value: '+1 (555) 123-4567' },
+    ]);
+  });
+
+  test('should reuse the placeholder of a repeated value', () => {
+    expect(redactor.redact('a@x.io, b@x.io and a@x.io again').text).toBe('[EMAIL_1], [EMAIL_2] and [EMAIL_1] again');
+  });
+
+  test('should leave numbers that fail their checks alone', () => {
+    const text = 'Order 4111 1111 1111 1112 for 2 people at 7pm on 2026-10-20, version 1.2.3.4.5, '
+      + 'account DE00 3704 0044 0532 0130 00, paid 1,250.00 at 10:30:15';
+
+    expect(redactor.redact(text)).toEqual({ text, replacements: [] });
+  });
+
+  test('should not mistake date-times, ranges or ticket numbers for phone numbers', () => {
+    for (const text of [
+      'book it for 2026-10-19 15:00',
+      'book it for 19.10.2026 15:00 please',
+      'budget 1000 - 2000 dollars',
+      'budget 1000-2000 dollars',
+      'ticket #1234 5678',
+      'ticket 1234 5678',
+    ]) {
+      expect(redactor.redact(text)).toEqual({ text, replacements: [] });
+    }
+  });
+
+  test('should find phone numbers in their usual groupings', () => {
+    const { replacements } = redactor.redact(
+      'Call 555-123-4567, (030) 1234 5678, 0151 23456789, +44 20 7946 0958 or 5551234567'
+    );
+
+    expect(replacements.map(({ value }) => value)).toEqual([
+      '555-123-4567', '030) 1234 5678', '0151 23456789', '+44 20 7946 0958', '5551234567',
+    ]);
+  });
+
+  test('should find PII disguised with fullwidth digits or invisible characters', () => {
+    const fullwidth = '４１１１ １１１１ １１１１ １１１１';
+    const { text, replacements } = redactor.redact(`Card ${fullwidth}, mail jane\u200B.doe@exam\u2060ple.com, call ＋1 555 123 4567`);
+
+    expect(text).toBe('Card [CARD_1], mail [EMAIL_1], call [PHONE_1]');
+    expect(replacements.map(({ value }) => value)).toEqual(['jane.doe@example.com', '4111 1111 1111 1111', '+1 555 123 4567']);
+  });
+
+  test('should validate card numbers and IBANs', () => {
+    expect(passesLuhn('4111111111111111')).toBe(true);
+    expect(passesLuhn('4111111111111112')).toBe(false);
+    expect(passesIbanChecksum('DE89370400440532013000')).toBe(true);
+    expect(passesIbanChecksum('DE89370400440532013001')).toBe(false);
+  });
+
+  test('should run custom patterns before the built-in detectors', () => {
+    const custom = new PiiRedactor({
+      types: ['email'],
+      customPatterns: [{ type: 'order_id', pattern: 'ORD-\\d{6}' }, { type: 'employee_id', pattern: /emp\d+/i }],
+    });
+
+    expect(custom.redact('ORD-123456 for EMP42 (emp@corp.io), call 555-123-4567').text)
+      .toBe('[ORDER_ID_1] for [EMPLOYEE_ID_1] ([EMAIL_1]), call 555-123-4567');
+  });
+
+  test('should reject unknown types and invalid custom types', () => {
+    expect(() => new PiiRedactor({ types: ['ssn'] })).toThrow('Unknown PII types: ssn');
+    expect(() => new PiiRedactor({ customPatterns: [{ type: 'Order ID', pattern: 'x' }] })).toThrow('must be lowercase');
+  });
+
+  test('should restore the original values in nested values', () => {
+    const { replacements } = redactor.redact('jane@example.com, +44 20 7946 0958');
+
+    expect(restorePii({ person: { type: 'person', text: '[EMAIL_1]' }, list: ['call [PHONE_1]', 3] }, replacements)).toEqual({
+      person: { type: 'person', text: 'jane@example.com' },
+      list: ['call +44 20 7946 0958', 3],
+    });
+  });
+
+  test('should only create a redactor when enabled', () => {
+    expect(createPiiRedactor({ enabled: false })).toBeNull();
+    expect(createPiiRedactor({ enabled: true, types: ['email'], customPatterns: [] })).toBeInstanceOf(PiiRedactor);
+  });
+});
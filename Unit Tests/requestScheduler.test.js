@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for Request Scheduler Module
+ *
+ * Tests the concurrency limit, the bounded queue and its refusals,
+ * cancellation and the load figures.
+ */
+
+const {
+  RequestScheduler,
+  QueueFullError,
+  QueueTimeoutError,
+} = require('../Working/requestScheduler');
+
+/**
+ * Creates a task that runs until release() is called
+ */
+function createBlockingTask() {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { task: () => done, release: value => release(value) };
+}
+
+describe('Request Scheduler Module', () => {
+  test('should run at most maxConcurrent tasks at once, in arrival order', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 2 });
+    const started = [];
+    let running = 0;
+    let peak = 0;
+
+    await Promise.all([1, 2, 3, 4, 5].map(id => scheduler.run(async () => {
+      started.push(id);
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    })));
+
+    expect(peak).toBe(2);
+    expect(started).toEqual([1, 2, 3, 4, 5]);
+    expect(scheduler.stats()).toMatchObject({ active: 0, queued: 0, completed: 5 });
+  });
+
+  test('should refuse tasks with 429 when the queue is full', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, maxQueue: 1 });
+    const blocker = createBlockingTask();
+    const running = scheduler.run(blocker.task);
+    const queued = scheduler.run(async () => 'queued');
+
+    const refused = scheduler.run(async () => 'refused');
+
+    await expect(refused).rejects.toBeInstanceOf(QueueFullError);
+    await expect(refused).rejects.toMatchObject({ status: 429, retryAfter: expect.any(Number) });
+    blocker.release('done');
+    await expect(running).resolves.toBe('done');
+    await expect(queued).resolves.toBe('queued');
+    expect(scheduler.stats().rejected).toBe(1);
+  });
+
+  test('should give up with 503 after waiting queueTimeoutMs', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, queueTimeoutMs: 10 });
+    const blocker = createBlockingTask();
+    scheduler.run(blocker.task);
+
+    await expect(scheduler.run(async () => 'late')).rejects.toBeInstanceOf(QueueTimeoutError);
+
+    expect(scheduler.stats()).toMatchObject({ queued: 0, timedOut: 1 });
+    blocker.release();
+  });
+
+  test('should leave the queue when the signal aborts', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+    const blocker = createBlockingTask();
+    scheduler.run(blocker.task);
+    const controller = new AbortController();
+    const task = jest.fn();
+
+    const waiting = scheduler.run(task, { signal: controller.signal });
+    controller.abort(new Error('Client disconnected'));
+
+    await expect(waiting).rejects.toThrow('Client disconnected');
+    blocker.release();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(task).not.toHaveBeenCalled();
+    expect(scheduler.stats()).toMatchObject({ active: 0, queued: 0, cancelled: 1 });
+  });
+
+  test('should pass the signal to the task and free the slot when it fails', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+    const controller = new AbortController();
+
+    await expect(scheduler.run(async (signal) => {
+      expect(signal).toBe(controller.signal);
+      throw new Error('model down');
+    }, { signal: controller.signal })).rejects.toThrow('model down');
+
+    expect(scheduler.stats()).toMatchObject({ active: 0, failed: 1 });
+  });
+
+  test('should report queue depth and wait times', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+    const blocker = createBlockingTask();
+    const first = scheduler.run(blocker.task);
+    const second = scheduler.run(async () => {});
+
+    expect(scheduler.stats()).toMatchObject({ maxConcurrent: 1, active: 1, queued: 1 });
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    blocker.release();
+    await Promise.all([first, second]);
+
+    expect(scheduler.stats().maxWaitMs).toBeGreaterThanOrEqual(5);
+    expect(scheduler.stats().averageRunMs).toBeGreaterThanOrEqual(0);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for Result Cache Module
+ *
+ * Tests cache keys, LRU eviction, expiry, pruning by configuration version
+ * and the file-backed store.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  InMemoryResultCache,
+  FileResultCache,
+  createResultCache,
+  createCacheKey,
+  normalizeMessage,
+  hashFile,
+} = require('../Working/resultCache');
+
+const meta = { version: 'v1', text: 'hello' };
+
+describe('Result Cache Module', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('cache keys', () => {
+    test('should normalize case, whitespace and compatibility forms', () => {
+      expect(normalizeMessage('  Ｈello\n  THERE ')).toBe('hello there');
+    });
+
+    test('should share keys between equivalent messages', () => {
+      expect(createCacheKey({ text: 'Hello  there', version: 'v1' }))
+        .toBe(createCacheKey({ text: 'hello there', version: 'v1' }));
+    });
+
+    test('should separate versions and options', () => {
+      const key = createCacheKey({ text: 'hello', version: 'v1', options: { classifyOnly: false } });
+
+      expect(createCacheKey({ text: 'hello', version: 'v2', options: { classifyOnly: false } })).not.toBe(key);
+      expect(createCacheKey({ text: 'hello', version: 'v1', options: { classifyOnly: true } })).not.toBe(key);
+    });
+  });
+
+  describe('InMemoryResultCache', () => {
+    test('should store and return results', async () => {
+      const cache = new InMemoryResultCache();
+
+      await cache.set('a', { intent: 'greeting' }, meta);
+
+      expect(await cache.get('a')).toEqual({ intent: 'greeting' });
+      expect(await cache.get('b')).toBeNull();
+      expect(await cache.stats()).toMatchObject({ store: 'memory', entries: 1, hits: 1, misses: 1 });
+    });
+
+    test('should evict the least recently used entry', async () => {
+      const cache = new InMemoryResultCache({ maxEntries: 2 });
+      await cache.set('a', 1, meta);
+      await cache.set('b', 2, meta);
+
+      await cache.get('a');
+      await cache.set('c', 3, meta);
+
+      expect(await cache.get('b')).toBeNull();
+      expect(await cache.get('a')).toBe(1);
+      expect((await cache.list()).map(entry => entry.key)).toEqual(['a', 'c']);
+    });
+
+    test('should expire entries after the time to live', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T09:00:00Z') });
+      const cache = new InMemoryResultCache({ ttlMs: 1000 });
+      await cache.set('a', 1, meta);
+
+      jest.setSystemTime(new Date('2026-10-19T09:00:01Z'));
+
+      expect(await cache.get('a')).toBeNull();
+    });
+
+    test('should prune entries of other versions', async () => {
+      const cache = new InMemoryResultCache();
+      await cache.set('a', 1, { version: 'v1', text: 'a' });
+      await cache.set('b', 2, { version: 'v2', text: 'b' });
+
+      expect(await cache.prune('v2')).toBe(1);
+      expect(await cache.get('b')).toBe(2);
+    });
+
+    test('should purge every entry', async () => {
+      const cache = new InMemoryResultCache();
+      await cache.set('a', 1, meta);
+
+      expect(await cache.purge()).toBe(1);
+      expect((await cache.stats()).entries).toBe(0);
+    });
+  });
+
+  describe('FileResultCache', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should persist results across instances', async () => {
+      const key = createCacheKey({ text: 'hello', version: 'v1' });
+      await new FileResultCache({ directory }).set(key, { intent: 'greeting' }, meta);
+
+      const cache = new FileResultCache({ directory });
+
+      expect(await cache.get(key)).toEqual({ intent: 'greeting' });
+      expect(await cache.list()).toEqual([expect.objectContaining({ key, text: 'hello', intent: 'greeting' })]);
+    });
+
+    test('should reject keys that are not digests', async () => {
+      await expect(new FileResultCache({ directory }).get('../secrets')).rejects.toThrow('Invalid cache key');
+    });
+
+    test('should prune and purge entry files', async () => {
+      const cache = new FileResultCache({ directory });
+      await cache.set(createCacheKey({ text: 'a', version: 'v1' }), 1, { version: 'v1', text: 'a' });
+      await cache.set(createCacheKey({ text: 'b', version: 'v2' }), 2, { version: 'v2', text: 'b' });
+
+      expect(await cache.prune('v2')).toBe(1);
+      expect(await cache.purge()).toBe(1);
+      expect(fs.readdirSync(directory)).toEqual([]);
+    });
+
+    test('should sweep expired and then the oldest entries when full', async () => {
+      jest.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z') });
+      const cache = new FileResultCache({ directory, maxEntries: 3, ttlMs: 1000 });
+      const store = text => cache.set(createCacheKey({ text, version: 'v1' }), text, { version: 'v1', text });
+
+      await store('a');
+      jest.advanceTimersByTime(2000);
+      for (const text of ['b', 'c', 'd']) {
+        await store(text);
+        jest.advanceTimersByTime(10);
+      }
+
+      // 'a' expired and 'b' is the oldest, leaving 90% of three entries
+      expect((await cache.list()).map(entry => entry.text)).toEqual(['d', 'c']);
+
+      await store('e');
+      jest.advanceTimersByTime(10);
+      await store('f');
+
+      expect((await cache.list()).map(entry => entry.text)).toEqual(['f', 'e']);
+      expect(await cache.stats()).toMatchObject({ entries: 2, maxEntries: 3 });
+    });
+
+    test('should not read every entry again on the writes after a sweep', async () => {
+      const cache = new FileResultCache({ directory, maxEntries: 10 });
+      for (let index = 0; index <= 10; index++) {
+        await cache.set(createCacheKey({ text: `m${index}`, version: 'v1' }), index, { version: 'v1', text: `m${index}` });
+      }
+      const readFile = jest.spyOn(fs.promises, 'readFile');
+
+      try {
+        await cache.set(createCacheKey({ text: 'next', version: 'v1' }), 11, { version: 'v1', text: 'next' });
+
+        expect(readFile).not.toHaveBeenCalled();
+        expect((await cache.stats()).entries).toBe(10);
+      } finally {
+        readFile.mockRestore();
+      }
+    });
+
+    test('should treat a missing directory as empty', async () => {
+      const cache = new FileResultCache({ directory: path.join(directory, 'missing') });
+
+      expect(await cache.stats()).toMatchObject({ store: 'file', entries: 0 });
+    });
+  });
+
+  test('should hash file contents', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-hash-'));
+    const filePath = path.join(directory, 'model.json');
+
+    try {
+      fs.writeFileSync(filePath, '{"version":1}');
+      const before = hashFile(filePath);
+      fs.writeFileSync(filePath, '{"version":2}');
+
+      expect(hashFile(filePath)).toMatch(/^[a-f0-9]{64}$/);
+      expect(hashFile(filePath)).not.toBe(before);
+      expect(hashFile(path.join(directory, 'missing.json'))).toBeNull();
+      expect(hashFile(undefined)).toBeNull();
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should create the configured store', () => {
+    expect(createResultCache({ store: 'memory' })).toBeInstanceOf(InMemoryResultCache);
+    expect(createResultCache({ store: 'file', directory: os.tmpdir() })).toBeInstanceOf(FileResultCache);
+    expect(() => createResultCache({ store: 'redis' })).toThrow('Unsupported result cache: redis');
+  });
+});
@@ -0,0 +1,777 @@
+/**
+ * Unit Tests for the Backend Server
+ *
+ * Drives the HTTP routes end-to-end through the IntentAgent, using a
+ * scripted model instead of a live Ollama server.
+ */
+
+const request = require('supertest');
+
+const { createApp } = require('../Frontend/server');
+const { IntentAgent } = require('../Working/intentAgent');
+const { ScriptedChatModel } = require('../Working/modelFixtures');
+const { InMemoryConversationStore } = require('../Working/conversationStore');
+const { Logger } = require('../Working/logger');
+
+/**
+ * Scripted replies keyed on the calling task
+ */
+function reply(messages, task) {
+  if (task.name === 'identifyIntent') {
+    const intent = /hello/i.test(task.userInput) ? 'greeting' : 'command';
+    return JSON.stringify({ intent, confidence: 0.9, entities: {} });
+  }
+  return `Reply to ${task.intent}`;
+}
+
+/**
+ * API key checks turned off, for the routes under test
+ */
+const openAuth = { mode: 'off' };
+
+/**
+ * Creates a logger collecting its entries
+ */
+function createCapturingLogger() {
+  const entries = [];
+  const logger = new Logger({ level: 'debug', stream: { write: line => entries.push(JSON.parse(line)) } });
+  return { logger, entries };
+}
+
+/**
+ * Parses a Server-Sent Events body into { event, data } pairs
+ */
+function parseEvents(text) {
+  return text.trim().split('\n\n').map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+describe('Backend Server', () => {
+  let agent;
+  let app;
+
+  beforeEach(() => {
+    agent = new IntentAgent({
+      model: new ScriptedChatModel({ respond: reply }),
+      modelInfo: { provider: 'scripted', model: 'test-model' },
+      conversationStore: new InMemoryConversationStore(),
+    });
+    app = createApp({ agent, auth: openAuth });
+  });
+
+  describe('GET /api/health', () => {
+    test('should report status and model', async () => {
+      const response = await request(app).get('/api/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        status: 'ok',
+        agentStatus: 'ready',
+        model: { provider: 'scripted', model: 'test-model' },
+      });
+    });
+  });
+
+  describe('POST /api/classify', () => {
+    test('should classify a message and report metadata', async () => {
+      const response = await request(app).post('/api/classify').send({ message: 'Hello there' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        intent: 'greeting',
+        confidence: 0.9,
+        response: 'Hello! How can I help you today?',
+        parseStatus: { status: 'parsed' },
+        metadata: { provider: 'scripted', model: 'test-model', route: 'handler' },
+      });
+      expect(response.body.metadata.processingTime).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should keep conversation history for a session', async () => {
+      await request(app).post('/api/classify').send({ message: 'I need a dentist appointment', sessionId: 'abc' });
+      await request(app).post('/api/classify').send({ message: 'book it for 3pm', sessionId: 'abc' });
+
+      const history = await agent.conversationStore.getHistory('abc');
+      expect(history.map(turn => turn.userInput)).toEqual(['I need a dentist appointment', 'book it for 3pm']);
+    });
+
+    test('should reject empty and oversized messages', async () => {
+      const empty = await request(app).post('/api/classify').send({ message: '   ' });
+      const tooLong = await request(app).post('/api/classify').send({ message: 'x'.repeat(1001) });
+
+      expect(empty.status).toBe(400);
+      expect(tooLong.status).toBe(400);
+      expect(tooLong.body.error).toBe('Message too long');
+    });
+
+    test('should reject invalid session ids', async () => {
+      const response = await request(app).post('/api/classify').send({ message: 'hi', sessionId: '../x' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid session');
+    });
+
+    test('should validate the reference time and timezone', async () => {
+      const badTime = await request(app).post('/api/classify').send({ message: 'hi', referenceTime: 'soon' });
+      const badZone = await request(app).post('/api/classify').send({ message: 'hi', timezone: 'Nowhere/City' });
+      const valid = await request(app)
+        .post('/api/classify')
+        .send({ message: 'hi', referenceTime: '2026-10-19T09:00:00Z', timezone: 'Europe/Berlin' });
+
+      expect(badTime.status).toBe(400);
+      expect(badZone.body.message).toContain('IANA timezone');
+      expect(valid.status).toBe(200);
+    });
+
+    test('should pass the multi-intent flag to the agent', async () => {
+      const response = await request(app).post('/api/classify').send({ message: 'hi. bye.', multiIntent: true });
+      const invalid = await request(app).post('/api/classify').send({ message: 'hi', multiIntent: 'yes' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.intents.length).toBeGreaterThan(0);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe('multiIntent must be a boolean');
+    });
+
+    test('should pass the dry-run flag to the agent', async () => {
+      const spy = jest.spyOn(agent, 'processMessage');
+      const response = await request(app).post('/api/classify').send({ message: 'book it', dryRun: true });
+      const invalid = await request(app).post('/api/classify').send({ message: 'book it', dryRun: 'yes' });
+
+      expect(response.status).toBe(200);
+      expect(spy).toHaveBeenCalledWith('book it', expect.objectContaining({ dryRun: true }));
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe('dryRun must be a boolean');
+    });
+
+    test('should support classify-only requests', async () => {
+      const response = await request(app).post('/api/classify').send({ message: 'book a table', classifyOnly: true });
+      const invalid = await request(app).post('/api/classify').send({ message: 'book a table', classifyOnly: 'yes' });
+
+      expect(response.body).toMatchObject({ intent: 'command', response: '', metadata: { route: 'classifyOnly' } });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should return 500 when the agent throws', async () => {
+      agent.processMessage = jest.fn().mockRejectedValue(new Error('boom'));
+
+      const response = await request(app).post('/api/classify').send({ message: 'hi' });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({ error: 'Processing failed', intent: 'unknown' });
+    });
+
+    test('should log messages with personal data redacted', async () => {
+      const { logger, entries } = createCapturingLogger();
+      app = createApp({ agent, auth: openAuth, logger });
+
+      await request(app).post('/api/classify').send({ message: 'Please call me at +1 555 123 4567' });
+      await request(app).post('/api/classify/stream').send({ message: 'Write to jane@example.com' });
+
+      expect(entries).toContainEqual(expect.objectContaining({ msg: 'Processing message', preview: 'Please call me at [PHONE_1]' }));
+      expect(entries).toContainEqual(expect.objectContaining({ msg: 'Streaming message', preview: 'Write to [EMAIL_1]' }));
+      expect(JSON.stringify(entries)).not.toMatch(/555 123|jane@/);
+    });
+  });
+
+  describe('/api/classify/stream', () => {
+    test('should stream the intent, the reply and the result over POST', async () => {
+      const response = await request(app).post('/api/classify/stream').send({ message: 'book a table' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch('text/event-stream');
+      const events = parseEvents(response.text);
+      expect(events.map(event => event.event)).toEqual(['intent', 'response', 'done']);
+      expect(events[0].data.intent).toBe('command');
+      expect(events[1].data.chunk).toBe('Reply to command');
+      expect(events[2].data.metadata).toMatchObject({ route: 'llm', provider: 'scripted' });
+      expect(events[2].data.metadata.processingTime).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should accept query parameters over GET', async () => {
+      const response = await request(app)
+        .get('/api/classify/stream')
+        .query({ message: 'book a table', classifyOnly: 'true' });
+
+      expect(parseEvents(response.text).map(event => event.event)).toEqual(['intent', 'done']);
+    });
+
+    test('should validate input before opening the stream', async () => {
+      const response = await request(app).get('/api/classify/stream').query({ message: 'hi', classifyOnly: 'maybe' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid input');
+    });
+
+    test('should send an error event when the agent fails', async () => {
+      agent.loadHistory = jest.fn().mockRejectedValue(new Error('store offline'));
+
+      const response = await request(app).post('/api/classify/stream').send({ message: 'hi', sessionId: 'abc' });
+
+      expect(parseEvents(response.text)).toEqual([
+        { event: 'error', data: { error: 'Processing failed', message: 'store offline' } },
+      ]);
+    });
+  });
+
+  describe('POST /api/classify-batch', () => {
+    test('should classify every message', async () => {
+      const response = await request(app)
+        .post('/api/classify-batch')
+        .send({ messages: ['Hello', 'book a table'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.results.map(result => result.intent)).toEqual(['greeting', 'command']);
+    });
+
+    test('should enforce the batch limits', async () => {
+      const empty = await request(app).post('/api/classify-batch').send({ messages: [] });
+      const tooMany = await request(app).post('/api/classify-batch').send({ messages: new Array(11).fill('hi') });
+
+      expect(empty.status).toBe(400);
+      expect(tooMany.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/categories', () => {
+    test('should return names and the taxonomy tree', async () => {
+      const response = await request(app).get('/api/categories');
+
+      expect(response.status).toBe(200);
+      expect(response.body.categories).toContain('greeting');
+      expect(response.body.count).toBe(response.body.categories.length);
+      expect(response.body.tree[0]).toHaveProperty('children');
+    });
+  });
+
+  describe('DELETE /api/sessions/:sessionId', () => {
+    test('should clear a session', async () => {
+      await request(app).post('/api/classify').send({ message: 'hello', sessionId: 'abc' });
+
+      const response = await request(app).delete('/api/sessions/abc');
+
+      expect(response.body).toEqual({ sessionId: 'abc', cleared: true });
+    });
+  });
+
+  describe('request scheduling', () => {
+    const { RequestScheduler, RequestTimeoutError } = require('../Working/requestScheduler');
+
+    let release;
+
+    beforeEach(() => {
+      agent = new IntentAgent({
+        model: new ScriptedChatModel({ respond: reply }),
+        scheduler: new RequestScheduler({ maxConcurrent: 1, maxQueue: 0 }),
+        resultCache: null,
+      });
+      app = createApp({ agent, auth: openAuth });
+
+      // Occupy the only model slot
+      agent.scheduler.run(() => new Promise(resolve => { release = resolve; }));
+    });
+
+    afterEach(() => {
+      release();
+    });
+
+    test('should report the scheduler load in the health check', async () => {
+      const response = await request(app).get('/api/health');
+
+      expect(response.body.scheduler).toMatchObject({ maxConcurrent: 1, active: 1, queued: 0 });
+    });
+
+    test('should refuse messages with 429 and Retry-After when the queue is full', async () => {
+      const response = await request(app).post('/api/classify').send({ message: 'Book a table' });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toMatch(/^\d+$/);
+      expect(response.body.error).toBe('Server busy');
+    });
+
+    test('should refuse streams before opening the event stream', async () => {
+      const response = await request(app).post('/api/classify/stream').send({ message: 'Book a table' });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['content-type']).toMatch(/json/);
+    });
+
+    test('should answer timed out requests with 504', async () => {
+      agent.processMessage = jest.fn().mockRejectedValue(new RequestTimeoutError(100));
+
+      const response = await request(app).post('/api/classify').send({ message: 'Book a table' });
+
+      expect(response.status).toBe(504);
+      expect(response.body).toEqual({ error: 'Request timed out', message: 'Request timed out after 100ms' });
+    });
+  });
+
+  describe('/api/jobs', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { BatchJobManager } = require('../Working/batchJobs');
+
+    let directory;
+    let jobManager;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-server-jobs-'));
+      jobManager = new BatchJobManager({ agent, directory });
+      app = createApp({ agent, auth: openAuth, jobManager });
+    });
+
+    afterEach(async () => {
+      await jobManager.idle();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should create a job from a messages array', async () => {
+      const response = await request(app).post('/api/jobs').send({ messages: ['Hello', { text: 'Book it', id: 'T-2' }] });
+      await jobManager.idle();
+
+      expect(response.status).toBe(202);
+      expect(response.headers.location).toBe(`/api/jobs/${response.body.id}`);
+      expect(response.body).toMatchObject({ status: 'queued', total: 2, options: { classifyOnly: true } });
+      expect((await request(app).get(response.headers.location)).body).toMatchObject({ status: 'completed', processed: 2 });
+    });
+
+    test('should accept CSV uploads with options as query parameters', async () => {
+      const response = await request(app)
+        .post('/api/jobs?classifyOnly=false')
+        .set('Content-Type', 'text/csv')
+        .send('id,text\nT-1,Hello\n');
+      await jobManager.idle();
+
+      expect(response.status).toBe(202);
+      const results = await request(app).get(`/api/jobs/${response.body.id}/results`);
+      expect(results.body).toMatchObject({ total: 1, offset: 0, limit: 100 });
+      expect(results.body.results[0]).toMatchObject({ id: 'T-1', intent: 'greeting', response: 'Hello! How can I help you today?' });
+    });
+
+    test('should reject invalid uploads', async () => {
+      const response = await request(app)
+        .post('/api/jobs')
+        .set('Content-Type', 'application/x-ndjson')
+        .send('{"text": "ok"}\n{oops');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('line 2: invalid JSON');
+    });
+
+    test('should download results as NDJSON and CSV', async () => {
+      const { body: job } = await request(app).post('/api/jobs').send({ messages: ['Hello', 'Book it'] });
+      await jobManager.idle();
+
+      const ndjson = await request(app).get(`/api/jobs/${job.id}/results?format=ndjson`);
+      const csv = await request(app).get(`/api/jobs/${job.id}/results?format=csv`);
+
+      expect(ndjson.headers['content-type']).toMatch(/application\/x-ndjson/);
+      expect(ndjson.text.trim().split('\n').map(line => JSON.parse(line).intent)).toEqual(['greeting', 'command']);
+      expect(csv.text.split('\n')[0]).toBe('index,id,text,intent,confidence,entities,error');
+      expect(csv.text.split('\n')[1]).toBe('0,,Hello,greeting,0.9,{},');
+    });
+
+    test('should list jobs and answer unknown ones with 404', async () => {
+      await request(app).post('/api/jobs').send({ messages: ['Hello'] });
+      await jobManager.idle();
+
+      expect((await request(app).get('/api/jobs?status=completed')).body.count).toBe(1);
+      expect((await request(app).get('/api/jobs?status=lost')).status).toBe(400);
+      expect((await request(app).get('/api/jobs/nope')).status).toBe(404);
+      expect((await request(app).get('/api/jobs/nope/results')).status).toBe(404);
+    });
+
+    test('should refuse to cancel a finished job', async () => {
+      const { body: job } = await request(app).post('/api/jobs').send({ messages: ['Hello'] });
+      await jobManager.idle();
+
+      const response = await request(app).post(`/api/jobs/${job.id}/cancel`);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('/api/admin/cache', () => {
+    test('should list cached results', async () => {
+      await request(app).post('/api/classify').send({ message: 'Hello' });
+
+      const response = await request(app).get('/api/admin/cache');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ enabled: true, store: 'memory', entries: 1 });
+      expect(response.body.items[0]).toMatchObject({ text: 'hello', intent: 'greeting' });
+    });
+
+    test('should reject an invalid limit', async () => {
+      const response = await request(app).get('/api/admin/cache?limit=-1');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should purge cached results', async () => {
+      await request(app).post('/api/classify').send({ message: 'Hello' });
+
+      const response = await request(app).delete('/api/admin/cache');
+
+      expect(response.body).toEqual({ purged: 1 });
+      expect((await request(app).get('/api/admin/cache')).body.entries).toBe(0);
+    });
+
+    test('should report a disabled cache', async () => {
+      app = createApp({ agent: new IntentAgent({ model: new ScriptedChatModel({ respond: reply }), resultCache: null }), auth: openAuth });
+
+      expect((await request(app).get('/api/admin/cache')).body).toEqual({ enabled: false });
+      expect((await request(app).delete('/api/admin/cache')).body).toEqual({ purged: 0 });
+    });
+  });
+
+  describe('/api/admin/webhooks', () => {
+    const { WebhookDispatcher } = require('../Working/webhooks');
+    const originalFetch = global.fetch;
+    let webhooks;
+
+    beforeEach(() => {
+      global.fetch = jest.fn().mockResolvedValue(new Response('ok'));
+      webhooks = new WebhookDispatcher({
+        subscriptions: [{ id: 'ticket-router', url: 'http://localhost:9000/tickets', intents: ['command'], secret: 'shh' }],
+      });
+      app = createApp({ agent, auth: openAuth, webhooks });
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should deliver matching classifications', async () => {
+      await request(app).post('/api/classify').send({ message: 'Hello' });
+      await request(app).post('/api/classify').send({ message: 'book a table' });
+      await webhooks.idle();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).data).toMatchObject({ message: 'book a table', intent: 'command' });
+
+      const response = await request(app).get('/api/admin/webhooks/deliveries?status=delivered');
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.deliveries[0]).toMatchObject({ subscription: 'ticket-router', event: 'classified', attempts: 1 });
+    });
+
+    test('should list subscriptions without secrets', async () => {
+      const response = await request(app).get('/api/admin/webhooks');
+
+      expect(response.body).toEqual({
+        subscriptions: [expect.objectContaining({ id: 'ticket-router', intents: ['command'], signed: true })],
+        count: 1,
+      });
+      expect(response.body.subscriptions[0].secret).toBeUndefined();
+    });
+
+    test('should reject invalid filters', async () => {
+      expect((await request(app).get('/api/admin/webhooks/deliveries?status=lost')).status).toBe(400);
+      expect((await request(app).get('/api/admin/webhooks/deliveries?limit=x')).status).toBe(400);
+    });
+  });
+
+  describe('API keys', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { ApiKeyStore, ClientLimiter } = require('../Working/apiKeys');
+    let directory;
+    let keyStore;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-server-keys-'));
+      keyStore = new ApiKeyStore({ file: path.join(directory, 'api-keys.json') });
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * Creates an app that requires keys, with a key holding the given options
+     */
+    function createKeyedApp(keyOptions = {}, limits = {}) {
+      const { key } = keyStore.create({ name: 'test', scopes: ['classify'], ...keyOptions });
+      app = createApp({
+        agent,
+        auth: { mode: 'on', keyStore, limiter: new ClientLimiter({ requestsPerMinute: 600, burst: 10, ...limits }) },
+        corsOrigins: ['https://app.example.com']
+      });
+      return key;
+    }
+
+    test('should reject requests without a valid key', async () => {
+      createKeyedApp();
+
+      const missing = await request(app).post('/api/classify').send({ message: 'Hello' });
+      const invalid = await request(app).post('/api/classify').set('Authorization', 'Bearer ik_wrong').send({ message: 'Hello' });
+
+      expect(missing.status).toBe(401);
+      expect(missing.body).toEqual({ error: 'Unauthorized', message: expect.stringContaining('API key is required') });
+      expect(missing.headers['www-authenticate']).toMatch(/^Bearer/);
+      expect(invalid.status).toBe(401);
+      expect(invalid.body.message).toContain('invalid or has been revoked');
+    });
+
+    test('should accept a key as a bearer token or header', async () => {
+      const key = createKeyedApp();
+
+      const bearer = await request(app).post('/api/classify').set('Authorization', `Bearer ${key}`).send({ message: 'Hello' });
+      const header = await request(app).get('/api/categories').set('X-API-Key', key);
+
+      expect(bearer.status).toBe(200);
+      expect(bearer.body.intent).toBe('greeting');
+      expect(bearer.headers['x-ratelimit-remaining']).toBe('9');
+      expect(header.status).toBe(200);
+    });
+
+    test('should reject keys without the scope of the route', async () => {
+      const key = createKeyedApp();
+
+      const batch = await request(app).post('/api/classify-batch').set('X-API-Key', key).send({ messages: ['Hello'] });
+      const admin = await request(app).get('/api/admin/cache').set('X-API-Key', key);
+
+      expect(batch.status).toBe(403);
+      expect(batch.body).toEqual({ error: 'Forbidden', message: 'The API key does not have the "batch" scope' });
+      expect(admin.status).toBe(403);
+    });
+
+    test('should rate limit each key', async () => {
+      const key = createKeyedApp({ burst: 1 }, { requestsPerMinute: 1 });
+
+      expect((await request(app).get('/api/categories').set('X-API-Key', key)).status).toBe(200);
+      const response = await request(app).get('/api/categories').set('X-API-Key', key);
+
+      expect(response.status).toBe(429);
+      expect(response.body.error).toBe('Rate limit exceeded');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    test('should enforce daily quotas', async () => {
+      const key = createKeyedApp({ dailyQuota: 1 });
+
+      const first = await request(app).get('/api/categories').set('X-API-Key', key);
+      const second = await request(app).get('/api/categories').set('X-API-Key', key);
+
+      expect(first.headers['x-quota-remaining']).toBe('0');
+      expect(second.status).toBe(429);
+      expect(second.body).toEqual({ error: 'Quota exceeded', message: expect.stringContaining('midnight UTC') });
+    });
+
+    test('should require the metrics scope to scrape metrics', async () => {
+      const key = createKeyedApp();
+      const { key: scraper } = keyStore.create({ name: 'prometheus', scopes: ['metrics'] });
+
+      expect((await request(app).get('/metrics').set('X-API-Key', key)).status).toBe(403);
+      expect((await request(app).get('/metrics').set('X-API-Key', scraper)).status).toBe(200);
+    });
+
+    test('should refuse requests when the keys file is missing', async () => {
+      app = createApp({ agent, auth: { mode: 'on', keyStore, limiter: new ClientLimiter({}) } });
+
+      const response = await request(app).get('/api/admin/cache');
+
+      expect(keyStore.exists()).toBe(false);
+      expect(response.status).toBe(401);
+      expect((await request(app).get('/metrics')).status).toBe(401);
+    });
+
+    test('should require keys by default and reject unknown modes', () => {
+      expect(agent.config.auth.mode).toBe('on');
+
+      agent.config = { ...agent.config, auth: { ...agent.config.auth, mode: 'auto' } };
+      expect(() => createApp({ agent })).toThrow('Invalid API auth mode "auto"');
+    });
+
+    test('should only show each key the jobs it created', async () => {
+      const { BatchJobManager } = require('../Working/batchJobs');
+      const jobManager = new BatchJobManager({ agent, directory: path.join(directory, 'jobs') });
+      const limiter = new ClientLimiter({ requestsPerMinute: 600, burst: 20 });
+      const { key: first } = keyStore.create({ name: 'first', scopes: ['batch'] });
+      const { key: second } = keyStore.create({ name: 'second', scopes: ['batch'] });
+      app = createApp({ agent, auth: { mode: 'on', keyStore, limiter }, jobManager });
+
+      const created = await request(app).post('/api/jobs').set('X-API-Key', first).send({ messages: ['Hello'] });
+      await jobManager.idle();
+      const jobId = created.body.id;
+
+      expect((await request(app).get('/api/jobs').set('X-API-Key', first)).body.count).toBe(1);
+      expect((await request(app).get('/api/jobs').set('X-API-Key', second)).body).toEqual({ jobs: [], count: 0 });
+      expect((await request(app).get(`/api/jobs/${jobId}`).set('X-API-Key', first)).status).toBe(200);
+      expect((await request(app).get(`/api/jobs/${jobId}`).set('X-API-Key', second)).status).toBe(404);
+      expect((await request(app).get(`/api/jobs/${jobId}/results`).set('X-API-Key', second)).status).toBe(404);
+      expect((await request(app).post(`/api/jobs/${jobId}/cancel`).set('X-API-Key', second)).status).toBe(404);
+    });
+
+    test('should only let the key that started a session use or clear it', async () => {
+      const limiter = new ClientLimiter({ requestsPerMinute: 600, burst: 20 });
+      const { key: first } = keyStore.create({ name: 'first', scopes: ['classify'] });
+      const { key: second } = keyStore.create({ name: 'second', scopes: ['classify'] });
+      app = createApp({ agent, auth: { mode: 'on', keyStore, limiter } });
+
+      const started = await request(app).post('/api/classify').set('X-API-Key', first).send({ message: 'Hello', sessionId: 'chat-1' });
+      const classify = await request(app).post('/api/classify').set('X-API-Key', second).send({ message: 'Hello', sessionId: 'chat-1' });
+      const stream = await request(app).get('/api/classify/stream').query({ message: 'Hello', sessionId: 'chat-1' }).set('X-API-Key', second);
+      const cleared = await request(app).delete('/api/sessions/chat-1').set('X-API-Key', second);
+
+      expect(started.status).toBe(200);
+      expect(classify.status).toBe(404);
+      expect(classify.body).toEqual({ error: 'Not found', message: 'Session chat-1 not found' });
+      expect(stream.status).toBe(404);
+      expect(cleared.status).toBe(404);
+      expect(await agent.conversationStore.getHistory('chat-1')).toHaveLength(1);
+      expect((await request(app).delete('/api/sessions/chat-1').set('X-API-Key', first)).body).toEqual({ sessionId: 'chat-1', cleared: true });
+    });
+
+    test('should keep the health check public', async () => {
+      createKeyedApp();
+
+      expect((await request(app).get('/api/health')).status).toBe(200);
+    });
+
+    test('should only allow origins on the CORS allow-list', async () => {
+      const key = createKeyedApp();
+
+      const allowed = await request(app).get('/api/categories').set('X-API-Key', key).set('Origin', 'https://app.example.com');
+      const other = await request(app).get('/api/categories').set('X-API-Key', key).set('Origin', 'https://evil.example.com');
+
+      expect(allowed.headers['access-control-allow-origin']).toBe('https://app.example.com');
+      expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    });
+  });
+
+  describe('request IDs and tracing', () => {
+    const { Tracer } = require('../Working/tracing');
+
+    test('should echo a valid X-Request-Id and create one otherwise', async () => {
+      const echoed = await request(app).get('/api/health').set('X-Request-Id', 'client-42');
+      const invalid = await request(app).get('/api/health').set('X-Request-Id', 'no spaces allowed');
+      const created = await request(app).get('/api/health');
+
+      expect(echoed.headers['x-request-id']).toBe('client-42');
+      expect(invalid.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(created.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(created.headers['x-request-id']).not.toBe(invalid.headers['x-request-id']);
+    });
+
+    test('should pass the request ID to the agent and bind it to every log entry', async () => {
+      const { logger, entries } = createCapturingLogger();
+      agent.logger = logger;
+      app = createApp({ agent, auth: openAuth, logger });
+      const processMessage = jest.spyOn(agent, 'processMessage');
+
+      await request(app).post('/api/classify').set('X-Request-Id', 'req-7').send({ message: 'book a table' });
+
+      expect(processMessage).toHaveBeenCalledWith('book a table', expect.objectContaining({ requestId: 'req-7' }));
+      expect(entries.map(entry => entry.msg)).toEqual(['Processing message', 'Message processed', 'Intent classified', 'Request completed']);
+      entries.forEach(entry => expect(entry).toMatchObject({ requestId: 'req-7', level: expect.any(String) }));
+      expect(entries[3]).toMatchObject({ method: 'POST', path: '/api/classify', status: 200 });
+    });
+
+    test('should trace requests as children of the caller\'s traceparent', async () => {
+      const spans = [];
+      const tracer = new Tracer({ exporter: { export: async (batch) => { spans.push(...batch); } } });
+      agent = new IntentAgent({
+        model: new ScriptedChatModel({ respond: reply }),
+        modelInfo: { provider: 'scripted', model: 'test-model' },
+        tracer,
+      });
+      app = createApp({ agent, auth: openAuth });
+
+      await request(app)
+        .post('/api/classify')
+        .set('traceparent', '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')
+        .set('X-Request-Id', 'req-8')
+        .send({ message: 'book a table' });
+      await request(app).get('/api/jobs/missing');
+      await tracer.flush();
+
+      const server = spans.find(span => span.name === 'POST /api/classify');
+      const run = spans.find(span => span.name === 'processMessage');
+      expect(server).toMatchObject({
+        kind: 'server',
+        traceId: '0af7651916cd43dd8448eb211c80319c',
+        parentSpanId: 'b7ad6b7169203331',
+        attributes: { 'request.id': 'req-8', 'http.route': '/api/classify', 'http.response.status_code': 200 },
+      });
+      expect(run).toMatchObject({ traceId: server.traceId, parentSpanId: server.spanId });
+      expect(spans.filter(span => span.traceId === server.traceId).map(span => span.name))
+        .toEqual(expect.arrayContaining(['identifyIntent', 'generateResponse', 'chat test-model']));
+      expect(spans.find(span => span.name === 'GET /api/jobs/:jobId').parentSpanId).toBeNull();
+    });
+  });
+
+  describe('GET /metrics', () => {
+    test('should serve metrics in the Prometheus text format', async () => {
+      await request(app).post('/api/classify').send({ message: 'Hello' });
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(response.text).toContain('# TYPE intent_http_requests_total counter');
+      expect(response.text).toContain('intent_classifications_total{intent="greeting"} 1');
+      expect(response.text).toContain('intent_model_queue_depth 0');
+    });
+
+    test('should count requests by route pattern and status', async () => {
+      await request(app).post('/api/classify').send({ message: 'Hello' });
+      await request(app).post('/api/classify').send({});
+      await request(app).get('/api/jobs/missing');
+      await request(app).get('/api/nope');
+
+      const { text } = await request(app).get('/metrics');
+
+      expect(text).toContain('intent_http_requests_total{method="POST",route="/api/classify",status="200"} 1');
+      expect(text).toContain('intent_http_requests_total{method="POST",route="/api/classify",status="400"} 1');
+      expect(text).toContain('intent_http_requests_total{method="GET",route="/api/jobs/:jobId",status="404"} 1');
+      expect(text).toContain('intent_http_requests_total{method="GET",route="other",status="404"} 1');
+      expect(text).toContain('intent_http_request_duration_seconds_count{method="POST",route="/api/classify"} 2');
+    });
+
+    test('should return 404 when metrics are disabled', async () => {
+      agent = new IntentAgent({ model: new ScriptedChatModel({ respond: reply }), metrics: null });
+      app = createApp({ agent, auth: openAuth });
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toContain('METRICS=off');
+    });
+  });
+
+  describe('frontend', () => {
+    const fs = require('fs');
+    const path = require('path');
+
+    test('should serve the chat script, kept identical to the published root copy', async () => {
+      const source = fs.readFileSync(path.join(__dirname, '..', 'Frontend', 'app.js'), 'utf8');
+
+      const response = await request(app).get('/app.js');
+
+      expect(response.text).toBe(source);
+      expect(fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8')).toBe(source);
+    });
+
+    test('should only log to the console through the level-gated logger', () => {
+      const source = fs.readFileSync(path.join(__dirname, '..', 'Frontend', 'app.js'), 'utf8');
+
+      expect(source.match(/console[.[]\w*/g)).toEqual(['console[level']);
+    });
+  });
+
+  describe('unknown routes', () => {
+    test('should return 404 JSON', async () => {
+      const response = await request(app).get('/api/nope');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Not found');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for Tracing Module
+ *
+ * Tests span nesting, traceparent parsing, batching, the OTLP/JSON format
+ * and the HTTP and file exporters.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  Tracer,
+  OtlpHttpExporter,
+  FileExporter,
+  createTracer,
+  parseTraceParent,
+  toOtlpRequest,
+} = require('../Working/tracing');
+const { Logger } = require('../Working/logger');
+
+/**
+ * Creates a tracer collecting the exported batches
+ */
+function createCollectingTracer(options = {}) {
+  const batches = [];
+  const tracer = new Tracer({ exporter: { export: async (spans) => { batches.push(spans); } }, ...options });
+  return { tracer, batches };
+}
+
+describe('Tracing Module', () => {
+  test('should parse W3C traceparent headers', () => {
+    expect(parseTraceParent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')).toEqual({
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      spanId: 'b7ad6b7169203331',
+    });
+    expect(parseTraceParent('00-00000000000000000000000000000000-b7ad6b7169203331-01')).toBeNull();
+    expect(parseTraceParent('01-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331')).toBeNull();
+    expect(parseTraceParent(undefined)).toBeNull();
+  });
+
+  test('should nest spans started inside an active span, across awaits', async () => {
+    const { tracer, batches } = createCollectingTracer();
+
+    await tracer.startActiveSpan('request', {}, async (root) => {
+      await new Promise(resolve => setImmediate(resolve));
+      await tracer.startActiveSpan('node', {}, async () => {});
+      expect(tracer.activeSpan()).toBe(root);
+    });
+    await tracer.flush();
+
+    const [node, root] = batches[0];
+    expect(root.parentSpanId).toBeNull();
+    expect(root.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(node).toMatchObject({ name: 'node', traceId: root.traceId, parentSpanId: root.spanId });
+    expect(tracer.activeSpan()).toBeNull();
+  });
+
+  test('should record errors on the span and rethrow them', async () => {
+    const { tracer, batches } = createCollectingTracer();
+
+    await expect(tracer.startActiveSpan('call', {}, async () => { throw new TypeError('bad input'); }))
+      .rejects.toThrow('bad input');
+    await tracer.flush();
+
+    expect(batches[0][0].status).toEqual({ code: 2, message: 'bad input' });
+    expect(batches[0][0].events[0].attributes).toEqual({ 'exception.type': 'TypeError', 'exception.message': 'bad input' });
+  });
+
+  test('should export full batches at once and log failed exports', async () => {
+    const { tracer, batches } = createCollectingTracer({ batchSize: 2 });
+
+    tracer.startSpan('a').end();
+    expect(batches).toHaveLength(0);
+    tracer.startSpan('b').end();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(batches.map(batch => batch.map(span => span.name))).toEqual([['a', 'b']]);
+
+    const lines = [];
+    const failing = new Tracer({
+      exporter: { export: async () => { throw new Error('collector down'); } },
+      logger: new Logger({ stream: { write: line => lines.push(JSON.parse(line)) } }),
+    });
+    failing.startSpan('c').end();
+    await failing.flush();
+    expect(lines).toEqual([expect.objectContaining({ level: 'warn', msg: 'Trace export failed', spans: 1, error: 'collector down' })]);
+  });
+
+  test('should build OTLP/JSON export requests', () => {
+    const { tracer } = createCollectingTracer();
+    const span = tracer.startSpan('chat test-model', {
+      parent: { traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b7169203331' },
+      kind: 'client',
+      attributes: { 'gen_ai.usage.input_tokens': 12, 'intent.confidence': 0.9, cached: false, model: 'test', skipped: null },
+    });
+    span.end();
+
+    const body = toOtlpRequest([span], { 'service.name': 'intent-identifier' });
+
+    expect(body.resourceSpans[0].resource.attributes).toEqual([
+      { key: 'service.name', value: { stringValue: 'intent-identifier' } },
+    ]);
+    expect(body.resourceSpans[0].scopeSpans[0].spans[0]).toEqual({
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      spanId: span.spanId,
+      parentSpanId: 'b7ad6b7169203331',
+      name: 'chat test-model',
+      kind: 3,
+      startTimeUnixNano: expect.stringMatching(/^\d{19}$/),
+      endTimeUnixNano: expect.stringMatching(/^\d{19}$/),
+      attributes: [
+        { key: 'gen_ai.usage.input_tokens', value: { intValue: '12' } },
+        { key: 'intent.confidence', value: { doubleValue: 0.9 } },
+        { key: 'cached', value: { boolValue: false } },
+        { key: 'model', value: { stringValue: 'test' } },
+      ],
+      events: [],
+      status: { code: 0 },
+    });
+  });
+
+  test('should post batches to the collector\'s /v1/traces endpoint', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+
+    try {
+      const exporter = new OtlpHttpExporter({ endpoint: 'http://collector:4318/', headers: { 'x-tenant': 'acme' } });
+      const { tracer } = createCollectingTracer();
+      const span = tracer.startSpan('a');
+      span.end();
+
+      await exporter.export([span], { 'service.name': 'intent-identifier' });
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe('http://collector:4318/v1/traces');
+      expect(init.headers).toEqual({ 'Content-Type': 'application/json', 'x-tenant': 'acme' });
+      expect(JSON.parse(init.body).resourceSpans[0].scopeSpans[0].spans[0].name).toBe('a');
+
+      fetchMock.mockResolvedValue({ ok: false, status: 503 });
+      await expect(exporter.export([span], {})).rejects.toThrow('OTLP endpoint returned 503');
+    } finally {
+      fetchMock.mockRestore();
+    }
+  });
+
+  test('should append one export request per batch to the trace file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-traces-'));
+
+    try {
+      const file = path.join(directory, 'nested', 'traces.jsonl');
+      const tracer = createTracer({ exporter: 'file', file });
+      tracer.startSpan('a').end();
+      await tracer.flush();
+      tracer.startSpan('b').end();
+      await tracer.flush();
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.resourceSpans[0].scopeSpans[0].spans[0].name)).toEqual(['a', 'b']);
+      expect(tracer.exporter).toBeInstanceOf(FileExporter);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should only create a tracer for a known exporter', () => {
+    expect(createTracer({ exporter: 'none' })).toBeNull();
+    expect(createTracer({ exporter: 'otlp', endpoint: 'http://collector:4318' }).exporter).toBeInstanceOf(OtlpHttpExporter);
+    expect(() => createTracer({ exporter: 'jaeger' })).toThrow('Invalid trace exporter "jaeger"');
+  });
+});
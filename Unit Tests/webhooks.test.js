@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for Webhooks Module
+ *
+ * Tests subscription validation and filtering, payload signing, retries
+ * with backoff, the dead-letter file and the delivery log.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  WebhookDispatcher,
+  createWebhookDispatcher,
+  parseSubscriptions,
+  matchesSubscription,
+  signPayload,
+  verifySignature,
+} = require('../Working/webhooks');
+
+const result = { intent: 'command', confidence: 0.9, entities: {}, sessionId: null };
+
+describe('Webhooks Module', () => {
+  const originalFetch = global.fetch;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'intent-webhooks-'));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Creates a dispatcher with fast retries and one subscription
+   */
+  function createDispatcher(subscription = {}, options = {}) {
+    return new WebhookDispatcher({
+      subscriptions: [{ id: 'router', url: 'http://localhost:9000/hook', ...subscription }],
+      secret: 'shh',
+      maxAttempts: 3,
+      baseDelayMs: 1,
+      deadLetterFile: path.join(directory, 'dead-letter.jsonl'),
+      ...options,
+    });
+  }
+
+  describe('parseSubscriptions', () => {
+    test('should apply defaults', () => {
+      expect(parseSubscriptions([{ id: 'a', url: 'https://example.com/hook' }])).toEqual([{
+        id: 'a',
+        url: 'https://example.com/hook',
+        events: ['classified'],
+        intents: [],
+        minConfidence: 0,
+        maxConfidence: 1,
+        headers: {},
+      }]);
+    });
+
+    test('should reject invalid subscriptions', () => {
+      expect(() => parseSubscriptions([{ id: 'a', url: 'not a url' }])).toThrow('0.url');
+      expect(() => parseSubscriptions([{ id: 'a', url: 'https://x.io', events: ['sent'] }])).toThrow('0.events.0');
+      expect(() => parseSubscriptions([{ id: 'a', url: 'https://x.io', minConfidence: 0.8, maxConfidence: 0.2 }]))
+        .toThrow('minConfidence must not exceed maxConfidence');
+      expect(() => parseSubscriptions([{ id: 'a', url: 'https://x.io' }, { id: 'a', url: 'https://y.io' }]))
+        .toThrow('duplicate id "a"');
+    });
+  });
+
+  test('should filter events by intent and confidence range', () => {
+    const [subscription] = parseSubscriptions([{
+      id: 'a',
+      url: 'https://x.io',
+      events: ['classified', 'error'],
+      intents: ['command'],
+      minConfidence: 0.5,
+      maxConfidence: 0.95,
+    }]);
+
+    expect(matchesSubscription(subscription, 'classified', result)).toBe(true);
+    expect(matchesSubscription(subscription, 'classified', { ...result, intent: 'greeting' })).toBe(false);
+    expect(matchesSubscription(subscription, 'classified', { ...result, confidence: 0.4 })).toBe(false);
+    expect(matchesSubscription(subscription, 'classified', { ...result, confidence: 0.99 })).toBe(false);
+    expect(matchesSubscription(subscription, 'lowConfidence', result)).toBe(false);
+    // Failures have no intent, so only unfiltered subscriptions get them
+    expect(matchesSubscription(subscription, 'error', null)).toBe(false);
+    expect(matchesSubscription({ ...subscription, intents: [] }, 'error', null)).toBe(true);
+  });
+
+  test('should sign and verify payloads', () => {
+    const signature = signPayload('shh', '1700000000', '{"a":1}');
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature('shh', '1700000000', '{"a":1}', signature)).toBe(true);
+    expect(verifySignature('shh', '1700000001', '{"a":1}', signature)).toBe(false);
+    expect(verifySignature('other', '1700000000', '{"a":1}', signature)).toBe(false);
+    expect(verifySignature('shh', '1700000000', '{"a":1}', undefined)).toBe(false);
+  });
+
+  test('should deliver signed payloads of attached agent events', async () => {
+    global.fetch = jest.fn().mockResolvedValue(new Response('ok'));
+    const dispatcher = createDispatcher({ headers: { 'X-Team': 'support' } });
+    const agent = new EventEmitter();
+    dispatcher.attach(agent);
+
+    agent.emit('classified', { message: 'book a table', result });
+    await dispatcher.idle();
+
+    const [url, request] = global.fetch.mock.calls[0];
+    const payload = JSON.parse(request.body);
+    expect(url).toBe('http://localhost:9000/hook');
+    expect(payload).toMatchObject({ event: 'classified', data: { message: 'book a table', intent: 'command' } });
+    expect(request.headers).toMatchObject({ 'X-Intent-Event': 'classified', 'X-Intent-Delivery': payload.id, 'X-Team': 'support' });
+    expect(verifySignature('shh', request.headers['X-Intent-Timestamp'], request.body, request.headers['X-Intent-Signature'])).toBe(true);
+    expect(dispatcher.listDeliveries()).toEqual([expect.objectContaining({ status: 'delivered', attempts: 1, responseStatus: 200 })]);
+  });
+
+  test('should deliver agent errors to subscriptions that want them', async () => {
+    global.fetch = jest.fn().mockResolvedValue(new Response('ok'));
+    const dispatcher = createDispatcher({ events: ['error'] });
+    const agent = new EventEmitter();
+    const detach = dispatcher.attach(agent);
+
+    agent.emit('classified', { message: 'hi', result });
+    agent.emit('error', new Error('model down'), { message: 'hi', sessionId: 's-1' });
+    await dispatcher.idle();
+    detach();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).data).toEqual({
+      message: 'hi',
+      sessionId: 's-1',
+      error: 'model down',
+      status: null,
+    });
+    expect(agent.listenerCount('error')).toBe(0);
+  });
+
+  test('should retry failures with backoff until delivered', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockResolvedValueOnce(new Response('busy', { status: 503 }))
+      .mockResolvedValueOnce(new Response('ok'));
+    const dispatcher = createDispatcher();
+
+    dispatcher.dispatch('classified', result, result);
+    await dispatcher.idle();
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(dispatcher.listDeliveries()[0]).toMatchObject({ status: 'delivered', attempts: 3, error: null });
+    expect(fs.existsSync(path.join(directory, 'dead-letter.jsonl'))).toBe(false);
+  });
+
+  test('should dead-letter deliveries that keep failing', async () => {
+    global.fetch = jest.fn().mockResolvedValue(new Response('down', { status: 500 }));
+    const dispatcher = createDispatcher();
+
+    const [delivery] = dispatcher.dispatch('classified', { message: 'hi', ...result }, result);
+    await dispatcher.idle();
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    const [letter] = fs.readFileSync(path.join(directory, 'dead-letter.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    expect(letter).toMatchObject({ id: delivery.id, status: 'failed', attempts: 3, error: 'Responded with 500' });
+    expect(letter.payload.data.message).toBe('hi');
+  });
+
+  test('should not retry rejected payloads', async () => {
+    global.fetch = jest.fn().mockResolvedValue(new Response('bad', { status: 400 }));
+    const dispatcher = createDispatcher();
+
+    dispatcher.dispatch('classified', result, result);
+    await dispatcher.idle();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(dispatcher.listDeliveries({ status: 'failed' })).toHaveLength(1);
+  });
+
+  test('should keep a bounded delivery log, newest first', async () => {
+    global.fetch = jest.fn().mockResolvedValue(new Response('ok'));
+    const dispatcher = createDispatcher({}, { logSize: 2 });
+
+    ['a', 'b', 'c'].forEach(message => dispatcher.dispatch('classified', { message }, result));
+    await dispatcher.idle();
+
+    expect(dispatcher.listDeliveries().map(delivery => delivery.id)).toEqual(
+      dispatcher.deliveries.map(delivery => delivery.id).reverse()
+    );
+    expect(dispatcher.listDeliveries()).toHaveLength(2);
+    expect(dispatcher.listDeliveries({ limit: 1 })).toHaveLength(1);
+    expect(dispatcher.listDeliveries({ subscription: 'other' })).toEqual([]);
+  });
+
+  test('should load subscriptions from a file and hide secrets', () => {
+    const file = path.join(directory, 'webhooks.json');
+    fs.writeFileSync(file, JSON.stringify({ subscriptions: [{ id: 'a', url: 'https://x.io', secret: 'mine' }] }));
+
+    const dispatcher = createWebhookDispatcher({ file, subscriptions: [{ id: 'b', url: 'https://y.io' }] });
+
+    expect(dispatcher.describeSubscriptions()).toEqual([
+      expect.objectContaining({ id: 'a', signed: true }),
+      expect.objectContaining({ id: 'b', signed: false }),
+    ]);
+    expect(JSON.stringify(dispatcher.describeSubscriptions())).not.toContain('mine');
+  });
+});
@@ -5,18 +5,78 @@
  * including model settings, system prompts, and agent behavior parameters.
  */
 
+const path = require('path');
+
 require('dotenv').config();
 
+const { loadTaxonomyFile, getIntentNames } = require('./intentTaxonomy');
+
+/**
+ * Taxonomy file defining the intent categories
+ * Override with INTENT_TAXONOMY_FILE to use a domain-specific taxonomy.
+ */
+const taxonomyFile = process.env.INTENT_TAXONOMY_FILE
+  ? path.resolve(process.env.INTENT_TAXONOMY_FILE)
+  : path.join(__dirname, 'taxonomies', 'default.json');
+
+const taxonomy = loadTaxonomyFile(taxonomyFile);
+
+/**
+ * Reads an integer from the environment, keeping an explicit 0
+ *
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when the variable is unset or not a number
+ * @returns {number} Integer value
+ */
+function readIntegerEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Model backend, from LLM_PROVIDER
+ */
+const modelProvider = process.env.LLM_PROVIDER || 'ollama';
+
+/**
+ * Log level used when LOG_LEVEL is not set: debug in development, nothing
+ * under Jest and info otherwise
+ */
+const defaultLogLevel = { development: 'debug', test: 'silent' }[process.env.NODE_ENV] || 'info';
+
+/**
+ * Parses OTLP headers in the OTEL_EXPORTER_OTLP_HEADERS format
+ *
+ * @param {string} value - Comma-separated key=value pairs
+ * @returns {Object} Header names and values
+ */
+function parseOtlpHeaders(value) {
+  return Object.fromEntries((value || '').split(',')
+    .map(pair => pair.split('='))
+    .filter(([key, ...rest]) => key.trim() && rest.length > 0)
+    .map(([key, ...rest]) => [key.trim(), decodeURIComponent(rest.join('=').trim())]));
+}
+
 /**
  * Agent configuration object containing all settings for agent initialization
  * and operation.
  */
 const agentConfig = {
   // Model configuration
+  // provider selects the backend: 'ollama', 'openai-compatible', 'rules' or 'replay'
   model: {
-    name: 'llama3.2',
+    provider: modelProvider,
+    name: process.env.LLM_MODEL || 'llama3.2',
     temperature: 0.7,
-    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    // Only Ollama falls back to OLLAMA_BASE_URL and its local default; other
+    // providers need LLM_BASE_URL, so a missing one fails provider validation
+    baseUrl: modelProvider === 'ollama'
+      ? process.env.LLM_BASE_URL || process.env.OLLAMA_BASE_URL || 'http://localhost:11434'
+      : process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    // Record/replay fixtures for running without a model server
+    fixtureFile: process.env.LLM_FIXTURE_FILE,
+    recordFile: process.env.LLM_RECORD_FILE,
   },
 
   // System prompt for the agent
@@ -32,21 +92,239 @@ Always be clear, concise, and helpful in your responses.`,
   // Agent behavior settings
   behavior: {
     maxIterations: 10,
-    verboseLogging: process.env.NODE_ENV === 'development',
     enableMemory: true,
   },
 
-  // Intent categories for classification
-  intentCategories: [
-    'greeting',
-    'question',
-    'command',
-    'information_request',
-    'clarification',
-    'feedback',
-    'goodbye',
-    'unknown',
-  ],
+  // Classification output handling
+  classification: {
+    // Number of times the model is re-prompted when its JSON is invalid
+    maxRepairAttempts: 2,
+    // Ask for every intent of compound messages (can be overridden per request)
+    multiIntent: false,
+    // Classifications sampled per message; the distribution averages them
+    samples: parseInt(process.env.CLASSIFICATION_SAMPLES, 10) || 1,
+    // Entries kept in the returned distribution (0 keeps every category)
+    topK: 0,
+  },
+
+  // Screening of messages before classification; see inputGuard.js
+  guard: {
+    // 'block' answers prompt-injection attempts with the suspicious_input
+    // intent without calling the model, 'flag' classifies them but marks
+    // the result, 'off' skips the guard
+    mode: process.env.INPUT_GUARD || 'block',
+    response: "I can't follow instructions embedded in a message. Could you tell me what you need in your own words?",
+  },
+
+  // Personal data replaced with typed placeholders such as [EMAIL_1] before
+  // the model, result cache, session history, events and logs see a message;
+  // see piiRedaction.js
+  pii: {
+    enabled: process.env.PII_REDACTION !== 'off',
+    types: ['email', 'phone', 'credit_card', 'iban', 'ip_address'],
+    // Extra patterns, e.g. { type: 'order_id', pattern: 'ORD-\\d{6}' }
+    customPatterns: [],
+    // Put the original values back into the entities of the returned result
+    restoreEntities: process.env.PII_RESTORE_ENTITIES !== 'false',
+  },
+
+  // Offline classifier used when the model output cannot be parsed and by
+  // the rules provider: keyword/pattern rules plus naive Bayes
+  fallback: {
+    // Trained with `npm run train-fallback`; without it the taxonomy examples are used
+    modelFile: process.env.FALLBACK_MODEL_FILE || path.join(__dirname, '..', 'data', 'fallback-model.json'),
+    // Log-odds each matching rule adds to its intent
+    ruleWeight: 2,
+    // Keywords match whole words or phrases, patterns are regular expressions
+    rules: {
+      greeting: { keywords: ['hi', 'hello', 'hey', 'greetings', 'good morning', 'good afternoon', 'good evening'] },
+      question: { patterns: ['^\\s*(what|when|where|why|how|who|which|is|are|do|does|can)\\b.*\\?\\s*$'] },
+      command: { keywords: ['please', 'could you', 'can you', 'would you', 'schedule', 'book', 'create', 'add', 'remind', 'set up', 'cancel'] },
+      information_request: { keywords: ['tell me', 'show me', 'give me', 'what is', 'what are', 'details', 'information'] },
+      clarification: { keywords: ['help', 'clarify', 'explain', 'what do you mean', "don't understand", 'confused'] },
+      feedback: { keywords: ['thanks', 'thank you', 'appreciate', 'great', 'love', 'useful', 'helpful', 'wrong', 'bad', 'terrible'] },
+      goodbye: { keywords: ['bye', 'goodbye', 'see you', 'farewell', 'good night'] },
+    },
+  },
+
+  // Nearest-neighbour first stage over embedded example utterances
+  // Messages it cannot decide go to the language model
+  embeddings: {
+    // Used once an index has been built with `npm run build-index`
+    enabled: process.env.EMBEDDING_STAGE !== 'off',
+    // 'ollama' or 'hashing' (local, no model server)
+    provider: process.env.EMBEDDING_PROVIDER || 'ollama',
+    model: process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    dimensions: 256,
+    indexFile: process.env.EMBEDDING_INDEX_FILE || path.join(__dirname, '..', 'data', 'embedding-index.json'),
+    // Neighbours that vote, similarity the nearest example needs, and its
+    // lead over the nearest example of another intent
+    k: 5,
+    threshold: 0.85,
+    margin: 0.05,
+  },
+
+  // Temperature scaling fit with `npm run calibrate`
+  calibration: {
+    file: process.env.CALIBRATION_FILE || path.join(__dirname, '..', 'data', 'calibration.json'),
+  },
+
+  // Graph routing after intent identification
+  routing: {
+    // Stop after identifyIntent by default (can be overridden per request)
+    classifyOnly: false,
+    // Below this confidence the agent asks for clarification instead of answering
+    clarificationThreshold: 0.5,
+    clarificationTemplate: 'I want to make sure I understand. Could you tell me a bit more about what you need?',
+    // Intents answered without a model call; each entry has a template
+    // ({{intent}}, {{confidence}}, {{userInput}}) or a handler(state) function
+    intentHandlers: {
+      greeting: { template: 'Hello! How can I help you today?' },
+      goodbye: { template: 'Goodbye! Have a great day.' },
+    },
+  },
+
+  // Actions run for identified intents, after validating the entity slots
+  // against the action's zod schema; see intentActions.js. Each entry has a
+  // handler(params, context) function or a webhook { url, method, headers, timeoutMs }:
+  //   command: {
+  //     description: 'Schedule the request',
+  //     schema: z.object({ action: z.string(), datetime: z.string() }),
+  //     webhook: { url: 'https://example.com/hooks/schedule' },
+  //   },
+  actions: {
+    // Validate and plan actions without running them (can be overridden per request)
+    dryRun: process.env.ACTIONS_DRY_RUN === 'true',
+    definitions: {},
+  },
+
+  // Conversation memory settings (used when behavior.enableMemory is true)
+  memory: {
+    // Store backend: 'memory' (per process) or 'file' (persisted to disk)
+    store: process.env.CONVERSATION_STORE || 'memory',
+    directory: process.env.CONVERSATION_STORE_DIR || path.join(__dirname, '..', 'data', 'sessions'),
+    maxStoredTurns: 50,
+    // Sessions the 'memory' store keeps, and how long one may sit idle
+    maxSessions: 10000,
+    sessionTtlMs: parseInt(process.env.CONVERSATION_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    // Prompt history window
+    historyWindow: 6,
+    maxHistoryChars: 4000,
+    maxMessageChars: 1000,
+  },
+
+  // Cache of processed messages, keyed on the normalized text, the request
+  // options and a fingerprint of this configuration
+  cache: {
+    enabled: process.env.RESULT_CACHE !== 'off',
+    // Store backend: 'memory' (LRU, per process) or 'file' (persisted to disk)
+    store: process.env.RESULT_CACHE_STORE || 'memory',
+    directory: process.env.RESULT_CACHE_DIR || path.join(__dirname, '..', 'data', 'cache'),
+    maxEntries: 1000,
+    ttlMs: parseInt(process.env.RESULT_CACHE_TTL_MS, 10) || 60 * 60 * 1000,
+  },
+
+  // Scheduling of language model calls
+  scheduler: {
+    // Model calls run at the same time; match the parallelism of the model server
+    maxConcurrent: parseInt(process.env.MODEL_MAX_CONCURRENCY, 10) || 2,
+    // Calls allowed to wait for a slot before requests are refused with 429
+    maxQueue: parseInt(process.env.MODEL_MAX_QUEUE, 10) || 20,
+    // Longest wait for a slot before a request is refused with 503
+    queueTimeoutMs: parseInt(process.env.MODEL_QUEUE_TIMEOUT_MS, 10) || 30 * 1000,
+    // Time limit of a whole request, 0 for none
+    requestTimeoutMs: readIntegerEnv('REQUEST_TIMEOUT_MS', 60 * 1000),
+  },
+
+  // Background batch jobs (/api/jobs)
+  jobs: {
+    directory: process.env.JOB_STORE_DIR || path.join(__dirname, '..', 'data', 'jobs'),
+    // Messages of a job processed at the same time; keep below
+    // scheduler.maxConcurrent to leave room for interactive requests
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1,
+    maxMessages: 100000,
+    maxMessageChars: 4000,
+    // Largest accepted upload body
+    maxUploadSize: '50mb',
+  },
+
+  // Outbound webhooks for classification results; see webhooks.js
+  webhooks: {
+    // JSON file of subscriptions: [{ id, url, events, intents, minConfidence, maxConfidence, secret, headers }]
+    file: process.env.WEBHOOKS_FILE,
+    subscriptions: [],
+    // Signs payloads of subscriptions without their own secret
+    secret: process.env.WEBHOOK_SECRET,
+    // Attempts per delivery; retries wait baseDelayMs, doubling up to maxDelayMs
+    maxAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    timeoutMs: 10 * 1000,
+    // Deliveries that still fail are appended here
+    deadLetterFile: process.env.WEBHOOK_DEAD_LETTER_FILE || path.join(__dirname, '..', 'data', 'webhooks', 'dead-letter.jsonl'),
+    // Recent deliveries kept for /api/admin/webhooks/deliveries
+    logSize: 500,
+  },
+
+  // API keys for the server, managed with `npm run keys`
+  auth: {
+    // 'on' requires a key, even when the keys file is missing; 'off'
+    // disables the checks
+    mode: process.env.API_AUTH || 'on',
+    keysFile: process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json'),
+    // Limits of keys that do not set their own: a token bucket of `burst`
+    // requests refilled at requestsPerMinute, and requests per UTC day (0 for none)
+    requestsPerMinute: parseInt(process.env.API_RATE_LIMIT, 10) || 60,
+    burst: 10,
+    dailyQuota: parseInt(process.env.API_DAILY_QUOTA, 10) || 0,
+  },
+
+  // Structured JSON logs, written to stderr; see logger.js
+  logging: {
+    // 'debug', 'info', 'warn', 'error' or 'silent'
+    level: process.env.LOG_LEVEL || defaultLogLevel,
+  },
+
+  // Spans for requests, graph nodes and model calls; see tracing.js
+  tracing: {
+    // 'otlp' sends them to an OpenTelemetry collector, 'file' appends them to
+    // a JSONL file and 'none' disables tracing
+    exporter: process.env.TRACING_EXPORTER || 'none',
+    serviceName: process.env.OTEL_SERVICE_NAME || 'intent-identifier',
+    endpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318',
+    headers: parseOtlpHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+    file: process.env.TRACING_FILE || path.join(__dirname, '..', 'data', 'traces.jsonl'),
+    // Ended spans are exported in batches of batchSize, or after flushIntervalMs
+    batchSize: 50,
+    flushIntervalMs: 5000,
+  },
+
+  // Prometheus metrics served at /metrics; see metrics.js
+  metrics: {
+    enabled: process.env.METRICS !== 'off',
+    // Upper bounds of the latency histogram buckets, in seconds
+    latencyBuckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  },
+
+  // Origins allowed to call the API from a browser, e.g. where the frontend
+  // is hosted; '*' allows any. The server's own pages need no entry.
+  cors: {
+    origins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  },
+
+  // Entity slot normalization
+  entities: {
+    // Timezone for relative dates when the request does not supply one
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+  },
+
+  // Intent taxonomy (descriptions, examples, hierarchy and slots)
+  taxonomyFile,
+  taxonomy,
+
+  // Intent categories for classification, derived from the taxonomy
+  intentCategories: getIntentNames(taxonomy),
 };
 
 /**
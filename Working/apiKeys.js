@@ -0,0 +1,323 @@
+/**
+ * API Keys Module
+ *
+ * This module manages the API keys of the server and the limits attached
+ * to them. Keys are stored as SHA-256 hashes in a JSON file, each with
+ * scopes (classify, batch, admin, metrics), a token-bucket rate limit and a daily
+ * request quota. The plain key is only shown when it is created.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Scopes a key can hold
+ * classify: single messages, streaming, categories and sessions
+ * batch: /api/classify-batch and batch jobs
+ * admin: cache and webhook administration
+ * metrics: the Prometheus /metrics endpoint
+ */
+const API_KEY_SCOPES = ['classify', 'batch', 'admin', 'metrics'];
+
+/**
+ * Authentication modes of the server
+ * on: every route but /api/health requires a key
+ * off: no key checks, for local use only
+ */
+const AUTH_MODES = ['on', 'off'];
+
+/**
+ * Prefix of generated keys, so leaked keys are easy to recognize
+ */
+const KEY_PREFIX = 'ik_';
+
+/**
+ * Hashes an API key for storage and lookup
+ * Keys are long random strings, so a fast hash is enough.
+ *
+ * @param {string} key - Plain API key
+ * @returns {string} Hexadecimal SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generates a new API key
+ *
+ * @returns {string} Plain API key
+ */
+function generateApiKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * API keys stored in a JSON file
+ * The file is read again when it changes, so keys created or revoked with
+ * `npm run keys` take effect without restarting the server.
+ */
+class ApiKeyStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - JSON file holding the keys
+   */
+  constructor({ file }) {
+    if (!file) {
+      throw new Error('ApiKeyStore requires a file');
+    }
+
+    this.file = file;
+    this.keys = [];
+    this.byHash = new Map();
+    this.mtimeMs = null;
+    this.checkedAt = 0;
+  }
+
+  /**
+   * Checks whether the keys file exists
+   *
+   * @returns {boolean} True if the file exists
+   */
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  /**
+   * Reads the keys file if it changed since it was last read
+   * The modification time is checked at most once per second.
+   */
+  refresh() {
+    const now = Date.now();
+    if (now - this.checkedAt < 1000 && this.mtimeMs !== null) {
+      return;
+    }
+    this.checkedAt = now;
+
+    let mtimeMs;
+    try {
+      ({ mtimeMs } = fs.statSync(this.file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      mtimeMs = 0;
+    }
+    if (mtimeMs === this.mtimeMs) {
+      return;
+    }
+
+    const data = mtimeMs ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : { keys: [] };
+    this.keys = Array.isArray(data.keys) ? data.keys : [];
+    this.byHash = new Map(this.keys.map(record => [record.hash, record]));
+    this.mtimeMs = mtimeMs;
+  }
+
+  /**
+   * Writes the keys to the file, replacing it atomically
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(temporary, `${JSON.stringify({ keys: this.keys }, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temporary, this.file);
+    this.mtimeMs = null;
+    this.refresh();
+  }
+
+  /**
+   * Creates a key
+   *
+   * @param {Object} options - Key options
+   * @param {string} options.name - Who or what uses the key
+   * @param {Array<string>} options.scopes - Granted scopes
+   * @param {number} options.requestsPerMinute - Rate limit, null for the server default
+   * @param {number} options.burst - Requests allowed at once, null for the server default
+   * @param {number} options.dailyQuota - Requests per UTC day, null for the server default, 0 for none
+   * @returns {Object} { key, record }, where key is the plain key to hand out
+   * @throws {Error} If the name is missing or a scope is unknown
+   */
+  create({ name, scopes = ['classify'], requestsPerMinute = null, burst = null, dailyQuota = null }) {
+    if (!name) {
+      throw new Error('API keys need a name');
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0 || scopes.length === 0) {
+      throw new Error(`Scopes must be some of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    this.mtimeMs = null;
+    this.refresh();
+
+    const key = generateApiKey();
+    const record = {
+      id: `key_${crypto.randomBytes(4).toString('hex')}`,
+      name,
+      hash: hashApiKey(key),
+      // Enough of the key to recognize it in logs and listings
+      prefix: key.slice(0, KEY_PREFIX.length + 4),
+      scopes,
+      requestsPerMinute,
+      burst,
+      dailyQuota,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+    };
+
+    this.keys.push(record);
+    this.save();
+    return { key, record: describeKey(record) };
+  }
+
+  /**
+   * Revokes a key
+   *
+   * @param {string} id - Key id
+   * @returns {Object|null} The revoked key, or null if there is none with that id
+   */
+  revoke(id) {
+    this.mtimeMs = null;
+    this.refresh();
+
+    const record = this.keys.find(candidate => candidate.id === id);
+    if (!record) {
+      return null;
+    }
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    this.save();
+    return describeKey(record);
+  }
+
+  /**
+   * Lists the keys without their hashes
+   *
+   * @returns {Array<Object>} Keys
+   */
+  list() {
+    this.refresh();
+    return this.keys.map(describeKey);
+  }
+
+  /**
+   * Finds the active key matching a plain key
+   *
+   * @param {string} key - Plain key sent by the client
+   * @returns {Object|null} Key record, or null if the key is unknown or revoked
+   */
+  authenticate(key) {
+    if (!key) {
+      return null;
+    }
+    this.refresh();
+
+    const record = this.byHash.get(hashApiKey(key));
+    return record && !record.revokedAt ? record : null;
+  }
+}
+
+/**
+ * Describes a key without its hash
+ *
+ * @param {Object} record - Stored key
+ * @returns {Object} Key description
+ */
+function describeKey({ hash, ...record }) {
+  return { ...record };
+}
+
+/**
+ * Per-key token-bucket rate limits and daily quotas
+ * Usage is kept in memory, so a restart resets it.
+ */
+class ClientLimiter {
+  /**
+   * @param {Object} defaults - Limits for keys that do not set their own
+   * @param {number} defaults.requestsPerMinute - Sustained request rate
+   * @param {number} defaults.burst - Requests allowed at once (bucket size)
+   * @param {number} defaults.dailyQuota - Requests per UTC day, 0 for none
+   */
+  constructor({ requestsPerMinute = 60, burst = 10, dailyQuota = 0 } = {}) {
+    this.defaults = { requestsPerMinute, burst, dailyQuota };
+    this.clients = new Map();
+  }
+
+  /**
+   * Resolves the limits of a key
+   *
+   * @param {Object} record - Key record
+   * @returns {Object} { requestsPerMinute, burst, dailyQuota }
+   */
+  limitsFor(record) {
+    const pick = name => (record[name] !== null && record[name] !== undefined ? record[name] : this.defaults[name]);
+    return { requestsPerMinute: pick('requestsPerMinute'), burst: pick('burst'), dailyQuota: pick('dailyQuota') };
+  }
+
+  /**
+   * Takes one request from a key's allowance
+   *
+   * @param {Object} record - Key record
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} { allowed, reason ('rate' or 'quota' when refused), retryAfter (seconds), remaining, quotaRemaining }
+   */
+  consume(record, now = Date.now()) {
+    const limits = this.limitsFor(record);
+    const day = new Date(now).toISOString().slice(0, 10);
+    let client = this.clients.get(record.id);
+    if (!client) {
+      client = { tokens: limits.burst, updatedAt: now, day, used: 0 };
+      this.clients.set(record.id, client);
+    }
+
+    // Refill the bucket for the time since the last request
+    const perMs = limits.requestsPerMinute / 60000;
+    client.tokens = Math.min(limits.burst, client.tokens + (now - client.updatedAt) * perMs);
+    client.updatedAt = now;
+    if (client.day !== day) {
+      client.day = day;
+      client.used = 0;
+    }
+
+    const quotaRemaining = limits.dailyQuota > 0 ? limits.dailyQuota - client.used : null;
+    if (quotaRemaining !== null && quotaRemaining <= 0) {
+      const midnight = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+      return { allowed: false, reason: 'quota', retryAfter: Math.ceil((midnight - now) / 1000), remaining: Math.floor(client.tokens), quotaRemaining: 0 };
+    }
+    if (client.tokens < 1) {
+      return { allowed: false, reason: 'rate', retryAfter: Math.ceil((1 - client.tokens) / perMs / 1000), remaining: 0, quotaRemaining };
+    }
+
+    client.tokens -= 1;
+    client.used += 1;
+    return {
+      allowed: true,
+      reason: null,
+      retryAfter: 0,
+      remaining: Math.floor(client.tokens),
+      quotaRemaining: quotaRemaining === null ? null : quotaRemaining - 1,
+    };
+  }
+
+  /**
+   * Reports a key's usage today
+   *
+   * @param {Object} record - Key record
+   * @returns {Object} { used, dailyQuota }
+   */
+  usage(record) {
+    const client = this.clients.get(record.id);
+    const today = new Date().toISOString().slice(0, 10);
+    return {
+      used: client && client.day === today ? client.used : 0,
+      dailyQuota: this.limitsFor(record).dailyQuota,
+    };
+  }
+}
+
+module.exports = {
+  ApiKeyStore,
+  ClientLimiter,
+  API_KEY_SCOPES,
+  AUTH_MODES,
+  hashApiKey,
+  generateApiKey,
+};
@@ -0,0 +1,642 @@
+/**
+ * Batch Jobs Module
+ *
+ * This module classifies large sets of messages in the background. Each job
+ * is kept in its own directory under config.jobs.directory:
+ *
+ *   <id>/job.json      - status, options and progress
+ *   <id>/input.jsonl   - the messages, one per line
+ *   <id>/results.jsonl - one result per message, in input order
+ *
+ * When the agent redacts personal data, messages are redacted before they
+ * are written, so neither file holds the original values.
+ *
+ * Jobs run one at a time. Results are appended in input order, so the
+ * number of result lines is the number of messages done; after a restart,
+ * unfinished jobs continue from the first message without a result.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { parseCsv } = require('./datasetLoader');
+const { mapWithConcurrency } = require('./requestScheduler');
+
+/**
+ * Statuses a job can be in; the last three are final
+ */
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+/**
+ * Columns of the CSV results download
+ */
+const RESULT_CSV_COLUMNS = ['index', 'id', 'text', 'intent', 'confidence', 'entities', 'error'];
+
+/**
+ * Minimum time between progress writes to job.json
+ */
+const SAVE_INTERVAL_MS = 1000;
+
+/**
+ * Checks whether a job id is well-formed (a UUID)
+ * Ids become directory names, so anything else is rejected.
+ *
+ * @param {string} jobId - Job identifier
+ * @returns {boolean} True if valid
+ */
+function isValidJobId(jobId) {
+  return typeof jobId === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(jobId);
+}
+
+/**
+ * Converts an uploaded record into a job message
+ *
+ * @param {string|Object} record - Message text, or an object with `text` and an optional `id`
+ * @param {string} location - Description of the record position for errors
+ * @returns {Object} Message { text, id }
+ * @throws {Error} If the record has no text
+ */
+function toJobMessage(record, location) {
+  if (typeof record === 'string') {
+    return { text: record, id: null };
+  }
+
+  if (!record || typeof record.text !== 'string') {
+    throw new Error(`${location}: missing "text"`);
+  }
+
+  return { text: record.text, id: record.id !== undefined && record.id !== '' ? String(record.id) : null };
+}
+
+/**
+ * Parses uploaded job input
+ * JSONL lines are message strings or objects with `text` and an optional
+ * `id`; CSV files need a `text` column and may have an `id` column.
+ *
+ * @param {string} content - Uploaded content
+ * @param {string} format - 'jsonl' or 'csv'
+ * @returns {Array<Object>} Messages { text, id }
+ * @throws {Error} If a record is invalid
+ */
+function parseJobInput(content, format) {
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(content);
+    const columns = (header || []).map(column => column.trim());
+    if (!columns.includes('text')) {
+      throw new Error('CSV input needs a "text" column');
+    }
+
+    return rows.map((fields, index) => toJobMessage(
+      Object.fromEntries(columns.map((column, columnIndex) => [column, fields[columnIndex] || ''])),
+      `row ${index + 2}`
+    ));
+  }
+
+  return content
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`line ${number}: invalid JSON`);
+      }
+      return toJobMessage(record, `line ${number}`);
+    });
+}
+
+/**
+ * Formats values as a CSV row, quoting fields that need it
+ *
+ * @param {Array<*>} values - Field values
+ * @returns {string} CSV row without a line break
+ */
+function toCsvRow(values) {
+  return values
+    .map((value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',');
+}
+
+/**
+ * Formats a job result as a CSV row of RESULT_CSV_COLUMNS
+ *
+ * @param {Object} result - Job result
+ * @returns {string} CSV row
+ */
+function resultToCsvRow(result) {
+  return toCsvRow(RESULT_CSV_COLUMNS.map(column => (
+    column === 'entities' ? JSON.stringify(result.entities || {}) : result[column]
+  )));
+}
+
+/**
+ * Builds the stored result of a classified message
+ *
+ * @param {Object} message - Message { index, text, id }
+ * @param {Object} result - Result of processMessage
+ * @returns {Object} Result { index, id, text, intent, confidence, entities, missingSlots, intents, response, error }
+ */
+function toResultRecord({ index, id = null, text }, result) {
+  return {
+    index,
+    id,
+    text,
+    intent: result.intent,
+    confidence: result.confidence,
+    entities: result.entities,
+    missingSlots: result.missingSlots,
+    intents: result.intents,
+    response: result.response || null,
+    error: result.error || null,
+  };
+}
+
+/**
+ * Builds the stored result of a message that could not be classified
+ *
+ * @param {Object} message - Message { index, text, id }
+ * @param {string} error - Error description
+ * @returns {Object} Result with the `unknown` intent and the error
+ */
+function toFailureRecord({ index, id = null, text }, error) {
+  return { index, id, text, intent: 'unknown', confidence: 0, entities: {}, error };
+}
+
+/**
+ * Waits for a delay unless the signal aborts first
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Ends the wait early
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const abort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', abort, { once: true });
+  });
+}
+
+/**
+ * Checks whether a job is visible to a client
+ *
+ * @param {Object} job - Stored job
+ * @param {string|undefined} owner - Id of the API key asking; undefined sees every job
+ * @returns {boolean} True if the client may see the job
+ */
+function isVisibleTo(job, owner) {
+  return owner === undefined || job.owner === owner;
+}
+
+/**
+ * Runs and persists batch classification jobs
+ * Jobs record the API key that created them, and the get, list and cancel
+ * calls given an owner only see that key's jobs.
+ */
+class BatchJobManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {IntentAgent} options.agent - Agent used to classify messages
+   * @param {string} options.directory - Directory holding the job directories
+   * @param {number} options.concurrency - Messages of a job processed at the same time
+   * @param {number} options.maxMessages - Largest accepted job
+   * @param {number} options.maxMessageChars - Longer messages fail without being classified
+   * @param {number} options.retryLimit - Retries of a message refused by a busy model
+   * @param {Logger} options.logger - Logs jobs that cannot be resumed (default: the agent's logger)
+   */
+  constructor({
+    agent,
+    directory,
+    concurrency = 1,
+    maxMessages = 100000,
+    maxMessageChars = 4000,
+    retryLimit = 5,
+    logger = agent.logger,
+  }) {
+    if (!directory) {
+      throw new Error('BatchJobManager requires a directory');
+    }
+
+    this.agent = agent;
+    this.directory = directory;
+    this.concurrency = concurrency;
+    this.maxMessages = maxMessages;
+    this.maxMessageChars = maxMessageChars;
+    this.retryLimit = retryLimit;
+    this.logger = logger;
+    this.jobs = new Map();
+    this.queue = [];
+    this.controllers = new Map();
+    this.runner = null;
+  }
+
+  /**
+   * Resolves a path inside a job directory
+   *
+   * @param {string} jobId - Job identifier
+   * @param {string} file - File name
+   * @returns {string} Absolute path
+   */
+  jobPath(jobId, file) {
+    return path.join(this.directory, jobId, file);
+  }
+
+  /**
+   * Loads the persisted jobs and resumes the unfinished ones
+   * Progress is recounted from the results file, which is written before
+   * job.json.
+   *
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async init() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const unfinished = [];
+    for (const jobId of entries.filter(isValidJobId)) {
+      let job;
+      try {
+        job = JSON.parse(await fs.promises.readFile(this.jobPath(jobId, 'job.json'), 'utf8'));
+      } catch (error) {
+        this.logger.warn('Skipping unreadable job', { jobId, error: error.message });
+        continue;
+      }
+
+      if (job.status === 'queued' || job.status === 'running') {
+        await this.dropPartialResult(jobId);
+        const results = await this.readAllResults(jobId);
+        job.processed = results.length;
+        job.failed = results.filter(result => result.error).length;
+        job.status = 'queued';
+        unfinished.push(job);
+      }
+      this.jobs.set(jobId, job);
+    }
+
+    unfinished
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach(job => this.enqueue(job.id));
+    return unfinished.length;
+  }
+
+  /**
+   * Creates a job and queues it
+   * Messages are stored as redacted by the agent, and classified as stored.
+   *
+   * @param {Array<Object>} messages - Messages { text, id }
+   * @param {Object} options - processMessage options for every message
+   * @param {string|null} owner - Id of the API key creating the job
+   * @returns {Promise<Object>} Job description
+   * @throws {Error} If there are no messages or too many
+   */
+  async create(messages, options = {}, owner = null) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('A job needs at least one message');
+    }
+    if (messages.length > this.maxMessages) {
+      throw new Error(`A job can have at most ${this.maxMessages} messages`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      total: messages.length,
+      processed: 0,
+      failed: 0,
+      options,
+      owner,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+    };
+
+    await fs.promises.mkdir(path.join(this.directory, job.id), { recursive: true });
+    await fs.promises.writeFile(
+      this.jobPath(job.id, 'input.jsonl'),
+      messages.map((message, index) => JSON.stringify({
+        index,
+        ...message,
+        ...(typeof message.text === 'string' ? { text: this.agent.redactText(message.text) } : {}),
+      })).join('\n') + '\n'
+    );
+    await fs.promises.writeFile(this.jobPath(job.id, 'results.jsonl'), '');
+    await this.save(job);
+
+    this.jobs.set(job.id, job);
+    const description = this.describe(job);
+    this.enqueue(job.id);
+    return description;
+  }
+
+  /**
+   * Returns a job
+   *
+   * @param {string} jobId - Job identifier
+   * @param {string} owner - Only return the job if this API key created it
+   * @returns {Object|null} Job description, or null if it does not exist or belongs to another key
+   */
+  get(jobId, owner = undefined) {
+    const job = this.jobs.get(jobId);
+    return job && isVisibleTo(job, owner) ? this.describe(job) : null;
+  }
+
+  /**
+   * Lists the jobs, newest first
+   *
+   * @param {string} owner - Only list the jobs this API key created
+   * @returns {Array<Object>} Job descriptions
+   */
+  list(owner = undefined) {
+    return [...this.jobs.values()]
+      .filter(job => isVisibleTo(job, owner))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.describe(job));
+  }
+
+  /**
+   * Cancels a queued or running job
+   * Results written so far are kept.
+   *
+   * @param {string} jobId - Job identifier
+   * @param {string} owner - Only cancel the job if this API key created it
+   * @returns {Promise<Object|null>} Job description, or null if it does not exist or belongs to another key
+   */
+  async cancel(jobId, owner = undefined) {
+    const job = this.jobs.get(jobId);
+    if (!job || !isVisibleTo(job, owner)) {
+      return null;
+    }
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      await this.save(job);
+    } else if (job.status === 'running') {
+      // The runner stops taking messages and marks the job cancelled
+      this.controllers.get(jobId).abort(new Error('Job cancelled'));
+    }
+    return this.describe(job);
+  }
+
+  /**
+   * Iterates over the results written so far, in input order
+   *
+   * @param {string} jobId - Job identifier
+   * @param {Object} options - Page options
+   * @param {number} options.offset - Results to skip
+   * @param {number} options.limit - Results to return, Infinity for all
+   * @yields {Object} Results
+   */
+  async *iterateResults(jobId, { offset = 0, limit = Infinity } = {}) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.jobPath(jobId, 'results.jsonl')),
+      crlfDelay: Infinity,
+    });
+
+    let index = 0;
+    let returned = 0;
+    for await (const line of lines) {
+      if (!line || index++ < offset) {
+        continue;
+      }
+      if (returned++ >= limit) {
+        break;
+      }
+      yield JSON.parse(line);
+    }
+    lines.close();
+  }
+
+  /**
+   * Reads every result written so far
+   *
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Array<Object>>} Results in input order
+   */
+  async readAllResults(jobId) {
+    const results = [];
+    try {
+      for await (const result of this.iterateResults(jobId)) {
+        results.push(result);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Removes a result line left half-written when the server stopped
+   *
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<void>}
+   */
+  async dropPartialResult(jobId) {
+    const filePath = this.jobPath(jobId, 'results.jsonl');
+    const content = await fs.promises.readFile(filePath, 'utf8').catch(() => '');
+    if (content && !content.endsWith('\n')) {
+      await fs.promises.truncate(filePath, Buffer.byteLength(content.slice(0, content.lastIndexOf('\n') + 1)));
+    }
+  }
+
+  /**
+   * Waits until every queued job has finished
+   *
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.runner) {
+      await this.runner;
+    }
+  }
+
+  /**
+   * Describes a job for API responses
+   *
+   * @param {Object} job - Stored job
+   * @returns {Object} Job with its progress as a fraction
+   */
+  describe(job) {
+    return { ...job, progress: job.total > 0 ? Math.round((job.processed / job.total) * 10000) / 10000 : 0 };
+  }
+
+  /**
+   * Persists a job's status and progress
+   *
+   * @param {Object} job - Stored job
+   * @returns {Promise<void>}
+   */
+  async save(job) {
+    job.updatedAt = new Date().toISOString();
+    const filePath = this.jobPath(job.id, 'job.json');
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.promises.writeFile(tempPath, JSON.stringify(job, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Adds a job to the run queue, starting the runner if it is idle
+   *
+   * @param {string} jobId - Job identifier
+   */
+  enqueue(jobId) {
+    this.queue.push(jobId);
+    if (!this.runner) {
+      this.runner = this.runQueue().finally(() => {
+        this.runner = null;
+      });
+    }
+  }
+
+  /**
+   * Runs queued jobs one after another
+   *
+   * @returns {Promise<void>}
+   */
+  async runQueue() {
+    while (this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (job && job.status === 'queued') {
+        await this.runJob(job);
+      }
+    }
+  }
+
+  /**
+   * Processes the remaining messages of a job
+   * Results finish out of order when concurrency is above 1, so they are
+   * held back until every earlier result has been written.
+   *
+   * @param {Object} job - Stored job
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.save(job);
+
+    const pending = new Map();
+    let writes = Promise.resolve();
+    let lastSave = Date.now();
+
+    const write = (result) => {
+      pending.set(result.index, result);
+      const ready = [];
+      while (pending.has(job.processed + ready.length)) {
+        ready.push(pending.get(job.processed + ready.length));
+      }
+      if (ready.length === 0) {
+        return writes;
+      }
+
+      ready.forEach(item => pending.delete(item.index));
+      job.processed += ready.length;
+      job.failed += ready.filter(item => item.error).length;
+      writes = writes.then(async () => {
+        await fs.promises.appendFile(
+          this.jobPath(job.id, 'results.jsonl'),
+          ready.map(item => JSON.stringify(item)).join('\n') + '\n'
+        );
+        if (Date.now() - lastSave >= SAVE_INTERVAL_MS) {
+          lastSave = Date.now();
+          await this.save(job);
+        }
+      });
+      return writes;
+    };
+
+    try {
+      const content = await fs.promises.readFile(this.jobPath(job.id, 'input.jsonl'), 'utf8');
+      const messages = content.split('\n').filter(Boolean).map(line => JSON.parse(line)).slice(job.processed);
+
+      await mapWithConcurrency(messages, this.concurrency, async (message) => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        const result = await this.classify(message, job.options, controller.signal);
+        if (!controller.signal.aborted) {
+          await write(result);
+        }
+      });
+      await writes;
+
+      job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      this.controllers.delete(job.id);
+      job.finishedAt = new Date().toISOString();
+      await this.save(job);
+    }
+  }
+
+  /**
+   * Classifies one message of a job
+   * Messages refused by a busy model are retried after the suggested
+   * delay; other errors are recorded on the result.
+   *
+   * @param {Object} message - Message { index, text, id }
+   * @param {Object} options - processMessage options
+   * @param {AbortSignal} signal - Cancels the job
+   * @returns {Promise<Object>} Result { index, id, text, intent, confidence, entities, ..., error }
+   */
+  async classify(message, options, signal) {
+    const { text } = message;
+    if (typeof text !== 'string' || text.trim().length === 0 || text.length > this.maxMessageChars) {
+      return toFailureRecord(message, `Message must be a non-empty string of at most ${this.maxMessageChars} characters`);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return toResultRecord(message, await this.agent.processMessage(text, { ...options, signal }));
+      } catch (error) {
+        if (error.retryAfter && attempt < this.retryLimit && !signal.aborted) {
+          await wait(error.retryAfter * 1000, signal);
+          continue;
+        }
+        return toFailureRecord(message, error.message);
+      }
+    }
+  }
+}
+
+module.exports = {
+  BatchJobManager,
+  JOB_STATUSES,
+  RESULT_CSV_COLUMNS,
+  isValidJobId,
+  parseJobInput,
+  resultToCsvRow,
+  toJobMessage,
+  toResultRecord,
+  toFailureRecord,
+};
@@ -0,0 +1,49 @@
+/**
+ * Embedding Index Builder
+ *
+ * Embeds the example utterances of every taxonomy intent, plus an optional
+ * labeled dataset, and saves the index used by the embedding first stage
+ * (config.embeddings.indexFile). Rebuild after changing the taxonomy
+ * examples or the embedding model.
+ *
+ * Usage: npm run build-index -- [--dataset file] [--out file]
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { getAgentConfig } = require('./agentConfig');
+const { loadTrainingExamples } = require('./datasetLoader');
+const {
+  createEmbeddings,
+  embeddingModelId,
+  EmbeddingIndex,
+} = require('./embeddingClassifier');
+
+/**
+ * Main index builder entry point
+ */
+async function main() {
+  const config = getAgentConfig();
+  const { values } = parseArgs({
+    options: {
+      dataset: { type: 'string' },
+      out: { type: 'string', default: config.embeddings.indexFile },
+    },
+  });
+
+  const examples = loadTrainingExamples(config.taxonomy, values.dataset ? [values.dataset] : []);
+  const model = embeddingModelId(config.embeddings);
+  console.log(`Embedding ${examples.length} examples with ${model}`);
+
+  const index = await EmbeddingIndex.build(examples, createEmbeddings(config.embeddings), model, config.intentCategories);
+  const outputFile = path.resolve(values.out);
+  index.save(outputFile);
+
+  console.log(`Saved embedding index to ${outputFile}`);
+}
+
+main().catch(error => {
+  console.error('Building the embedding index failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+/**
+ * Confidence Calibration Script
+ *
+ * Classifies a labeled dataset without calibration, fits the temperature
+ * that makes the confidence scores match the observed accuracy, and saves
+ * it where the agent loads it at startup (config.calibration.file).
+ *
+ * Usage: npm run calibrate -- [--dataset file] [--concurrency n] [--out file]
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { IntentAgent } = require('./intentAgent');
+const { loadDataset } = require('./datasetLoader');
+const { mapWithConcurrency } = require('./requestScheduler');
+const { fitTemperature, saveCalibration } = require('./confidenceCalibration');
+
+const DEFAULT_DATASET = path.join(__dirname, 'datasets', 'sample.jsonl');
+
+/**
+ * Parse outcomes whose scores come from the model's own classification
+ */
+const MODEL_PARSE_STATUSES = ['parsed', 'repaired'];
+
+/**
+ * Classifies every example and pairs its uncalibrated distribution with its label
+ * Only model classifications are kept: the temperature rescales the LLM
+ * stage, so embedding votes, fallback scores and errors would bias it.
+ *
+ * @param {IntentAgent} agent - Agent created without calibration
+ * @param {Array<Object>} examples - Dataset examples
+ * @param {Object} options - Run options
+ * @param {number} options.concurrency - Parallel requests
+ * @param {Function} options.onProgress - Called with (completed, total)
+ * @returns {Promise<Array<Object>>} Records of the form { distribution, label }
+ */
+async function collectCalibrationRecords(agent, examples, { concurrency = 2, onProgress = () => {} } = {}) {
+  let completed = 0;
+
+  const records = await mapWithConcurrency(examples, concurrency, async (example) => {
+    let result;
+    try {
+      result = await agent.processMessage(example.text, { classifyOnly: true, topK: 0 });
+    } catch (error) {
+      result = { distribution: [] };
+    }
+
+    completed++;
+    onProgress(completed, examples.length);
+
+    const fromModel = result.metadata && result.metadata.stage === 'llm'
+      && result.parseStatus && MODEL_PARSE_STATUSES.includes(result.parseStatus.status);
+    if (result.error || !fromModel || result.distribution.length === 0) {
+      return null;
+    }
+
+    return {
+      distribution: Object.fromEntries(result.distribution.map(entry => [entry.intent, entry.probability])),
+      label: example.expectedIntent,
+    };
+  });
+
+  return records.filter(Boolean);
+}
+
+/**
+ * Main calibration entry point
+ */
+async function main() {
+  // Without the result cache, so the run neither reads nor prunes the server's
+  const agent = new IntentAgent({ calibration: null, resultCache: null });
+  const { values } = parseArgs({
+    options: {
+      dataset: { type: 'string', default: DEFAULT_DATASET },
+      concurrency: { type: 'string', default: '2' },
+      out: { type: 'string', default: agent.config.calibration.file },
+    },
+  });
+
+  const examples = loadDataset(values.dataset);
+  const concurrency = parseInt(values.concurrency, 10) || 1;
+  console.log(`Calibrating on ${examples.length} examples from ${values.dataset}`);
+  console.log(`Model: ${agent.modelInfo.provider}/${agent.modelInfo.model}, ${agent.config.classification.samples} sample(s) per message\n`);
+
+  const records = await collectCalibrationRecords(agent, examples, {
+    concurrency,
+    onProgress: (completed, total) => {
+      process.stdout.write(`\r  ${completed}/${total} classified`);
+    },
+  });
+  process.stdout.write('\n\n');
+
+  const fit = fitTemperature(records);
+  const outputFile = path.resolve(values.out);
+  saveCalibration(outputFile, {
+    temperature: fit.temperature,
+    nllBefore: fit.nllBefore,
+    nllAfter: fit.nllAfter,
+    examples: records.length,
+    dataset: path.basename(values.dataset),
+    provider: agent.modelInfo.provider,
+    model: agent.modelInfo.model,
+    samples: agent.config.classification.samples,
+    fittedAt: new Date().toISOString(),
+  });
+
+  console.log(`Temperature ${fit.temperature.toFixed(3)} (NLL ${fit.nllBefore.toFixed(3)} -> ${fit.nllAfter.toFixed(3)})`);
+  console.log(`Saved calibration to ${outputFile}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Calibration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  collectCalibrationRecords,
+};
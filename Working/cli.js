@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+/**
+ * Command-Line Interface
+ *
+ * Classifies messages given as arguments, read from a JSONL, CSV or text
+ * file, or piped through stdin, and runs an interactive session that keeps
+ * conversation context. Installed as the `intent-identifier` bin.
+ *
+ * Usage: intent-identifier <classify|repl> [options], see USAGE below
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+const {
+  RESULT_CSV_COLUMNS,
+  parseJobInput,
+  resultToCsvRow,
+  toResultRecord,
+  toFailureRecord,
+} = require('./batchJobs');
+const { mapWithConcurrency } = require('./requestScheduler');
+
+const USAGE = `Usage:
+  intent-identifier classify "text to classify" [options]
+  intent-identifier classify --file input.jsonl --out results.csv [options]
+  cat messages.txt | intent-identifier classify --format ndjson [options]
+  intent-identifier repl [options]
+
+Options:
+  -f, --file <path>          Messages to classify: .jsonl, .csv or one message per line
+      --input-format <fmt>   Format of --file or stdin: jsonl, csv or text (default: from the extension, else text)
+  -o, --out <path>           Write results to a file instead of stdout
+      --format <fmt>         Output format: table, json, ndjson or csv (default: from --out, else table)
+  -c, --classify-only        Only identify intents, without generating responses
+  -m, --model <name>         Model name (LLM_MODEL)
+  -p, --provider <name>      Model provider: ollama, openai-compatible, rules or replay (LLM_PROVIDER)
+  -t, --taxonomy <path>      Intent taxonomy file (INTENT_TAXONOMY_FILE)
+      --timezone <zone>      IANA timezone for relative dates
+      --concurrency <n>      Messages classified at the same time (default: 2)
+  -h, --help                 Show this help
+
+In the REPL, /reset starts a new conversation and /exit quits.`;
+
+/**
+ * Output formats for results
+ */
+const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+/**
+ * Input formats for files and stdin
+ */
+const INPUT_FORMATS = ['jsonl', 'csv', 'text'];
+
+/**
+ * Error in the command line, reported with the usage text
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message - Error description
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Infers a format from a file extension
+ *
+ * @param {string} filePath - File path
+ * @param {Object} formats - Formats keyed by extension
+ * @returns {string|null} Format, or null for other extensions
+ */
+function formatFromExtension(filePath, formats) {
+  return filePath ? formats[path.extname(filePath).toLowerCase()] || null : null;
+}
+
+/**
+ * Parses the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, text, file, out, format, inputFormat, classifyOnly, model, provider, taxonomy, timezone, concurrency, help }
+ * @throws {UsageError} If an option is unknown or invalid
+ */
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        file: { type: 'string', short: 'f' },
+        'input-format': { type: 'string' },
+        out: { type: 'string', short: 'o' },
+        format: { type: 'string' },
+        'classify-only': { type: 'boolean', short: 'c', default: false },
+        model: { type: 'string', short: 'm' },
+        provider: { type: 'string', short: 'p' },
+        taxonomy: { type: 'string', short: 't' },
+        timezone: { type: 'string' },
+        concurrency: { type: 'string', default: '2' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...words] = positionals;
+  const format = values.format
+    || formatFromExtension(values.out, { '.csv': 'csv', '.json': 'json', '.jsonl': 'ndjson', '.ndjson': 'ndjson' })
+    || 'table';
+  const inputFormat = values['input-format']
+    || formatFromExtension(values.file, { '.csv': 'csv', '.jsonl': 'jsonl', '.ndjson': 'jsonl' })
+    || 'text';
+  const concurrency = Number(values.concurrency);
+
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (!INPUT_FORMATS.includes(inputFormat)) {
+    throw new UsageError(`--input-format must be one of: ${INPUT_FORMATS.join(', ')}`);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new UsageError('--concurrency must be a positive integer');
+  }
+
+  return {
+    command,
+    text: words.join(' '),
+    file: values.file,
+    out: values.out,
+    format,
+    inputFormat,
+    classifyOnly: values['classify-only'],
+    model: values.model,
+    provider: values.provider,
+    taxonomy: values.taxonomy,
+    timezone: values.timezone,
+    concurrency,
+    help: values.help,
+  };
+}
+
+/**
+ * Creates the agent, applying the model and taxonomy options
+ * The configuration reads the environment when it is first loaded, so the
+ * options are set as environment variables before requiring the agent.
+ *
+ * @param {Object} options - Parsed command line
+ * @returns {IntentAgent} Agent
+ */
+function createAgent(options) {
+  if (options.provider) {
+    process.env.LLM_PROVIDER = options.provider;
+  }
+  if (options.model) {
+    process.env.LLM_MODEL = options.model;
+  }
+  if (options.taxonomy) {
+    process.env.INTENT_TAXONOMY_FILE = path.resolve(options.taxonomy);
+  }
+
+  const { IntentAgent } = require('./intentAgent');
+  return new IntentAgent();
+}
+
+/**
+ * Parses messages from a file or stdin
+ *
+ * @param {string} content - Input text
+ * @param {string} format - 'jsonl', 'csv' or 'text' (one message per line)
+ * @returns {Array<Object>} Messages { index, text, id }
+ */
+function parseMessages(content, format) {
+  const messages = format === 'text'
+    ? content.split(/\r?\n/).filter(line => line.trim()).map(text => ({ text, id: null }))
+    : parseJobInput(content, format);
+
+  return messages.map((message, index) => ({ index, ...message }));
+}
+
+/**
+ * Reads a whole stream as text
+ *
+ * @param {stream.Readable} stream - Stream to read
+ * @returns {Promise<string>} Content
+ */
+async function readStream(stream) {
+  let content = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    content += chunk;
+  }
+  return content;
+}
+
+/**
+ * Shortens text to a column width
+ *
+ * @param {string} text - Text
+ * @param {number} width - Maximum length
+ * @returns {string} Text on one line, cut with an ellipsis if needed
+ */
+function truncate(text, width) {
+  const line = String(text === null || text === undefined ? '' : text).replace(/\s+/g, ' ');
+  return line.length > width ? `${line.slice(0, width - 1)}…` : line;
+}
+
+/**
+ * Formats results as an aligned text table
+ *
+ * @param {Array<Object>} records - Result records
+ * @returns {string} Table
+ */
+function formatTable(records) {
+  const withResponses = records.some(record => record.response);
+  const header = ['#', 'TEXT', 'INTENT', 'CONF', 'ENTITIES', ...(withResponses ? ['RESPONSE'] : [])];
+  const rows = records.map(record => [
+    String(record.index + 1),
+    truncate(record.text, 40),
+    record.error ? `${record.intent} (error: ${truncate(record.error, 40)})` : record.intent,
+    `${Math.round(record.confidence * 100)}%`,
+    truncate(Object.entries(record.entities || {})
+      .map(([name, entity]) => `${name}=${entity && entity.value !== undefined ? entity.value : entity}`)
+      .join(' '), 40),
+    ...(withResponses ? [truncate(record.response, 60)] : []),
+  ]);
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  return [header, ...rows]
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Formats result records for output
+ *
+ * @param {Array<Object>} records - Result records
+ * @param {string} format - 'table', 'json', 'ndjson' or 'csv'
+ * @returns {string} Formatted results, ending with a line break
+ */
+function formatResults(records, format) {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(records, null, 2)}\n`;
+    case 'ndjson':
+      return records.map(record => `${JSON.stringify(record)}\n`).join('');
+    case 'csv':
+      return [RESULT_CSV_COLUMNS.join(','), ...records.map(resultToCsvRow)].join('\n') + '\n';
+    default:
+      return `${formatTable(records)}\n`;
+  }
+}
+
+/**
+ * Classifies messages and writes the results
+ *
+ * @param {Object} options - Parsed command line
+ * @param {Object} io - { stdin, stdout, stderr, createAgent }
+ * @returns {Promise<number>} Exit code: 1 if any message failed
+ */
+async function runClassify(options, io) {
+  let messages;
+  if (options.text) {
+    messages = [{ index: 0, text: options.text, id: null }];
+  } else if (options.file) {
+    messages = parseMessages(fs.readFileSync(options.file, 'utf8'), options.inputFormat);
+  } else if (!io.stdin.isTTY) {
+    messages = parseMessages(await readStream(io.stdin), options.inputFormat);
+  } else {
+    throw new UsageError('Nothing to classify: pass text, --file or pipe messages through stdin');
+  }
+
+  const agent = io.createAgent(options);
+  let completed = 0;
+  const records = await mapWithConcurrency(messages, options.concurrency, async (message) => {
+    let record;
+    try {
+      record = toResultRecord(message, await agent.processMessage(message.text, {
+        classifyOnly: options.classifyOnly,
+        timezone: options.timezone,
+      }));
+    } catch (error) {
+      record = toFailureRecord(message, error.message);
+    }
+
+    completed++;
+    if (io.stderr.isTTY && messages.length > 1) {
+      io.stderr.write(`\r  ${completed}/${messages.length} classified`);
+    }
+    return record;
+  });
+  if (io.stderr.isTTY && messages.length > 1) {
+    io.stderr.write('\n');
+  }
+
+  const output = formatResults(records, options.format);
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    io.stderr.write(`Wrote ${records.length} result(s) to ${options.out}\n`);
+  } else {
+    io.stdout.write(output);
+  }
+
+  return records.some(record => record.error) ? 1 : 0;
+}
+
+/**
+ * Runs an interactive session; every message continues the conversation
+ * until /reset
+ *
+ * @param {Object} options - Parsed command line
+ * @param {Object} io - { stdin, stdout, stderr, createAgent }
+ * @returns {Promise<number>} Exit code
+ */
+async function runRepl(options, io) {
+  const agent = io.createAgent(options);
+  const newSessionId = () => `cli-${crypto.randomUUID()}`;
+  let sessionId = newSessionId();
+
+  const lines = readline.createInterface({ input: io.stdin, output: io.stdout, terminal: Boolean(io.stdin.isTTY) });
+  lines.setPrompt('you> ');
+  io.stdout.write(`Intent Identifier (${agent.modelInfo.provider}/${agent.modelInfo.model}). Type /help for commands.\n`);
+  lines.prompt();
+
+  for await (const line of lines) {
+    const text = line.trim();
+
+    if (text === '/exit' || text === '/quit') {
+      break;
+    } else if (text === '/reset') {
+      await agent.resetSession(sessionId);
+      sessionId = newSessionId();
+      io.stdout.write('Started a new conversation.\n');
+    } else if (text === '/help') {
+      io.stdout.write('/reset  start a new conversation\n/exit   quit\n');
+    } else if (text) {
+      try {
+        const result = await agent.processMessage(text, {
+          sessionId,
+          classifyOnly: options.classifyOnly,
+          timezone: options.timezone,
+        });
+
+        if (options.format === 'table') {
+          io.stdout.write(`[${result.intent} ${Math.round(result.confidence * 100)}%]${result.response ? ` ${result.response}` : ''}\n`);
+        } else {
+          io.stdout.write(`${JSON.stringify(result)}\n`);
+        }
+      } catch (error) {
+        io.stderr.write(`Error: ${error.message}\n`);
+      }
+    }
+    lines.prompt();
+  }
+
+  lines.close();
+  return 0;
+}
+
+/**
+ * Runs the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - Streams and agent factory, replaceable for tests
+ * @returns {Promise<number>} Exit code: 0 on success, 1 on failure, 2 on usage errors
+ */
+async function runCli(argv, io = {}) {
+  const streams = {
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    createAgent,
+    ...io,
+  };
+
+  try {
+    const options = parseCliArgs(argv);
+    if (options.help || !options.command) {
+      streams.stdout.write(`${USAGE}\n`);
+      return options.help ? 0 : 2;
+    }
+
+    switch (options.command) {
+      case 'classify':
+        return await runClassify(options, streams);
+      case 'repl':
+        return await runRepl(options, streams);
+      default:
+        throw new UsageError(`Unknown command "${options.command}"`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      streams.stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+    streams.stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  // Keep stdout clean for pipelines
+  process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+
+  runCli(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  runCli,
+  parseCliArgs,
+  parseMessages,
+  formatResults,
+};
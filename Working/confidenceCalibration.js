@@ -0,0 +1,197 @@
+/**
+ * Confidence Calibration Module
+ *
+ * This module turns classification samples into a probability distribution
+ * over the intent categories and calibrates it with temperature scaling.
+ * The temperature is fit on a labeled dataset (`npm run calibrate`),
+ * saved as JSON and applied to every classification at runtime.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Smallest probability given to any category, so no distribution has a
+ * zero that would make the log-likelihood infinite
+ */
+const MIN_PROBABILITY = 1e-4;
+
+/**
+ * Search range for the fitted temperature
+ */
+const MIN_TEMPERATURE = 0.05;
+const MAX_TEMPERATURE = 20;
+
+/**
+ * Builds a probability distribution from one or more classification samples
+ * Each sample puts its confidence on its intent and spreads the rest
+ * evenly over the other categories; the samples are then averaged, so
+ * repeated answers (self-consistency) reinforce each other.
+ *
+ * @param {Array<Object>} samples - Samples of the form { intent, confidence }
+ * @param {Array<string>} categories - All intent categories
+ * @returns {Object} Probabilities keyed by intent, summing to 1
+ */
+function buildDistribution(samples, categories) {
+  const distribution = Object.fromEntries(categories.map(category => [category, 0]));
+  if (samples.length === 0) {
+    return Object.fromEntries(categories.map(category => [category, 1 / categories.length]));
+  }
+
+  for (const sample of samples) {
+    const weight = 1 / samples.length;
+    const others = categories.filter(category => category !== sample.intent);
+
+    if (others.length === categories.length || others.length === 0) {
+      // Unlisted intent, or a single category: nothing to spread
+      for (const category of categories) {
+        distribution[category] += weight / categories.length;
+      }
+      continue;
+    }
+
+    const confidence = Math.min(Math.max(sample.confidence, MIN_PROBABILITY), 1 - MIN_PROBABILITY);
+    distribution[sample.intent] += confidence * weight;
+    for (const category of others) {
+      distribution[category] += ((1 - confidence) / others.length) * weight;
+    }
+  }
+
+  return distribution;
+}
+
+/**
+ * Scales a distribution by a temperature
+ * Temperatures above 1 soften overconfident distributions, below 1 sharpen them.
+ *
+ * @param {Object} distribution - Probabilities keyed by intent
+ * @param {number} temperature - Temperature to apply
+ * @returns {Object} Scaled probabilities keyed by intent
+ */
+function applyTemperature(distribution, temperature) {
+  return normalize(Object.fromEntries(
+    Object.entries(distribution).map(([intent, probability]) => [
+      intent,
+      Math.exp(Math.log(Math.max(probability, MIN_PROBABILITY)) / temperature),
+    ])
+  ));
+}
+
+/**
+ * Scales probabilities so they sum to 1
+ *
+ * @param {Object} distribution - Non-negative weights keyed by intent
+ * @returns {Object} Probabilities keyed by intent
+ */
+function normalize(distribution) {
+  const total = Object.values(distribution).reduce((sum, value) => sum + value, 0);
+  return Object.fromEntries(
+    Object.entries(distribution).map(([intent, value]) => [intent, total > 0 ? value / total : 0])
+  );
+}
+
+/**
+ * Lists the most likely intents of a distribution
+ *
+ * @param {Object} distribution - Probabilities keyed by intent
+ * @param {number} k - Number of entries to keep; all when not positive
+ * @returns {Array<Object>} Entries of the form { intent, probability }, most likely first
+ */
+function topIntents(distribution, k) {
+  const ranked = Object.entries(distribution)
+    .map(([intent, probability]) => ({ intent, probability }))
+    .sort((a, b) => b.probability - a.probability);
+  return k > 0 ? ranked.slice(0, k) : ranked;
+}
+
+/**
+ * Average negative log-likelihood of the labels under the distributions
+ *
+ * @param {Array<Object>} records - Records of the form { distribution, label }
+ * @param {number} temperature - Temperature applied to each distribution
+ * @returns {number} Mean negative log-likelihood
+ */
+function negativeLogLikelihood(records, temperature) {
+  const total = records.reduce((sum, { distribution, label }) => {
+    const probability = applyTemperature(distribution, temperature)[label] || 0;
+    return sum - Math.log(Math.max(probability, MIN_PROBABILITY));
+  }, 0);
+  return total / records.length;
+}
+
+/**
+ * Fits the temperature that minimizes the negative log-likelihood of the labels
+ * The likelihood is unimodal in log(temperature), so a golden-section
+ * search over that range finds the optimum.
+ *
+ * @param {Array<Object>} records - Records of the form { distribution, label }
+ * @returns {Object} { temperature, nllBefore, nllAfter }
+ * @throws {Error} If there are no records
+ */
+function fitTemperature(records) {
+  if (records.length === 0) {
+    throw new Error('Cannot fit a temperature without labeled records');
+  }
+
+  const loss = logTemperature => negativeLogLikelihood(records, Math.exp(logTemperature));
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let low = Math.log(MIN_TEMPERATURE);
+  let high = Math.log(MAX_TEMPERATURE);
+
+  for (let iteration = 0; iteration < 60; iteration++) {
+    const left = high - ratio * (high - low);
+    const right = low + ratio * (high - low);
+    if (loss(left) <= loss(right)) {
+      high = right;
+    } else {
+      low = left;
+    }
+  }
+
+  const temperature = Math.exp((low + high) / 2);
+  return {
+    temperature,
+    nllBefore: negativeLogLikelihood(records, 1),
+    nllAfter: negativeLogLikelihood(records, temperature),
+  };
+}
+
+/**
+ * Loads saved calibration parameters
+ *
+ * @param {string} filePath - Calibration file
+ * @returns {Object|null} Parameters, or null if the file does not exist
+ * @throws {Error} If the file exists but has no valid temperature
+ */
+function loadCalibration(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const calibration = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (typeof calibration.temperature !== 'number' || !(calibration.temperature > 0)) {
+    throw new Error(`Calibration file ${filePath} needs a positive "temperature"`);
+  }
+  return calibration;
+}
+
+/**
+ * Saves calibration parameters
+ *
+ * @param {string} filePath - Calibration file
+ * @param {Object} calibration - Parameters, including temperature
+ */
+function saveCalibration(filePath, calibration) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(calibration, null, 2));
+}
+
+module.exports = {
+  buildDistribution,
+  applyTemperature,
+  topIntents,
+  negativeLogLikelihood,
+  fitTemperature,
+  loadCalibration,
+  saveCalibration,
+};
@@ -0,0 +1,426 @@
+/**
+ * Conversation Store Module
+ *
+ * This module provides pluggable storage for multi-turn conversation
+ * sessions. Each session holds an ordered list of turns (user input plus
+ * the intent and response the agent produced) so that follow-up messages
+ * can be classified and answered with the earlier context available.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Session identifiers are used as file names by the file-backed store,
+ * so they are restricted to a safe character set
+ */
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Checks whether a value can be used as a session identifier
+ *
+ * @param {*} sessionId - Candidate session identifier
+ * @returns {boolean} True if the identifier is valid
+ */
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Throws if the session identifier is not valid
+ *
+ * @param {string} sessionId - Session identifier to check
+ * @throws {Error} If the identifier is invalid
+ */
+function assertValidSessionId(sessionId) {
+  if (!isValidSessionId(sessionId)) {
+    throw new Error(`Invalid session id: ${sessionId}`);
+  }
+}
+
+/**
+ * Builds a stored turn record from a processed message
+ *
+ * @param {Object} turn - Turn data
+ * @returns {Object} Normalized turn record
+ */
+function createTurn(turn) {
+  return {
+    userInput: turn.userInput,
+    intent: turn.intent || 'unknown',
+    confidence: typeof turn.confidence === 'number' ? turn.confidence : 0,
+    response: turn.response || '',
+    timestamp: turn.timestamp || new Date().toISOString(),
+  };
+}
+
+/**
+ * Selects the turns that fit into the prompt history window
+ * Keeps the most recent turns, limited by turn count and total characters.
+ * Individual messages longer than maxMessageChars are truncated.
+ *
+ * @param {Array<Object>} turns - Stored turns, oldest first
+ * @param {Object} options - Window options
+ * @param {number} options.maxTurns - Maximum number of turns to keep
+ * @param {number} options.maxChars - Maximum total characters across kept turns
+ * @param {number} options.maxMessageChars - Maximum characters per message
+ * @returns {Array<Object>} Windowed turns, oldest first
+ */
+function windowHistory(turns, { maxTurns = 6, maxChars = 4000, maxMessageChars = 1000 } = {}) {
+  const truncate = (text) => {
+    const value = text || '';
+    return value.length > maxMessageChars ? `${value.slice(0, maxMessageChars)}...` : value;
+  };
+
+  const recent = maxTurns > 0 ? turns.slice(-maxTurns) : [];
+  const windowed = [];
+  let totalChars = 0;
+
+  // Walk backwards so the newest turns are kept when the budget runs out
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const turn = {
+      ...recent[i],
+      userInput: truncate(recent[i].userInput),
+      response: truncate(recent[i].response),
+    };
+    const turnChars = turn.userInput.length + turn.response.length;
+
+    if (totalChars + turnChars > maxChars) {
+      break;
+    }
+
+    totalChars += turnChars;
+    windowed.unshift(turn);
+  }
+
+  return windowed;
+}
+
+/**
+ * In-memory conversation store
+ *
+ * Keeps sessions in a Map ordered from least to most recently active.
+ * Sessions idle for longer than the time to live are dropped, and the
+ * least recently active ones are evicted beyond maxSessions. A session may
+ * be claimed by the API key that uses it.
+ */
+class InMemoryConversationStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxStoredTurns - Maximum turns retained per session
+   * @param {number} options.maxSessions - Sessions kept before the least recently active is evicted
+   * @param {number} options.sessionTtlMs - Idle time in milliseconds after which a session is dropped
+   */
+  constructor({ maxStoredTurns = 50, maxSessions = 10000, sessionTtlMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.maxStoredTurns = maxStoredTurns;
+    this.maxSessions = maxSessions;
+    this.sessionTtlMs = sessionTtlMs;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Checks whether a session has been idle for longer than the time to live
+   *
+   * @param {Object} session - Stored session { turns, owner, lastActiveAt }
+   * @returns {boolean} True if the session has expired
+   */
+  isExpired(session) {
+    return Date.now() - session.lastActiveAt >= this.sessionTtlMs;
+  }
+
+  /**
+   * Returns a session unless it has expired
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Stored session { turns, owner, lastActiveAt }, or null
+   */
+  readSession(sessionId) {
+    assertValidSessionId(sessionId);
+    const session = this.sessions.get(sessionId);
+    if (!session || this.isExpired(session)) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Stores a session as the most recently active one, dropping expired
+   * sessions and evicting the least recently active ones when full
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {Object} session - Session { turns, owner }
+   */
+  writeSession(sessionId, { turns, owner }) {
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, { turns, owner, lastActiveAt: Date.now() });
+
+    for (const [id, session] of this.sessions) {
+      if (this.sessions.size <= this.maxSessions && !this.isExpired(session)) {
+        break;
+      }
+      this.sessions.delete(id);
+    }
+  }
+
+  /**
+   * Returns the stored turns for a session, oldest first
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array<Object>>} Stored turns
+   */
+  async getHistory(sessionId) {
+    const session = this.readSession(sessionId);
+    return session ? [...session.turns] : [];
+  }
+
+  /**
+   * Appends a turn to a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {Object} turn - Turn to append
+   * @returns {Promise<void>}
+   */
+  async appendTurn(sessionId, turn) {
+    const session = this.readSession(sessionId);
+    const turns = [...(session ? session.turns : []), createTurn(turn)];
+    this.writeSession(sessionId, { turns: turns.slice(-this.maxStoredTurns), owner: session ? session.owner : null });
+  }
+
+  /**
+   * Returns the API key a session belongs to
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<string|null>} Owning key id, or null if the session is unclaimed or does not exist
+   */
+  async getOwner(sessionId) {
+    const session = this.readSession(sessionId);
+    return session ? session.owner || null : null;
+  }
+
+  /**
+   * Claims a session for an API key, unless another key already owns it
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {string} owner - Id of the API key
+   * @returns {Promise<boolean>} True if the session belongs to the key
+   */
+  async claim(sessionId, owner) {
+    const session = this.readSession(sessionId);
+    if (session && session.owner) {
+      return session.owner === owner;
+    }
+    this.writeSession(sessionId, { turns: session ? session.turns : [], owner });
+    return true;
+  }
+
+  /**
+   * Removes all turns for a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<boolean>} True if the session existed
+   */
+  async clear(sessionId) {
+    assertValidSessionId(sessionId);
+    return this.sessions.delete(sessionId);
+  }
+}
+
+/**
+ * File-backed conversation store
+ *
+ * Persists each session as a JSON file in the configured directory so
+ * conversations survive a server restart, with the API key that claimed
+ * it. Writes to a session run one after another, so concurrent turns are
+ * not lost.
+ */
+class FileConversationStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding session files
+   * @param {number} options.maxStoredTurns - Maximum turns retained per session
+   */
+  constructor({ directory, maxStoredTurns = 50 } = {}) {
+    if (!directory) {
+      throw new Error('FileConversationStore requires a directory');
+    }
+
+    this.directory = directory;
+    this.maxStoredTurns = maxStoredTurns;
+    this.writes = new Map();
+  }
+
+  /**
+   * Runs a write after the pending writes of the same session
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {Function} task - Async write
+   * @returns {Promise<*>} Result of the write
+   */
+  async serialize(sessionId, task) {
+    const write = (this.writes.get(sessionId) || Promise.resolve()).catch(() => {}).then(task);
+    this.writes.set(sessionId, write);
+    try {
+      return await write;
+    } finally {
+      if (this.writes.get(sessionId) === write) {
+        this.writes.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Resolves the file path for a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {string} Absolute path of the session file
+   */
+  sessionPath(sessionId) {
+    assertValidSessionId(sessionId);
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  /**
+   * Reads a session file
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} Session { turns, owner }, or null if it does not exist
+   */
+  async readSession(sessionId) {
+    try {
+      const content = await fs.promises.readFile(this.sessionPath(sessionId), 'utf8');
+      const data = JSON.parse(content);
+      return { turns: Array.isArray(data.turns) ? data.turns : [], owner: data.owner || null };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a session file, replacing it atomically
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {Object} session - Session { turns, owner }
+   * @returns {Promise<void>}
+   */
+  async writeSession(sessionId, { turns, owner }) {
+    const filePath = this.sessionPath(sessionId);
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify({ sessionId, owner, turns }, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Returns the stored turns for a session, oldest first
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array<Object>>} Stored turns
+   */
+  async getHistory(sessionId) {
+    const session = await this.readSession(sessionId);
+    return session ? session.turns : [];
+  }
+
+  /**
+   * Appends a turn to a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {Object} turn - Turn to append
+   * @returns {Promise<void>}
+   */
+  async appendTurn(sessionId, turn) {
+    assertValidSessionId(sessionId);
+
+    await this.serialize(sessionId, async () => {
+      const session = await this.readSession(sessionId);
+      const turns = [...(session ? session.turns : []), createTurn(turn)];
+      await this.writeSession(sessionId, { turns: turns.slice(-this.maxStoredTurns), owner: session ? session.owner : null });
+    });
+  }
+
+  /**
+   * Returns the API key a session belongs to
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<string|null>} Owning key id, or null if the session is unclaimed or does not exist
+   */
+  async getOwner(sessionId) {
+    const session = await this.readSession(sessionId);
+    return session ? session.owner : null;
+  }
+
+  /**
+   * Claims a session for an API key, unless another key already owns it
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {string} owner - Id of the API key
+   * @returns {Promise<boolean>} True if the session belongs to the key
+   */
+  async claim(sessionId, owner) {
+    assertValidSessionId(sessionId);
+
+    return this.serialize(sessionId, async () => {
+      const session = await this.readSession(sessionId);
+      if (session && session.owner) {
+        return session.owner === owner;
+      }
+      await this.writeSession(sessionId, { turns: session ? session.turns : [], owner });
+      return true;
+    });
+  }
+
+  /**
+   * Removes all turns for a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<boolean>} True if the session existed
+   */
+  async clear(sessionId) {
+    const filePath = this.sessionPath(sessionId);
+
+    return this.serialize(sessionId, async () => {
+      try {
+        await fs.promises.unlink(filePath);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+}
+
+/**
+ * Creates a conversation store from the memory configuration
+ *
+ * @param {Object} memoryConfig - The memory section of the agent configuration
+ * @returns {InMemoryConversationStore|FileConversationStore} Conversation store
+ * @throws {Error} If the store type is not supported
+ */
+function createConversationStore(memoryConfig = {}) {
+  const storeType = memoryConfig.store || 'memory';
+
+  switch (storeType) {
+    case 'memory':
+      return new InMemoryConversationStore(memoryConfig);
+    case 'file':
+      return new FileConversationStore(memoryConfig);
+    default:
+      throw new Error(`Unsupported conversation store: ${storeType}`);
+  }
+}
+
+module.exports = {
+  InMemoryConversationStore,
+  FileConversationStore,
+  createConversationStore,
+  windowHistory,
+  isValidSessionId,
+};
@@ -0,0 +1,197 @@
+/**
+ * Dataset Loader Module
+ *
+ * This module reads labeled intent datasets used for evaluation and
+ * training. Datasets are JSONL (one object per line) or CSV with a header
+ * row. Each example has `text`, `expected_intent` and optionally
+ * `expected_entities` (an object, or a JSON string in CSV files).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getTaxonomyExamples } = require('./intentTaxonomy');
+
+/**
+ * Splits CSV content into rows of fields
+ * Supports quoted fields containing commas, newlines and doubled quotes.
+ *
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows of field values
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Converts a raw record into a dataset example
+ *
+ * @param {Object} record - Raw record from the file
+ * @param {string} location - Description of the record position for errors
+ * @returns {Object} Example { text, expectedIntent, expectedEntities }
+ * @throws {Error} If required fields are missing
+ */
+function toExample(record, location) {
+  const text = typeof record.text === 'string' ? record.text.trim() : '';
+  const expectedIntent = typeof record.expected_intent === 'string' ? record.expected_intent.trim() : '';
+
+  if (!text || !expectedIntent) {
+    throw new Error(`${location}: "text" and "expected_intent" are required`);
+  }
+
+  let expectedEntities = record.expected_entities;
+  if (typeof expectedEntities === 'string') {
+    try {
+      expectedEntities = expectedEntities.trim() ? JSON.parse(expectedEntities) : null;
+    } catch (error) {
+      throw new Error(`${location}: expected_entities is not valid JSON`);
+    }
+  }
+
+  return {
+    text,
+    expectedIntent,
+    expectedEntities: expectedEntities || null,
+  };
+}
+
+/**
+ * Parses JSONL dataset content
+ *
+ * @param {string} content - JSONL text
+ * @param {string} source - Dataset name for error messages
+ * @returns {Array<Object>} Examples
+ */
+function parseJsonlDataset(content, source = 'dataset') {
+  return content
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'))
+    .map(({ line, number }) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${source} line ${number}: invalid JSON`);
+      }
+      return toExample(record, `${source} line ${number}`);
+    });
+}
+
+/**
+ * Parses CSV dataset content
+ *
+ * @param {string} content - CSV text with a header row
+ * @param {string} source - Dataset name for error messages
+ * @returns {Array<Object>} Examples
+ */
+function parseCsvDataset(content, source = 'dataset') {
+  const [header, ...rows] = parseCsv(content);
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return rows.map((fields, index) => {
+    const record = {};
+    columns.forEach((column, columnIndex) => {
+      record[column] = fields[columnIndex] !== undefined ? fields[columnIndex] : '';
+    });
+    return toExample(record, `${source} row ${index + 2}`);
+  });
+}
+
+/**
+ * Loads a labeled dataset from a JSONL or CSV file
+ *
+ * @param {string} filePath - Path to the dataset
+ * @returns {Array<Object>} Examples { text, expectedIntent, expectedEntities }
+ * @throws {Error} If the format is unsupported or a record is invalid
+ */
+function loadDataset(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const source = path.basename(filePath);
+
+  if (extension === '.jsonl' || extension === '.ndjson') {
+    return parseJsonlDataset(content, source);
+  }
+  if (extension === '.csv') {
+    return parseCsvDataset(content, source);
+  }
+
+  throw new Error(`Unsupported dataset format "${extension}". Use .jsonl or .csv`);
+}
+
+/**
+ * Collects labeled examples for training: the taxonomy's example
+ * utterances plus every example of the given datasets
+ *
+ * @param {Object} taxonomy - Validated taxonomy
+ * @param {Array<string>} datasetFiles - Labeled datasets to add
+ * @returns {Array<Object>} Examples of the form { intent, text }
+ * @throws {Error} If a dataset example is labeled with an intent outside the taxonomy
+ */
+function loadTrainingExamples(taxonomy, datasetFiles = []) {
+  const examples = getTaxonomyExamples(taxonomy);
+  const intents = new Set(taxonomy.intents.map(intent => intent.name));
+
+  for (const datasetFile of datasetFiles) {
+    for (const example of loadDataset(datasetFile)) {
+      if (!intents.has(example.expectedIntent)) {
+        throw new Error(`Dataset example "${example.text}" is labeled with unknown intent "${example.expectedIntent}"`);
+      }
+      examples.push({ intent: example.expectedIntent, text: example.text });
+    }
+  }
+
+  return examples;
+}
+
+module.exports = {
+  loadDataset,
+  loadTrainingExamples,
+  parseJsonlDataset,
+  parseCsvDataset,
+  parseCsv,
+};
@@ -0,0 +1,352 @@
+/**
+ * Embedding Classifier Module
+ *
+ * This module provides a nearest-neighbour intent classifier over
+ * embeddings of labeled example utterances. It runs before the language
+ * model: confident matches are answered directly, and ambiguous messages
+ * are escalated to the identifyIntent node.
+ *
+ * The index of example embeddings is stored as a JSON file and rebuilt
+ * with `npm run build-index` whenever the examples, the taxonomy or the
+ * embedding model change.
+ *
+ * Built-in embedding providers:
+ * - ollama: OllamaEmbeddings against a local or remote Ollama server
+ * - hashing: hashed word and character n-gram vectors, no model server needed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Embeddings } = require('@langchain/core/embeddings');
+const { OllamaEmbeddings } = require('@langchain/ollama');
+const { ProviderConfigError } = require('./llmProviders');
+
+/**
+ * Format version of the index file
+ */
+const INDEX_VERSION = 2;
+
+/**
+ * Local embeddings built from hashed word and character trigram counts
+ * Captures word overlap rather than meaning, but needs no model server,
+ * which makes it useful for tests and as a cheap baseline.
+ */
+class HashingEmbeddings extends Embeddings {
+  /**
+   * @param {Object} options - Embedding options
+   * @param {number} options.dimensions - Vector length (default: 256)
+   */
+  constructor({ dimensions = 256 } = {}) {
+    super({});
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Embeds a list of documents
+   *
+   * @param {Array<string>} documents - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  async embedDocuments(documents) {
+    return documents.map(document => this.embedText(document));
+  }
+
+  /**
+   * Embeds a single query
+   *
+   * @param {string} query - Text to embed
+   * @returns {Promise<Array<number>>} Vector
+   */
+  async embedQuery(query) {
+    return this.embedText(query);
+  }
+
+  /**
+   * Hashes the words and character trigrams of a text into a unit vector
+   *
+   * @param {string} text - Text to embed
+   * @returns {Array<number>} Vector
+   */
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+    for (const word of words) {
+      vector[hashString(word) % this.dimensions] += 1;
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        vector[hashString(padded.slice(i, i + 3)) % this.dimensions] += 0.5;
+      }
+    }
+
+    return normalizeVector(vector);
+  }
+}
+
+/**
+ * FNV-1a hash of a string
+ *
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scales a vector to unit length
+ *
+ * @param {Array<number>} vector - Vector to scale
+ * @returns {Array<number>} Unit vector, or the input if it is all zeros
+ */
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors
+ *
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Creates the embedding model selected by the embedding configuration
+ *
+ * @param {Object} embeddingConfig - The embeddings section of the agent configuration
+ * @returns {Embeddings} Embedding model
+ * @throws {ProviderConfigError} If the provider is unknown
+ */
+function createEmbeddings(embeddingConfig) {
+  switch (embeddingConfig.provider) {
+    case 'ollama':
+      return new OllamaEmbeddings({ model: embeddingConfig.model, baseUrl: embeddingConfig.baseUrl });
+    case 'hashing':
+      return new HashingEmbeddings({ dimensions: embeddingConfig.dimensions });
+    default:
+      throw new ProviderConfigError(
+        `Unknown embedding provider "${embeddingConfig.provider}". Available providers: ollama, hashing`
+      );
+  }
+}
+
+/**
+ * Names the embedding model an index was built with, so a stale index can
+ * be detected after the configuration changes
+ *
+ * @param {Object} embeddingConfig - The embeddings section of the agent configuration
+ * @returns {string} Model identifier
+ */
+function embeddingModelId(embeddingConfig) {
+  return embeddingConfig.provider === 'hashing'
+    ? `hashing:${embeddingConfig.dimensions}`
+    : `${embeddingConfig.provider}:${embeddingConfig.model}`;
+}
+
+/**
+ * Nearest-neighbour index over embedded example utterances
+ */
+class EmbeddingIndex {
+  /**
+   * @param {Object} options - Index contents
+   * @param {string} options.model - Embedding model identifier
+   * @param {Array<string>} options.intents - Taxonomy intents the index was built for
+   * @param {Array<Object>} options.entries - Entries of the form { intent, text, vector }
+   */
+  constructor({ model, intents, entries }) {
+    this.model = model;
+    this.intents = intents;
+    this.entries = entries;
+  }
+
+  /**
+   * Embeds labeled examples into a new index
+   *
+   * @param {Array<Object>} examples - Examples of the form { intent, text }
+   * @param {Embeddings} embeddings - Embedding model
+   * @param {string} model - Embedding model identifier
+   * @param {Array<string>} intents - Taxonomy intents (default: the intents of the examples)
+   * @returns {Promise<EmbeddingIndex>} Index
+   */
+  static async build(examples, embeddings, model, intents = [...new Set(examples.map(example => example.intent))]) {
+    const vectors = await embeddings.embedDocuments(examples.map(example => example.text));
+    return new EmbeddingIndex({
+      model,
+      intents,
+      entries: examples.map((example, index) => ({ ...example, vector: vectors[index] })),
+    });
+  }
+
+  /**
+   * Loads an index file
+   *
+   * @param {string} filePath - Index file
+   * @returns {EmbeddingIndex|null} Index, or null if the file does not exist
+   * @throws {Error} If the file is not a valid index
+   */
+  static load(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version !== INDEX_VERSION || !Array.isArray(data.entries) || !Array.isArray(data.intents)) {
+      throw new Error(`Embedding index ${filePath} is not a version ${INDEX_VERSION} index; rebuild it with npm run build-index`);
+    }
+    return new EmbeddingIndex(data);
+  }
+
+  /**
+   * Saves the index as JSON
+   *
+   * @param {string} filePath - Index file
+   */
+  save(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      version: INDEX_VERSION,
+      model: this.model,
+      intents: this.intents,
+      builtAt: new Date().toISOString(),
+      entries: this.entries,
+    }));
+  }
+
+  /**
+   * Finds the entries most similar to a vector
+   *
+   * @param {Array<number>} vector - Query vector
+   * @param {number} k - Number of neighbours
+   * @returns {Array<Object>} Neighbours of the form { intent, text, similarity }, most similar first
+   */
+  search(vector, k) {
+    return this.entries
+      .map(entry => ({ intent: entry.intent, text: entry.text, similarity: cosineSimilarity(vector, entry.vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k);
+  }
+}
+
+/**
+ * Classifies messages by their nearest labeled examples
+ */
+class EmbeddingClassifier {
+  /**
+   * @param {Object} options - Classifier options
+   * @param {EmbeddingIndex} options.index - Index of labeled examples
+   * @param {Embeddings} options.embeddings - Embedding model the index was built with
+   * @param {number} options.k - Neighbours that vote (default: 5)
+   * @param {number} options.threshold - Similarity the nearest example needs for a direct answer
+   * @param {number} options.margin - Lead the nearest example needs over the nearest example of another intent
+   */
+  constructor({ index, embeddings, k = 5, threshold = 0.85, margin = 0.05 }) {
+    this.index = index;
+    this.embeddings = embeddings;
+    this.k = k;
+    this.threshold = threshold;
+    this.margin = margin;
+  }
+
+  /**
+   * Classifies a message
+   * The neighbours vote with their similarity. The result is decided when
+   * the nearest example is similar enough and clearly closer than any
+   * example of another intent; otherwise it should be escalated.
+   *
+   * @param {string} text - Message to classify
+   * @returns {Promise<Object>} { intent, similarity, decided, votes, neighbours }
+   */
+  async classify(text) {
+    const vector = await this.embeddings.embedQuery(text);
+    const neighbours = this.index.search(vector, this.k);
+    if (neighbours.length === 0) {
+      return { intent: null, similarity: 0, decided: false, votes: {}, neighbours };
+    }
+
+    const votes = {};
+    for (const neighbour of neighbours) {
+      votes[neighbour.intent] = (votes[neighbour.intent] || 0) + Math.max(neighbour.similarity, 0);
+    }
+
+    const [nearest] = neighbours;
+    const rival = neighbours.find(neighbour => neighbour.intent !== nearest.intent);
+    const lead = nearest.similarity - (rival ? rival.similarity : 0);
+
+    return {
+      intent: nearest.intent,
+      similarity: nearest.similarity,
+      decided: nearest.similarity >= this.threshold && lead >= this.margin,
+      votes,
+      neighbours,
+    };
+  }
+}
+
+/**
+ * Creates the embedding classifier from the configuration
+ *
+ * @param {Object} embeddingConfig - The embeddings section of the agent configuration
+ * @param {Array<string>} intents - Intents of the configured taxonomy, checked against the index when given
+ * @returns {EmbeddingClassifier|null} Classifier, or null when disabled or no index has been built
+ * @throws {Error} If the index was built with a different embedding model or taxonomy
+ */
+function createEmbeddingClassifier(embeddingConfig, intents = null) {
+  if (!embeddingConfig.enabled) {
+    return null;
+  }
+
+  const index = EmbeddingIndex.load(embeddingConfig.indexFile);
+  if (!index) {
+    return null;
+  }
+
+  const model = embeddingModelId(embeddingConfig);
+  if (index.model !== model) {
+    throw new Error(
+      `Embedding index ${embeddingConfig.indexFile} was built with ${index.model}, but ${model} is configured; rebuild it with npm run build-index`
+    );
+  }
+  const sameIntents = intents === null
+    || (index.intents.length === intents.length && intents.every(intent => index.intents.includes(intent)));
+  if (!sameIntents) {
+    throw new Error(
+      `Embedding index ${embeddingConfig.indexFile} was built for another taxonomy (${index.intents.join(', ')}); rebuild it with npm run build-index`
+    );
+  }
+
+  return new EmbeddingClassifier({
+    index,
+    embeddings: createEmbeddings(embeddingConfig),
+    k: embeddingConfig.k,
+    threshold: embeddingConfig.threshold,
+    margin: embeddingConfig.margin,
+  });
+}
+
+module.exports = {
+  HashingEmbeddings,
+  cosineSimilarity,
+  createEmbeddings,
+  embeddingModelId,
+  EmbeddingIndex,
+  EmbeddingClassifier,
+  createEmbeddingClassifier,
+};
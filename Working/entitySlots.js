@@ -0,0 +1,583 @@
+/**
+ * Entity Slots Module
+ *
+ * This module turns the entities returned by the language model into a
+ * consistent typed shape. The model only quotes the words of the message
+ * that fill each slot; this module then normalizes those words
+ * deterministically according to the slot type:
+ * - datetime: ISO 8601 timestamp (or date) relative to a reference time and timezone
+ * - duration: ISO 8601 duration such as PT1H30M
+ * - number: JavaScript number
+ * - money: { amount, currency }
+ * - email: lowercase address
+ * - person, text: text with collapsed whitespace
+ *
+ * Every normalized entity has the form { type, text, value, start, end },
+ * where start and end are character offsets into the original message.
+ */
+
+/**
+ * Slot types a taxonomy may declare
+ */
+const SLOT_TYPES = ['datetime', 'duration', 'number', 'money', 'email', 'person', 'text'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+/**
+ * Hour used for parts of the day when no explicit time is given
+ */
+const DAY_PART_HOURS = {
+  morning: 9,
+  noon: 12,
+  afternoon: 15,
+  evening: 18,
+  tonight: 20,
+  midnight: 0,
+};
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90, a: 1, an: 1,
+};
+
+const SCALE_WORDS = { thousand: 1e3, million: 1e6, billion: 1e9 };
+
+const DURATION_UNITS = [
+  { pattern: /^(w|wks?|weeks?)$/, seconds: 7 * 86400 },
+  { pattern: /^(d|days?)$/, seconds: 86400 },
+  { pattern: /^(h|hrs?|hours?)$/, seconds: 3600 },
+  { pattern: /^(m|mins?|minutes?)$/, seconds: 60 },
+  { pattern: /^(s|secs?|seconds?)$/, seconds: 1 },
+];
+
+const CURRENCY_SYMBOLS = { $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+
+const CURRENCY_WORDS = {
+  dollar: 'USD', dollars: 'USD', bucks: 'USD', euro: 'EUR', euros: 'EUR',
+  pound: 'GBP', pounds: 'GBP', yen: 'JPY',
+};
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR', 'MXN'];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+
+/**
+ * Checks whether a string is a timezone known to the runtime
+ *
+ * @param {string} timeZone - IANA timezone name such as Europe/Berlin
+ * @returns {boolean} True if the timezone can be used
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the UTC offset of a timezone at an instant
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in minutes east of UTC
+ */
+function timeZoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(new Date(instant)).map(part => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return Math.round((wallClock - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converts an instant to the wall-clock time of a timezone
+ * The result is a Date whose UTC fields hold the local date and time.
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Wall-clock time
+ */
+function toWallClock(instant, timeZone) {
+  return new Date(instant + timeZoneOffset(instant, timeZone) * 60000);
+}
+
+/**
+ * Formats a wall-clock time of a timezone as an ISO 8601 timestamp with offset
+ *
+ * @param {Date} wallClock - Wall-clock time in UTC fields
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Timestamp such as 2026-10-20T15:00:00+02:00
+ */
+function formatWallClock(wallClock, timeZone) {
+  // Resolve the offset twice so times next to a DST change land correctly
+  let offset = timeZoneOffset(wallClock.getTime(), timeZone);
+  offset = timeZoneOffset(wallClock.getTime() - offset * 60000, timeZone);
+
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+  return `${wallClock.toISOString().slice(0, 19)}${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Reads digits with thousands separators and a decimal point or comma
+ * With both separators the last one is the decimal mark ("1.000,50" and
+ * "1,000.50"). A lone comma before one or two final digits is a decimal
+ * comma ("12,50"); otherwise commas, and repeated dots, group thousands.
+ *
+ * @param {string} text - Digits and separators
+ * @returns {number} Parsed number
+ */
+function parseDigits(text) {
+  const hasComma = text.includes(',');
+  const hasDot = text.includes('.');
+
+  let decimalMark = null;
+  if (hasComma && hasDot) {
+    decimalMark = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+  } else if (hasComma) {
+    decimalMark = /^[^,]*,\d{1,2}$/.test(text) ? ',' : null;
+  } else if (hasDot) {
+    decimalMark = text.indexOf('.') === text.lastIndexOf('.') ? '.' : null;
+  }
+
+  const markAt = decimalMark ? text.lastIndexOf(decimalMark) : text.length;
+  const whole = text.slice(0, markAt).replace(/[.,]/g, '');
+  const fraction = text.slice(markAt + 1);
+  return Number(fraction ? `${whole}.${fraction}` : whole);
+}
+
+/**
+ * Parses a number written with digits or English words
+ * Words combine units, tens, "hundred" and the scales "thousand",
+ * "million" and "billion" (e.g. "twenty five", "two thousand and ten").
+ *
+ * @param {string} text - Number text
+ * @returns {number|null} Parsed number, or null if the text is not a number
+ */
+function parseNumber(text) {
+  const cleaned = String(text).trim().toLowerCase();
+  if (/^-?\d[\d.,]*\d$|^-?\d$/.test(cleaned)) {
+    return cleaned.startsWith('-') ? -parseDigits(cleaned.slice(1)) : parseDigits(cleaned);
+  }
+
+  const words = cleaned.split(/[\s-]+/).filter(word => word && word !== 'and');
+  if (words.length === 0) {
+    return null;
+  }
+
+  // Scales close a group: "two hundred five thousand" is (2 * 100 + 5) * 1000
+  let total = 0;
+  let group = 0;
+  for (const word of words) {
+    if (word === 'hundred') {
+      group = (group || 1) * 100;
+    } else if (Object.prototype.hasOwnProperty.call(SCALE_WORDS, word)) {
+      total += (group || 1) * SCALE_WORDS[word];
+      group = 0;
+    } else if (Object.prototype.hasOwnProperty.call(NUMBER_WORDS, word)) {
+      group += NUMBER_WORDS[word];
+    } else {
+      return null;
+    }
+  }
+  return total + group;
+}
+
+/**
+ * Adds up the length of a duration expression
+ *
+ * @param {string} text - Duration text
+ * @returns {number|null} Length in seconds, or null if no duration was found
+ */
+function durationSeconds(text) {
+  const cleaned = String(text).toLowerCase().replace(/half an? (hour|day)/g, '0.5 $1');
+  const tokens = cleaned.match(/\d+(?:\.\d+)?|[a-z]+/g) || [];
+  const isAmountToken = token => /^\d/.test(token) || token === 'hundred'
+    || Object.prototype.hasOwnProperty.call(SCALE_WORDS, token)
+    || Object.prototype.hasOwnProperty.call(NUMBER_WORDS, token);
+  let seconds = null;
+
+  tokens.forEach((token, index) => {
+    const unit = DURATION_UNITS.find(candidate => candidate.pattern.test(token));
+    let first = index;
+    while (unit && first > 0 && isAmountToken(tokens[first - 1])) {
+      first--;
+    }
+    if (!unit || first === index) {
+      return;
+    }
+
+    const amountTokens = tokens.slice(first, index);
+    const amount = amountTokens.length === 1 && /^\d/.test(amountTokens[0])
+      ? Number(amountTokens[0])
+      : parseNumber(amountTokens.join(' '));
+    if (amount !== null) {
+      seconds = (seconds || 0) + amount * unit.seconds;
+    }
+  });
+
+  // "an hour and a half"
+  const half = cleaned.match(/\b(day|hour|minute)s?\s+and a half\b/);
+  if (seconds !== null && half) {
+    seconds += { day: 43200, hour: 1800, minute: 30 }[half[1]];
+  }
+
+  return seconds === null ? null : Math.round(seconds);
+}
+
+/**
+ * Parses a duration such as "90 minutes", "1h 30m" or "half an hour"
+ *
+ * @param {string} text - Duration text
+ * @returns {string|null} ISO 8601 duration, or null if nothing was recognized
+ */
+function parseDuration(text) {
+  const seconds = durationSeconds(text);
+  if (seconds === null) {
+    return null;
+  }
+
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = seconds % 60;
+
+  const time = `${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${rest ? `${rest}S` : ''}`;
+  if (!days && !time) {
+    return 'PT0S';
+  }
+  return `P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+/**
+ * Parses an amount of money such as "$25", "25 euros", "EUR 1,200.50" or
+ * "1.000,50 €"
+ *
+ * @param {string} text - Money text
+ * @returns {Object|null} { amount, currency } with currency null when not stated
+ */
+function parseMoney(text) {
+  const cleaned = String(text).trim();
+  const amountMatch = cleaned.match(/\d(?:[\d.,]*\d)?/);
+  if (!amountMatch) {
+    return null;
+  }
+
+  const amount = parseDigits(amountMatch[0]);
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(candidate => cleaned.includes(candidate));
+  const code = CURRENCY_CODES.find(candidate => new RegExp(`\\b${candidate}\\b`, 'i').test(cleaned));
+  const word = Object.keys(CURRENCY_WORDS).find(candidate => new RegExp(`\\b${candidate}\\b`, 'i').test(cleaned));
+
+  let currency = null;
+  if (symbol) {
+    currency = CURRENCY_SYMBOLS[symbol];
+  } else if (code) {
+    currency = code;
+  } else if (word) {
+    currency = CURRENCY_WORDS[word.toLowerCase()];
+  }
+
+  return { amount, currency };
+}
+
+/**
+ * Extracts an email address
+ *
+ * @param {string} text - Text containing an email address
+ * @returns {string|null} Lowercase address, or null if there is none
+ */
+function parseEmail(text) {
+  const match = String(text).match(EMAIL_PATTERN);
+  return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * Finds the date part of a datetime expression
+ *
+ * @param {string} text - Lowercase datetime text
+ * @param {Date} today - Wall-clock start of the reference day
+ * @returns {Date|null} Wall-clock start of the mentioned day, or null
+ */
+function parseDatePart(text, today) {
+  const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+
+  const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) {
+    return new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+  }
+
+  const monthNames = MONTHS.map(month => `${month.slice(0, 3)}(?:${month.slice(3)})?`).join('|');
+  const monthFirst = text.match(new RegExp(`\\b(${monthNames})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`));
+  const dayFirst = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthNames})\\.?(?:,?\\s+(\\d{4}))?\\b`));
+  if (monthFirst || dayFirst) {
+    const monthText = monthFirst ? monthFirst[1] : dayFirst[2];
+    const day = Number(monthFirst ? monthFirst[2] : dayFirst[1]);
+    const year = monthFirst ? monthFirst[3] : dayFirst[3];
+    const month = MONTHS.findIndex(name => name.startsWith(monthText.slice(0, 3)));
+
+    let date = new Date(Date.UTC(year ? Number(year) : today.getUTCFullYear(), month, day));
+    // Dates without a year refer to the next time that date comes around
+    if (!year && date < today) {
+      date = new Date(Date.UTC(today.getUTCFullYear() + 1, month, day));
+    }
+    return date;
+  }
+
+  if (/\bday after tomorrow\b/.test(text)) {
+    return addDays(today, 2);
+  }
+  if (/\btomorrow\b/.test(text)) {
+    return addDays(today, 1);
+  }
+  if (/\byesterday\b/.test(text)) {
+    return addDays(today, -1);
+  }
+  if (/\b(today|tonight)\b/.test(text)) {
+    return today;
+  }
+
+  const weekday = text.match(new RegExp(`\\b(next\\s+)?(${WEEKDAYS.join('|')})\\b`));
+  if (weekday) {
+    // A weekday means its next occurrence after today
+    const target = WEEKDAYS.indexOf(weekday[2]);
+    const ahead = ((target - today.getUTCDay() + 6) % 7) + 1;
+    return addDays(today, ahead);
+  }
+
+  return null;
+}
+
+/**
+ * Finds the time part of a datetime expression
+ *
+ * @param {string} text - Lowercase datetime text
+ * @returns {Object|null} { hours, minutes }, or null if no time is mentioned
+ */
+function parseTimePart(text) {
+  const twelveHour = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\s|$|[^a-z])/);
+  if (twelveHour) {
+    const hours = Number(twelveHour[1]) % 12 + (twelveHour[3].startsWith('p') ? 12 : 0);
+    return { hours, minutes: Number(twelveHour[2] || 0) };
+  }
+
+  const twentyFourHour = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (twentyFourHour) {
+    return { hours: Number(twentyFourHour[1]), minutes: Number(twentyFourHour[2]) };
+  }
+
+  const dayPart = Object.keys(DAY_PART_HOURS).find(part => new RegExp(`\\b${part}\\b`).test(text));
+  if (dayPart) {
+    return { hours: DAY_PART_HOURS[dayPart], minutes: 0 };
+  }
+
+  return null;
+}
+
+/**
+ * Parses a date and time expression relative to a reference time
+ *
+ * Understands ISO dates, month names ("October 21", "21st of Oct"),
+ * today/tonight/tomorrow/yesterday, weekday names, 12 and 24 hour times,
+ * parts of the day (morning, noon, evening, ...) and offsets such as
+ * "in 2 hours" or "in 5 days at 3pm". A time without a date means its
+ * next occurrence. A date without a time is returned as a plain date
+ * (YYYY-MM-DD).
+ *
+ * @param {string} text - Datetime text
+ * @param {Object} context - Normalization context
+ * @param {Date} context.referenceTime - Time the message was sent
+ * @param {string} context.timezone - IANA timezone of the user
+ * @returns {string|null} ISO 8601 timestamp or date, or null if not recognized
+ */
+function parseDateTime(text, { referenceTime, timezone }) {
+  const cleaned = String(text).trim().toLowerCase();
+  const reference = referenceTime.getTime();
+
+  const offsetMatch = cleaned.match(/\bin\s+(.+)$/);
+  const offset = offsetMatch ? durationSeconds(offsetMatch[1]) : null;
+  if (offset !== null) {
+    const target = toWallClock(reference + offset * 1000, timezone);
+    // A time after whole days ("in 5 days at 3pm") is the time on that day
+    const offsetTime = offset % 86400 === 0 ? parseTimePart(offsetMatch[1]) : null;
+    if (!offsetTime) {
+      return formatWallClock(target, timezone);
+    }
+    const day = Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), target.getUTCDate());
+    return formatWallClock(new Date(day + (offsetTime.hours * 60 + offsetTime.minutes) * 60000), timezone);
+  }
+
+  const now = toWallClock(reference, timezone);
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const date = parseDatePart(cleaned, today);
+  const time = parseTimePart(cleaned);
+
+  if (!date && !time) {
+    return null;
+  }
+  if (!time) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  let wallClock = new Date((date || today).getTime() + (time.hours * 60 + time.minutes) * 60000);
+  if (!date && wallClock < now) {
+    wallClock = new Date(wallClock.getTime() + 86400000);
+  }
+  return formatWallClock(wallClock, timezone);
+}
+
+/**
+ * Collapses whitespace and strips surrounding punctuation
+ *
+ * @param {string} text - Free text
+ * @returns {string|null} Cleaned text, or null if nothing is left
+ */
+function cleanText(text) {
+  const cleaned = String(text)
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'.,;:!?]+|[\s"'.,;:!?]+$/g, '');
+  return cleaned || null;
+}
+
+/**
+ * Normalizes the text of a slot according to its type
+ *
+ * @param {string} type - Slot type
+ * @param {string} text - Text the model extracted for the slot
+ * @param {Object} context - Normalization context { referenceTime, timezone }
+ * @returns {*} Normalized value, or null if the text could not be normalized
+ */
+function normalizeSlotValue(type, text, context) {
+  switch (type) {
+    case 'datetime':
+      return parseDateTime(text, context);
+    case 'duration':
+      return parseDuration(text);
+    case 'number':
+      return parseNumber(text);
+    case 'money':
+      return parseMoney(text);
+    case 'email':
+      return parseEmail(text);
+    default:
+      return cleanText(text);
+  }
+}
+
+/**
+ * Locates extracted text in the original message
+ *
+ * @param {string} message - Original user message
+ * @param {string} text - Extracted text
+ * @returns {Object|null} { start, end } character offsets, or null if not found
+ */
+function findSpan(message, text) {
+  const needle = String(text).trim().toLowerCase();
+  if (!needle) {
+    return null;
+  }
+
+  const start = message.toLowerCase().indexOf(needle);
+  return start === -1 ? null : { start, end: start + needle.length };
+}
+
+/**
+ * Reads the text the model returned for a slot
+ * Accepts a plain string or number, or an object with a text or value field.
+ *
+ * @param {*} raw - Raw entity value from the model
+ * @returns {string|null} Extracted text
+ */
+function rawEntityText(raw) {
+  if (typeof raw === 'string') {
+    return raw.trim() || null;
+  }
+  if (typeof raw === 'number') {
+    return String(raw);
+  }
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    return rawEntityText(raw.text !== undefined ? raw.text : raw.value);
+  }
+  return null;
+}
+
+/**
+ * Normalizes model entities against the slots of an intent
+ * Entities for undeclared slots are dropped. Required slots without a
+ * usable value are listed in missingSlots. A slot whose text holds a
+ * redaction placeholder such as [EMAIL_1] and cannot be parsed keeps the
+ * placeholder as its value, since the real value is withheld.
+ *
+ * @param {Object} rawEntities - Entities returned by the model
+ * @param {Array<Object>} slots - Slot definitions { name, type, required }
+ * @param {Object} context - Normalization context
+ * @param {string} context.message - Original user message
+ * @param {Date} context.referenceTime - Time the message was sent
+ * @param {string} context.timezone - IANA timezone of the user
+ * @param {Array<string>} context.placeholders - Redaction placeholders in the message
+ * @returns {Object} { entities, missingSlots }
+ */
+function normalizeEntities(rawEntities, slots, context) {
+  const entities = {};
+  const source = rawEntities && typeof rawEntities === 'object' ? rawEntities : {};
+
+  slots.forEach((slot) => {
+    const text = rawEntityText(source[slot.name]);
+    if (!text) {
+      return;
+    }
+
+    const span = findSpan(context.message, text);
+    const value = normalizeSlotValue(slot.type, text, context);
+    const placeholder = (context.placeholders || []).find(item => text.includes(item));
+    entities[slot.name] = {
+      type: slot.type,
+      text,
+      value: value === null && placeholder ? placeholder : value,
+      start: span ? span.start : null,
+      end: span ? span.end : null,
+    };
+  });
+
+  const missingSlots = slots
+    .filter(slot => slot.required && (!entities[slot.name] || entities[slot.name].value === null))
+    .map(slot => slot.name);
+
+  return { entities, missingSlots };
+}
+
+module.exports = {
+  SLOT_TYPES,
+  isValidTimeZone,
+  parseDateTime,
+  parseDuration,
+  parseNumber,
+  parseMoney,
+  parseEmail,
+  normalizeSlotValue,
+  findSpan,
+  normalizeEntities,
+};
@@ -0,0 +1,163 @@
+/**
+ * Offline Evaluation Script
+ *
+ * Runs a labeled dataset through the IntentAgent and reports per-intent
+ * precision/recall/F1, the confusion matrix, confidence calibration and
+ * entity extraction accuracy. Each run is saved as JSON and HTML, and is
+ * compared with the previous run so prompt changes can be judged.
+ *
+ * Usage: npm run eval -- [--dataset file] [--concurrency n] [--out dir]
+ *                        [--baseline report.json] [--no-compare]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { IntentAgent } = require('./intentAgent');
+const { loadDataset } = require('./datasetLoader');
+const { buildEvaluationReport, diffReports } = require('./evaluationMetrics');
+const { formatTerminalReport, renderHtmlReport } = require('./evaluationReport');
+const { mapWithConcurrency } = require('./requestScheduler');
+
+const DEFAULT_DATASET = path.join(__dirname, 'datasets', 'sample.jsonl');
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'eval-results');
+
+/**
+ * Classifies every example and records the prediction
+ *
+ * @param {IntentAgent} agent - Agent to evaluate
+ * @param {Array<Object>} examples - Dataset examples
+ * @param {Object} options - Run options
+ * @param {number} options.concurrency - Parallel requests
+ * @param {Function} options.onProgress - Called with (completed, total)
+ * @returns {Promise<Array<Object>>} Prediction records
+ */
+async function runEvaluation(agent, examples, { concurrency = 2, onProgress = () => {} } = {}) {
+  let completed = 0;
+
+  return mapWithConcurrency(examples, concurrency, async (example) => {
+    const startTime = Date.now();
+    let result;
+
+    try {
+      result = await agent.processMessage(example.text);
+    } catch (error) {
+      result = { intent: 'unknown', confidence: 0, entities: {}, error: error.message };
+    }
+
+    completed++;
+    onProgress(completed, examples.length);
+
+    return {
+      text: example.text,
+      expectedIntent: example.expectedIntent,
+      predictedIntent: result.intent || 'unknown',
+      confidence: result.confidence || 0,
+      expectedEntities: example.expectedEntities,
+      predictedEntities: entityTexts(result.entities),
+      parseStatus: result.parseStatus ? result.parseStatus.status : null,
+      error: result.error || null,
+      latencyMs: Date.now() - startTime,
+    };
+  });
+}
+
+/**
+ * Reduces typed entities to the message text of each slot, which is what
+ * datasets label
+ *
+ * @param {Object} entities - Entities returned by the agent
+ * @returns {Object} Slot texts keyed by slot name
+ */
+function entityTexts(entities) {
+  return Object.fromEntries(
+    Object.entries(entities || {}).map(([slot, entity]) => [
+      slot,
+      entity && typeof entity === 'object' && 'text' in entity ? entity.text : entity,
+    ])
+  );
+}
+
+/**
+ * Reads a previously saved report if it exists
+ *
+ * @param {string} filePath - Report path
+ * @returns {Object|null} Report, or null if missing
+ */
+function readReport(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Main evaluation entry point
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      dataset: { type: 'string', default: DEFAULT_DATASET },
+      concurrency: { type: 'string', default: '2' },
+      out: { type: 'string', default: DEFAULT_OUTPUT_DIR },
+      baseline: { type: 'string' },
+      'no-compare': { type: 'boolean', default: false },
+    },
+  });
+
+  const examples = loadDataset(values.dataset);
+  const concurrency = parseInt(values.concurrency, 10) || 1;
+  const outputDir = path.resolve(values.out);
+  const baselinePath = values.baseline || path.join(outputDir, 'latest.json');
+
+  const agent = new IntentAgent();
+  const startedAt = new Date().toISOString();
+  console.log(`Evaluating ${examples.length} examples from ${values.dataset}`);
+  console.log(`Model: ${agent.modelInfo.provider}/${agent.modelInfo.model}, concurrency ${concurrency}\n`);
+
+  const records = await runEvaluation(agent, examples, {
+    concurrency,
+    onProgress: (completed, total) => {
+      process.stdout.write(`\r  ${completed}/${total} classified`);
+    },
+  });
+  process.stdout.write('\n\n');
+
+  const report = buildEvaluationReport(records, {
+    labels: agent.config.intentCategories,
+    run: {
+      dataset: path.basename(values.dataset),
+      provider: agent.modelInfo.provider,
+      model: agent.modelInfo.model,
+      concurrency,
+      startedAt,
+      durationMs: Date.now() - Date.parse(startedAt),
+    },
+  });
+
+  const previous = values['no-compare'] ? null : readReport(baselinePath);
+  const diff = previous ? diffReports(report, previous) : null;
+
+  console.log(formatTerminalReport(report, diff));
+
+  const runName = `run-${startedAt.replace(/[:.]/g, '-')}`;
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, `${runName}.json`), JSON.stringify({ ...report, diff }, null, 2));
+  fs.writeFileSync(path.join(outputDir, `${runName}.html`), renderHtmlReport(report, diff));
+  fs.writeFileSync(path.join(outputDir, 'latest.json'), JSON.stringify(report, null, 2));
+
+  console.log(`\nSaved ${runName}.json and ${runName}.html to ${outputDir}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Evaluation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runEvaluation,
+  mapWithConcurrency,
+};
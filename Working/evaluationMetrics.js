@@ -0,0 +1,293 @@
+/**
+ * Evaluation Metrics Module
+ *
+ * This module computes evaluation metrics for intent classification runs:
+ * per-intent precision/recall/F1, the confusion matrix, confidence
+ * calibration buckets, entity extraction accuracy and the difference
+ * between two runs.
+ *
+ * Every function works on prediction records of the form
+ * { text, expectedIntent, predictedIntent, confidence, expectedEntities, predictedEntities }.
+ */
+
+/**
+ * Divides two numbers, returning 0 when the denominator is 0
+ *
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number} Quotient or 0
+ */
+function safeDivide(numerator, denominator) {
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Collects the labels seen in the records, keeping the given order first
+ *
+ * @param {Array<Object>} records - Prediction records
+ * @param {Array<string>} knownLabels - Labels to list first (e.g. configured categories)
+ * @returns {Array<string>} Labels
+ */
+function collectLabels(records, knownLabels = []) {
+  const labels = [...knownLabels];
+  records.forEach(record => {
+    [record.expectedIntent, record.predictedIntent].forEach(label => {
+      if (label && !labels.includes(label)) {
+        labels.push(label);
+      }
+    });
+  });
+  return labels;
+}
+
+/**
+ * Computes accuracy, per-intent metrics and the confusion matrix
+ *
+ * @param {Array<Object>} records - Prediction records
+ * @param {Array<string>} knownLabels - Labels to include even without examples
+ * @returns {Object} Classification metrics
+ */
+function computeClassificationMetrics(records, knownLabels = []) {
+  const labels = collectLabels(records, knownLabels);
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+
+  records.forEach(record => {
+    matrix[index.get(record.expectedIntent)][index.get(record.predictedIntent)]++;
+  });
+
+  const perIntent = {};
+  labels.forEach((label, i) => {
+    const truePositives = matrix[i][i];
+    const support = matrix[i].reduce((sum, count) => sum + count, 0);
+    const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+    const precision = safeDivide(truePositives, predicted);
+    const recall = safeDivide(truePositives, support);
+
+    perIntent[label] = {
+      precision,
+      recall,
+      f1: safeDivide(2 * precision * recall, precision + recall),
+      support,
+      predicted,
+    };
+  });
+
+  // Macro averages only cover intents that appear in the dataset
+  const evaluated = labels.filter(label => perIntent[label].support > 0);
+  const average = key => safeDivide(
+    evaluated.reduce((sum, label) => sum + perIntent[label][key], 0),
+    evaluated.length
+  );
+
+  const correct = records.filter(record => record.expectedIntent === record.predictedIntent).length;
+
+  return {
+    total: records.length,
+    correct,
+    accuracy: safeDivide(correct, records.length),
+    perIntent,
+    macroAverage: {
+      precision: average('precision'),
+      recall: average('recall'),
+      f1: average('f1'),
+    },
+    confusionMatrix: { labels, matrix },
+  };
+}
+
+/**
+ * Groups predictions into confidence buckets to compare stated confidence
+ * with observed accuracy
+ *
+ * @param {Array<Object>} records - Prediction records
+ * @param {number} bucketCount - Number of equal-width buckets over [0, 1]
+ * @returns {Object} { buckets, expectedCalibrationError }
+ */
+function computeCalibration(records, bucketCount = 5) {
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    lower: i / bucketCount,
+    upper: (i + 1) / bucketCount,
+    count: 0,
+    confidenceSum: 0,
+    correct: 0,
+  }));
+
+  records.forEach(record => {
+    const confidence = Math.min(Math.max(Number(record.confidence) || 0, 0), 1);
+    const bucket = buckets[Math.min(Math.floor(confidence * bucketCount), bucketCount - 1)];
+    bucket.count++;
+    bucket.confidenceSum += confidence;
+    if (record.expectedIntent === record.predictedIntent) {
+      bucket.correct++;
+    }
+  });
+
+  let expectedCalibrationError = 0;
+  const result = buckets.map(bucket => {
+    const averageConfidence = safeDivide(bucket.confidenceSum, bucket.count);
+    const accuracy = safeDivide(bucket.correct, bucket.count);
+    expectedCalibrationError += safeDivide(bucket.count, records.length) * Math.abs(accuracy - averageConfidence);
+
+    return {
+      lower: bucket.lower,
+      upper: bucket.upper,
+      count: bucket.count,
+      averageConfidence,
+      accuracy,
+    };
+  });
+
+  return { buckets: result, expectedCalibrationError };
+}
+
+/**
+ * Normalizes an entity value for comparison
+ *
+ * @param {*} value - Entity value
+ * @returns {string} Comparable representation
+ */
+function normalizeEntityValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value).toLowerCase();
+  }
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Compares extracted entities with the expected entities
+ * Only records that declare expected entities are evaluated.
+ *
+ * @param {Array<Object>} records - Prediction records
+ * @returns {Object} Entity extraction accuracy figures
+ */
+function computeEntityAccuracy(records) {
+  let examples = 0;
+  let exactMatches = 0;
+  let expectedSlots = 0;
+  let predictedSlots = 0;
+  let matchedSlots = 0;
+
+  records
+    .filter(record => record.expectedEntities && typeof record.expectedEntities === 'object')
+    .forEach(record => {
+      const expected = record.expectedEntities;
+      const predicted = record.predictedEntities || {};
+      const expectedKeys = Object.keys(expected);
+      const matched = expectedKeys.filter(key =>
+        key in predicted && normalizeEntityValue(predicted[key]) === normalizeEntityValue(expected[key])
+      ).length;
+
+      examples++;
+      expectedSlots += expectedKeys.length;
+      predictedSlots += Object.keys(predicted).length;
+      matchedSlots += matched;
+      if (matched === expectedKeys.length && Object.keys(predicted).length === expectedKeys.length) {
+        exactMatches++;
+      }
+    });
+
+  return {
+    examples,
+    exactMatches,
+    exactMatchRate: safeDivide(exactMatches, examples),
+    slotPrecision: safeDivide(matchedSlots, predictedSlots),
+    slotRecall: safeDivide(matchedSlots, expectedSlots),
+  };
+}
+
+/**
+ * Builds the complete evaluation report for a run
+ *
+ * @param {Array<Object>} records - Prediction records
+ * @param {Object} options - Report options
+ * @param {Array<string>} options.labels - Configured intent categories
+ * @param {Object} options.run - Run details (dataset, model, timing)
+ * @returns {Object} Evaluation report
+ */
+function buildEvaluationReport(records, { labels = [], run = {} } = {}) {
+  return {
+    run,
+    classification: computeClassificationMetrics(records, labels),
+    calibration: computeCalibration(records),
+    entities: computeEntityAccuracy(records),
+    errors: records.filter(record => record.error).length,
+    predictions: records,
+  };
+}
+
+/**
+ * Compares a report with a previous run
+ *
+ * @param {Object} current - Current evaluation report
+ * @param {Object} previous - Previous evaluation report
+ * @returns {Object} Metric deltas and the predictions that changed correctness
+ */
+function diffReports(current, previous) {
+  const delta = (currentValue, previousValue) => ({
+    previous: previousValue,
+    current: currentValue,
+    delta: currentValue - previousValue,
+  });
+
+  const perIntent = {};
+  const labels = new Set([
+    ...Object.keys(current.classification.perIntent),
+    ...Object.keys(previous.classification.perIntent),
+  ]);
+  labels.forEach(label => {
+    const currentMetrics = current.classification.perIntent[label] || { f1: 0 };
+    const previousMetrics = previous.classification.perIntent[label] || { f1: 0 };
+    perIntent[label] = { f1: delta(currentMetrics.f1, previousMetrics.f1) };
+  });
+
+  const previousByText = new Map((previous.predictions || []).map(record => [record.text, record]));
+  const regressions = [];
+  const fixes = [];
+
+  (current.predictions || []).forEach(record => {
+    const before = previousByText.get(record.text);
+    if (!before) {
+      return;
+    }
+
+    const wasCorrect = before.predictedIntent === before.expectedIntent;
+    const isCorrect = record.predictedIntent === record.expectedIntent;
+    const change = {
+      text: record.text,
+      expectedIntent: record.expectedIntent,
+      previousIntent: before.predictedIntent,
+      currentIntent: record.predictedIntent,
+    };
+
+    if (wasCorrect && !isCorrect) {
+      regressions.push(change);
+    } else if (!wasCorrect && isCorrect) {
+      fixes.push(change);
+    }
+  });
+
+  return {
+    previousRun: previous.run,
+    accuracy: delta(current.classification.accuracy, previous.classification.accuracy),
+    macroF1: delta(current.classification.macroAverage.f1, previous.classification.macroAverage.f1),
+    expectedCalibrationError: delta(
+      current.calibration.expectedCalibrationError,
+      previous.calibration.expectedCalibrationError
+    ),
+    perIntent,
+    regressions,
+    fixes,
+  };
+}
+
+module.exports = {
+  computeClassificationMetrics,
+  computeCalibration,
+  computeEntityAccuracy,
+  buildEvaluationReport,
+  diffReports,
+};
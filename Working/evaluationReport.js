@@ -0,0 +1,248 @@
+/**
+ * Evaluation Report Module
+ *
+ * This module renders evaluation reports produced by evaluationMetrics.js
+ * as plain-text tables for the terminal and as a standalone HTML page.
+ */
+
+/**
+ * Formats a ratio as a percentage
+ *
+ * @param {number} value - Ratio between 0 and 1
+ * @returns {string} Percentage with one decimal
+ */
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats a signed delta of a ratio in percentage points
+ *
+ * @param {number} value - Delta between two ratios
+ * @returns {string} Signed percentage-point delta
+ */
+function signedPoints(value) {
+  const points = (value * 100).toFixed(1);
+  return value >= 0 ? `+${points}pp` : `${points}pp`;
+}
+
+/**
+ * Renders rows as a fixed-width text table
+ *
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array<string>>} rows - Table rows
+ * @returns {string} Table text
+ */
+function textTable(header, rows) {
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...rows.map(row => String(row[i]).length))
+  );
+  const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ');
+
+  return [
+    line(header),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.map(line),
+  ].join('\n');
+}
+
+/**
+ * Formats a report (and optional diff) for the terminal
+ *
+ * @param {Object} report - Evaluation report
+ * @param {Object|null} diff - Difference against a previous run
+ * @returns {string} Report text
+ */
+function formatTerminalReport(report, diff = null) {
+  const { classification, calibration, entities } = report;
+  const sections = [];
+
+  sections.push([
+    `Examples: ${classification.total}   Correct: ${classification.correct}   Errors: ${report.errors}`,
+    `Accuracy: ${percent(classification.accuracy)}   Macro F1: ${percent(classification.macroAverage.f1)}`,
+  ].join('\n'));
+
+  sections.push(textTable(
+    ['Intent', 'Precision', 'Recall', 'F1', 'Support'],
+    Object.entries(classification.perIntent)
+      .filter(([, metrics]) => metrics.support > 0 || metrics.predicted > 0)
+      .map(([label, metrics]) => [
+        label,
+        percent(metrics.precision),
+        percent(metrics.recall),
+        percent(metrics.f1),
+        metrics.support,
+      ])
+  ));
+
+  const { labels, matrix } = classification.confusionMatrix;
+  const active = labels
+    .map((label, i) => ({ label, i }))
+    .filter(({ i }) => matrix[i].some(count => count > 0) || matrix.some(row => row[i] > 0));
+  sections.push('Confusion matrix (rows: expected, columns: predicted)\n' + textTable(
+    ['', ...active.map(({ label }) => label)],
+    active.map(({ label, i }) => [label, ...active.map(({ i: j }) => matrix[i][j])])
+  ));
+
+  sections.push(`Calibration (ECE ${calibration.expectedCalibrationError.toFixed(3)})\n` + textTable(
+    ['Confidence', 'Count', 'Avg confidence', 'Accuracy'],
+    calibration.buckets.map(bucket => [
+      `${bucket.lower.toFixed(1)}-${bucket.upper.toFixed(1)}`,
+      bucket.count,
+      bucket.count ? percent(bucket.averageConfidence) : '-',
+      bucket.count ? percent(bucket.accuracy) : '-',
+    ])
+  ));
+
+  if (entities.examples > 0) {
+    sections.push([
+      `Entities: ${entities.examples} labeled examples`,
+      `Exact match: ${percent(entities.exactMatchRate)}   Slot precision: ${percent(entities.slotPrecision)}   Slot recall: ${percent(entities.slotRecall)}`,
+    ].join('\n'));
+  }
+
+  if (diff) {
+    const lines = [
+      `Compared with run from ${diff.previousRun && diff.previousRun.startedAt}`,
+      `Accuracy: ${percent(diff.accuracy.previous)} -> ${percent(diff.accuracy.current)} (${signedPoints(diff.accuracy.delta)})`,
+      `Macro F1: ${percent(diff.macroF1.previous)} -> ${percent(diff.macroF1.current)} (${signedPoints(diff.macroF1.delta)})`,
+      `Fixed: ${diff.fixes.length}   Regressed: ${diff.regressions.length}`,
+    ];
+    diff.regressions.forEach(change => {
+      lines.push(`  - "${change.text}": ${change.previousIntent} -> ${change.currentIntent} (expected ${change.expectedIntent})`);
+    });
+    sections.push(lines.join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Escapes text for inclusion in HTML
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders rows as an HTML table
+ *
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array<*>>} rows - Table rows
+ * @returns {string} Table markup
+ */
+function htmlTable(header, rows) {
+  const head = header.map(title => `<th>${escapeHtml(title)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Renders a report (and optional diff) as a standalone HTML page
+ *
+ * @param {Object} report - Evaluation report
+ * @param {Object|null} diff - Difference against a previous run
+ * @returns {string} HTML document
+ */
+function renderHtmlReport(report, diff = null) {
+  const { classification, calibration, entities, run } = report;
+  const { labels, matrix } = classification.confusionMatrix;
+
+  const sections = [
+    `<h1>Intent evaluation: ${escapeHtml(run.dataset || '')}</h1>`,
+    `<p>${escapeHtml(run.provider || '')} / ${escapeHtml(run.model || '')} &middot; ${escapeHtml(run.startedAt || '')}</p>`,
+    `<p><strong>Accuracy ${percent(classification.accuracy)}</strong> &middot; Macro F1 ${percent(classification.macroAverage.f1)} &middot; ${classification.total} examples &middot; ${report.errors} errors</p>`,
+    '<h2>Per intent</h2>',
+    htmlTable(
+      ['Intent', 'Precision', 'Recall', 'F1', 'Support'],
+      Object.entries(classification.perIntent).map(([label, metrics]) => [
+        label,
+        percent(metrics.precision),
+        percent(metrics.recall),
+        percent(metrics.f1),
+        metrics.support,
+      ])
+    ),
+    '<h2>Confusion matrix</h2><p>Rows: expected, columns: predicted</p>',
+    htmlTable(['', ...labels], labels.map((label, i) => [label, ...matrix[i]])),
+    `<h2>Calibration</h2><p>Expected calibration error: ${calibration.expectedCalibrationError.toFixed(3)}</p>`,
+    htmlTable(
+      ['Confidence', 'Count', 'Avg confidence', 'Accuracy'],
+      calibration.buckets.map(bucket => [
+        `${bucket.lower.toFixed(1)}-${bucket.upper.toFixed(1)}`,
+        bucket.count,
+        bucket.count ? percent(bucket.averageConfidence) : '-',
+        bucket.count ? percent(bucket.accuracy) : '-',
+      ])
+    ),
+  ];
+
+  if (entities.examples > 0) {
+    sections.push(
+      '<h2>Entities</h2>',
+      htmlTable(
+        ['Examples', 'Exact match', 'Slot precision', 'Slot recall'],
+        [[entities.examples, percent(entities.exactMatchRate), percent(entities.slotPrecision), percent(entities.slotRecall)]]
+      )
+    );
+  }
+
+  if (diff) {
+    sections.push(
+      '<h2>Compared with previous run</h2>',
+      htmlTable(
+        ['Metric', 'Previous', 'Current', 'Change'],
+        [
+          ['Accuracy', percent(diff.accuracy.previous), percent(diff.accuracy.current), signedPoints(diff.accuracy.delta)],
+          ['Macro F1', percent(diff.macroF1.previous), percent(diff.macroF1.current), signedPoints(diff.macroF1.delta)],
+        ]
+      ),
+      '<h3>Regressions</h3>',
+      htmlTable(
+        ['Text', 'Expected', 'Previous', 'Current'],
+        diff.regressions.map(change => [change.text, change.expectedIntent, change.previousIntent, change.currentIntent])
+      )
+    );
+  }
+
+  const errors = report.predictions.filter(record => record.predictedIntent !== record.expectedIntent);
+  sections.push(
+    '<h2>Misclassified examples</h2>',
+    htmlTable(
+      ['Text', 'Expected', 'Predicted', 'Confidence'],
+      errors.map(record => [record.text, record.expectedIntent, record.predictedIntent, percent(record.confidence || 0)])
+    )
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Intent evaluation report</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  formatTerminalReport,
+  renderHtmlReport,
+};
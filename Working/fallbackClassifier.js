@@ -0,0 +1,280 @@
+/**
+ * Fallback Classifier Module
+ *
+ * This module provides intent classification that works without a
+ * language model. It combines keyword and pattern rules declared in the
+ * `fallback` section of agentConfig.js with a multinomial naive Bayes
+ * model trained on labeled examples, and returns a probability for every
+ * intent category. It is used when the model output cannot be parsed and
+ * by the rules-only model provider.
+ *
+ * Without a trained model file (`npm run train-fallback`), the model is
+ * trained from the taxonomy examples at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { agentConfig } = require('./agentConfig');
+const { getTaxonomyExamples } = require('./intentTaxonomy');
+
+/**
+ * Format version of the model file
+ */
+const MODEL_VERSION = 1;
+
+/**
+ * Intent returned when a message shows no evidence for any category
+ */
+const FALLBACK_INTENT = 'unknown';
+
+/**
+ * Splits text into lowercase word tokens
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+/**
+ * Multinomial naive Bayes model over word counts
+ */
+class NaiveBayesModel {
+  /**
+   * @param {Object} options - Model contents
+   * @param {Object} options.classes - Per intent: { documents, tokens: { token: count } }
+   */
+  constructor({ classes }) {
+    this.classes = classes;
+    this.vocabulary = new Set(Object.values(classes).flatMap(stats => Object.keys(stats.tokens)));
+    this.tokenTotals = Object.fromEntries(
+      Object.entries(classes).map(([intent, stats]) => [
+        intent,
+        Object.values(stats.tokens).reduce((sum, count) => sum + count, 0),
+      ])
+    );
+  }
+
+  /**
+   * Counts the tokens of labeled examples
+   *
+   * @param {Array<Object>} examples - Examples of the form { intent, text }
+   * @returns {NaiveBayesModel} Trained model
+   */
+  static train(examples) {
+    const classes = {};
+    for (const { intent, text } of examples) {
+      const stats = classes[intent] || (classes[intent] = { documents: 0, tokens: {} });
+      stats.documents++;
+      for (const token of tokenize(text)) {
+        stats.tokens[token] = (stats.tokens[token] || 0) + 1;
+      }
+    }
+    return new NaiveBayesModel({ classes });
+  }
+
+  /**
+   * Loads a model file
+   *
+   * @param {string} filePath - Model file
+   * @returns {NaiveBayesModel|null} Model, or null if the file does not exist
+   * @throws {Error} If the file is not a valid model
+   */
+  static load(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version !== MODEL_VERSION || !data.classes) {
+      throw new Error(`Fallback model ${filePath} is not a version ${MODEL_VERSION} model; retrain it with npm run train-fallback`);
+    }
+    return new NaiveBayesModel(data);
+  }
+
+  /**
+   * Saves the model as JSON
+   *
+   * @param {string} filePath - Model file
+   */
+  save(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      version: MODEL_VERSION,
+      trainedAt: new Date().toISOString(),
+      classes: this.classes,
+    }, null, 2));
+  }
+
+  /**
+   * Log-probability of each category given the tokens, up to a constant
+   * Priors and token counts use add-one smoothing, so categories without
+   * training examples still get a score. Unseen tokens are ignored.
+   *
+   * @param {Array<string>} tokens - Message tokens
+   * @param {Array<string>} categories - Intent categories to score
+   * @returns {Object} Log scores keyed by intent
+   */
+  logScores(tokens, categories) {
+    const known = tokens.filter(token => this.vocabulary.has(token));
+    const documents = Object.values(this.classes).reduce((sum, stats) => sum + stats.documents, 0);
+
+    return Object.fromEntries(categories.map(intent => {
+      const stats = this.classes[intent] || { documents: 0, tokens: {} };
+      const tokenTotal = this.tokenTotals[intent] || 0;
+      let score = Math.log((stats.documents + 1) / (documents + categories.length));
+
+      for (const token of known) {
+        score += Math.log(((stats.tokens[token] || 0) + 1) / (tokenTotal + this.vocabulary.size));
+      }
+      return [intent, score];
+    }));
+  }
+}
+
+/**
+ * Escapes text for use in a regular expression
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles keyword and pattern rules into regular expressions
+ * Keywords match whole words or phrases anywhere in the message; patterns
+ * are regular expressions. Both ignore case. Rules for intents outside the
+ * taxonomy are skipped so taxonomies stay swappable.
+ *
+ * @param {Object} rules - Rules keyed by intent: { keywords, patterns }
+ * @param {Array<string>} categories - Intent categories of the taxonomy
+ * @returns {Array<Object>} Compiled rules of the form { intent, regex }
+ * @throws {Error} If a pattern is not a valid regular expression
+ */
+function compileRules(rules = {}, categories = []) {
+  return Object.entries(rules)
+    .filter(([intent]) => categories.includes(intent))
+    .flatMap(([intent, { keywords = [], patterns = [] }]) => [
+      ...keywords.map(keyword => ({
+        intent,
+        regex: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}(?![\\p{L}\\p{N}])`, 'iu'),
+      })),
+      ...patterns.map(pattern => {
+        try {
+          return { intent, regex: new RegExp(pattern, 'iu') };
+        } catch (error) {
+          throw new Error(`Invalid fallback pattern for "${intent}": ${error.message}`);
+        }
+      }),
+    ]);
+}
+
+/**
+ * Offline intent classifier combining rules and naive Bayes
+ */
+class FallbackClassifier {
+  /**
+   * @param {Object} options - Classifier options
+   * @param {Array<string>} options.categories - Intent categories of the taxonomy
+   * @param {Object} options.rules - Keyword and pattern rules keyed by intent
+   * @param {NaiveBayesModel} options.model - Trained model
+   * @param {number} options.ruleWeight - Log-odds each matching rule adds to its intent
+   */
+  constructor({ categories, rules = {}, model = NaiveBayesModel.train([]), ruleWeight = 2 }) {
+    this.categories = categories;
+    this.rules = compileRules(rules, categories);
+    this.model = model;
+    this.ruleWeight = ruleWeight;
+  }
+
+  /**
+   * Classifies a message
+   * Messages with no known words and no matching rule are `unknown`, with
+   * an even distribution.
+   *
+   * @param {string} text - Message to classify
+   * @returns {Object} { intent, confidence, distribution } with probabilities keyed by intent
+   */
+  classify(text) {
+    const tokens = tokenize(text);
+    const matches = this.rules.filter(rule => rule.regex.test(text));
+
+    if (matches.length === 0 && !tokens.some(token => this.model.vocabulary.has(token))) {
+      const even = 1 / this.categories.length;
+      return {
+        intent: this.categories.includes(FALLBACK_INTENT) ? FALLBACK_INTENT : this.categories[0],
+        confidence: even,
+        distribution: Object.fromEntries(this.categories.map(intent => [intent, even])),
+      };
+    }
+
+    const scores = this.model.logScores(tokens, this.categories);
+    for (const { intent } of matches) {
+      scores[intent] += this.ruleWeight;
+    }
+
+    // Softmax, shifted by the top score to avoid underflow
+    const top = Math.max(...Object.values(scores));
+    const weights = Object.fromEntries(
+      Object.entries(scores).map(([intent, score]) => [intent, Math.exp(score - top)])
+    );
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const distribution = Object.fromEntries(
+      Object.entries(weights).map(([intent, weight]) => [intent, weight / total])
+    );
+    const intent = Object.keys(distribution).reduce((best, candidate) => (
+      distribution[candidate] > distribution[best] ? candidate : best
+    ));
+
+    return { intent, confidence: distribution[intent], distribution };
+  }
+}
+
+/**
+ * Creates the fallback classifier from the agent configuration
+ * Loads the trained model file, or trains on the taxonomy examples when
+ * there is none.
+ *
+ * @param {Object} config - Agent configuration
+ * @returns {FallbackClassifier} Classifier
+ */
+function createFallbackClassifier(config) {
+  const model = NaiveBayesModel.load(config.fallback.modelFile)
+    || NaiveBayesModel.train(getTaxonomyExamples(config.taxonomy));
+
+  return new FallbackClassifier({
+    categories: config.intentCategories,
+    rules: config.fallback.rules,
+    model,
+    ruleWeight: config.fallback.ruleWeight,
+  });
+}
+
+/**
+ * Classifier used by classifyIntentFallback, created on first use
+ */
+let defaultClassifier = null;
+
+/**
+ * Classifies intent with the configured fallback classifier
+ *
+ * @param {string} input - User input message
+ * @returns {string} Classified intent
+ */
+function classifyIntentFallback(input) {
+  if (!defaultClassifier) {
+    defaultClassifier = createFallbackClassifier(agentConfig);
+  }
+  return defaultClassifier.classify(input).intent;
+}
+
+module.exports = {
+  tokenize,
+  NaiveBayesModel,
+  FallbackClassifier,
+  createFallbackClassifier,
+  classifyIntentFallback,
+};
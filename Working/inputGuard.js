@@ -0,0 +1,177 @@
+/**
+ * Input Guard Module
+ *
+ * This module screens user messages before they reach a prompt. It removes
+ * control and invisible characters, folds compatibility forms and lookalike
+ * letters used to disguise words, and checks the result for prompt-injection
+ * patterns: instructions to ignore the prompt, fake role markers, requests
+ * for the system prompt and attempts to dictate the classification. Prompts
+ * also quote the message as a JSON string, so it cannot close its quotes and
+ * carry on as instructions.
+ */
+
+/**
+ * Intent reported for messages the guard blocks
+ * It is not part of the taxonomy; the model never chooses it.
+ */
+const SUSPICIOUS_INTENT = 'suspicious_input';
+
+/**
+ * Guard modes
+ * block: answer suspicious messages with SUSPICIOUS_INTENT, without a model call
+ * flag: classify them as usual and mark the result
+ * off: skip the guard
+ */
+const GUARD_MODES = ['block', 'flag', 'off'];
+
+/**
+ * Control characters other than tab, newline and carriage return
+ */
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g;
+
+/**
+ * Zero-width, bidirectional and other invisible formatting characters,
+ * and the Unicode tag block used to hide ASCII text
+ */
+const INVISIBLE_CHARACTERS = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\u3164\uFEFF\uFFA0\u{E0000}-\u{E007F}]/gu;
+
+/**
+ * Unicode tag characters that mirror printable ASCII
+ */
+const TAG_CHARACTERS = /[\u{E0020}-\u{E007E}]/gu;
+
+/**
+ * Cyrillic and Greek letters that look like Latin ones
+ */
+const HOMOGLYPHS = {
+  а: 'a', в: 'b', е: 'e', ё: 'e', і: 'i', ї: 'i', ј: 'j', к: 'k', м: 'm', н: 'h', о: 'o', п: 'n', р: 'p',
+  с: 'c', ѕ: 's', т: 't', у: 'y', х: 'x', һ: 'h', ԁ: 'd', ԛ: 'q', ԝ: 'w', ӏ: 'l',
+  А: 'A', В: 'B', Е: 'E', І: 'I', Ј: 'J', К: 'K', М: 'M', Н: 'H', О: 'O', Р: 'P', С: 'C', Ѕ: 'S',
+  Т: 'T', Х: 'X', У: 'Y',
+  α: 'a', ε: 'e', ι: 'i', κ: 'k', ν: 'v', ο: 'o', ρ: 'p', τ: 't', υ: 'u', χ: 'x',
+  Α: 'A', Β: 'B', Ε: 'E', Ζ: 'Z', Η: 'H', Ι: 'I', Κ: 'K', Μ: 'M', Ν: 'N', Ο: 'O', Ρ: 'P', Τ: 'T',
+  Υ: 'Y', Χ: 'X',
+};
+
+/**
+ * Prompt-injection patterns, matched against the lowercased message with
+ * lookalike letters folded
+ */
+const INJECTION_PATTERNS = [
+  {
+    id: 'ignore_instructions',
+    pattern: /\b(ignore|disregard|forget|override|bypass)\b[^.!?\n]{0,40}?\b(previous|prior|above|earlier|preceding|all|your|system|these|those)\b[^.!?\n]{0,20}?\b(instructions?|prompts?|directives|guidelines)\b/,
+  },
+  {
+    id: 'ignore_instructions',
+    pattern: /\b(ignore|disregard|forget)\b[^.!?\n]{0,30}\b(you were|you've been|you have been) (told|instructed|given)\b/,
+  },
+  {
+    id: 'role_override',
+    pattern: /\byou are now (a|an|in|the|my new)\b|\byou are no longer\b|\bfrom now on,? you (are|will|must|should)\b|\b(developer|god|jailbreak|dan) mode\b/,
+  },
+  {
+    id: 'fake_role_marker',
+    pattern: /\n\s*(system|assistant|developer)\s*:|<\|?(im_start|im_end|system|endoftext|eot_id|start_header_id)\|?>|\[\/?(inst|sys)\]|<<\/?sys>>|(^|\n)\s*#{2,}\s*(system|instructions?)\b|<\/?(system|instructions?)>/,
+  },
+  {
+    id: 'prompt_leak',
+    pattern: /\b(reveal|show|print|repeat|output|display|tell me|leak)\b[^.!?\n]{0,30}\b(your|the (system|hidden|initial|original)) (system )?(prompt|instructions|rules)\b/,
+  },
+  {
+    id: 'dictate_classification',
+    pattern: /\b(respond|reply|answer|output|return|classify|label|mark|set)\b[^.!?\n]{0,40}\b(intent|confidence)\b\s*(as|to|of|is|:|=)|"?\b(intent|intents|confidence|primary)\b"?\s*[:=]/,
+  },
+];
+
+/**
+ * Replaces lookalike letters with the Latin letters they imitate
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+function foldHomoglyphs(text) {
+  return Array.from(text, character => HOMOGLYPHS[character] || character).join('');
+}
+
+/**
+ * Checks whether a word mixes Latin letters with Cyrillic or Greek ones,
+ * which genuine words in either script do not
+ *
+ * @param {string} word - Word to check
+ * @returns {boolean} True if the word mixes scripts
+ */
+function isMixedScript(word) {
+  return /\p{Script=Latin}/u.test(word) && /[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(word);
+}
+
+/**
+ * Cleans a message before classification
+ * Removes invisible and control characters, applies NFKC normalization
+ * (fullwidth and mathematical letters become plain ones) and folds
+ * lookalike letters in words that mix scripts. Words written entirely in
+ * Cyrillic or Greek are left alone.
+ *
+ * @param {string} text - Message from the user
+ * @returns {Object} { text, changes }, changes listing what was cleaned:
+ *   'invisible', 'control', 'compatibility' or 'homoglyph'
+ */
+function sanitizeInput(text) {
+  const changes = [];
+  let result = String(text);
+  const apply = (change, transform) => {
+    const next = transform(result);
+    if (next !== result) {
+      changes.push(change);
+      result = next;
+    }
+  };
+
+  apply('invisible', value => value.replace(INVISIBLE_CHARACTERS, ''));
+  apply('control', value => value.replace(CONTROL_CHARACTERS, ''));
+  apply('compatibility', value => value.normalize('NFKC'));
+  apply('homoglyph', value => value.replace(/[\p{L}\p{M}]+/gu, word => (isMixedScript(word) ? foldHomoglyphs(word) : word)));
+
+  return { text: result, changes };
+}
+
+/**
+ * Checks a message for prompt-injection patterns
+ * The message is sanitized first. Text hidden in tag characters is decoded
+ * and checked as well, and lookalike letters are folded everywhere, so
+ * words spelled entirely in lookalikes are caught too.
+ *
+ * @param {string} text - Message from the user
+ * @returns {Object} { suspicious, patterns }, patterns listing the ids that matched
+ */
+function detectInjection(text) {
+  const revealed = String(text).replace(TAG_CHARACTERS, character => String.fromCodePoint(character.codePointAt(0) - 0xE0000));
+  const folded = foldHomoglyphs(sanitizeInput(revealed).text).toLowerCase().replace(/[^\S\n]+/g, ' ');
+  const patterns = [...new Set(
+    INJECTION_PATTERNS.filter(({ pattern }) => pattern.test(folded)).map(({ id }) => id)
+  )];
+
+  return { suspicious: patterns.length > 0, patterns };
+}
+
+/**
+ * Quotes a message for a prompt as a JSON string
+ * Quotes, backslashes and line breaks are escaped, so the message cannot
+ * end its quotes or start a new prompt section.
+ *
+ * @param {string} text - Message to quote
+ * @returns {string} Quoted message
+ */
+function quoteUserInput(text) {
+  return JSON.stringify(String(text));
+}
+
+module.exports = {
+  SUSPICIOUS_INTENT,
+  GUARD_MODES,
+  INJECTION_PATTERNS,
+  sanitizeInput,
+  detectInjection,
+  quoteUserInput,
+  foldHomoglyphs,
+};
@@ -0,0 +1,199 @@
+/**
+ * Intent Actions Module
+ *
+ * This module registers the actions carried out for identified intents.
+ * An action is a local function or a webhook, keyed by intent, with a zod
+ * schema for its parameters. The parameters are the normalized values of
+ * the intent's entity slots; required slots the message did not supply
+ * are reported so the agent can ask for them instead of acting.
+ */
+
+const { z } = require('zod');
+
+/**
+ * Statuses of a dispatched action
+ * needs_input: required parameters are missing or invalid, nothing was run
+ * planned: dry run, the action was validated but not run
+ * executed: the action ran and returned a result
+ * failed: the action ran and threw, or the webhook failed
+ */
+const ACTION_STATUSES = ['needs_input', 'planned', 'executed', 'failed'];
+
+/**
+ * Time limit of webhook calls when the action does not set one
+ */
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Calls a webhook with the action parameters
+ * The request body is JSON: { action, intent, params, sessionId, userInput }.
+ * A JSON response is returned parsed, any other response as text.
+ *
+ * @param {Object} webhook - Webhook definition { url, method, headers, timeoutMs }
+ * @param {Object} payload - Request body
+ * @param {AbortSignal} signal - Cancels the call with the request
+ * @returns {Promise<*>} Response body
+ * @throws {Error} If the webhook does not answer in time or answers with an error status
+ */
+async function callWebhook(webhook, payload, signal) {
+  const timeout = AbortSignal.timeout(webhook.timeoutMs || DEFAULT_WEBHOOK_TIMEOUT_MS);
+  const response = await fetch(webhook.url, {
+    method: webhook.method || 'POST',
+    headers: { 'Content-Type': 'application/json', ...webhook.headers },
+    body: JSON.stringify(payload),
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status} ${response.statusText}`.trim());
+  }
+
+  const type = response.headers.get('content-type') || '';
+  return type.includes('application/json') ? response.json() : response.text();
+}
+
+/**
+ * Turns action definitions into executable actions
+ * A definition has a `handler(params, context)` function or a `webhook`
+ * ({ url, method, headers, timeoutMs }), and optionally a name, a
+ * description and a zod `schema` for the parameters (any object by
+ * default). Actions for intents outside the taxonomy are skipped so
+ * taxonomies stay swappable.
+ *
+ * @param {Object} definitions - Action definitions keyed by intent
+ * @param {Array<string>} categories - Intent categories of the taxonomy
+ * @returns {Map<string, Object>} Actions { intent, name, description, schema, execute(params, context) }
+ * @throws {Error} If a definition has neither a handler nor a webhook, or its schema is not a zod schema
+ */
+function createActionRegistry(definitions = {}, categories = []) {
+  const actions = new Map();
+
+  Object.entries(definitions).forEach(([intent, definition]) => {
+    if (!definition || !categories.includes(intent)) {
+      return;
+    }
+
+    const schema = definition.schema || z.object({}).passthrough();
+    if (typeof schema.safeParse !== 'function') {
+      throw new Error(`Action for "${intent}" needs a zod schema`);
+    }
+
+    let execute;
+    if (typeof definition.handler === 'function') {
+      execute = async (params, context) => definition.handler(params, context);
+    } else if (definition.webhook && definition.webhook.url) {
+      execute = async (params, context) => callWebhook(definition.webhook, {
+        action: definition.name || intent,
+        intent,
+        params,
+        sessionId: context.sessionId,
+        userInput: context.userInput,
+      }, context.signal);
+    } else {
+      throw new Error(`Action for "${intent}" needs a handler function or a webhook URL`);
+    }
+
+    actions.set(intent, {
+      intent,
+      name: definition.name || intent,
+      description: definition.description || '',
+      schema,
+      execute,
+    });
+  });
+
+  return actions;
+}
+
+/**
+ * Builds action parameters from normalized entities
+ * Each slot contributes its typed value, or its text when the value could
+ * not be normalized.
+ *
+ * @param {Object} entities - Normalized entities keyed by slot
+ * @returns {Object} Parameters keyed by slot
+ */
+function entityParams(entities = {}) {
+  const params = {};
+  Object.entries(entities).forEach(([name, entity]) => {
+    const value = entity && entity.value !== null && entity.value !== undefined ? entity.value : entity && entity.text;
+    if (value !== null && value !== undefined) {
+      params[name] = value;
+    }
+  });
+  return params;
+}
+
+/**
+ * Validates action parameters against the action's schema
+ * Required slots of the taxonomy that are missing count as missing even
+ * when the schema would accept their absence.
+ *
+ * @param {Object} action - Registered action
+ * @param {Object} params - Parameters built from the entities
+ * @param {Array<string>} missingSlots - Required slots the message did not fill
+ * @returns {Object} { valid, params, missing, issues } with the parsed params when valid
+ */
+function validateActionParams(action, params, missingSlots = []) {
+  const result = action.schema.safeParse(params);
+  const missing = new Set(missingSlots);
+  const issues = [];
+
+  if (!result.success) {
+    result.error.issues.forEach((issue) => {
+      const field = issue.path.join('.');
+      if (issue.path.length > 0 && params[issue.path[0]] === undefined) {
+        missing.add(String(issue.path[0]));
+      } else {
+        issues.push(field ? `${field}: ${issue.message}` : issue.message);
+      }
+    });
+  }
+
+  return {
+    valid: result.success && missing.size === 0,
+    params: result.success ? result.data : params,
+    missing: [...missing],
+    issues,
+  };
+}
+
+/**
+ * Describes slot names for a question to the user
+ *
+ * @param {Array<string>} names - Slot names
+ * @returns {string} Names joined with commas and "and"
+ */
+function listSlots(names) {
+  const words = names.map(name => name.replace(/_/g, ' '));
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words[0];
+}
+
+/**
+ * Builds the question asked when an action cannot run yet
+ *
+ * @param {Object} action - Registered action
+ * @param {Object} validation - Result of validateActionParams
+ * @returns {string} Question for the user
+ */
+function buildSlotQuestion(action, validation) {
+  const task = action.description ? ` to ${action.description.replace(/\.$/, '').toLowerCase()}` : '';
+  const parts = [];
+  if (validation.missing.length > 0) {
+    parts.push(`I need the ${listSlots(validation.missing)}${task}.`);
+  }
+  if (validation.issues.length > 0) {
+    parts.push(`Some details don't look right (${validation.issues.join('; ')}).`);
+  }
+  return `${parts.join(' ')} Could you provide ${validation.missing.length + validation.issues.length > 1 ? 'them' : 'it'}?`;
+}
+
+module.exports = {
+  ACTION_STATUSES,
+  DEFAULT_WEBHOOK_TIMEOUT_MS,
+  callWebhook,
+  createActionRegistry,
+  entityParams,
+  validateActionParams,
+  buildSlotQuestion,
+};
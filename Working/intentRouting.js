@@ -0,0 +1,178 @@
+/**
+ * Intent Routing Module
+ *
+ * This module decides where the agent graph goes after intent
+ * identification: stop (classify-only), ask for clarification when the
+ * confidence is low, dispatch the intent's action, run a per-intent
+ * handler, or generate a response with the language model. Handlers are
+ * declared in the routing section of the agent configuration or passed to
+ * the IntentAgent constructor; actions are registered in intentActions.js.
+ * Compound messages with several intents are answered by their handlers
+ * together when every intent has one, and by the model otherwise.
+ */
+
+const { END } = require('@langchain/langgraph');
+
+/**
+ * Graph node names used by the router
+ */
+const NODES = {
+  generateResponse: 'generateResponse',
+  askClarification: 'askClarification',
+  handleIntents: 'handleIntents',
+  dispatchAction: 'dispatchAction',
+};
+
+/**
+ * Fills {{placeholders}} in a template from the agent state
+ * Supported placeholders: intent, confidence, userInput.
+ *
+ * @param {string} template - Template text
+ * @param {Object} state - Current agent state
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, state) {
+  const values = {
+    intent: state.identifiedIntent,
+    confidence: `${Math.round((state.confidence || 0) * 100)}%`,
+    userInput: state.userInput,
+  };
+
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    (Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match)
+  );
+}
+
+/**
+ * Returns the graph node name for an intent handler
+ * Dots in hierarchical intent names are replaced to keep node names simple.
+ *
+ * @param {string} intent - Intent name
+ * @returns {string} Node name
+ */
+function handlerNodeName(intent) {
+  return `handle_${intent.replace(/\./g, '__')}`;
+}
+
+/**
+ * Turns handler definitions into response functions
+ * A definition is a function of the agent state, an object with a
+ * `handler` function, or an object with a `template` string. Handlers for
+ * intents outside the taxonomy are skipped so taxonomies stay swappable.
+ *
+ * @param {Object} definitions - Handler definitions keyed by intent
+ * @param {Array<string>} categories - Intent categories of the taxonomy
+ * @returns {Map<string, Function>} Async handlers returning response text
+ * @throws {Error} If a definition has neither a handler nor a template
+ */
+function createIntentHandlers(definitions = {}, categories = []) {
+  const handlers = new Map();
+
+  Object.entries(definitions).forEach(([intent, definition]) => {
+    if (!definition || !categories.includes(intent)) {
+      return;
+    }
+
+    if (typeof definition === 'function') {
+      handlers.set(intent, async state => definition(state));
+    } else if (typeof definition.handler === 'function') {
+      handlers.set(intent, async state => definition.handler(state));
+    } else if (typeof definition.template === 'string') {
+      handlers.set(intent, async state => renderTemplate(definition.template, state));
+    } else {
+      throw new Error(`Intent handler for "${intent}" needs a handler function or a template`);
+    }
+  });
+
+  return handlers;
+}
+
+/**
+ * Lists the distinct intents detected in a message, in ranked order
+ *
+ * @param {Object} state - Current agent state
+ * @returns {Array<string>} Intent names
+ */
+function distinctIntents(state) {
+  return [...new Set((state.intents || []).map(item => item.intent))];
+}
+
+/**
+ * Chooses the next node after intent identification
+ * A single intent with a registered action dispatches it, taking
+ * precedence over a handler for the same intent.
+ *
+ * @param {Object} state - Current agent state
+ * @param {Object} routingConfig - The routing section of the agent configuration
+ * @param {Map<string, Function>} handlers - Intent handlers
+ * @param {Map<string, Object>} actions - Intent actions
+ * @returns {string} Next node name, or END
+ */
+function routeAfterClassification(state, routingConfig, handlers, actions = new Map()) {
+  if (state.classifyOnly) {
+    return END;
+  }
+
+  // Model failures keep the normal response path and its error handling
+  if (state.error) {
+    return NODES.generateResponse;
+  }
+
+  if (state.confidence < routingConfig.clarificationThreshold) {
+    return NODES.askClarification;
+  }
+
+  const intents = distinctIntents(state);
+  if (intents.length > 1) {
+    return intents.every(intent => handlers.has(intent)) ? NODES.handleIntents : NODES.generateResponse;
+  }
+
+  if (actions.has(state.identifiedIntent)) {
+    return NODES.dispatchAction;
+  }
+
+  if (handlers.has(state.identifiedIntent)) {
+    return handlerNodeName(state.identifiedIntent);
+  }
+
+  return NODES.generateResponse;
+}
+
+/**
+ * Chooses the next node after an action was dispatched
+ * An action waiting for input ends with the question for the user; any
+ * other outcome is folded into the generated response.
+ *
+ * @param {Object} state - Current agent state
+ * @returns {string} Next node name, or END
+ */
+function routeAfterAction(state) {
+  return state.action && state.action.status === 'needs_input' ? END : NODES.generateResponse;
+}
+
+/**
+ * Lists every node the router may choose
+ *
+ * @param {Map<string, Function>} handlers - Intent handlers
+ * @returns {Array<string>} Possible destinations
+ */
+function routeDestinations(handlers) {
+  return [
+    NODES.generateResponse,
+    NODES.askClarification,
+    NODES.handleIntents,
+    NODES.dispatchAction,
+    ...[...handlers.keys()].map(handlerNodeName),
+    END,
+  ];
+}
+
+module.exports = {
+  renderTemplate,
+  handlerNodeName,
+  createIntentHandlers,
+  distinctIntents,
+  routeAfterClassification,
+  routeAfterAction,
+  routeDestinations,
+};
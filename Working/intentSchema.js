@@ -0,0 +1,209 @@
+/**
+ * Intent Schema Module
+ *
+ * This module defines the zod schema for the intent classification result
+ * returned by the language model, and the helpers used to pull a JSON
+ * object out of free-form model output and validate it.
+ */
+
+const { z } = require('zod');
+
+/**
+ * Any JSON value an entity may hold, including nested objects and arrays
+ */
+const entityValueSchema = z.lazy(() => z.union([
+  z.string(),
+  z.number(),
+  z.boolean(),
+  z.null(),
+  z.array(entityValueSchema),
+  z.record(z.string(), entityValueSchema),
+]));
+
+/**
+ * Creates the field schemas shared by the classification result schemas
+ *
+ * @param {Array<string>} categories - Allowed intent categories
+ * @returns {Object} { intent, confidence, entities } field schemas
+ * @throws {Error} If no categories are given
+ */
+function createResultFields(categories) {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    throw new Error('At least one intent category is required');
+  }
+
+  return {
+    intent: z.preprocess(
+      value => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+      z.enum(categories)
+    ),
+    confidence: z.preprocess(
+      value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value),
+      z.number().min(0).max(1)
+    ),
+    entities: z.record(z.string(), entityValueSchema).nullish().transform(value => value || {}),
+  };
+}
+
+/**
+ * Creates the schema for a classification result
+ * The intent is constrained to the configured categories and the
+ * confidence to the [0, 1] range.
+ *
+ * @param {Array<string>} categories - Allowed intent categories
+ * @returns {z.ZodObject} Classification result schema
+ */
+function createIntentResultSchema(categories) {
+  return z.object(createResultFields(categories));
+}
+
+/**
+ * Creates the schema for a multi-intent classification result
+ * The model lists every intent with the message segment it applies to and
+ * names the primary one. Parsed results are ranked by confidence and carry
+ * the primary intent's fields at the top level, so they can be used like a
+ * single-intent result. Without a primary, the most confident intent is used.
+ *
+ * @param {Array<string>} categories - Allowed intent categories
+ * @returns {z.ZodEffects} Multi-intent result schema producing
+ *   { intent, confidence, entities, intents }
+ */
+function createMultiIntentResultSchema(categories) {
+  const fields = createResultFields(categories);
+
+  return z.object({
+    intents: z.array(z.object({
+      ...fields,
+      segment: z.string().nullish().transform(value => value || ''),
+    })).min(1),
+    primary: fields.intent.optional(),
+  })
+    .refine(
+      result => !result.primary || result.intents.some(item => item.intent === result.primary),
+      { message: 'primary must be one of the listed intents', path: ['primary'] }
+    )
+    .transform((result) => {
+      const intents = [...result.intents].sort((a, b) => b.confidence - a.confidence);
+      const primary = intents.find(item => item.intent === result.primary) || intents[0];
+
+      return {
+        intent: primary.intent,
+        confidence: primary.confidence,
+        entities: primary.entities,
+        intents,
+      };
+    });
+}
+
+/**
+ * Extracts the first balanced JSON object from a string
+ * Braces inside string literals are ignored, so nested objects and
+ * values such as "{not a brace}" do not end the match early.
+ *
+ * @param {string} text - Text that may contain a JSON object
+ * @returns {string|null} The JSON object text, or null if none is found
+ */
+function extractJsonObject(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fixes common formatting problems in model-produced JSON
+ *
+ * @param {string} jsonString - Raw JSON text
+ * @returns {string} Cleaned JSON text
+ */
+function cleanJsonString(jsonString) {
+  return jsonString
+    .replace(/[\u0000-\u001F\u007F-\u009F]/g, ' ') // Control characters, including raw newlines
+    .replace(/,(\s*[}\]])/g, '$1') // Trailing commas
+    .trim();
+}
+
+/**
+ * Formats zod issues into a single readable message
+ *
+ * @param {z.ZodError} error - Validation error
+ * @returns {string} Message listing each failing field
+ */
+function formatValidationError(error) {
+  return error.issues
+    .map(issue => `${issue.path.join('.') || 'result'}: ${issue.message}`)
+    .join('; ');
+}
+
+/**
+ * Parses and validates a model response against the result schema
+ *
+ * @param {string} content - Raw model output
+ * @param {z.ZodType} schema - Schema from createIntentResultSchema or createMultiIntentResultSchema
+ * @returns {Object} { success: true, data } or { success: false, stage, error }
+ *   where stage is 'extract', 'json' or 'schema'
+ */
+function parseIntentResponse(content, schema) {
+  const jsonText = extractJsonObject(content);
+
+  if (!jsonText) {
+    return { success: false, stage: 'extract', error: 'No JSON object found in the response' };
+  }
+
+  let candidate;
+  try {
+    candidate = JSON.parse(cleanJsonString(jsonText));
+  } catch (error) {
+    return { success: false, stage: 'json', error: `Invalid JSON: ${error.message}` };
+  }
+
+  const result = schema.safeParse(candidate);
+  if (!result.success) {
+    return { success: false, stage: 'schema', error: formatValidationError(result.error) };
+  }
+
+  return { success: true, data: result.data };
+}
+
+module.exports = {
+  createIntentResultSchema,
+  createMultiIntentResultSchema,
+  extractJsonObject,
+  parseIntentResponse,
+};
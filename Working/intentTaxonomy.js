@@ -0,0 +1,280 @@
+/**
+ * Intent Taxonomy Module
+ *
+ * This module loads and validates the intent taxonomy: the set of intents
+ * the agent can classify into, each with a description, example
+ * utterances, an optional parent intent and the entity slots it expects.
+ * Each slot has a type (see entitySlots.js) and may be marked required.
+ * Taxonomies are read from JSON or YAML files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { z } = require('zod');
+const { SLOT_TYPES } = require('./entitySlots');
+
+/**
+ * Intent names are lowercase words joined by underscores, with dots
+ * separating levels of the hierarchy (e.g. billing.invoice_query)
+ */
+const INTENT_NAME_PATTERN = /^[a-z_]+(\.[a-z_]+)*$/;
+
+/**
+ * Intent every taxonomy must define, used when nothing else fits
+ */
+const FALLBACK_INTENT = 'unknown';
+
+/**
+ * Maximum number of examples per intent included in the prompt
+ */
+const MAX_PROMPT_EXAMPLES = 3;
+
+const slotSchema = z.object({
+  name: z.string().regex(/^[a-z][a-z0-9_]*$/, 'must be lowercase letters, digits and underscores'),
+  description: z.string().default(''),
+  type: z.enum(SLOT_TYPES).default('text'),
+  required: z.boolean().default(false),
+});
+
+const intentSchema = z.object({
+  name: z.string().min(1),
+  description: z.string().default(''),
+  parent: z.string().nullish().transform(value => value || null),
+  examples: z.array(z.string().min(1)).default([]),
+  slots: z.array(slotSchema).default([]),
+});
+
+const taxonomySchema = z.object({
+  version: z.number().int().positive().default(1),
+  intents: z.array(intentSchema).min(1),
+});
+
+/**
+ * Error raised when a taxonomy definition is invalid
+ * The issues property lists every problem that was found.
+ */
+class TaxonomyError extends Error {
+  /**
+   * @param {Array<string>} issues - Validation problems
+   * @param {string} source - Where the taxonomy came from
+   */
+  constructor(issues, source = 'taxonomy') {
+    super(`Invalid ${source}: ${issues.join('; ')}`);
+    this.name = 'TaxonomyError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Checks the relationships between intents
+ *
+ * @param {Array<Object>} intents - Intents that passed shape validation
+ * @returns {Array<string>} Validation problems, empty if none
+ */
+function findTaxonomyIssues(intents) {
+  const issues = [];
+  const byName = new Map();
+
+  intents.forEach(intent => {
+    if (!INTENT_NAME_PATTERN.test(intent.name)) {
+      issues.push(`intent "${intent.name}" must be lowercase words joined by underscores, with dots between levels`);
+    }
+    if (byName.has(intent.name)) {
+      issues.push(`duplicate intent "${intent.name}"`);
+    }
+    byName.set(intent.name, intent);
+
+    const slotNames = intent.slots.map(slot => slot.name);
+    const duplicateSlots = slotNames.filter((name, index) => slotNames.indexOf(name) !== index);
+    duplicateSlots.forEach(name => issues.push(`duplicate slot "${name}" in intent "${intent.name}"`));
+  });
+
+  intents.forEach(intent => {
+    if (intent.parent && !byName.has(intent.parent)) {
+      issues.push(`intent "${intent.name}" has unknown parent "${intent.parent}"`);
+    }
+  });
+
+  // Follow parent links to catch cycles such as a -> b -> a
+  intents.forEach(intent => {
+    const seen = new Set([intent.name]);
+    let current = intent;
+
+    while (current && current.parent) {
+      if (seen.has(current.parent)) {
+        issues.push(`intent "${intent.name}" is part of a parent cycle`);
+        break;
+      }
+      seen.add(current.parent);
+      current = byName.get(current.parent);
+    }
+  });
+
+  if (!byName.has(FALLBACK_INTENT)) {
+    issues.push(`taxonomy must define the "${FALLBACK_INTENT}" intent`);
+  }
+
+  return issues;
+}
+
+/**
+ * Validates a taxonomy definition and fills in defaults
+ *
+ * @param {Object} definition - Raw taxonomy object
+ * @param {string} source - Description of where the definition came from
+ * @returns {Object} Validated taxonomy { version, intents }
+ * @throws {TaxonomyError} If the definition is invalid
+ */
+function parseTaxonomy(definition, source = 'taxonomy') {
+  const result = taxonomySchema.safeParse(definition);
+
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `${issue.path.join('.') || 'taxonomy'}: ${issue.message}`);
+    throw new TaxonomyError(issues, source);
+  }
+
+  const issues = findTaxonomyIssues(result.data.intents);
+  if (issues.length > 0) {
+    throw new TaxonomyError(issues, source);
+  }
+
+  return result.data;
+}
+
+/**
+ * Loads and validates a taxonomy file
+ * Files ending in .yaml or .yml are read as YAML, everything else as JSON.
+ *
+ * @param {string} filePath - Path to the taxonomy file
+ * @returns {Object} Validated taxonomy
+ * @throws {TaxonomyError} If the file content is invalid
+ */
+function loadTaxonomyFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const source = `taxonomy file ${filePath}`;
+
+  let definition;
+  try {
+    definition = extension === '.yaml' || extension === '.yml'
+      ? YAML.parse(content)
+      : JSON.parse(content);
+  } catch (error) {
+    throw new TaxonomyError([error.message], source);
+  }
+
+  return parseTaxonomy(definition, source);
+}
+
+/**
+ * Lists the intent names of a taxonomy
+ *
+ * @param {Object} taxonomy - Validated taxonomy
+ * @returns {Array<string>} Intent names in definition order
+ */
+function getIntentNames(taxonomy) {
+  return taxonomy.intents.map(intent => intent.name);
+}
+
+/**
+ * Lists the example utterances of every intent
+ *
+ * @param {Object} taxonomy - Validated taxonomy
+ * @returns {Array<Object>} Examples of the form { intent, text }
+ */
+function getTaxonomyExamples(taxonomy) {
+  return taxonomy.intents.flatMap(intent =>
+    intent.examples.map(text => ({ intent: intent.name, text }))
+  );
+}
+
+/**
+ * Lists the slots of an intent, including those inherited from its parents
+ * A slot defined on a child intent overrides a parent slot of the same name.
+ *
+ * @param {Object} taxonomy - Validated taxonomy
+ * @param {string} intentName - Intent name
+ * @returns {Array<Object>} Slot definitions, parent slots first
+ */
+function getIntentSlots(taxonomy, intentName) {
+  const byName = new Map(taxonomy.intents.map(intent => [intent.name, intent]));
+  const lineage = [];
+
+  for (let intent = byName.get(intentName); intent; intent = byName.get(intent.parent)) {
+    lineage.unshift(intent);
+  }
+
+  const slots = new Map();
+  lineage.forEach(intent => intent.slots.forEach(slot => slots.set(slot.name, slot)));
+  return [...slots.values()];
+}
+
+/**
+ * Arranges the taxonomy intents into a tree following parent links
+ *
+ * @param {Object} taxonomy - Validated taxonomy
+ * @returns {Array<Object>} Root intents, each with a children array
+ */
+function buildTaxonomyTree(taxonomy) {
+  const nodes = new Map(
+    taxonomy.intents.map(intent => [intent.name, { ...intent, children: [] }])
+  );
+  const roots = [];
+
+  nodes.forEach(node => {
+    if (node.parent) {
+      nodes.get(node.parent).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * Describes the taxonomy for the classification prompt
+ * Each intent is listed with its description, a few examples and its
+ * entity slots, with child intents indented under their parent.
+ *
+ * @param {Object} taxonomy - Validated taxonomy
+ * @returns {string} Prompt section listing the intents
+ */
+function buildTaxonomyPrompt(taxonomy) {
+  const lines = [];
+
+  const describe = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    const description = node.description ? `: ${node.description}` : '';
+    lines.push(`${indent}- ${node.name}${description}`);
+
+    const examples = node.examples.slice(0, MAX_PROMPT_EXAMPLES);
+    if (examples.length > 0) {
+      lines.push(`${indent}  Examples: ${examples.map(example => `"${example}"`).join(', ')}`);
+    }
+
+    if (node.slots.length > 0) {
+      const slots = node.slots.map(slot => `${slot.name} (${slot.type}${slot.required ? ', required' : ''})`);
+      lines.push(`${indent}  Entities: ${slots.join(', ')}`);
+    }
+
+    node.children.forEach(child => describe(child, depth + 1));
+  };
+
+  buildTaxonomyTree(taxonomy).forEach(root => describe(root, 0));
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  TaxonomyError,
+  parseTaxonomy,
+  loadTaxonomyFile,
+  getIntentNames,
+  getTaxonomyExamples,
+  getIntentSlots,
+  buildTaxonomyTree,
+  buildTaxonomyPrompt,
+  INTENT_NAME_PATTERN,
+};
@@ -0,0 +1,389 @@
+/**
+ * LLM Providers Module
+ *
+ * This module provides a registry of chat model providers so the agent
+ * pipeline can run against different local backends. Each provider
+ * declares a zod schema for its options, which are validated before the
+ * model is created.
+ *
+ * Built-in providers:
+ * - ollama: ChatOllama against a local or remote Ollama server
+ * - openai-compatible: any /chat/completions endpoint (llama.cpp server, vLLM, ...)
+ * - rules: deterministic pattern-based classifier, no model server needed
+ * - replay: answers from a fixture file recorded with LLM_RECORD_FILE
+ */
+
+const { z } = require('zod');
+const { ChatOllama } = require('@langchain/ollama');
+const { SimpleChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessage, AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+const { agentConfig } = require('./agentConfig');
+const { createFallbackClassifier } = require('./fallbackClassifier');
+const { RecordingChatModel, ReplayChatModel } = require('./modelFixtures');
+
+/**
+ * Registered providers by name
+ */
+const providers = new Map();
+
+/**
+ * Error raised when the model configuration is invalid
+ */
+class ProviderConfigError extends Error {
+  /**
+   * @param {string} message - Error description
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderConfigError';
+  }
+}
+
+/**
+ * Registers a model provider
+ *
+ * @param {string} name - Provider name used in configuration
+ * @param {Object} definition - Provider definition
+ * @param {z.ZodObject} definition.optionsSchema - Schema for the provider options
+ * @param {Function} definition.create - Creates a chat model from validated options
+ */
+function registerProvider(name, { optionsSchema, create }) {
+  if (!optionsSchema || typeof create !== 'function') {
+    throw new Error(`Provider "${name}" needs an optionsSchema and a create function`);
+  }
+  providers.set(name, { name, optionsSchema, create });
+}
+
+/**
+ * Lists the names of all registered providers
+ *
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Validates model configuration against the selected provider's schema
+ *
+ * @param {Object} modelConfig - The model section of the agent configuration
+ * @returns {Object} Validated provider options
+ * @throws {ProviderConfigError} If the provider is unknown or options are invalid
+ */
+function validateProviderOptions(modelConfig) {
+  const providerName = modelConfig.provider || 'ollama';
+  const provider = providers.get(providerName);
+
+  if (!provider) {
+    throw new ProviderConfigError(
+      `Unknown model provider "${providerName}". Available providers: ${listProviders().join(', ')}`
+    );
+  }
+
+  const result = provider.optionsSchema.safeParse({ ...modelConfig, provider: providerName });
+  if (!result.success) {
+    const issues = result.error.issues
+      .map(issue => `${issue.path.join('.')}: ${issue.message}`)
+      .join('; ');
+    throw new ProviderConfigError(`Invalid options for provider "${providerName}": ${issues}`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Creates the chat model selected by the model configuration
+ * When modelConfig.recordFile is set, every exchange is also recorded
+ * to that fixture file for later replay.
+ *
+ * @param {Object} modelConfig - The model section of the agent configuration
+ * @returns {Object} { model, provider, modelName }
+ * @throws {ProviderConfigError} If the configuration is invalid
+ */
+function createChatModel(modelConfig) {
+  const options = validateProviderOptions(modelConfig);
+  const provider = providers.get(options.provider);
+  const model = provider.create(options);
+
+  return {
+    model: modelConfig.recordFile
+      ? new RecordingChatModel({ model, fixtureFile: modelConfig.recordFile })
+      : model,
+    provider: options.provider,
+    modelName: options.name,
+  };
+}
+
+/**
+ * Maps LangChain message types to OpenAI chat roles
+ */
+const OPENAI_ROLES = {
+  system: 'system',
+  human: 'user',
+  ai: 'assistant',
+};
+
+/**
+ * Chat model for OpenAI-compatible /chat/completions endpoints
+ *
+ * Works with llama.cpp server, vLLM, LM Studio, Ollama's /v1 API and
+ * other servers implementing the same request format.
+ */
+class OpenAICompatibleChatModel extends SimpleChatModel {
+  /**
+   * @param {Object} options - Validated provider options
+   */
+  constructor(options) {
+    super({});
+    this.modelName = options.name;
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.temperature = options.temperature;
+    this.maxTokens = options.maxTokens;
+    this.timeoutMs = options.timeoutMs;
+  }
+
+  _llmType() {
+    return 'openai-compatible';
+  }
+
+  /**
+   * Sends the conversation to the endpoint and returns the reply
+   * The token counts the endpoint reports become the reply's usage_metadata.
+   *
+   * @param {Array<BaseMessage>} messages - Conversation messages
+   * @param {Object} options - Call options
+   * @returns {Promise<Object>} Chat result with the assistant reply
+   */
+  async _generate(messages, options) {
+    const response = await this.requestCompletion(messages, options, false);
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error('OpenAI-compatible endpoint returned no choices');
+    }
+
+    const text = choice.message.content || '';
+    const usage = data.usage && {
+      input_tokens: data.usage.prompt_tokens,
+      output_tokens: data.usage.completion_tokens,
+      total_tokens: data.usage.total_tokens,
+    };
+    return {
+      generations: [{ text, message: new AIMessage({ content: text, ...(usage ? { usage_metadata: usage } : {}) }) }],
+    };
+  }
+
+  /**
+   * Streams the reply as server-sent completion chunks
+   *
+   * @param {Array<BaseMessage>} messages - Conversation messages
+   * @param {Object} options - Call options
+   * @param {CallbackManagerForLLMRun} runManager - Callback manager of the run
+   * @yields {ChatGenerationChunk} Reply chunks
+   */
+  async *_streamResponseChunks(messages, options, runManager) {
+    const response = await this.requestCompletion(messages, options, true);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload || payload === '[DONE]') {
+          continue;
+        }
+
+        const choice = (JSON.parse(payload).choices || [])[0];
+        const text = choice && choice.delta && choice.delta.content;
+        if (text) {
+          yield new ChatGenerationChunk({ text, message: new AIMessageChunk({ content: text }) });
+          if (runManager) {
+            await runManager.handleLLMNewToken(text);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Posts the conversation to the /chat/completions endpoint
+   *
+   * @param {Array<BaseMessage>} messages - Conversation messages
+   * @param {Object} options - Call options
+   * @param {boolean} stream - Request a streamed reply
+   * @returns {Promise<Response>} Successful HTTP response
+   * @throws {Error} If the endpoint returns an error status
+   */
+  async requestCompletion(messages, options, stream) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const signals = [AbortSignal.timeout(this.timeoutMs)];
+    if (options.signal) {
+      signals.push(options.signal);
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal: AbortSignal.any(signals),
+      body: JSON.stringify({
+        model: this.modelName,
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        stream,
+        messages: messages.map(message => ({
+          role: OPENAI_ROLES[message._getType()] || 'user',
+          content: message.content,
+        })),
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+    }
+
+    return response;
+  }
+}
+
+/**
+ * Canned replies used by the rules provider for each intent
+ */
+const RULES_RESPONSES = {
+  greeting: 'Hello! How can I help you today?',
+  question: 'That is a good question. Could you give me a little more detail so I can help?',
+  command: 'Understood. I have noted your request.',
+  information_request: 'Here is what I can tell you. Let me know which details you need.',
+  clarification: 'Of course. Which part would you like me to explain?',
+  feedback: 'Thank you for the feedback!',
+  goodbye: 'Goodbye! Have a great day.',
+};
+
+/**
+ * Deterministic chat model built on the offline fallback classifier
+ *
+ * The agent passes a `task` call option describing which node is calling:
+ * for identifyIntent the model answers with classification JSON (one
+ * entry per sentence in multi-intent mode), for generateResponse with a
+ * canned reply for the identified intent.
+ */
+class RulesChatModel extends SimpleChatModel {
+  /**
+   * @param {Object} options - Model options
+   * @param {FallbackClassifier} options.classifier - Classifier to use instead of the configured one
+   */
+  constructor({ classifier } = {}) {
+    super({});
+    this.modelName = 'rules';
+    this.classifier = classifier || createFallbackClassifier(agentConfig);
+  }
+
+  _llmType() {
+    return 'rules';
+  }
+
+  /**
+   * Produces a deterministic reply for the calling task
+   *
+   * @param {Array<BaseMessage>} messages - Conversation messages
+   * @param {Object} options - Call options, including task
+   * @returns {Promise<string>} Reply text
+   */
+  async _call(messages, options) {
+    const task = options.task || {};
+    const userInput = task.userInput !== undefined
+      ? task.userInput
+      : String(messages[messages.length - 1].content);
+
+    if (task.name === 'identifyIntent' && task.multiIntent) {
+      // Classify each sentence separately; the last recognized one is
+      // primary, since requests tend to follow pleasantries
+      const intents = userInput
+        .split(/(?<=[.!?])\s+/)
+        .filter(segment => segment.trim())
+        .map(segment => ({ ...this.classifyText(segment), segment }));
+      const recognized = intents.filter(item => item.intent !== 'unknown');
+      const primary = (recognized.length > 0 ? recognized[recognized.length - 1] : intents[0]).intent;
+      return JSON.stringify({ intents, primary });
+    }
+
+    if (task.name === 'identifyIntent') {
+      return JSON.stringify(this.classifyText(userInput));
+    }
+
+    return RULES_RESPONSES[task.intent] || 'I received your message.';
+  }
+
+  /**
+   * Classifies text in the classification output format
+   *
+   * @param {string} text - Text to classify
+   * @returns {Object} { intent, confidence, entities }
+   */
+  classifyText(text) {
+    const { intent, confidence } = this.classifier.classify(text);
+    return { intent, confidence: Math.round(confidence * 1000) / 1000, entities: {} };
+  }
+}
+
+const baseOptionsSchema = z.object({
+  provider: z.string(),
+  name: z.string().min(1),
+  temperature: z.number().min(0).max(2).default(0.7),
+});
+
+registerProvider('ollama', {
+  optionsSchema: baseOptionsSchema.extend({
+    baseUrl: z.string().url().default('http://localhost:11434'),
+  }),
+  create: options => new ChatOllama({
+    model: options.name,
+    temperature: options.temperature,
+    baseUrl: options.baseUrl,
+  }),
+});
+
+registerProvider('openai-compatible', {
+  optionsSchema: baseOptionsSchema.extend({
+    baseUrl: z.string().url(),
+    apiKey: z.string().min(1).optional(),
+    maxTokens: z.number().int().positive().optional(),
+    timeoutMs: z.number().int().positive().default(120000),
+  }),
+  create: options => new OpenAICompatibleChatModel(options),
+});
+
+registerProvider('rules', {
+  optionsSchema: z.object({
+    provider: z.literal('rules'),
+  }).transform(options => ({ ...options, name: 'rules' })),
+  create: () => new RulesChatModel(),
+});
+
+registerProvider('replay', {
+  optionsSchema: z.object({
+    provider: z.literal('replay'),
+    fixtureFile: z.string().min(1),
+  }).transform(options => ({ ...options, name: `replay:${options.fixtureFile}` })),
+  create: options => new ReplayChatModel({ fixtureFile: options.fixtureFile }),
+});
+
+module.exports = {
+  ProviderConfigError,
+  registerProvider,
+  listProviders,
+  validateProviderOptions,
+  createChatModel,
+  OpenAICompatibleChatModel,
+  RulesChatModel,
+};
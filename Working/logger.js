@@ -0,0 +1,126 @@
+/**
+ * Logger Module
+ *
+ * This module writes structured logs: one JSON object per line holding the
+ * time, level and message, the fields bound to the logger (such as the
+ * request ID) and the fields of the call. Entries below the configured
+ * level are dropped.
+ */
+
+/**
+ * Log levels, from the most to the least verbose
+ * 'silent' drops every entry.
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Converts an error to a plain object for a log entry
+ *
+ * @param {Error} error - Error to log
+ * @returns {Object} { name, message, code, stack }
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    stack: error.stack,
+  };
+}
+
+/**
+ * Writes JSON log lines
+ */
+class Logger {
+  /**
+   * @param {Object} options - Logger options
+   * @param {string} options.level - Least severe level written (default: 'info')
+   * @param {Object} options.stream - Stream the lines are written to (default: stderr)
+   * @param {Object} options.bindings - Fields added to every entry
+   * @throws {Error} If the level is unknown
+   */
+  constructor({ level = 'info', stream = process.stderr, bindings = {} } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Invalid log level "${level}"; use one of: ${LOG_LEVELS.join(', ')}`);
+    }
+
+    this.level = level;
+    this.stream = stream;
+    this.bindings = bindings;
+  }
+
+  /**
+   * Creates a logger adding more fields to every entry
+   *
+   * @param {Object} bindings - Fields to add, e.g. { requestId }
+   * @returns {Logger} Logger writing to the same stream at the same level
+   */
+  child(bindings) {
+    return new Logger({ level: this.level, stream: this.stream, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  /**
+   * Checks whether entries of a level are written
+   *
+   * @param {string} level - Log level
+   * @returns {boolean} True if the level is at or above the configured one
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level) && level !== 'silent';
+  }
+
+  /**
+   * Writes an entry
+   * Undefined fields are left out and errors are serialized.
+   *
+   * @param {string} level - Log level
+   * @param {string} message - What happened
+   * @param {Object} fields - Details of the entry
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.bindings };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) {
+        entry[key] = value instanceof Error ? serializeError(value) : value;
+      }
+    });
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+/**
+ * Creates the logger described by the logging section of the configuration
+ *
+ * @param {Object} loggingConfig - { level }
+ * @returns {Logger} Logger writing to stderr
+ */
+function createLogger(loggingConfig = {}) {
+  return new Logger({ level: loggingConfig.level });
+}
+
+module.exports = {
+  Logger,
+  LOG_LEVELS,
+  createLogger,
+  serializeError,
+};
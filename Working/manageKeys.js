@@ -0,0 +1,105 @@
+/**
+ * API Key Management Script
+ *
+ * Creates, lists and revokes the API keys of the server. Keys are stored
+ * hashed in config.auth.keysFile; a new key is printed once and cannot be
+ * shown again.
+ *
+ * Usage: npm run keys -- create --name frontend [--scopes classify,batch] [--rpm 30] [--burst 5] [--daily 500]
+ *        npm run keys -- list
+ *        npm run keys -- revoke <id>
+ */
+
+const { parseArgs } = require('util');
+
+const { getAgentConfig } = require('./agentConfig');
+const { ApiKeyStore } = require('./apiKeys');
+
+/**
+ * Parses an optional non-negative integer option
+ *
+ * @param {string} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {number|null} Parsed value, or null when not given
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parseLimit(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+  const config = getAgentConfig();
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: 'string' },
+      scopes: { type: 'string', default: 'classify' },
+      rpm: { type: 'string' },
+      burst: { type: 'string' },
+      daily: { type: 'string' },
+    },
+  });
+  const [command, id] = positionals;
+  const store = new ApiKeyStore({ file: config.auth.keysFile });
+
+  switch (command) {
+    case 'create': {
+      const { key, record } = store.create({
+        name: values.name,
+        scopes: values.scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+        requestsPerMinute: parseLimit(values.rpm, 'rpm'),
+        burst: parseLimit(values.burst, 'burst'),
+        dailyQuota: parseLimit(values.daily, 'daily'),
+      });
+      console.log(`Created ${record.id} (${record.name}) with scopes: ${record.scopes.join(', ')}`);
+      console.log(`\n  ${key}\n`);
+      console.log('Store it now; it cannot be shown again.');
+      break;
+    }
+
+    case 'list': {
+      const keys = store.list();
+      if (keys.length === 0) {
+        console.log(`No API keys in ${config.auth.keysFile}`);
+      }
+      keys.forEach((key) => {
+        const limits = [
+          key.requestsPerMinute !== null ? `${key.requestsPerMinute}/min` : null,
+          key.dailyQuota !== null ? `${key.dailyQuota}/day` : null,
+        ].filter(Boolean).join(', ') || 'default limits';
+        const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+        console.log(`${key.id}  ${key.prefix}…  ${key.name.padEnd(16)} ${key.scopes.join(',').padEnd(21)} ${limits.padEnd(18)} ${status}`);
+      });
+      break;
+    }
+
+    case 'revoke': {
+      const record = store.revoke(id);
+      if (!record) {
+        throw new Error(`No API key with id "${id}"`);
+      }
+      console.log(`Revoked ${record.id} (${record.name})`);
+      break;
+    }
+
+    default:
+      throw new Error('Usage: npm run keys -- <create --name NAME [--scopes classify,batch,admin,metrics] [--rpm N] [--burst N] [--daily N] | list | revoke ID>');
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('API key command failed:', error.message);
+  process.exit(1);
+}
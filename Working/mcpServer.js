@@ -0,0 +1,173 @@
+/**
+ * MCP Server Module
+ *
+ * This module exposes the intent agent as a Model Context Protocol server,
+ * so other agents can classify messages through tools. It provides the
+ * classify_intent, classify_batch and list_intent_categories tools and the
+ * taxonomy as a resource. Run it over stdio with `npm run mcp`.
+ */
+
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { z } = require('zod');
+
+const { toResultRecord, toFailureRecord } = require('./batchJobs');
+const { mapWithConcurrency } = require('./requestScheduler');
+const { version } = require('../package.json');
+
+/**
+ * Largest number of messages accepted by classify_batch
+ * Larger workloads belong in batch jobs (/api/jobs) or the CLI.
+ */
+const MAX_BATCH_MESSAGES = 50;
+
+/**
+ * URI of the taxonomy resource
+ */
+const TAXONOMY_URI = 'taxonomy://intents';
+
+/**
+ * Options shared by the classification tools
+ */
+const processingOptions = {
+  classifyOnly: z.boolean().default(true)
+    .describe('Only identify the intent; set to false to also generate a response'),
+  multiIntent: z.boolean().optional()
+    .describe('Return every intent of compound messages'),
+  timezone: z.string().optional()
+    .describe('IANA timezone used to resolve relative dates, e.g. Europe/Berlin'),
+};
+
+/**
+ * Formats a value as a JSON tool result
+ *
+ * @param {*} value - Result to return
+ * @returns {Object} Tool result with one text content item
+ */
+function jsonResult(value) {
+  return { content: [{ type: 'text', text: JSON.stringify(value, null, 2) }] };
+}
+
+/**
+ * Formats an error as a tool result the calling model can read
+ *
+ * @param {Error} error - Error to report
+ * @returns {Object} Tool result marked as an error
+ */
+function errorResult(error) {
+  const retry = error.retryAfter ? ` Retry after ${error.retryAfter}s.` : '';
+  return { isError: true, content: [{ type: 'text', text: `${error.message}${retry}` }] };
+}
+
+/**
+ * Creates an MCP server backed by an intent agent
+ *
+ * @param {Object} options - Server options
+ * @param {IntentAgent} options.agent - Agent that classifies messages
+ * @returns {McpServer} Server, ready to connect to a transport
+ */
+function createMcpServer({ agent }) {
+  const server = new McpServer({ name: 'intent-identifier', version });
+
+  server.registerTool('classify_intent', {
+    title: 'Classify intent',
+    description: 'Identifies the intent of a message and extracts its entities. '
+      + `Intents: ${agent.config.intentCategories.join(', ')}.`,
+    inputSchema: {
+      text: z.string().min(1).describe('Message to classify'),
+      sessionId: z.string().optional()
+        .describe('Conversation id; messages with the same id use the earlier turns as context'),
+      ...processingOptions,
+    },
+  }, async ({ text, sessionId, classifyOnly, multiIntent, timezone }, { signal }) => {
+    try {
+      return jsonResult(await agent.processMessage(text, { sessionId, classifyOnly, multiIntent, timezone, signal }));
+    } catch (error) {
+      return errorResult(error);
+    }
+  });
+
+  server.registerTool('classify_batch', {
+    title: 'Classify a batch of messages',
+    description: `Classifies up to ${MAX_BATCH_MESSAGES} independent messages. `
+      + 'Results are returned in input order; a message that fails has an error instead of failing the batch.',
+    inputSchema: {
+      messages: z.array(z.string().min(1)).min(1).max(MAX_BATCH_MESSAGES).describe('Messages to classify'),
+      ...processingOptions,
+    },
+  }, async ({ messages, classifyOnly, multiIntent, timezone }, { signal }) => {
+    const concurrency = agent.scheduler ? agent.scheduler.maxConcurrent : messages.length;
+    const results = await mapWithConcurrency(messages, concurrency, async (text, index) => {
+      try {
+        const result = await agent.processMessage(text, { classifyOnly, multiIntent, timezone, signal });
+        return toResultRecord({ index, text }, result);
+      } catch (error) {
+        return toFailureRecord({ index, text }, error.message);
+      }
+    });
+
+    return jsonResult({ results, count: results.length });
+  });
+
+  server.registerTool('list_intent_categories', {
+    title: 'List intent categories',
+    description: 'Lists the intents the classifier can return, with their descriptions, parents and entity slots.',
+    inputSchema: {},
+  }, async () => jsonResult({
+    categories: agent.config.taxonomy.intents.map(({ name, description, parent, slots }) => ({
+      name,
+      description,
+      parent,
+      slots,
+    })),
+    count: agent.config.intentCategories.length,
+  }));
+
+  server.registerResource('taxonomy', TAXONOMY_URI, {
+    title: 'Intent taxonomy',
+    description: 'Intent definitions with descriptions, example utterances, hierarchy and entity slots',
+    mimeType: 'application/json',
+  }, async uri => ({
+    contents: [{
+      uri: uri.href,
+      mimeType: 'application/json',
+      text: JSON.stringify(agent.config.taxonomy, null, 2),
+    }],
+  }));
+
+  return server;
+}
+
+/**
+ * Starts the server on stdin/stdout
+ * stdout carries the protocol, so logging is sent to stderr.
+ *
+ * @returns {Promise<McpServer>} Connected server
+ */
+async function startMcpServer() {
+  process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+  console.log = console.error;
+  console.info = console.error;
+
+  const { IntentAgent } = require('./intentAgent');
+  const agent = new IntentAgent();
+  const server = createMcpServer({ agent });
+
+  await server.connect(new StdioServerTransport());
+  agent.logger.info('Intent Identifier MCP server running on stdio', agent.modelInfo);
+  return server;
+}
+
+if (require.main === module) {
+  startMcpServer().catch((error) => {
+    console.error('Failed to start the MCP server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMcpServer,
+  startMcpServer,
+  MAX_BATCH_MESSAGES,
+  TAXONOMY_URI,
+};
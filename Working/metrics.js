@@ -0,0 +1,390 @@
+/**
+ * Metrics Module
+ *
+ * This module keeps counters, gauges and histograms and renders them in the
+ * Prometheus text exposition format for the server's /metrics endpoint.
+ * IntentMetrics defines the metrics of the service: HTTP traffic,
+ * classifications and their confidence, graph node and model call
+ * latency, parse outcomes, model errors and the model queue.
+ */
+
+/**
+ * Content type of the Prometheus text format
+ */
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Default histogram buckets for latencies, in seconds
+ */
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Histogram buckets for confidence scores
+ */
+const CONFIDENCE_BUCKETS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 1];
+
+/**
+ * Formats a sample value
+ *
+ * @param {number} value - Sample value
+ * @returns {string} Value as Prometheus writes it
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Formats a label set
+ *
+ * @param {Object} labels - Label names and values
+ * @returns {string} {name="value",...}, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${name}="${escaped}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base of the metric types: a name, help text and one series per label set
+ */
+class Metric {
+  /**
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description
+   * @param {Array<string>} options.labelNames - Labels every sample must have
+   * @param {Function} options.collect - Called with the metric before it is rendered
+   * @throws {Error} If the name or a label name is invalid
+   */
+  constructor({ name, help, labelNames = [], collect = null }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name "${name}"`);
+    }
+    labelNames.forEach((label) => {
+      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(label) || label === 'le') {
+        throw new Error(`Invalid label name "${label}" for metric ${name}`);
+      }
+    });
+
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.series = new Map();
+  }
+
+  /**
+   * Returns the series of a label set, creating it if needed
+   *
+   * @param {Object} labels - Label values
+   * @param {Function} create - Creates the initial series value
+   * @returns {Object} { labels, value }
+   * @throws {Error} If labels are missing or unknown
+   */
+  seriesFor(labels, create) {
+    const names = Object.keys(labels);
+    if (names.length !== this.labelNames.length || !names.every(name => this.labelNames.includes(name))) {
+      throw new Error(`Metric ${this.name} expects the labels: ${this.labelNames.join(', ') || 'none'}`);
+    }
+
+    // Labels in their declared order, so the key does not depend on the caller
+    const ordered = Object.fromEntries(this.labelNames.map(name => [name, String(labels[name])]));
+    const key = JSON.stringify(ordered);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: ordered, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Clears every series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Renders the sample lines, one per series
+   *
+   * @returns {Array<string>} Sample lines
+   */
+  samples() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  /**
+   * Renders the metric
+   *
+   * @returns {string} HELP and TYPE lines followed by the samples
+   */
+  render() {
+    if (this.collect) {
+      this.collect(this);
+    }
+
+    const help = this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+    return [`# HELP ${this.name} ${help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+/**
+ * Value that only goes up, e.g. requests served
+ */
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * Adds to the counter
+   *
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to add (default: 1)
+   * @throws {Error} If the amount is negative
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.seriesFor(labels, () => 0).value += value;
+  }
+}
+
+/**
+ * Value that goes up and down, e.g. queue depth
+ */
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  /**
+   * Sets the gauge
+   *
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.seriesFor(labels, () => 0).value = value;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options, as for Metric
+   * @param {Array<number>} options.buckets - Upper bounds of the buckets, ascending (default: LATENCY_BUCKETS)
+   * @throws {Error} If the buckets are not ascending
+   */
+  constructor({ buckets = LATENCY_BUCKETS, ...options }) {
+    super(options);
+    if (buckets.length === 0 || buckets.some((bound, index) => index > 0 && bound <= buckets[index - 1])) {
+      throw new Error(`Buckets of metric ${this.name} must be ascending`);
+    }
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * Records a value
+   *
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value, e.g. seconds
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    return [...this.series.values()].flatMap(({ labels, value }) => [
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+      `${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`,
+      `${this.name}_count${formatLabels(labels)} ${value.count}`,
+    ]);
+  }
+}
+
+/**
+ * Holds metrics and renders them together
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Adds a metric
+   *
+   * @param {Metric} metric - Metric to add
+   * @returns {Metric} The metric
+   * @throws {Error} If a metric with the same name exists
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Looks up a metric
+   *
+   * @param {string} name - Metric name
+   * @returns {Metric|undefined} The metric
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format
+   *
+   * @returns {string} Exposition text
+   */
+  render() {
+    return `${[...this.metrics.values()].map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Metrics of the intent identifier service
+ * The agent records classifications, graph nodes and model calls; the
+ * server records HTTP requests.
+ */
+class IntentMetrics {
+  /**
+   * @param {Object} options - Metric options
+   * @param {Array<number>} options.latencyBuckets - Bucket bounds of the latency histograms, in seconds
+   */
+  constructor({ latencyBuckets = LATENCY_BUCKETS } = {}) {
+    this.registry = new MetricsRegistry();
+
+    this.httpRequests = this.registry.counter({
+      name: 'intent_http_requests_total',
+      help: 'HTTP requests by method, route and status',
+      labelNames: ['method', 'route', 'status'],
+    });
+    this.httpRequestDuration = this.registry.histogram({
+      name: 'intent_http_request_duration_seconds',
+      help: 'HTTP request latency by method and route',
+      labelNames: ['method', 'route'],
+      buckets: latencyBuckets,
+    });
+    this.classifications = this.registry.counter({
+      name: 'intent_classifications_total',
+      help: 'Processed messages by intent, including cache hits',
+      labelNames: ['intent'],
+    });
+    this.confidence = this.registry.histogram({
+      name: 'intent_classification_confidence',
+      help: 'Confidence of processed messages by intent',
+      labelNames: ['intent'],
+      buckets: CONFIDENCE_BUCKETS,
+    });
+    this.parseOutcomes = this.registry.counter({
+      name: 'intent_classification_parse_total',
+      help: 'Outcomes of parsing the model\'s classification JSON (parsed, repaired, fallback, error)',
+      labelNames: ['status'],
+    });
+    this.nodeDuration = this.registry.histogram({
+      name: 'intent_graph_node_duration_seconds',
+      help: 'Latency of agent graph nodes',
+      labelNames: ['node'],
+      buckets: latencyBuckets,
+    });
+    this.modelCallDuration = this.registry.histogram({
+      name: 'intent_model_call_duration_seconds',
+      help: 'Latency of model calls, including the wait for a scheduler slot',
+      labelNames: ['provider', 'model', 'task'],
+      buckets: latencyBuckets,
+    });
+    this.modelErrors = this.registry.counter({
+      name: 'intent_model_errors_total',
+      help: 'Failed model calls by reason (error, scheduler, cancelled)',
+      labelNames: ['provider', 'model', 'task', 'reason'],
+    });
+    this.queueDepth = this.registry.gauge({
+      name: 'intent_model_queue_depth',
+      help: 'Model calls waiting for a scheduler slot',
+    });
+    this.activeModelCalls = this.registry.gauge({
+      name: 'intent_model_calls_active',
+      help: 'Model calls running',
+    });
+  }
+
+  /**
+   * Reports the queue of a scheduler in the queue gauges at each scrape
+   *
+   * @param {RequestScheduler} scheduler - Scheduler of the model calls
+   */
+  trackScheduler(scheduler) {
+    this.queueDepth.collect = gauge => gauge.set({}, scheduler.stats().queued);
+    this.activeModelCalls.collect = gauge => gauge.set({}, scheduler.stats().active);
+  }
+
+  /**
+   * Renders the metrics in the Prometheus text format
+   *
+   * @returns {string} Exposition text
+   */
+  render() {
+    return this.registry.render();
+  }
+}
+
+/**
+ * Creates the metrics described by the metrics section of the configuration
+ *
+ * @param {Object} metricsConfig - { enabled, latencyBuckets }
+ * @returns {IntentMetrics|null} Metrics, or null when disabled
+ */
+function createMetrics(metricsConfig) {
+  return metricsConfig && metricsConfig.enabled ? new IntentMetrics(metricsConfig) : null;
+}
+
+module.exports = {
+  IntentMetrics,
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  METRICS_CONTENT_TYPE,
+  LATENCY_BUCKETS,
+  createMetrics,
+};
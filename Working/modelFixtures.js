@@ -0,0 +1,217 @@
+/**
+ * Model Fixtures Module
+ *
+ * This module provides chat models for running the agent without a live
+ * model server:
+ * - ScriptedChatModel answers from a script of canned replies
+ * - RecordingChatModel wraps a real model and saves every exchange to a
+ *   fixture file
+ * - ReplayChatModel answers from a recorded fixture file
+ *
+ * Exchanges are matched by a hash of the message roles and contents, so a
+ * replay only succeeds while the prompts match what was recorded.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SimpleChatModel } = require('@langchain/core/language_models/chat_models');
+
+const FIXTURE_VERSION = 1;
+
+/**
+ * Converts messages into plain role/content pairs
+ *
+ * @param {Array<BaseMessage>} messages - Conversation messages
+ * @returns {Array<Object>} Serializable messages
+ */
+function serializeMessages(messages) {
+  return messages.map(message => ({
+    role: message._getType(),
+    content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content),
+  }));
+}
+
+/**
+ * Computes the lookup key of an exchange
+ *
+ * @param {Array<BaseMessage>} messages - Conversation messages
+ * @returns {string} SHA-256 hash of the serialized messages
+ */
+function fixtureKey(messages) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(serializeMessages(messages)))
+    .digest('hex');
+}
+
+/**
+ * Reads a fixture file
+ *
+ * @param {string} filePath - Fixture path
+ * @returns {Object} Fixture { version, exchanges }
+ */
+function readFixtureFile(filePath) {
+  const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (fixture.version !== FIXTURE_VERSION || !Array.isArray(fixture.exchanges)) {
+    throw new Error(`Unsupported fixture file: ${filePath}`);
+  }
+
+  return fixture;
+}
+
+/**
+ * Chat model that replies from a script
+ *
+ * Each script entry is a reply string, an Error to throw, or a function
+ * called with (messages, task) returning either. When `respond` is given
+ * instead of a script, it is called for every request.
+ */
+class ScriptedChatModel extends SimpleChatModel {
+  /**
+   * @param {Object} options - Script options
+   * @param {Array} options.responses - Replies used in order
+   * @param {Function} options.respond - Reply function used when no scripted reply is left
+   */
+  constructor({ responses = [], respond = null } = {}) {
+    super({});
+    this.responses = [...responses];
+    this.respond = respond;
+    this.calls = [];
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  /**
+   * Returns the next scripted reply
+   *
+   * @param {Array<BaseMessage>} messages - Conversation messages
+   * @param {Object} options - Call options, including task
+   * @returns {Promise<string>} Reply text
+   */
+  async _call(messages, options) {
+    const task = options.task || null;
+    this.calls.push({ messages: serializeMessages(messages), task });
+
+    let entry;
+    if (this.responses.length > 0) {
+      entry = this.responses.shift();
+    } else if (this.respond) {
+      entry = this.respond;
+    } else {
+      throw new Error('ScriptedChatModel has no replies left');
+    }
+
+    const reply = typeof entry === 'function' ? await entry(messages, task) : entry;
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return reply;
+  }
+}
+
+/**
+ * Chat model that forwards to another model and records each exchange
+ */
+class RecordingChatModel extends SimpleChatModel {
+  /**
+   * @param {Object} options - Recording options
+   * @param {BaseChatModel} options.model - Model that produces the replies
+   * @param {string} options.fixtureFile - File the exchanges are written to
+   */
+  constructor({ model, fixtureFile }) {
+    super({});
+    this.model = model;
+    this.fixtureFile = fixtureFile;
+    this.exchanges = fs.existsSync(fixtureFile) ? readFixtureFile(fixtureFile).exchanges : [];
+  }
+
+  _llmType() {
+    return 'recording';
+  }
+
+  /**
+   * Forwards the call and saves the exchange
+   *
+   * @param {Array<BaseMessage>} messages - Conversation messages
+   * @param {Object} options - Call options
+   * @returns {Promise<string>} Reply text from the wrapped model
+   */
+  async _call(messages, options) {
+    const reply = await this.model.invoke(messages, options);
+    const key = fixtureKey(messages);
+
+    this.exchanges = this.exchanges.filter(exchange => exchange.key !== key);
+    this.exchanges.push({
+      key,
+      task: options.task ? options.task.name : null,
+      messages: serializeMessages(messages),
+      response: reply.content,
+    });
+    this.save();
+
+    return reply.content;
+  }
+
+  /**
+   * Writes the recorded exchanges to the fixture file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.fixtureFile), { recursive: true });
+    fs.writeFileSync(
+      this.fixtureFile,
+      JSON.stringify({ version: FIXTURE_VERSION, exchanges: this.exchanges }, null, 2)
+    );
+  }
+}
+
+/**
+ * Chat model that replies from a recorded fixture file
+ */
+class ReplayChatModel extends SimpleChatModel {
+  /**
+   * @param {Object} options - Replay options
+   * @param {string} options.fixtureFile - Recorded fixture file
+   */
+  constructor({ fixtureFile }) {
+    super({});
+    this.fixtureFile = fixtureFile;
+    this.exchanges = new Map(
+      readFixtureFile(fixtureFile).exchanges.map(exchange => [exchange.key, exchange])
+    );
+  }
+
+  _llmType() {
+    return 'replay';
+  }
+
+  /**
+   * Returns the recorded reply for the conversation
+   *
+   * @param {Array<BaseMessage>} messages - Conversation messages
+   * @returns {Promise<string>} Recorded reply
+   * @throws {Error} If the exchange was never recorded
+   */
+  async _call(messages) {
+    const exchange = this.exchanges.get(fixtureKey(messages));
+
+    if (!exchange) {
+      const lastMessage = serializeMessages(messages).pop();
+      throw new Error(
+        `No recorded exchange in ${path.basename(this.fixtureFile)} for prompt starting "${lastMessage.content.slice(0, 60)}". Re-record the fixture.`
+      );
+    }
+
+    return exchange.response;
+  }
+}
+
+module.exports = {
+  ScriptedChatModel,
+  RecordingChatModel,
+  ReplayChatModel,
+  fixtureKey,
+};
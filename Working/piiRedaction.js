@@ -0,0 +1,243 @@
+/**
+ * PII Redaction Module
+ *
+ * This module replaces personal data in messages with typed placeholders
+ * such as [EMAIL_1] before the agent uses them. It detects email addresses,
+ * phone numbers, credit card numbers (checked with the Luhn algorithm),
+ * IBANs (checked with their mod-97 checksum), IP addresses and custom
+ * patterns from the configuration. The original values are kept apart so
+ * they can be put back into the extracted entities.
+ */
+
+const net = require('net');
+
+const { sanitizeInput } = require('./inputGuard');
+
+/**
+ * Built-in PII types
+ */
+const PII_TYPES = ['email', 'phone', 'credit_card', 'iban', 'ip_address'];
+
+/**
+ * Placeholder labels of the built-in types
+ */
+const PLACEHOLDER_LABELS = {
+  email: 'EMAIL',
+  phone: 'PHONE',
+  credit_card: 'CARD',
+  iban: 'IBAN',
+  ip_address: 'IP',
+};
+
+/**
+ * Checks a card number with the Luhn algorithm
+ *
+ * @param {string} digits - Card number digits
+ * @returns {boolean} True if the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Checks an IBAN with its mod-97 checksum
+ *
+ * @param {string} iban - IBAN without spaces, uppercase
+ * @returns {boolean} True if the checksum is valid
+ */
+function passesIbanChecksum(iban) {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`
+    .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+  let remainder = 0;
+  for (const digit of rearranged) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Checks whether a phone candidate is shaped like a phone number rather
+ * than a date, time, range or reference number
+ * Separated numbers need a country code, an opening parenthesis, a
+ * leading trunk zero or the 3-3-4 grouping; unseparated ones ten digits.
+ *
+ * @param {string} match - Candidate
+ * @param {Object} context - Surrounding text
+ * @param {string} context.before - Character before the candidate
+ * @param {string} context.after - Character after the candidate
+ * @returns {boolean} True if the candidate is a phone number
+ */
+function isPhoneNumber(match, { before = '', after = '' } = {}) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) {
+    return false;
+  }
+
+  // Date-times and times run on into a colon, dates lead with their parts
+  const startsWithDate = /^(?:\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})(?!\d)/.test(match);
+  if (after === ':' || startsWithDate || /\s[-.]\s/.test(match)) {
+    return false;
+  }
+
+  if (match.startsWith('+') || before === '(') {
+    return true;
+  }
+  if (!/[ ().-]/.test(match)) {
+    return digits.length >= 10;
+  }
+  return match.startsWith('0') || /^\d{3}[ .-]\d{3}[ .-]\d{4}$/.test(match);
+}
+
+/**
+ * Built-in detectors, in the order they run
+ * Each has a pattern finding candidates and an optional check that rejects
+ * false matches, given the candidate and the characters around it.
+ */
+const DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  iban: {
+    // Written in capitals, compact or in groups of four
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    check: match => passesIbanChecksum(match.replace(/ /g, '').toUpperCase()),
+  },
+  credit_card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    check: match => passesLuhn(match.replace(/\D/g, '')),
+  },
+  ip_address: {
+    pattern: /(?<![\d.])(?:\d{1,3}\.){3}\d{1,3}(?!\.?\d)|(?<![\w:])(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}(?![\w:])/g,
+    check: match => net.isIP(match) !== 0,
+  },
+  phone: {
+    // Not after '#', which marks ticket and order numbers
+    pattern: /(?<![\w+#])\+?\d[\d ().-]{5,}\d(?!\w)/g,
+    check: isPhoneNumber,
+  },
+};
+
+/**
+ * Replaces PII with typed placeholders
+ */
+class PiiRedactor {
+  /**
+   * @param {Object} options - Redactor options
+   * @param {Array<string>} options.types - Built-in types to detect (default: all)
+   * @param {Array<Object>} options.customPatterns - Extra { type, pattern, flags } entries;
+   *   pattern is a regular expression or its source
+   * @throws {Error} If a type is unknown or a custom pattern is invalid
+   */
+  constructor({ types = PII_TYPES, customPatterns = [] } = {}) {
+    const unknown = types.filter(type => !PII_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown PII types: ${unknown.join(', ')}; use some of: ${PII_TYPES.join(', ')}`);
+    }
+
+    // Custom patterns run first, so they win over the built-in detectors
+    this.detectors = [
+      ...customPatterns.map(({ type, pattern, flags = '' }) => {
+        if (!/^[a-z][a-z0-9_]*$/.test(type || '')) {
+          throw new Error(`Custom PII type "${type}" must be lowercase letters, digits and underscores`);
+        }
+        const source = pattern instanceof RegExp ? pattern.source : pattern;
+        const allFlags = new Set(`${pattern instanceof RegExp ? pattern.flags : flags}g`);
+        return { type, label: type.toUpperCase(), pattern: new RegExp(source, [...allFlags].join('')) };
+      }),
+      ...Object.keys(DETECTORS).filter(type => types.includes(type))
+        .map(type => ({ type, label: PLACEHOLDER_LABELS[type], ...DETECTORS[type] })),
+    ];
+  }
+
+  /**
+   * Replaces the PII in a text
+   * The text is sanitized first, as the input guard does, so fullwidth
+   * digits or zero-width characters cannot hide values from the detectors.
+   * Each distinct value gets one placeholder, numbered per type in order of
+   * appearance, so the same message is always redacted the same way.
+   *
+   * @param {string} text - Text to redact
+   * @returns {Object} { text, replacements }, text being sanitized and
+   *   replacements listing { placeholder, type, value } for each distinct value
+   */
+  redact(text) {
+    const replacements = [];
+    let result = sanitizeInput(text).text;
+
+    this.detectors.forEach(({ type, label, pattern, check }) => {
+      result = result.replace(pattern, (match, ...args) => {
+        // Captured groups come first, then the offset and the whole text
+        const offsetIndex = args.findIndex(arg => typeof arg === 'number');
+        const [offset, input] = args.slice(offsetIndex);
+        const context = { before: input.charAt(offset - 1), after: input.charAt(offset + match.length) };
+        if (check && !check(match, context)) {
+          return match;
+        }
+        let replacement = replacements.find(item => item.type === type && item.value === match);
+        if (!replacement) {
+          const count = replacements.filter(item => item.type === type).length;
+          replacement = { placeholder: `[${label}_${count + 1}]`, type, value: match };
+          replacements.push(replacement);
+        }
+        return replacement.placeholder;
+      });
+    });
+
+    return { text: result, replacements };
+  }
+}
+
+/**
+ * Puts the original values back in place of their placeholders
+ * Strings are restored; arrays and objects are restored recursively.
+ *
+ * @param {*} value - Value holding placeholders
+ * @param {Array<Object>} replacements - Replacements from PiiRedactor#redact
+ * @returns {*} Restored copy of the value
+ */
+function restorePii(value, replacements) {
+  if (replacements.length === 0 || value === null || value === undefined) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return replacements.reduce((text, { placeholder, value: original }) => text.split(placeholder).join(original), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => restorePii(item, replacements));
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restorePii(item, replacements)]));
+  }
+  return value;
+}
+
+/**
+ * Creates the redactor described by the pii section of the configuration
+ *
+ * @param {Object} piiConfig - { enabled, types, customPatterns }
+ * @returns {PiiRedactor|null} Redactor, or null when redaction is disabled
+ */
+function createPiiRedactor(piiConfig) {
+  return piiConfig && piiConfig.enabled ? new PiiRedactor(piiConfig) : null;
+}
+
+module.exports = {
+  PiiRedactor,
+  PII_TYPES,
+  createPiiRedactor,
+  restorePii,
+  passesLuhn,
+  passesIbanChecksum,
+};
@@ -0,0 +1,286 @@
+/**
+ * Request Scheduler Module
+ *
+ * This module limits how many language model calls run at once. A single
+ * local Ollama instance slows down for everyone when it is given more work
+ * than it can run in parallel, so calls beyond `maxConcurrent` wait in a
+ * bounded queue. Calls are refused when the queue is full or has been waited
+ * on for too long, with a suggested retry delay, and are cancelled through
+ * an AbortSignal.
+ */
+
+/**
+ * Number of recent calls used for the wait and run time figures
+ */
+const STATS_WINDOW = 100;
+
+/**
+ * Error raised when the scheduler refuses or gives up on a request
+ */
+class SchedulerError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {Object} details - HTTP mapping of the error
+   * @param {number} details.status - HTTP status for the request
+   * @param {number|null} details.retryAfter - Suggested retry delay in seconds
+   */
+  constructor(message, { status, retryAfter = null }) {
+    super(message);
+    this.name = 'SchedulerError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Raised when the queue is full (HTTP 429)
+ */
+class QueueFullError extends SchedulerError {
+  /**
+   * @param {number} retryAfter - Suggested retry delay in seconds
+   */
+  constructor(retryAfter) {
+    super('Too many requests are waiting for the model; retry later', { status: 429, retryAfter });
+    this.name = 'QueueFullError';
+  }
+}
+
+/**
+ * Raised when a call waited in the queue for too long (HTTP 503)
+ */
+class QueueTimeoutError extends SchedulerError {
+  /**
+   * @param {number} waitedMs - Time spent in the queue
+   * @param {number} retryAfter - Suggested retry delay in seconds
+   */
+  constructor(waitedMs, retryAfter) {
+    super(`The model was busy for ${waitedMs}ms; retry later`, { status: 503, retryAfter });
+    this.name = 'QueueTimeoutError';
+  }
+}
+
+/**
+ * Raised when a request takes longer than its time limit (HTTP 504)
+ */
+class RequestTimeoutError extends SchedulerError {
+  /**
+   * @param {number} timeoutMs - Time limit of the request
+   */
+  constructor(timeoutMs) {
+    super(`Request timed out after ${timeoutMs}ms`, { status: 504 });
+    this.name = 'RequestTimeoutError';
+  }
+}
+
+/**
+ * Returns the reason a signal was aborted as an error
+ *
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} Abort reason
+ */
+function abortReason(signal) {
+  return signal.reason instanceof Error ? signal.reason : new Error('Request cancelled');
+}
+
+/**
+ * Averages the numbers in a list
+ *
+ * @param {Array<number>} values - Values
+ * @returns {number} Rounded mean, or 0 for an empty list
+ */
+function average(values) {
+  return values.length === 0 ? 0 : Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Maps items through an async function with bounded concurrency
+ * Results keep the order of the input items.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of calls in flight
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Runs tasks with bounded concurrency and a bounded queue
+ */
+class RequestScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.maxConcurrent - Tasks run at the same time
+   * @param {number} options.maxQueue - Tasks allowed to wait; further tasks are refused
+   * @param {number} options.queueTimeoutMs - Longest wait in the queue, 0 for no limit
+   */
+  constructor({ maxConcurrent = 2, maxQueue = 20, queueTimeoutMs = 30000 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueue = maxQueue;
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.active = 0;
+    this.queue = [];
+    this.waitTimes = [];
+    this.runTimes = [];
+    this.counts = { completed: 0, failed: 0, rejected: 0, timedOut: 0, cancelled: 0 };
+  }
+
+  /**
+   * Runs a task once a slot is free
+   *
+   * @param {Function} task - Async function called with an AbortSignal
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Cancels the task while it waits or runs
+   * @returns {Promise<*>} Result of the task
+   * @throws {QueueFullError} If the queue is full
+   * @throws {QueueTimeoutError} If no slot frees up within queueTimeoutMs
+   */
+  async run(task, { signal } = {}) {
+    if (signal && signal.aborted) {
+      throw abortReason(signal);
+    }
+
+    const waited = await this.acquire(signal);
+    this.record(this.waitTimes, waited);
+
+    const startedAt = Date.now();
+    try {
+      const result = await task(signal);
+      this.counts.completed++;
+      return result;
+    } catch (error) {
+      this.counts.failed++;
+      throw error;
+    } finally {
+      this.record(this.runTimes, Date.now() - startedAt);
+      this.release();
+    }
+  }
+
+  /**
+   * Takes a slot, waiting in the queue when all are in use
+   *
+   * @param {AbortSignal} signal - Cancels the wait
+   * @returns {Promise<number>} Time spent waiting in milliseconds
+   */
+  acquire(signal) {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve(0);
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.counts.rejected++;
+      return Promise.reject(new QueueFullError(this.estimateRetryAfter()));
+    }
+
+    return new Promise((resolve, reject) => {
+      const enqueuedAt = Date.now();
+      let timer = null;
+
+      const leave = () => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      const onAbort = () => {
+        leave();
+        this.counts.cancelled++;
+        reject(abortReason(signal));
+      };
+      const waiter = () => {
+        leave();
+        resolve(Date.now() - enqueuedAt);
+      };
+
+      if (this.queueTimeoutMs > 0) {
+        timer = setTimeout(() => {
+          leave();
+          this.counts.timedOut++;
+          reject(new QueueTimeoutError(Date.now() - enqueuedAt, this.estimateRetryAfter()));
+        }, this.queueTimeoutMs);
+      }
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      this.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Frees a slot, handing it to the next waiting task
+   */
+  release() {
+    const next = this.queue[0];
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Adds a duration to a bounded list of recent durations
+   *
+   * @param {Array<number>} list - Recent durations
+   * @param {number} value - Duration in milliseconds
+   */
+  record(list, value) {
+    list.push(value);
+    if (list.length > STATS_WINDOW) {
+      list.shift();
+    }
+  }
+
+  /**
+   * Estimates how long until the queue has room, from recent run times
+   *
+   * @returns {number} Seconds, at least 1
+   */
+  estimateRetryAfter() {
+    const runMs = average(this.runTimes) || 1000;
+    return Math.max(1, Math.ceil(((this.queue.length + 1) / this.maxConcurrent) * runMs / 1000));
+  }
+
+  /**
+   * Reports the load of the scheduler
+   *
+   * @returns {Object} Limits, current load, counters and recent wait and run times
+   */
+  stats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue,
+      active: this.active,
+      queued: this.queue.length,
+      ...this.counts,
+      averageWaitMs: average(this.waitTimes),
+      maxWaitMs: this.waitTimes.length > 0 ? Math.max(...this.waitTimes) : 0,
+      averageRunMs: average(this.runTimes),
+    };
+  }
+}
+
+module.exports = {
+  RequestScheduler,
+  SchedulerError,
+  QueueFullError,
+  QueueTimeoutError,
+  RequestTimeoutError,
+  mapWithConcurrency,
+};
@@ -0,0 +1,491 @@
+/**
+ * Result Cache Module
+ *
+ * This module provides pluggable caches for processed messages, so that
+ * repeated messages are answered without running the model again.
+ * Entries are keyed on the normalized message text, the processing
+ * options and a version fingerprint of the configuration, and expire after
+ * a time to live.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Share of maxEntries a full file cache is swept down to, so the next
+ * writes do not each scan the directory again
+ */
+const SWEEP_WATERMARK = 0.9;
+
+/**
+ * Normalizes message text so trivially different messages share an entry
+ * Case, surrounding whitespace, repeated whitespace and Unicode
+ * compatibility forms are ignored.
+ *
+ * @param {string} text - Message text
+ * @returns {string} Normalized text
+ */
+function normalizeMessage(text) {
+  return text.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Hashes a value to a hexadecimal SHA-256 digest
+ *
+ * @param {string} value - Value to hash
+ * @returns {string} Digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Hashes the contents of a file, such as a trained model the results
+ * depend on
+ *
+ * @param {string} filePath - Path of the file
+ * @returns {string|null} Digest, or null if no file is given or it does not exist
+ */
+function hashFile(filePath) {
+  if (!filePath) {
+    return null;
+  }
+
+  try {
+    return sha256(fs.readFileSync(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Builds the cache key of a message
+ *
+ * @param {Object} input - Key parts
+ * @param {string} input.text - Message text
+ * @param {string} input.version - Configuration fingerprint
+ * @param {Object} input.options - Processing options that change the result
+ * @returns {string} Cache key
+ */
+function createCacheKey({ text, version, options = {} }) {
+  return sha256(JSON.stringify([version, options, normalizeMessage(text)]));
+}
+
+/**
+ * Builds a stored cache entry
+ *
+ * @param {*} value - Cached result
+ * @param {Object} meta - Entry metadata
+ * @param {string} meta.version - Configuration fingerprint
+ * @param {string} meta.text - Normalized message text, for inspection
+ * @param {number} ttlMs - Time to live in milliseconds
+ * @returns {Object} Entry
+ */
+function createEntry(value, { version, text }, ttlMs) {
+  const now = Date.now();
+  return {
+    version,
+    text,
+    value,
+    storedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+  };
+}
+
+/**
+ * Checks whether an entry has expired
+ *
+ * @param {Object} entry - Cache entry
+ * @returns {boolean} True if the entry is past its time to live
+ */
+function isExpired(entry) {
+  return Date.parse(entry.expiresAt) <= Date.now();
+}
+
+/**
+ * Summarizes an entry for inspection
+ *
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ * @returns {Object} { key, text, intent, version, storedAt, expiresAt }
+ */
+function describeEntry(key, entry) {
+  return {
+    key,
+    text: entry.text,
+    intent: entry.value && entry.value.intent,
+    version: entry.version,
+    storedAt: entry.storedAt,
+    expiresAt: entry.expiresAt,
+  };
+}
+
+/**
+ * In-memory LRU result cache
+ *
+ * Keeps entries in a Map ordered from least to most recently used for the
+ * lifetime of the process.
+ */
+class InMemoryResultCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   * @param {number} options.ttlMs - Time to live of an entry in milliseconds
+   */
+  constructor({ maxEntries = 1000, ttlMs = 60 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Returns a cached result and marks it as recently used
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<*|null>} Cached result, or null on a miss
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || isExpired(entry)) {
+      this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Stores a result, evicting the least recently used entries when full
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - Result to cache
+   * @param {Object} meta - Entry metadata ({ version, text })
+   * @returns {Promise<void>}
+   */
+  async set(key, value, meta) {
+    this.entries.delete(key);
+    this.entries.set(key, createEntry(value, meta, this.ttlMs));
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Lists the cached entries, most recently used first
+   *
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>} Entry summaries
+   */
+  async list(limit = 100) {
+    return [...this.entries]
+      .reverse()
+      .slice(0, limit)
+      .map(([key, entry]) => describeEntry(key, entry));
+  }
+
+  /**
+   * Removes expired entries and entries of other configuration versions
+   *
+   * @param {string} version - Current configuration fingerprint
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune(version) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.version !== version || isExpired(entry)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Removes every entry
+   *
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purge() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    return removed;
+  }
+
+  /**
+   * Reports the size and hit counts of the cache
+   *
+   * @returns {Promise<Object>} { store, entries, maxEntries, ttlMs, hits, misses }
+   */
+  async stats() {
+    return {
+      store: 'memory',
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+/**
+ * File-backed result cache
+ *
+ * Persists each entry as a JSON file named after its key in the configured
+ * directory, so cached results survive a server restart. Once there are
+ * more than maxEntries files, storing an entry sweeps the expired entries
+ * and then the oldest ones, down to SWEEP_WATERMARK of maxEntries.
+ */
+class FileResultCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.directory - Directory holding entry files
+   * @param {number} options.maxEntries - Entry files kept before the oldest are removed
+   * @param {number} options.ttlMs - Time to live of an entry in milliseconds
+   */
+  constructor({ directory, maxEntries = 1000, ttlMs = 60 * 60 * 1000 } = {}) {
+    if (!directory) {
+      throw new Error('FileResultCache requires a directory');
+    }
+
+    this.directory = directory;
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Resolves the file path for a key
+   *
+   * @param {string} key - Cache key
+   * @returns {string} Absolute path of the entry file
+   * @throws {Error} If the key is not a hexadecimal digest
+   */
+  entryPath(key) {
+    if (!/^[a-f0-9]{64}$/.test(key)) {
+      throw new Error(`Invalid cache key: ${key}`);
+    }
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Reads an entry file
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry, or null if it does not exist
+   */
+  async readEntry(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.entryPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the keys of all entry files
+   *
+   * @returns {Promise<Array<string>>} Cache keys
+   */
+  async keys() {
+    try {
+      const files = await fs.promises.readdir(this.directory);
+      return files.filter(file => /^[a-f0-9]{64}\.json$/.test(file)).map(file => file.slice(0, -5));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Removes an entry file if it exists
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.promises.rm(this.entryPath(key), { force: true });
+  }
+
+  /**
+   * Returns a cached result
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<*|null>} Cached result, or null on a miss
+   */
+  async get(key) {
+    const entry = await this.readEntry(key);
+    if (!entry || isExpired(entry)) {
+      if (entry) {
+        await this.remove(key);
+      }
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Stores a result, sweeping expired and then the oldest entries when full
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - Result to cache
+   * @param {Object} meta - Entry metadata ({ version, text })
+   * @returns {Promise<void>}
+   */
+  async set(key, value, meta) {
+    const filePath = this.entryPath(key);
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(createEntry(value, meta, this.ttlMs)));
+    await fs.promises.rename(tempPath, filePath);
+    await this.sweep();
+  }
+
+  /**
+   * Removes expired entries, then the oldest ones down to SWEEP_WATERMARK
+   * of maxEntries, once the directory holds more than maxEntries entry files
+   *
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async sweep() {
+    const keys = await this.keys();
+    if (keys.length <= this.maxEntries) {
+      return 0;
+    }
+
+    const live = [];
+    let removed = 0;
+    for (const key of keys) {
+      const entry = await this.readEntry(key);
+      if (entry && !isExpired(entry)) {
+        live.push({ key, storedAt: entry.storedAt });
+      } else if (entry) {
+        await this.remove(key);
+        removed++;
+      }
+    }
+
+    const keep = Math.floor(this.maxEntries * SWEEP_WATERMARK);
+    live.sort((a, b) => a.storedAt.localeCompare(b.storedAt));
+    for (const { key } of live.slice(0, Math.max(0, live.length - keep))) {
+      await this.remove(key);
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * Lists the cached entries, most recently stored first
+   *
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>} Entry summaries
+   */
+  async list(limit = 100) {
+    const entries = [];
+    for (const key of await this.keys()) {
+      const entry = await this.readEntry(key);
+      if (entry) {
+        entries.push(describeEntry(key, entry));
+      }
+    }
+    return entries
+      .sort((a, b) => b.storedAt.localeCompare(a.storedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Removes expired entries and entries of other configuration versions
+   *
+   * @param {string} version - Current configuration fingerprint
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune(version) {
+    let removed = 0;
+    for (const key of await this.keys()) {
+      const entry = await this.readEntry(key);
+      if (entry && (entry.version !== version || isExpired(entry))) {
+        await this.remove(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Removes every entry
+   *
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purge() {
+    const keys = await this.keys();
+    await Promise.all(keys.map(key => this.remove(key)));
+    return keys.length;
+  }
+
+  /**
+   * Reports the size and hit counts of the cache
+   *
+   * @returns {Promise<Object>} { store, entries, maxEntries, ttlMs, hits, misses }
+   */
+  async stats() {
+    return {
+      store: 'file',
+      entries: (await this.keys()).length,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+/**
+ * Creates a result cache from the cache configuration
+ *
+ * @param {Object} cacheConfig - The cache section of the agent configuration
+ * @returns {InMemoryResultCache|FileResultCache} Result cache
+ * @throws {Error} If the store type is not supported
+ */
+function createResultCache(cacheConfig = {}) {
+  const storeType = cacheConfig.store || 'memory';
+
+  switch (storeType) {
+    case 'memory':
+      return new InMemoryResultCache(cacheConfig);
+    case 'file':
+      return new FileResultCache(cacheConfig);
+    default:
+      throw new Error(`Unsupported result cache: ${storeType}`);
+  }
+}
+
+module.exports = {
+  InMemoryResultCache,
+  FileResultCache,
+  createResultCache,
+  createCacheKey,
+  normalizeMessage,
+  sha256,
+  hashFile,
+};
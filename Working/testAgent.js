@@ -6,6 +6,8 @@
  */
 
 const { IntentAgent } = require('./intentAgent');
+const { getAgentConfig } = require('./agentConfig');
+const { createLogger } = require('./logger');
 
 /**
  * Test the agent with a single message
@@ -35,7 +37,7 @@ async function testSingleMessage(agent, message) {
 
     console.log(`\n📝 Response:\n${result.response}`);
   } catch (error) {
-    console.error(`❌ Test failed: ${error.message}`);
+    agent.logger.error('Test failed', { error });
   }
 
   console.log('='.repeat(70));
@@ -46,11 +48,12 @@ async function testSingleMessage(agent, message) {
  */
 async function runTests() {
   console.log('\n🤖 Intent Agent Testing Suite\n');
+  const logger = createLogger(getAgentConfig().logging);
 
   try {
     // Initialize the agent
-    const agent = new IntentAgent();
-    console.log('✓ Agent initialized successfully\n');
+    const agent = new IntentAgent({ logger });
+    logger.info('Agent initialized', agent.modelInfo);
 
     // Test messages - modify this array to test your own inputs
     const testMessages = [
@@ -68,9 +71,10 @@ async function runTests() {
       await new Promise(resolve => setTimeout(resolve, 500));
     }
 
+    await agent.flushTraces();
     console.log('\n✅ All tests completed!\n');
   } catch (error) {
-    console.error('\n❌ Fatal error:', error.message);
+    logger.error('Fatal error', { error });
     process.exit(1);
   }
 }
@@ -84,6 +88,7 @@ if (process.argv.length > 2) {
     console.log('\n🤖 Testing Custom Message\n');
     const agent = new IntentAgent();
     await testSingleMessage(agent, customMessage);
+    await agent.flushTraces();
   })();
 } else {
   // Run default tests
@@ -0,0 +1,445 @@
+/**
+ * Tracing Module
+ *
+ * This module records spans for the work done on a request: the agent
+ * run, each graph node and each model call. Trace and span IDs follow
+ * W3C Trace Context, so a caller's `traceparent` header links its trace.
+ * Ended spans are exported in batches as OTLP/JSON. They go either to an
+ * OpenTelemetry collector over HTTP or to a local JSONL file.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Supported span exporters
+ */
+const TRACE_EXPORTERS = ['none', 'otlp', 'file'];
+
+/**
+ * OTLP span kinds
+ */
+const SPAN_KINDS = {
+  internal: 1,
+  server: 2,
+  client: 3,
+};
+
+/**
+ * OTLP status codes
+ */
+const STATUS_CODES = {
+  unset: 0,
+  ok: 1,
+  error: 2,
+};
+
+/**
+ * Offset from the monotonic clock to the Unix epoch, in nanoseconds
+ */
+const EPOCH_OFFSET_NANOS = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+
+/**
+ * Current time in nanoseconds since the Unix epoch
+ *
+ * @returns {bigint} Timestamp
+ */
+function nowNanos() {
+  return process.hrtime.bigint() + EPOCH_OFFSET_NANOS;
+}
+
+/**
+ * Parses a W3C `traceparent` header
+ *
+ * @param {string} header - Header value, e.g. 00-<trace id>-<span id>-01
+ * @returns {Object|null} { traceId, spanId }, or null if the header is missing or invalid
+ */
+function parseTraceParent(header) {
+  const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/.exec(String(header || '').trim());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2] };
+}
+
+/**
+ * A timed operation within a trace
+ */
+class Span {
+  /**
+   * @param {Object} options - Span options
+   * @param {string} options.name - Operation name
+   * @param {string} options.traceId - Trace the span belongs to
+   * @param {string|null} options.parentSpanId - Enclosing span
+   * @param {string} options.kind - One of SPAN_KINDS
+   * @param {Object} options.attributes - Initial attributes
+   * @param {Function} options.onEnd - Called with the span when it ends
+   */
+  constructor({ name, traceId, parentSpanId = null, kind = 'internal', attributes = {}, onEnd }) {
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.kind = kind;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: STATUS_CODES.unset };
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.onEnd = onEnd;
+    this.setAttributes(attributes);
+  }
+
+  /**
+   * Sets an attribute; null and undefined values are ignored
+   *
+   * @param {string} key - Attribute name, e.g. gen_ai.usage.input_tokens
+   * @param {string|number|boolean|Array} value - Attribute value
+   * @returns {Span} The span
+   */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Sets several attributes
+   *
+   * @param {Object} attributes - Attribute names and values
+   * @returns {Span} The span
+   */
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+
+  /**
+   * Marks the span as failed and records the error as an exception event
+   *
+   * @param {Error} error - Error that ended the operation
+   * @returns {Span} The span
+   */
+  recordError(error) {
+    this.status = { code: STATUS_CODES.error, message: error.message };
+    this.events.push({
+      name: 'exception',
+      time: nowNanos(),
+      attributes: { 'exception.type': error.name, 'exception.message': error.message },
+    });
+    return this;
+  }
+
+  /**
+   * Ends the span; later calls are ignored
+   */
+  end() {
+    if (this.endTime !== null) {
+      return;
+    }
+    this.endTime = nowNanos();
+    this.onEnd(this);
+  }
+
+  /**
+   * Duration of an ended span
+   *
+   * @returns {number} Milliseconds
+   */
+  get durationMs() {
+    return Number((this.endTime || nowNanos()) - this.startTime) / 1e6;
+  }
+
+  /**
+   * W3C `traceparent` value pointing at this span
+   *
+   * @returns {string} Header value
+   */
+  get traceParent() {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+}
+
+/**
+ * Converts attributes to OTLP key-value pairs
+ *
+ * @param {Object} attributes - Attribute names and values
+ * @returns {Array<Object>} [{ key, value: { stringValue | intValue | doubleValue | boolValue | arrayValue } }]
+ */
+function toOtlpAttributes(attributes) {
+  const toValue = (value) => {
+    if (Array.isArray(value)) {
+      return { arrayValue: { values: value.map(toValue) } };
+    }
+    if (typeof value === 'boolean') {
+      return { boolValue: value };
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+  };
+
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toValue(value) }));
+}
+
+/**
+ * Builds an OTLP/JSON trace export request
+ *
+ * @param {Array<Span>} spans - Ended spans
+ * @param {Object} resource - Resource attributes, e.g. { 'service.name': 'intent-identifier' }
+ * @returns {Object} ExportTraceServiceRequest body
+ */
+function toOtlpRequest(spans, resource) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toOtlpAttributes(resource) },
+      scopeSpans: [{
+        scope: { name: 'intent-identifier' },
+        spans: spans.map(span => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+          name: span.name,
+          kind: SPAN_KINDS[span.kind],
+          startTimeUnixNano: String(span.startTime),
+          endTimeUnixNano: String(span.endTime),
+          attributes: toOtlpAttributes(span.attributes),
+          events: span.events.map(event => ({
+            name: event.name,
+            timeUnixNano: String(event.time),
+            attributes: toOtlpAttributes(event.attributes),
+          })),
+          status: span.status,
+        })),
+      }],
+    }],
+  };
+}
+
+/**
+ * Sends spans to an OTLP/HTTP endpoint, such as an OpenTelemetry collector
+ */
+class OtlpHttpExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.endpoint - Collector URL; /v1/traces is appended unless present
+   * @param {Object} options.headers - Extra request headers, e.g. for authentication
+   * @param {number} options.timeoutMs - Time limit of each export
+   */
+  constructor({ endpoint = 'http://localhost:4318', headers = {}, timeoutMs = 10 * 1000 } = {}) {
+    const base = endpoint.replace(/\/+$/, '');
+    this.url = base.endsWith('/v1/traces') ? base : `${base}/v1/traces`;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Posts a batch of spans
+   *
+   * @param {Array<Span>} spans - Ended spans
+   * @param {Object} resource - Resource attributes
+   * @returns {Promise<void>}
+   * @throws {Error} If the endpoint rejects the batch
+   */
+  async export(spans, resource) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(toOtlpRequest(spans, resource)),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`OTLP endpoint returned ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Appends spans to a JSONL file, one OTLP/JSON export request per line
+ * This is the format of the collector's file exporter, so the file can be
+ * replayed into a collector later.
+ */
+class FileExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.file - File the batches are appended to
+   */
+  constructor({ file }) {
+    if (!file) {
+      throw new Error('FileExporter requires a file');
+    }
+    this.file = file;
+  }
+
+  /**
+   * Appends a batch of spans
+   *
+   * @param {Array<Span>} spans - Ended spans
+   * @param {Object} resource - Resource attributes
+   * @returns {Promise<void>}
+   */
+  async export(spans, resource) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, `${JSON.stringify(toOtlpRequest(spans, resource))}\n`);
+  }
+}
+
+/**
+ * Creates spans and exports them in batches
+ * The span a callback runs in through startActiveSpan is the default
+ * parent of the spans started inside it, across awaits.
+ */
+class Tracer {
+  /**
+   * @param {Object} options - Tracer options
+   * @param {Object} options.exporter - Receives batches through export(spans, resource)
+   * @param {string} options.serviceName - service.name resource attribute
+   * @param {number} options.batchSize - Ended spans that trigger an export
+   * @param {number} options.flushIntervalMs - Longest time an ended span waits for export
+   * @param {Logger} options.logger - Logs failed exports
+   */
+  constructor({ exporter, serviceName = 'intent-identifier', batchSize = 50, flushIntervalMs = 5000, logger = null }) {
+    this.exporter = exporter;
+    this.resource = { 'service.name': serviceName };
+    this.batchSize = batchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.logger = logger;
+    this.context = new AsyncLocalStorage();
+    this.pending = [];
+    this.timer = null;
+  }
+
+  /**
+   * Returns the span the current callback runs in
+   *
+   * @returns {Span|null} Active span
+   */
+  activeSpan() {
+    return this.context.getStore() || null;
+  }
+
+  /**
+   * Starts a span
+   * Without a parent the span starts a new trace.
+   *
+   * @param {string} name - Operation name
+   * @param {Object} options - Span options
+   * @param {Span|Object|null} options.parent - Parent span, or { traceId, spanId } from
+   *   parseTraceParent (default: the active span)
+   * @param {string} options.kind - One of SPAN_KINDS (default: 'internal')
+   * @param {Object} options.attributes - Initial attributes
+   * @returns {Span} Started span
+   */
+  startSpan(name, { parent, kind = 'internal', attributes = {} } = {}) {
+    const parentSpan = parent !== undefined ? parent : this.activeSpan();
+
+    return new Span({
+      name,
+      traceId: parentSpan ? parentSpan.traceId : crypto.randomBytes(16).toString('hex'),
+      parentSpanId: parentSpan ? parentSpan.spanId : null,
+      kind,
+      attributes,
+      onEnd: span => this.enqueue(span),
+    });
+  }
+
+  /**
+   * Runs a callback in a new span, ending it when the callback settles
+   * A thrown error is recorded on the span and rethrown.
+   *
+   * @param {string} name - Operation name
+   * @param {Object} options - Span options, as for startSpan
+   * @param {Function} fn - Async function called with the span
+   * @returns {Promise<*>} Result of the callback
+   */
+  async startActiveSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      return await this.context.run(span, () => fn(span));
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Queues an ended span for export
+   *
+   * @param {Span} span - Ended span
+   */
+  enqueue(span) {
+    this.pending.push(span);
+    if (this.pending.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Exports the queued spans
+   * Failed exports are logged and their spans dropped.
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const spans = this.pending.splice(0);
+    if (spans.length === 0) {
+      return;
+    }
+    try {
+      await this.exporter.export(spans, this.resource);
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn('Trace export failed', { spans: spans.length, error: error.message });
+      }
+    }
+  }
+}
+
+/**
+ * Creates the tracer described by the tracing section of the configuration
+ *
+ * @param {Object} tracingConfig - { exporter, serviceName, endpoint, headers, file, batchSize, flushIntervalMs }
+ * @param {Logger} logger - Logs failed exports
+ * @returns {Tracer|null} Tracer, or null when the exporter is 'none'
+ * @throws {Error} If the exporter is unknown
+ */
+function createTracer(tracingConfig, logger = null) {
+  const { exporter = 'none', serviceName, endpoint, headers, file, batchSize, flushIntervalMs } = tracingConfig || {};
+  if (!TRACE_EXPORTERS.includes(exporter)) {
+    throw new Error(`Invalid trace exporter "${exporter}"; use one of: ${TRACE_EXPORTERS.join(', ')}`);
+  }
+  if (exporter === 'none') {
+    return null;
+  }
+
+  return new Tracer({
+    exporter: exporter === 'otlp' ? new OtlpHttpExporter({ endpoint, headers }) : new FileExporter({ file }),
+    serviceName,
+    batchSize,
+    flushIntervalMs,
+    logger,
+  });
+}
+
+module.exports = {
+  Tracer,
+  Span,
+  OtlpHttpExporter,
+  FileExporter,
+  TRACE_EXPORTERS,
+  createTracer,
+  parseTraceParent,
+  toOtlpRequest,
+};
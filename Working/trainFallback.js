@@ -0,0 +1,59 @@
+/**
+ * Fallback Classifier Training Script
+ *
+ * Trains the naive Bayes model of the fallback classifier on the taxonomy
+ * examples plus any labeled datasets, and saves it where the agent loads
+ * it at startup (config.fallback.modelFile).
+ *
+ * Usage: npm run train-fallback -- [--dataset file]... [--out file]
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { getAgentConfig } = require('./agentConfig');
+const { loadTrainingExamples } = require('./datasetLoader');
+const { NaiveBayesModel, FallbackClassifier } = require('./fallbackClassifier');
+
+/**
+ * Main training entry point
+ */
+function main() {
+  const config = getAgentConfig();
+  const { values } = parseArgs({
+    options: {
+      dataset: { type: 'string', multiple: true, default: [] },
+      out: { type: 'string', default: config.fallback.modelFile },
+    },
+  });
+
+  const examples = loadTrainingExamples(config.taxonomy, values.dataset);
+  const model = NaiveBayesModel.train(examples);
+  console.log(`Trained on ${examples.length} examples\n`);
+
+  for (const intent of config.intentCategories) {
+    const documents = model.classes[intent] ? model.classes[intent].documents : 0;
+    console.log(`  ${intent.padEnd(24)} ${documents} example(s)${documents === 0 ? ' (rules only)' : ''}`);
+  }
+
+  // Accuracy on the training examples, with the configured rules
+  const classifier = new FallbackClassifier({
+    categories: config.intentCategories,
+    rules: config.fallback.rules,
+    model,
+    ruleWeight: config.fallback.ruleWeight,
+  });
+  const correct = examples.filter(example => classifier.classify(example.text).intent === example.intent).length;
+  console.log(`\nTraining accuracy: ${((correct / examples.length) * 100).toFixed(1)}%`);
+
+  const outputFile = path.resolve(values.out);
+  model.save(outputFile);
+  console.log(`Saved fallback model to ${outputFile}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Training the fallback classifier failed:', error.message);
+  process.exit(1);
+}
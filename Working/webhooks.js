@@ -0,0 +1,398 @@
+/**
+ * Webhooks Module
+ *
+ * This module delivers classification results to downstream systems. Each
+ * subscription names a URL, the agent events it wants and the intents and
+ * confidence range it cares about. Payloads are signed with HMAC-SHA256,
+ * failed deliveries are retried with exponential backoff, and deliveries
+ * that still fail are appended to a dead-letter file. Recent deliveries are
+ * kept in memory for inspection.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { Logger } = require('./logger');
+
+/**
+ * Agent events a subscription can receive
+ */
+const WEBHOOK_EVENTS = ['classified', 'lowConfidence', 'error'];
+
+/**
+ * Response statuses worth retrying; other client errors are permanent
+ */
+const RETRY_STATUSES = [408, 425, 429];
+
+const subscriptionSchema = z.object({
+  id: z.string().min(1),
+  url: z.string().url(),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1).default(['classified']),
+  // Empty means every intent
+  intents: z.array(z.string().min(1)).default([]),
+  minConfidence: z.number().min(0).max(1).default(0),
+  maxConfidence: z.number().min(0).max(1).default(1),
+  // Falls back to the dispatcher's secret
+  secret: z.string().min(1).optional(),
+  headers: z.record(z.string()).default({}),
+}).refine(subscription => subscription.minConfidence <= subscription.maxConfidence, {
+  message: 'minConfidence must not exceed maxConfidence',
+});
+
+/**
+ * Validates webhook subscriptions
+ *
+ * @param {Array<Object>} subscriptions - Subscription definitions
+ * @returns {Array<Object>} Subscriptions with defaults applied
+ * @throws {Error} If a subscription is invalid or an id is repeated
+ */
+function parseSubscriptions(subscriptions) {
+  const parsed = z.array(subscriptionSchema).safeParse(subscriptions);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`);
+    throw new Error(`Invalid webhook subscriptions: ${issues.join('; ')}`);
+  }
+
+  const ids = new Set();
+  parsed.data.forEach((subscription) => {
+    if (ids.has(subscription.id)) {
+      throw new Error(`Invalid webhook subscriptions: duplicate id "${subscription.id}"`);
+    }
+    ids.add(subscription.id);
+  });
+
+  return parsed.data;
+}
+
+/**
+ * Reads webhook subscriptions from a JSON file
+ * The file holds an array of subscriptions or { "subscriptions": [...] }.
+ *
+ * @param {string} file - Subscriptions file
+ * @returns {Array<Object>} Validated subscriptions
+ * @throws {Error} If the file cannot be read or is invalid
+ */
+function loadSubscriptions(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return parseSubscriptions(Array.isArray(data) ? data : data.subscriptions || []);
+}
+
+/**
+ * Signs a payload
+ * The signature covers the timestamp and the body, so a captured delivery
+ * cannot be replayed with a new timestamp.
+ *
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Delivery time (Unix seconds)
+ * @param {string} body - Request body
+ * @returns {string} Signature header value, `sha256=<hex>`
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Verifies a delivery's signature, for receivers written in Node
+ *
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - X-Intent-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Intent-Signature header
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Checks whether a subscription wants an event
+ *
+ * @param {Object} subscription - Validated subscription
+ * @param {string} event - Agent event
+ * @param {Object|null} result - Processed message result, null for failures
+ * @returns {boolean} True if the event should be delivered
+ */
+function matchesSubscription(subscription, event, result) {
+  if (!subscription.events.includes(event)) {
+    return false;
+  }
+  if (!result) {
+    return subscription.intents.length === 0;
+  }
+
+  const confidence = result.confidence || 0;
+  return (subscription.intents.length === 0 || subscription.intents.includes(result.intent))
+    && confidence >= subscription.minConfidence
+    && confidence <= subscription.maxConfidence;
+}
+
+/**
+ * Waits for a delay
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delivers agent events to webhook subscriptions
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} options - Dispatcher options
+   * @param {Array<Object>} options.subscriptions - Subscription definitions
+   * @param {string} options.secret - Default signing secret
+   * @param {number} options.maxAttempts - Attempts per delivery, including the first
+   * @param {number} options.baseDelayMs - Delay before the first retry; doubles for each further retry
+   * @param {number} options.maxDelayMs - Longest delay between attempts
+   * @param {number} options.timeoutMs - Time limit of each attempt
+   * @param {string|null} options.deadLetterFile - JSONL file receiving failed deliveries; null keeps them in memory only
+   * @param {number} options.logSize - Deliveries kept for inspection
+   * @param {Logger} options.logger - Logs deliveries that fail unexpectedly
+   */
+  constructor({
+    subscriptions = [],
+    secret = null,
+    maxAttempts = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 60 * 1000,
+    timeoutMs = 10 * 1000,
+    deadLetterFile = null,
+    logSize = 500,
+    logger = new Logger(),
+  } = {}) {
+    this.subscriptions = parseSubscriptions(subscriptions);
+    this.secret = secret;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.deadLetterFile = deadLetterFile;
+    this.logSize = logSize;
+    this.logger = logger;
+
+    // Recent deliveries, oldest first
+    this.deliveries = [];
+    this.pending = new Set();
+  }
+
+  /**
+   * Subscribes to an agent's events
+   *
+   * @param {EventEmitter} agent - Intent agent
+   * @returns {Function} Removes the listeners again
+   */
+  attach(agent) {
+    const listeners = {
+      classified: ({ message, result }) => this.dispatch('classified', { message, ...result }, result),
+      lowConfidence: ({ message, result }) => this.dispatch('lowConfidence', { message, ...result }, result),
+      error: (error, { message, sessionId }) => this.dispatch('error', {
+        message,
+        sessionId,
+        error: error.message,
+        status: error.status || null,
+      }, null),
+    };
+
+    Object.entries(listeners).forEach(([event, listener]) => agent.on(event, listener));
+    return () => Object.entries(listeners).forEach(([event, listener]) => agent.off(event, listener));
+  }
+
+  /**
+   * Starts a delivery to every subscription that wants an event
+   * Deliveries run in the background; use idle() to wait for them.
+   *
+   * @param {string} event - Agent event
+   * @param {Object} data - Event data sent in the payload
+   * @param {Object|null} result - Processed message result used for filtering
+   * @returns {Array<Object>} Deliveries started
+   */
+  dispatch(event, data, result) {
+    return this.subscriptions
+      .filter(subscription => matchesSubscription(subscription, event, result))
+      .map((subscription) => {
+        const delivery = {
+          id: crypto.randomUUID(),
+          subscription: subscription.id,
+          url: subscription.url,
+          event,
+          status: 'pending',
+          attempts: 0,
+          responseStatus: null,
+          error: null,
+          createdAt: new Date().toISOString(),
+          completedAt: null,
+        };
+        const payload = { id: delivery.id, event, timestamp: delivery.createdAt, data };
+
+        this.record(delivery);
+        const run = this.deliver(subscription, delivery, payload)
+          .catch(error => this.logger.error('Webhook delivery failed', {
+            subscription: subscription.id,
+            delivery: delivery.id,
+            error,
+          }))
+          .finally(() => this.pending.delete(run));
+        this.pending.add(run);
+        return delivery;
+      });
+  }
+
+  /**
+   * Sends a payload, retrying until it is accepted or attempts run out
+   *
+   * @param {Object} subscription - Target subscription
+   * @param {Object} delivery - Delivery record, updated in place
+   * @param {Object} payload - Payload to send
+   * @returns {Promise<void>}
+   */
+  async deliver(subscription, delivery, payload) {
+    const body = JSON.stringify(payload);
+    const secret = subscription.secret || this.secret;
+
+    while (delivery.attempts < this.maxAttempts) {
+      delivery.attempts++;
+      let retryable = true;
+
+      try {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const response = await fetch(subscription.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Intent-Event': payload.event,
+            'X-Intent-Delivery': delivery.id,
+            'X-Intent-Timestamp': timestamp,
+            ...(secret ? { 'X-Intent-Signature': signPayload(secret, timestamp, body) } : {}),
+            ...subscription.headers,
+          },
+          body,
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+
+        delivery.responseStatus = response.status;
+        if (response.ok) {
+          delivery.status = 'delivered';
+          delivery.error = null;
+          delivery.completedAt = new Date().toISOString();
+          return;
+        }
+        delivery.error = `Responded with ${response.status}`;
+        retryable = response.status >= 500 || RETRY_STATUSES.includes(response.status);
+      } catch (error) {
+        delivery.error = error.message;
+      }
+
+      if (!retryable) {
+        break;
+      }
+      if (delivery.attempts < this.maxAttempts) {
+        await sleep(Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (delivery.attempts - 1)));
+      }
+    }
+
+    delivery.status = 'failed';
+    delivery.completedAt = new Date().toISOString();
+    await this.deadLetter(delivery, payload);
+  }
+
+  /**
+   * Appends a failed delivery and its payload to the dead-letter file
+   *
+   * @param {Object} delivery - Failed delivery
+   * @param {Object} payload - Payload that was not accepted
+   * @returns {Promise<void>}
+   */
+  async deadLetter(delivery, payload) {
+    if (!this.deadLetterFile) {
+      return;
+    }
+
+    await fs.promises.mkdir(path.dirname(this.deadLetterFile), { recursive: true });
+    await fs.promises.appendFile(this.deadLetterFile, `${JSON.stringify({ ...delivery, payload })}\n`);
+  }
+
+  /**
+   * Keeps a delivery in the log, dropping the oldest beyond logSize
+   *
+   * @param {Object} delivery - Delivery record
+   */
+  record(delivery) {
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.logSize) {
+      this.deliveries.splice(0, this.deliveries.length - this.logSize);
+    }
+  }
+
+  /**
+   * Lists recent deliveries, newest first
+   *
+   * @param {Object} filter - Optional filters
+   * @param {string} filter.status - 'pending', 'delivered' or 'failed'
+   * @param {string} filter.subscription - Subscription id
+   * @param {number} filter.limit - Maximum number of deliveries
+   * @returns {Array<Object>} Delivery records
+   */
+  listDeliveries({ status, subscription, limit = 100 } = {}) {
+    return this.deliveries
+      .filter(delivery => (!status || delivery.status === status)
+        && (!subscription || delivery.subscription === subscription))
+      .reverse()
+      .slice(0, limit)
+      .map(delivery => ({ ...delivery }));
+  }
+
+  /**
+   * Describes the subscriptions without their secrets
+   *
+   * @returns {Array<Object>} Subscriptions
+   */
+  describeSubscriptions() {
+    return this.subscriptions.map(({ secret, headers, ...subscription }) => ({
+      ...subscription,
+      signed: Boolean(secret || this.secret),
+    }));
+  }
+
+  /**
+   * Waits until every delivery in progress has finished
+   *
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+}
+
+/**
+ * Creates a dispatcher from the webhooks section of the agent configuration
+ *
+ * @param {Object} config - Webhook configuration
+ * @param {string} config.file - Subscriptions file, optional
+ * @param {Array<Object>} config.subscriptions - Subscriptions added to those of the file
+ * @returns {WebhookDispatcher} Dispatcher
+ */
+function createWebhookDispatcher({ file, subscriptions = [], ...options } = {}) {
+  return new WebhookDispatcher({
+    ...options,
+    subscriptions: [...(file ? loadSubscriptions(file) : []), ...subscriptions],
+  });
+}
+
+module.exports = {
+  WebhookDispatcher,
+  createWebhookDispatcher,
+  parseSubscriptions,
+  loadSubscriptions,
+  matchesSubscription,
+  signPayload,
+  verifySignature,
+  WEBHOOK_EVENTS,
+};
@@ -3,11 +3,42 @@
  * Frontend application for real-time intent classification
  */
 
+// Console logging, gated by API_CONFIG.LOG_LEVEL ('debug', 'info', 'warn',
+// 'error' or 'silent'; default 'warn'). Entries hold a message and a few
+// fields, never the user's text or results, which may hold personal data
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const logger = {
+    get level() {
+        const level = window.API_CONFIG && window.API_CONFIG.LOG_LEVEL;
+        return LOG_LEVELS.includes(level) ? level : 'warn';
+    },
+    log(level, message, fields = {}) {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) {
+            return;
+        }
+        console[level]({ time: new Date().toISOString(), level, msg: message, ...fields });
+    },
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    },
+    info(message, fields) {
+        this.log('info', message, fields);
+    },
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    },
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+};
+
 // State Management
 const state = {
     messageCount: 0,
     isProcessing: false,
-    lastIntent: null
+    lastIntent: null,
+    sessionId: createSessionId()
 };
 
 // DOM Elements
@@ -16,12 +47,14 @@ const elements = {
     messageInput: document.getElementById('messageInput'),
     sendBtn: document.getElementById('sendMessage'),
     clearBtn: document.getElementById('clearChat'),
+    multiIntentToggle: document.getElementById('multiIntentToggle'),
     sendBtnText: document.getElementById('sendBtnText'),
     sendBtnLoader: document.getElementById('sendBtnLoader'),
     intentDisplay: document.getElementById('intentDisplay'),
     intentSummary: document.getElementById('intentSummary'),
     intentType: document.getElementById('intentType'),
     intentConfidence: document.getElementById('intentConfidence'),
+    intentList: document.getElementById('intentList'),
     intentEntities: document.getElementById('intentEntities'),
     confidenceBadge: document.getElementById('confidenceBadge'),
     statusDot: document.getElementById('statusDot'),
@@ -36,13 +69,34 @@ const config = {
     },
     get healthEndpoint() {
         return window.API_CONFIG ? window.API_CONFIG.HEALTH_ENDPOINT : 'http://localhost:3000/api/health';
+    },
+    get streamEndpoint() {
+        return window.API_CONFIG ? window.API_CONFIG.STREAM_ENDPOINT : 'http://localhost:3000/api/classify/stream';
+    },
+    get sessionsEndpoint() {
+        return window.API_CONFIG ? window.API_CONFIG.SESSIONS_ENDPOINT : 'http://localhost:3000/api/sessions';
+    },
+    get apiKey() {
+        return window.API_CONFIG ? window.API_CONFIG.API_KEY : '';
     }
 };
 
+// Headers for API requests, with the API key when one is configured
+function apiHeaders(headers = {}) {
+    return config.apiKey ? { ...headers, 'Authorization': `Bearer ${config.apiKey}` } : headers;
+}
+
+// Generate an identifier for the current conversation session
+function createSessionId() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return `session-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 // Initialize the application
 async function initialize() {
-    console.log('Initializing Intent Identifier Chat Interface...');
-    console.log('Backend API URL:', config.apiEndpoint);
+    logger.info('Initializing chat interface', { apiEndpoint: config.apiEndpoint });
 
     // Set up event listeners
     setupEventListeners();
@@ -91,13 +145,13 @@ async function checkConnection() {
         if (response.ok) {
             const data = await response.json();
             updateStatus('connected', `Connected to ${data.service}`);
-            console.log('✓ Backend connected:', data);
+            logger.info('Backend connected', { service: data.service, status: data.status });
             return true;
         } else {
             throw new Error('API returned error status');
         }
     } catch (error) {
-        console.error('✗ Backend connection failed:', error.message);
+        logger.error('Backend connection failed', { error: error.message });
         updateStatus('disconnected', 'Backend Unavailable - Please start server');
         addErrorMessage('Cannot connect to backend server. Please ensure the server is running at: ' + config.apiEndpoint);
         return false;
@@ -129,19 +183,29 @@ async function handleSendMessage() {
     autoResizeTextarea();
 
     try {
-        // Process message and get intent
-        const intentResult = await processMessageWithIntent(message);
+        // Stream the intent and the reply as they are produced
+        let botMessage = null;
+        const intentResult = await streamMessageWithIntent(message, {
+            onIntent: displayIntent,
+            onChunk: (chunk) => {
+                if (!botMessage) {
+                    botMessage = addMessageToChat('', 'bot');
+                }
+                botMessage.textContent += chunk;
+                scrollToBottom();
+            }
+        });
 
-        // Display intent in JSON panel
+        // Show the final result, which includes any processing error
         displayIntent(intentResult);
-
-        // Add bot response to chat
-        if (intentResult.response) {
+        if (botMessage) {
+            botMessage.textContent = intentResult.response;
+        } else if (intentResult.response) {
             addMessageToChat(intentResult.response, 'bot');
         }
 
     } catch (error) {
-        console.error('Error processing message:', error);
+        logger.error('Message processing failed', { error: error.message });
         addErrorMessage('Failed to process message. Please try again.');
         displayError(error);
     } finally {
@@ -150,32 +214,86 @@ async function handleSendMessage() {
     }
 }
 
-// Process message and get intent classification
-async function processMessageWithIntent(message) {
+// Process message over Server-Sent Events
+// Calls onIntent when the intent is known and onChunk for each piece of the
+// reply, then resolves with the complete result
+async function streamMessageWithIntent(message, { onIntent, onChunk }) {
+    let response;
     try {
-        const response = await fetch(config.apiEndpoint, {
+        response = await fetch(config.streamEndpoint, {
             method: 'POST',
-            headers: {
+            headers: apiHeaders({
                 'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ message })
+            }),
+            body: JSON.stringify({
+                message,
+                sessionId: state.sessionId,
+                // Compound messages are only split on request, since it skips the
+                // embedding first stage and uses the longer multi-intent prompt
+                ...(elements.multiIntentToggle && elements.multiIntentToggle.checked ? { multiIntent: true } : {}),
+                referenceTime: new Date().toISOString(),
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            })
         });
-
-        if (!response.ok) {
-            throw new Error(`Backend returned status ${response.status}`);
-        }
-
-        const data = await response.json();
-        console.log('✓ Intent classified:', data);
-        return data;
     } catch (error) {
-        console.error('✗ API call failed:', error);
+        logger.error('API call failed', { endpoint: config.streamEndpoint, error: error.message });
         updateStatus('disconnected', 'Backend Error');
+        throw new Error(`Failed to connect to backend at ${config.streamEndpoint}. ${error.message}`);
+    }
+
+    if (!response.ok) {
+        // Busy and timed out requests explain themselves and may suggest when to retry
+        const body = await response.json().catch(() => ({}));
+        const retryAfter = response.headers.get('Retry-After');
+        throw new Error(`${body.message || `Backend returned status ${response.status}`}${retryAfter ? ` (retry in ${retryAfter}s)` : ''}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            throw new Error('Stream ended before the result was received');
+        }
 
-        throw new Error(`Failed to connect to backend at ${config.apiEndpoint}. ${error.message}`);
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+            const event = parseServerEvent(block);
+
+            if (event.type === 'intent') {
+                onIntent(event.data);
+            } else if (event.type === 'response') {
+                onChunk(event.data.chunk);
+            } else if (event.type === 'done') {
+                logger.debug('Intent classified', { intent: event.data.intent, confidence: event.data.confidence });
+                return event.data;
+            } else if (event.type === 'error') {
+                throw new Error(event.data.message);
+            }
+        }
     }
 }
 
+// Parse one Server-Sent Event block into its type and JSON data
+function parseServerEvent(block) {
+    let type = 'message';
+    const dataLines = [];
+
+    block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) {
+            type = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trim());
+        }
+    });
+
+    return { type, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : null };
+}
 
 // Add message to chat display
 function addMessageToChat(text, sender) {
@@ -185,6 +303,7 @@ function addMessageToChat(text, sender) {
 
     elements.chatMessages.appendChild(messageDiv);
     scrollToBottom();
+    return messageDiv;
 }
 
 // Add error message to chat
@@ -210,7 +329,11 @@ function displayIntent(intentResult) {
         intent: intentResult.intent,
         confidence: intentResult.confidence,
         entities: intentResult.entities,
-        reasoning: intentResult.reasoning,
+        missingSlots: intentResult.missingSlots,
+        intents: intentResult.intents,
+        distribution: intentResult.distribution,
+        calibrated: intentResult.calibrated,
+        parseStatus: intentResult.parseStatus,
         error: intentResult.error
     }, null, 2);
 
@@ -233,24 +356,37 @@ function displayIntent(intentResult) {
 function updateIntentSummary(intentResult) {
     elements.intentSummary.style.display = 'block';
     elements.intentType.textContent = intentResult.intent;
-    elements.intentConfidence.textContent = `${(intentResult.confidence * 100).toFixed(1)}%`;
-
-    // Format entities
-    const entitiesCount = Object.keys(intentResult.entities).length;
-    if (entitiesCount > 0) {
-        elements.intentEntities.textContent = JSON.stringify(intentResult.entities);
-    } else {
-        elements.intentEntities.textContent = 'None detected';
+    elements.intentConfidence.textContent = `${(intentResult.confidence * 100).toFixed(1)}%`
+        + (intentResult.calibrated ? '' : ' (uncalibrated)');
+
+    // List every detected intent with the part of the message it applies to
+    const intents = intentResult.intents || [];
+    elements.intentList.textContent = intents.length > 0
+        ? intents.map(item => `${item.intent} (${(item.confidence * 100).toFixed(0)}%): "${item.segment}"`).join('; ')
+        : intentResult.intent;
+
+    // Format entities as "slot: value", followed by required slots still missing
+    const entities = Object.entries(intentResult.entities || {}).map(([slot, entity]) => {
+        const value = entity.value === null ? entity.text : entity.value;
+        return `${slot}: ${typeof value === 'object' ? JSON.stringify(value) : value}`;
+    });
+    const missingSlots = intentResult.missingSlots || [];
+    if (missingSlots.length > 0) {
+        entities.push(`missing: ${missingSlots.join(', ')}`);
     }
+    elements.intentEntities.textContent = entities.length > 0 ? entities.join('; ') : 'None detected';
 
     // Update confidence badge
-    updateConfidenceBadge(intentResult.confidence);
+    updateConfidenceBadge(intentResult.confidence, intentResult.calibrated);
 }
 
 // Update confidence badge
-function updateConfidenceBadge(confidence) {
+function updateConfidenceBadge(confidence, calibrated) {
     elements.confidenceBadge.style.display = 'inline-block';
     elements.confidenceBadge.textContent = `${(confidence * 100).toFixed(0)}%`;
+    elements.confidenceBadge.title = calibrated
+        ? 'Calibrated confidence'
+        : 'Model-reported confidence (run npm run calibrate to calibrate)';
 
     // Remove previous confidence classes
     elements.confidenceBadge.classList.remove('confidence-low', 'confidence-medium', 'confidence-high');
@@ -295,12 +431,28 @@ function clearChat() {
     elements.intentSummary.style.display = 'none';
     elements.confidenceBadge.style.display = 'none';
 
+    // Forget the server-side conversation and start a new session
+    resetSession(state.sessionId);
+
     // Reset state
     state.messageCount = 0;
     state.lastIntent = null;
+    state.sessionId = createSessionId();
     updateMessageCount();
 }
 
+// Reset conversation history on the backend
+async function resetSession(sessionId) {
+    try {
+        await fetch(`${config.sessionsEndpoint}/${encodeURIComponent(sessionId)}`, {
+            method: 'DELETE',
+            headers: apiHeaders()
+        });
+    } catch (error) {
+        logger.warn('Session reset failed', { error: error.message });
+    }
+}
+
 // Update status indicator
 function updateStatus(status, message) {
     elements.statusDot.className = `status-dot ${status}`;
@@ -13,6 +13,14 @@ const API_CONFIG = {
     // ============================================
     BACKEND_API_URL: 'http://72.72.161.84:8888',
 
+    // API key sent with requests when the server requires one. It is visible
+    // to anyone who loads this page, so use a key with only the classify
+    // scope and tight limits (npm run keys -- create --name frontend --rpm 20 --daily 500)
+    API_KEY: '',
+
+    // Browser console logging: 'debug', 'info', 'warn', 'error' or 'silent'
+    LOG_LEVEL: 'warn',
+
     // API Endpoints (automatically constructed)
     get HEALTH_ENDPOINT() {
         return `${this.BACKEND_API_URL}/api/health`;
@@ -20,11 +28,17 @@ const API_CONFIG = {
     get CLASSIFY_ENDPOINT() {
         return `${this.BACKEND_API_URL}/api/classify`;
     },
+    get STREAM_ENDPOINT() {
+        return `${this.BACKEND_API_URL}/api/classify/stream`;
+    },
     get CATEGORIES_ENDPOINT() {
         return `${this.BACKEND_API_URL}/api/categories`;
     },
     get BATCH_CLASSIFY_ENDPOINT() {
         return `${this.BACKEND_API_URL}/api/classify-batch`;
+    },
+    get SESSIONS_ENDPOINT() {
+        return `${this.BACKEND_API_URL}/api/sessions`;
     }
 };
 